@@ -1,4 +1,5 @@
 import { fetchJSON, fetchWithTimeout } from '../../utils/fetch.js';
+import { loadSettings, getSetting } from '../../renderer/scripts/settings/settingsClient.js';
 
 let configCache = null;
 
@@ -16,6 +17,31 @@ const loadConfig = async () => {
     return configCache;
 };
 
+/**
+ * Combine the bundled configuration with the user's translation settings.
+ * Provider order and enabled state come from the `translation.providers` setting;
+ * providers missing from it keep their bundled values.
+ * @returns {Promise<object>} Effective configuration object.
+ */
+const loadEffectiveConfig = async () => {
+    const [config] = await Promise.all([loadConfig(), loadSettings()]);
+    const providers = getSetting('translation.providers', []);
+    const apis = {};
+
+    Object.entries(config.apis).forEach(([name, apiConfig]) => {
+        const index = providers.findIndex(provider => provider.id === name);
+        apis[name] = index === -1
+            ? apiConfig
+            : { ...apiConfig, enabled: providers[index].enabled, priority: index + 1 };
+    });
+
+    return {
+        ...config,
+        timeoutMs: getSetting('translation.timeoutMs', config.timeoutMs),
+        apis
+    };
+};
+
 /**
  * Detect language using a simple heuristic
  * @param {string} text - Text to detect language from.
@@ -202,7 +228,7 @@ const translateWithLibreTranslate = async (text, from, to, config) => {
  * @returns {Promise<string>} Translated text.
  */
 const translateCore = async (text, from = 'auto', to = 'th') => {
-    const config = await loadConfig();
+    const config = await loadEffectiveConfig();
 
     // Input validation
     if (!text || typeof text !== 'string') {
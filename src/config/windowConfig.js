@@ -8,14 +8,15 @@ import { resolvePath } from '../utils/paths.js';
  * platform-specific settings (like title bar style and transparency)
  * based on the current operating system.
  *
+ * @param {{width?: number, height?: number}} [savedSize={}] - Window size restored from the settings.
  * @returns {import('electron').BrowserWindowConstructorOptions} The configuration object for creating a new BrowserWindow.
  */
-export const getWindowConfig = () => {
+export const getWindowConfig = (savedSize = {}) => {
     const config = osConfig[OS] || osConfig.linux;
 
     const windowSizeConfig = {
-        width: 480,
-        height: 600,
+        width: Number.isInteger(savedSize.width) ? savedSize.width : 480,
+        height: Number.isInteger(savedSize.height) ? savedSize.height : 600,
         min: {
             width: 400,
             height: 400
@@ -1,14 +1,37 @@
-import { ipcMain } from 'electron';
+import { BrowserWindow, ipcMain } from 'electron';
 import { OS } from '../config/osConfig.js';
-import { safeLog, safeError } from '../utils/safeLogger.js';
+import { safeLog, safeError, safeWarn } from '../utils/safeLogger.js';
+import { buildDocx } from './services/docxExporter.js';
+import { renderPDF, printDocument } from './services/printService.js';
+import { saveExportFile } from './services/exportFiles.js';
+import { embedImages } from './services/imageEmbedder.js';
 
 export class IpcManager {
-    constructor() {
+    /**
+     * @param {object} [services={}]                        - Main-process services exposed over IPC.
+     * @param {import('./services/noteStore.js').NoteStore} [services.noteStore] - Note library storage.
+     * @param {import('./services/settingsService.js').SettingsService} [services.settings] - Persistent settings.
+     * @param {import('./services/snapshotStore.js').SnapshotStore} [services.snapshotStore] - Note version history.
+     * @param {import('./services/undoStore.js').UndoStore} [services.undoStore] - Undo history kept between sessions.
+     * @param {import('./services/editJournal.js').EditJournal} [services.journal] - Journal of unsaved edits.
+     * @param {import('./services/libraryExporter.js').LibraryExporter} [services.libraryExporter] - Exports the whole library.
+     * @param {import('./services/backupService.js').BackupService} [services.backupService] - Backup archives and restore.
+     */
+    constructor(services = {}) {
         this.handlers = new Map();
+        this.invokeChannels = new Set();
+        this.services = services;
     }
 
     init() {
         this.setupOSHandler();
+        this.setupNoteHandlers();
+        this.setupSettingsHandlers();
+        this.setupSnapshotHandlers();
+        this.setupUndoHandlers();
+        this.setupJournalHandlers();
+        this.setupExportHandlers();
+        this.setupBackupHandlers();
         safeLog('IPC Manager initialized');
     }
 
@@ -17,6 +40,168 @@ export class IpcManager {
         ipcMain.handle('get-os', () => OS);
     }
 
+    // Notes
+    setupNoteHandlers() {
+        const { noteStore, snapshotStore, undoStore, journal } = this.services;
+        if (!noteStore) return;
+
+        this.registerInvokeHandler('note-list', () => noteStore.list());
+        this.registerInvokeHandler('note-get-last-opened', () => noteStore.getLastOpenedId());
+        this.registerInvokeHandler('note-get', (event, id) => noteStore.get(id));
+        this.registerInvokeHandler('note-create', (event, data) => noteStore.create(data ?? {}));
+        this.registerInvokeHandler('note-save', async (event, id, data) => {
+            // Snapshot the content this save overwrites; version history must never make a save fail
+            if (snapshotStore) {
+                try {
+                    const current = await noteStore.readNote(id);
+                    await snapshotStore.captureIfDue(id, { text: current.text, title: current.title }, data?.text);
+                } catch (err) {
+                    safeWarn('Snapshot failed:', err.message);
+                }
+            }
+
+            const meta = await noteStore.save(id, data ?? {});
+            journal?.commit(meta.id, data.text);
+            return meta;
+        });
+        this.registerInvokeHandler('note-rename', (event, id, title) => noteStore.rename(id, title));
+        this.registerInvokeHandler('note-set-pinned', (event, id, pinned) => noteStore.setPinned(id, pinned));
+        this.registerInvokeHandler('note-duplicate', (event, id) => noteStore.duplicate(id));
+        this.registerInvokeHandler('note-delete', async (event, id) => {
+            const result = await noteStore.delete(id);
+            journal?.discard(id);
+            await snapshotStore?.deleteAll(id);
+            await undoStore?.delete(id);
+            return result;
+        });
+    }
+
+    // Version history
+    setupSnapshotHandlers() {
+        const { noteStore, snapshotStore } = this.services;
+        if (!noteStore || !snapshotStore) return;
+
+        this.registerInvokeHandler('snapshot-list', (event, noteId) => snapshotStore.list(noteId));
+        this.registerInvokeHandler('snapshot-get', (event, noteId, snapshotId) => snapshotStore.get(noteId, snapshotId));
+        this.registerInvokeHandler('snapshot-create', async (event, noteId, reason) => {
+            const note = await noteStore.readNote(noteId);
+            return snapshotStore.create(noteId, {
+                text: note.text,
+                title: note.title,
+                reason: reason === 'restore' ? 'restore' : 'manual'
+            });
+        });
+    }
+
+    // Undo history of the editor
+    setupUndoHandlers() {
+        const { undoStore } = this.services;
+        if (!undoStore) return;
+
+        this.registerInvokeHandler('undo-history-get', (event, noteId, text) => undoStore.get(noteId, text));
+        this.registerInvokeHandler('undo-history-save', (event, noteId, data) => undoStore.save(noteId, data));
+    }
+
+    // Unsaved edit journal
+    setupJournalHandlers() {
+        const { noteStore, journal } = this.services;
+        if (!noteStore || !journal) return;
+
+        // Fire-and-forget from the renderer; the entry is on disk when this returns
+        this.registerHandler('journal-record', (event, noteId, data) => journal.record(noteId, data));
+
+        // Only offer edits that differ from what is saved and whose note still exists
+        this.registerInvokeHandler('journal-get-recovery', async () => {
+            const { uncleanShutdown, entries } = journal.recovery;
+            const recoverable = [];
+
+            for (const entry of entries) {
+                try {
+                    const note = await noteStore.readNote(entry.noteId);
+                    const resolved = journal.resolve(entry, note.text);
+                    if (!resolved) {
+                        safeWarn(`Journal entry of ${entry.noteId} does not apply to the saved note`);
+                    } else if (note.text !== resolved.text) {
+                        recoverable.push({ ...resolved, title: note.title });
+                    }
+                } catch (error) {
+                    safeWarn(`Skipping journal entry of ${entry.noteId}:`, error.message);
+                }
+            }
+
+            if (recoverable.length === 0) {
+                journal.dismissRecovery();
+            }
+            return { uncleanShutdown, entries: recoverable };
+        });
+        this.registerInvokeHandler('journal-dismiss-recovery', () => journal.dismissRecovery());
+    }
+
+    // Export formats built in the main process
+    setupExportHandlers() {
+        this.registerInvokeHandler('export-docx', (event, content, options) => buildDocx(content, options ?? {}));
+        this.registerInvokeHandler('export-pdf', (event, html) => renderPDF(html));
+        this.registerInvokeHandler('print-document', (event, html, options) => printDocument(html, options ?? {}));
+        this.registerInvokeHandler('export-embed-images', (event, urls) => embedImages(urls));
+        this.registerInvokeHandler('export-save', (event, request) =>
+            saveExportFile(BrowserWindow.fromWebContents(event.sender), this.services.settings, request ?? {}));
+
+        const { libraryExporter } = this.services;
+        if (!libraryExporter) return;
+
+        this.registerInvokeHandler('export-all', (event, options) =>
+            libraryExporter.exportAll(BrowserWindow.fromWebContents(event.sender), options ?? {}, (progress) => {
+                if (!event.sender.isDestroyed()) event.sender.send('export-all-progress', progress);
+            }));
+        this.registerHandler('export-all-cancel', () => libraryExporter.cancel());
+    }
+
+    // Backup and restore
+    setupBackupHandlers() {
+        const { backupService } = this.services;
+        if (!backupService) return;
+
+        const getWindow = (event) => BrowserWindow.fromWebContents(event.sender);
+
+        this.registerInvokeHandler('backup-create', (event) => backupService.backUpTo(getWindow(event)));
+        this.registerInvokeHandler('backup-choose-directory', (event) => backupService.chooseDirectory(getWindow(event)));
+        this.registerInvokeHandler('backup-choose-archive', (event) => backupService.chooseArchive(getWindow(event)));
+        this.registerInvokeHandler('backup-restore', (event, options) => backupService.restore(options ?? {}));
+    }
+
+    // Settings
+    setupSettingsHandlers() {
+        const { settings } = this.services;
+        if (!settings) return;
+
+        this.registerInvokeHandler('settings-get-all', () => settings.getAll());
+        this.registerInvokeHandler('settings-get', (event, key) => settings.get(key));
+        this.registerInvokeHandler('settings-set', (event, key, value) => settings.set(key, value));
+        this.registerInvokeHandler('settings-reset', (event, key) => settings.reset(key ?? undefined));
+    }
+
+    // Register request/response handler (ipcRenderer.invoke)
+    registerInvokeHandler(channel, handler) {
+        if (typeof channel !== 'string' || !channel.trim() || typeof handler !== 'function') {
+            return safeError('Invalid invoke handler registration');
+        }
+
+        if (this.invokeChannels.has(channel)) {
+            ipcMain.removeHandler(channel);
+        }
+
+        ipcMain.handle(channel, async (event, ...args) => {
+            try {
+                return await handler(event, ...args);
+            } catch (err) {
+                safeError(`IPC Error [${channel}]:`, err.message);
+                throw err;
+            }
+        });
+
+        this.invokeChannels.add(channel);
+    }
+
     // Register Handler
     registerHandler(channel, handler) {
         if (typeof channel !== 'string' || !channel.trim() || typeof handler !== 'function') {
@@ -56,9 +241,10 @@ export class IpcManager {
         this.handlers.clear();
 
         // Remove handlers
-        ['get-os'].forEach(ch =>
+        ['get-os', ...this.invokeChannels].forEach(ch =>
             ipcMain.removeHandler(ch)
         );
+        this.invokeChannels.clear();
 
         // safeLog('IPC Manager cleaned up');
     }
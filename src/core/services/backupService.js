@@ -0,0 +1,628 @@
+/**
+ * @file Backs up the whole library into one archive and restores it (main process).
+ * A backup is a zip archive (`.fnbackup`) holding `backup.json` (format, schema version
+ * and counts), every note in `notes/<id>.json`, every version-history snapshot in
+ * `snapshots/<noteId>/<snapshotId>.json` and the settings in `settings.json`. Images are
+ * stored inside the note content, so there are no separate attachments to back up.
+ * Automatic backups are written to a folder chosen in the settings (`backup.*`), and
+ * only the newest `backup.keep` of them are kept.
+ */
+
+import { app, dialog } from 'electron';
+import { promises as fs } from 'fs';
+import path from 'node:path';
+import { ZipWriter } from '../../utils/zipWriter.js';
+import { ZipReader } from '../../utils/zipReader.js';
+import { safeLog, safeWarn } from '../../utils/safeLogger.js';
+import { isValidNoteId } from './noteStore.js';
+import { isValidSnapshotId } from './snapshotStore.js';
+
+export const BACKUP_FORMAT = 'fascinate-note-backup';
+export const BACKUP_SCHEMA_VERSION = 1;
+export const BACKUP_EXTENSION = 'fnbackup';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const SCHEDULE_INTERVALS = { daily: DAY, weekly: 7 * DAY };
+const SCHEDULE_CHECK_INTERVAL = HOUR;
+const STARTUP_CHECK_DELAY = 60 * 1000;
+const SAFETY_BACKUPS_KEPT = 5;
+// Largest entry read from an archive; notes themselves are capped at 50 MB
+const MAX_ENTRY_SIZE = 64 * 1024 * 1024;
+
+const AUTO_BACKUP_PATTERN = new RegExp(`^Fascinate Note auto-backup \\d{4}-\\d{2}-\\d{2} \\d{6}\\.${BACKUP_EXTENSION}$`);
+const SAFETY_BACKUP_PATTERN = new RegExp(`^before-restore-\\d{4}-\\d{2}-\\d{2} \\d{6}\\.${BACKUP_EXTENSION}$`);
+const NOTE_ENTRY_PATTERN = /^notes\/([^/]+)\.json$/;
+const SNAPSHOT_ENTRY_PATTERN = /^snapshots\/([^/]+)\/([^/]+)\.json$/;
+
+/**
+ * @typedef {object} BackupCounts
+ * @property {number} notes
+ * @property {number} snapshots
+ */
+
+/**
+ * @typedef {object} BackupPreviewNote
+ * @property {string} id
+ * @property {string} title
+ * @property {number} updatedAt             - Modification time in the backup.
+ * @property {number} snapshots             - Snapshots of the note in the backup.
+ * @property {'new'|'newer'|'older'|'same'} status - How the backup compares to the library:
+ *    not in the library, modified later than the library's copy, modified earlier, or identical.
+ */
+
+/**
+ * @typedef {object} BackupPreview
+ * @property {string} path                  - The archive.
+ * @property {string} createdAt             - When the backup was made (ISO 8601).
+ * @property {string} appVersion            - Version of the app that made it.
+ * @property {boolean} hasSettings
+ * @property {BackupCounts} counts
+ * @property {BackupPreviewNote[]} notes
+ * @property {Array<{id: string, title: string}>} localOnly - Notes a replace would delete.
+ */
+
+/**
+ * Thrown when an archive is not a valid backup. The message is shown to the user.
+ */
+export class InvalidBackupError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvalidBackupError';
+    }
+}
+
+const isPlainObject = (value) =>
+    value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Formats a date as `YYYY-MM-DD HHmmss` in local time, for file names that sort by age.
+ * @param {Date} date
+ * @returns {string}
+ */
+const formatStamp = (date) => {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} `
+        + `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+};
+
+/**
+ * Reads and parses a JSON entry of an archive.
+ * @param {ZipReader} zip
+ * @param {string} name
+ * @returns {Promise<*>}
+ * @throws {InvalidBackupError}
+ */
+const readJSONEntry = async (zip, name) => {
+    const entry = zip.entries.get(name);
+    if (entry && entry.size > MAX_ENTRY_SIZE) {
+        throw new InvalidBackupError(`${name} is too large`);
+    }
+
+    try {
+        return JSON.parse(await zip.readText(name));
+    } catch (error) {
+        throw new InvalidBackupError(`${name} is damaged (${error.message})`);
+    }
+};
+
+/**
+ * Checks a note read from an archive.
+ * @param {*} note
+ * @param {string} id - ID taken from the entry name.
+ * @throws {InvalidBackupError}
+ */
+const validateNote = (note, id) => {
+    if (!isPlainObject(note) || note.id !== id || typeof note.text !== 'string'
+        || !Number.isFinite(note.createdAt) || !Number.isFinite(note.updatedAt)) {
+        throw new InvalidBackupError(`Note ${id} is not valid`);
+    }
+};
+
+/**
+ * Checks a snapshot read from an archive.
+ * @param {*} snapshot
+ * @param {string} noteId
+ * @param {string} snapshotId
+ * @throws {InvalidBackupError}
+ */
+const validateSnapshot = (snapshot, noteId, snapshotId) => {
+    if (!isPlainObject(snapshot) || snapshot.id !== snapshotId || snapshot.noteId !== noteId
+        || typeof snapshot.text !== 'string') {
+        throw new InvalidBackupError(`Snapshot ${snapshotId} of note ${noteId} is not valid`);
+    }
+};
+
+/**
+ * Sorts the entries of an archive into notes and snapshots, rejecting anything unexpected.
+ * @param {ZipReader} zip
+ * @returns {{noteIds: string[], snapshots: Map<string, string[]>}} Snapshot IDs by note ID.
+ * @throws {InvalidBackupError}
+ */
+const indexEntries = (zip) => {
+    const noteIds = [];
+    const snapshots = new Map();
+
+    for (const { name } of zip.list()) {
+        if (name === 'backup.json' || name === 'settings.json') continue;
+
+        const note = name.match(NOTE_ENTRY_PATTERN);
+        if (note && isValidNoteId(note[1])) {
+            noteIds.push(note[1]);
+            continue;
+        }
+
+        const snapshot = name.match(SNAPSHOT_ENTRY_PATTERN);
+        if (snapshot && isValidNoteId(snapshot[1]) && isValidSnapshotId(snapshot[2])) {
+            if (!snapshots.has(snapshot[1])) snapshots.set(snapshot[1], []);
+            snapshots.get(snapshot[1]).push(snapshot[2]);
+            continue;
+        }
+
+        throw new InvalidBackupError(`Unexpected file in the backup: ${name}`);
+    }
+
+    return { noteIds, snapshots };
+};
+
+export class BackupService {
+    /**
+     * @param {object} services
+     * @param {import('./noteStore.js').NoteStore} services.noteStore
+     * @param {import('./snapshotStore.js').SnapshotStore} services.snapshotStore
+     * @param {import('./settingsService.js').SettingsService} services.settings
+     * @param {import('./editJournal.js').EditJournal} [services.journal] - Unsaved edits of restored notes are dropped.
+     * @param {import('./undoStore.js').UndoStore} [services.undoStore]   - Undo history of deleted notes is removed.
+     */
+    constructor({ noteStore, snapshotStore, settings, journal, undoStore }) {
+        this.noteStore = noteStore;
+        this.snapshotStore = snapshotStore;
+        this.settings = settings;
+        this.journal = journal;
+        this.undoStore = undoStore;
+        this.safetyDir = path.join(app.getPath('userData'), 'backups');
+        this.busy = false;
+        this.pending = null;
+        this.timers = [];
+        this.unsubscribeSettings = null;
+    }
+
+    /**
+     * Runs one backup or restore at a time.
+     * @param {function(): Promise<*>} task
+     * @returns {Promise<*>}
+     * @private
+     */
+    async exclusive(task) {
+        if (this.busy) {
+            throw new Error('A backup or restore is already running');
+        }
+
+        this.busy = true;
+        try {
+            return await task();
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    /**
+     * Writes a backup of the whole library.
+     * @param {string} filePath - The archive to write.
+     * @returns {Promise<BackupCounts>}
+     */
+    async writeBackup(filePath) {
+        const zip = await ZipWriter.create(filePath);
+        const counts = { notes: 0, snapshots: 0 };
+
+        try {
+            for (const meta of await this.noteStore.list()) {
+                let note;
+                try {
+                    note = await this.noteStore.readNote(meta.id);
+                } catch (error) {
+                    // The rest of the library is still worth backing up
+                    safeWarn(`Backup skipped unreadable note ${meta.id}:`, error.message);
+                    continue;
+                }
+
+                await zip.addFile(`notes/${note.id}.json`, JSON.stringify(note), new Date(note.updatedAt));
+                counts.notes++;
+
+                // An index can list a snapshot twice; the archive holds it once
+                const snapshotIds = new Set((await this.snapshotStore.list(note.id)).map(snapshot => snapshot.id));
+                for (const id of snapshotIds) {
+                    try {
+                        const snapshot = await this.snapshotStore.get(note.id, id);
+                        await zip.addFile(`snapshots/${note.id}/${id}.json`, JSON.stringify(snapshot), new Date(snapshot.createdAt));
+                        counts.snapshots++;
+                    } catch (error) {
+                        safeWarn(`Backup skipped unreadable snapshot ${id}:`, error.message);
+                    }
+                }
+            }
+
+            await zip.addFile('settings.json', JSON.stringify(this.settings.getAll()));
+            await zip.addFile('backup.json', JSON.stringify({
+                format: BACKUP_FORMAT,
+                schemaVersion: BACKUP_SCHEMA_VERSION,
+                createdAt: new Date().toISOString(),
+                appVersion: app.getVersion(),
+                counts
+            }, null, 2));
+            await zip.close();
+        } catch (error) {
+            await zip.abort().catch(abortError => safeWarn('Could not remove the unfinished backup:', abortError.message));
+            throw error;
+        }
+
+        return counts;
+    }
+
+    /**
+     * Asks where to save a backup and writes it there.
+     * @param {import('electron').BrowserWindow|null} window - Parent of the dialog.
+     * @returns {Promise<{status: 'done'|'aborted', path?: string, counts?: BackupCounts}>}
+     */
+    async backUpTo(window) {
+        const directory = this.settings.get('backup.directory') || app.getPath('documents');
+        const options = {
+            title: 'Back up all notes',
+            defaultPath: path.join(directory, `Fascinate Note backup ${formatStamp(new Date())}.${BACKUP_EXTENSION}`),
+            filters: [{ name: 'Fascinate Note backup', extensions: [BACKUP_EXTENSION] }],
+            properties: ['createDirectory', 'showOverwriteConfirmation']
+        };
+        const { canceled, filePath } = window
+            ? await dialog.showSaveDialog(window, options)
+            : await dialog.showSaveDialog(options);
+
+        if (canceled || !filePath) return { status: 'aborted' };
+
+        return this.exclusive(async () => ({
+            status: 'done',
+            path: filePath,
+            counts: await this.writeBackup(filePath)
+        }));
+    }
+
+    /**
+     * Asks for the folder of the automatic backups and remembers it.
+     * @param {import('electron').BrowserWindow|null} window - Parent of the dialog.
+     * @returns {Promise<string|null>} The folder, null when cancelled.
+     */
+    async chooseDirectory(window) {
+        const options = {
+            title: 'Folder for automatic backups',
+            buttonLabel: 'Choose',
+            defaultPath: this.settings.get('backup.directory') || app.getPath('documents'),
+            properties: ['openDirectory', 'createDirectory']
+        };
+        const { canceled, filePaths } = window
+            ? await dialog.showOpenDialog(window, options)
+            : await dialog.showOpenDialog(options);
+
+        if (canceled || !filePaths?.length) return null;
+        return this.settings.set('backup.directory', filePaths[0]);
+    }
+
+    /**
+     * Asks for a backup, validates it and describes what restoring it would change.
+     * The archive is remembered for `restore()`.
+     * @param {import('electron').BrowserWindow|null} window - Parent of the dialog.
+     * @returns {Promise<{status: 'ready', preview: BackupPreview}|{status: 'aborted'}|{status: 'invalid', error: string}>}
+     */
+    async chooseArchive(window) {
+        const options = {
+            title: 'Restore from backup',
+            defaultPath: this.settings.get('backup.directory') || app.getPath('documents'),
+            filters: [{ name: 'Fascinate Note backup', extensions: [BACKUP_EXTENSION] }],
+            properties: ['openFile']
+        };
+        const { canceled, filePaths } = window
+            ? await dialog.showOpenDialog(window, options)
+            : await dialog.showOpenDialog(options);
+
+        if (canceled || !filePaths?.length) return { status: 'aborted' };
+
+        try {
+            const preview = await this.inspect(filePaths[0]);
+            this.pending = preview.path;
+            return { status: 'ready', preview };
+        } catch (error) {
+            if (error instanceof InvalidBackupError) {
+                return { status: 'invalid', error: error.message };
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Validates every entry of a backup and compares it with the library.
+     * @param {string} filePath
+     * @returns {Promise<BackupPreview>}
+     * @throws {InvalidBackupError} When the file is not a valid backup.
+     */
+    async inspect(filePath) {
+        let zip;
+        try {
+            zip = await ZipReader.open(filePath, { maxEntrySize: MAX_ENTRY_SIZE });
+        } catch (error) {
+            throw new InvalidBackupError(`The file is not a backup (${error.message})`);
+        }
+
+        try {
+            if (!zip.has('backup.json')) {
+                throw new InvalidBackupError('The file is not a backup: backup.json is missing');
+            }
+
+            const info = await readJSONEntry(zip, 'backup.json');
+            if (info?.format !== BACKUP_FORMAT || !Number.isInteger(info.schemaVersion)) {
+                throw new InvalidBackupError('The file is not a backup of this app');
+            }
+            if (info.schemaVersion > BACKUP_SCHEMA_VERSION) {
+                throw new InvalidBackupError('The backup was made by a newer version of the app');
+            }
+
+            const { noteIds, snapshots } = indexEntries(zip);
+            const local = new Map((await this.noteStore.list()).map(meta => [meta.id, meta]));
+            const notes = [];
+
+            for (const id of noteIds) {
+                const note = await readJSONEntry(zip, `notes/${id}.json`);
+                validateNote(note, id);
+
+                notes.push({
+                    id,
+                    title: typeof note.title === 'string' ? note.title : '',
+                    updatedAt: note.updatedAt,
+                    snapshots: snapshots.get(id)?.length ?? 0,
+                    status: await this.compareWithLibrary(note, local.get(id))
+                });
+            }
+
+            for (const [noteId, snapshotIds] of snapshots) {
+                if (!noteIds.includes(noteId)) {
+                    throw new InvalidBackupError(`Snapshots of note ${noteId} have no note`);
+                }
+                for (const snapshotId of snapshotIds) {
+                    validateSnapshot(await readJSONEntry(zip, `snapshots/${noteId}/${snapshotId}.json`), noteId, snapshotId);
+                }
+            }
+
+            const hasSettings = zip.has('settings.json');
+            if (hasSettings && !isPlainObject(await readJSONEntry(zip, 'settings.json'))) {
+                throw new InvalidBackupError('settings.json is not valid');
+            }
+
+            const archived = new Set(noteIds);
+            return {
+                path: filePath,
+                createdAt: typeof info.createdAt === 'string' ? info.createdAt : '',
+                appVersion: typeof info.appVersion === 'string' ? info.appVersion : '',
+                hasSettings,
+                counts: {
+                    notes: noteIds.length,
+                    snapshots: [...snapshots.values()].reduce((sum, ids) => sum + ids.length, 0)
+                },
+                notes,
+                localOnly: [...local.values()]
+                    .filter(meta => !archived.has(meta.id))
+                    .map(({ id, title }) => ({ id, title }))
+            };
+        } finally {
+            await zip.close();
+        }
+    }
+
+    /**
+     * @param {import('./noteStore.js').Note} note - Note from the backup.
+     * @param {import('./noteStore.js').NoteMeta} [meta] - The library's copy.
+     * @returns {Promise<BackupPreviewNote['status']>}
+     * @private
+     */
+    async compareWithLibrary(note, meta) {
+        if (!meta) return 'new';
+
+        try {
+            const current = await this.noteStore.readNote(meta.id);
+            if (current.text === note.text && current.title === note.title) return 'same';
+        } catch {
+            // An unreadable local copy is replaced like an older one
+            return 'newer';
+        }
+        return note.updatedAt > meta.updatedAt ? 'newer' : 'older';
+    }
+
+    /**
+     * Restores the backup chosen with `chooseArchive()`. A backup of the current library
+     * is written to `<userData>/backups` first, so the restore itself can be undone.
+     *
+     * - `merge` adds the notes that are missing and replaces notes whose backup copy was
+     *   modified later; the replaced content is kept as a `restore` snapshot. Snapshots the
+     *   library does not have yet are added.
+     * - `replace` makes the library match the backup: notes missing from it are deleted
+     *   and every note and its history are taken from the backup.
+     *
+     * @param {object} options
+     * @param {'merge'|'replace'} options.mode
+     * @param {boolean} [options.includeSettings=false] - Also restore the settings.
+     * @returns {Promise<{added: number, replaced: number, deleted: number, snapshots: number, settings: boolean}>}
+     */
+    restore({ mode, includeSettings = false } = {}) {
+        if (mode !== 'merge' && mode !== 'replace') {
+            throw new Error(`Unknown restore mode: ${mode}`);
+        }
+        if (!this.pending) {
+            throw new Error('No backup was chosen');
+        }
+
+        const filePath = this.pending;
+        this.pending = null;
+
+        return this.exclusive(async () => {
+            // Checked again: the file could have changed since it was previewed
+            const preview = await this.inspect(filePath);
+            await this.writeSafetyBackup();
+
+            const zip = await ZipReader.open(filePath, { maxEntrySize: MAX_ENTRY_SIZE });
+            const result = { added: 0, replaced: 0, deleted: 0, snapshots: 0, settings: false };
+
+            try {
+                const { snapshots } = indexEntries(zip);
+
+                if (mode === 'replace') {
+                    for (const { id } of preview.localOnly) {
+                        await this.noteStore.delete(id);
+                        await this.snapshotStore.deleteAll(id);
+                        await this.undoStore?.delete(id);
+                        this.journal?.discard(id);
+                        result.deleted++;
+                    }
+                }
+
+                for (const { id, status } of preview.notes) {
+                    const note = await readJSONEntry(zip, `notes/${id}.json`);
+
+                    if (mode === 'replace') {
+                        await this.snapshotStore.deleteAll(id);
+                    } else if (status === 'newer') {
+                        const current = await this.noteStore.readNote(id).catch(() => null);
+                        if (current) {
+                            await this.snapshotStore.create(id, { text: current.text, title: current.title, reason: 'restore' });
+                        }
+                    }
+
+                    if (status === 'new' || status === 'newer' || mode === 'replace') {
+                        await this.noteStore.restore(note);
+                        this.journal?.discard(id);
+                        if (status === 'new') result.added++;
+                        else if (status !== 'same') result.replaced++;
+                    }
+
+                    const history = [];
+                    for (const snapshotId of snapshots.get(id) ?? []) {
+                        history.push(await readJSONEntry(zip, `snapshots/${id}/${snapshotId}.json`));
+                    }
+                    if (history.length > 0) {
+                        result.snapshots += await this.snapshotStore.restore(id, history);
+                    }
+                }
+
+                if (includeSettings && preview.hasSettings) {
+                    try {
+                        this.settings.restore(await readJSONEntry(zip, 'settings.json'));
+                        result.settings = true;
+                    } catch (error) {
+                        // The notes are restored already; only the settings are left as they were
+                        safeWarn('Could not restore the settings:', error.message);
+                    }
+                }
+            } finally {
+                await zip.close();
+            }
+
+            safeLog(`Restored backup (${mode}):`, result);
+            return result;
+        });
+    }
+
+    /**
+     * Backs up the library before a restore changes it, keeping the last few of these backups.
+     * @private
+     */
+    async writeSafetyBackup() {
+        await fs.mkdir(this.safetyDir, { recursive: true });
+        await this.writeBackup(path.join(this.safetyDir, `before-restore-${formatStamp(new Date())}.${BACKUP_EXTENSION}`));
+        await this.rotate(this.safetyDir, SAFETY_BACKUP_PATTERN, SAFETY_BACKUPS_KEPT);
+    }
+
+    /**
+     * Lists the backups in a folder whose names match a pattern, newest first.
+     * @param {string} directory
+     * @param {RegExp} pattern
+     * @returns {Promise<string[]>} File names.
+     * @private
+     */
+    async listBackups(directory, pattern) {
+        try {
+            // The date in the name sorts them by age
+            return (await fs.readdir(directory)).filter(name => pattern.test(name)).sort().reverse();
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    /**
+     * Deletes all but the newest `keep` backups in a folder.
+     * @private
+     */
+    async rotate(directory, pattern, keep) {
+        const outdated = (await this.listBackups(directory, pattern)).slice(keep);
+
+        for (const name of outdated) {
+            await fs.rm(path.join(directory, name), { force: true })
+                .catch(error => safeWarn(`Could not delete old backup ${name}:`, error.message));
+        }
+    }
+
+    /**
+     * Writes an automatic backup when one is due and deletes the oldest ones beyond `backup.keep`.
+     * @returns {Promise<string|null>} The backup written, or null when none was due.
+     */
+    async runScheduled() {
+        const { schedule, directory, keep } = this.settings.get('backup');
+        if (!directory || schedule === 'off' || this.busy) return null;
+
+        const [latest] = await this.listBackups(directory, AUTO_BACKUP_PATTERN);
+        if (latest) {
+            const { mtimeMs } = await fs.stat(path.join(directory, latest));
+            if (Date.now() - mtimeMs < SCHEDULE_INTERVALS[schedule]) return null;
+        }
+
+        return this.exclusive(async () => {
+            await fs.mkdir(directory, { recursive: true });
+
+            const filePath = path.join(directory, `Fascinate Note auto-backup ${formatStamp(new Date())}.${BACKUP_EXTENSION}`);
+            await this.writeBackup(filePath);
+            await this.rotate(directory, AUTO_BACKUP_PATTERN, keep);
+
+            safeLog('Automatic backup written:', filePath);
+            return filePath;
+        });
+    }
+
+    /**
+     * Starts checking whether an automatic backup is due: shortly after launch,
+     * every hour and whenever the backup settings change.
+     */
+    start() {
+        if (this.timers.length > 0) return;
+
+        const check = () => this.runScheduled()
+            .catch(error => safeWarn('Automatic backup failed:', error.message));
+
+        this.timers.push(
+            setTimeout(check, STARTUP_CHECK_DELAY),
+            setInterval(check, SCHEDULE_CHECK_INTERVAL)
+        );
+
+        let previous = JSON.stringify(this.settings.get('backup'));
+        this.unsubscribeSettings = this.settings.onChange((all) => {
+            const next = JSON.stringify(all.backup);
+            if (next === previous) return;
+            previous = next;
+            check();
+        });
+    }
+
+    /**
+     * Stops the automatic backups.
+     */
+    stop() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers = [];
+        this.unsubscribeSettings?.();
+        this.unsubscribeSettings = null;
+    }
+}
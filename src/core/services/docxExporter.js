@@ -0,0 +1,334 @@
+/**
+ * @file Builds Word documents from note content (main process).
+ * The renderer reads the editor into plain blocks (`renderer/scripts/editor/docxContent.js`);
+ * they are mapped to native Word structures here: heading styles, numbered and
+ * bulleted lists, checkbox content controls, tables and character formatting.
+ */
+
+import {
+    AlignmentType,
+    BorderStyle,
+    CheckBox,
+    Document,
+    HeadingLevel,
+    LevelFormat,
+    Packer,
+    Paragraph,
+    ShadingType,
+    Table,
+    TableCell,
+    TableRow,
+    TextRun,
+    WidthType
+} from 'docx';
+
+/** Text width of an A4 page with the default 1 inch margins (twips). */
+const PAGE_TEXT_WIDTH = 9026;
+const LIST_INDENT = 720;
+const LIST_HANGING = 360;
+const MAX_LIST_LEVEL = 8;
+const CODE_FONT = 'Consolas';
+const CODE_SHADING = { type: ShadingType.CLEAR, color: 'auto', fill: 'F2F2F2' };
+const HEADER_SHADING = { type: ShadingType.CLEAR, color: 'auto', fill: 'E7E6E6' };
+
+const HEADING_LEVELS = [
+    HeadingLevel.HEADING_1,
+    HeadingLevel.HEADING_2,
+    HeadingLevel.HEADING_3,
+    HeadingLevel.HEADING_4,
+    HeadingLevel.HEADING_5,
+    HeadingLevel.HEADING_6
+];
+
+const ALIGNMENTS = {
+    left: AlignmentType.LEFT,
+    center: AlignmentType.CENTER,
+    right: AlignmentType.RIGHT
+};
+
+const BULLETS = ['•', '◦', '▪'];
+
+// Characters that are not allowed in XML and would make Word reject the file
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+const cleanText = (value) => String(value ?? '').replace(INVALID_XML_CHARS, '');
+
+/**
+ * Creates the levels of a list numbering definition.
+ * @param {string} format - A `LevelFormat` value.
+ * @param {function(number): string} text - Level text for a level.
+ * @returns {Object[]}
+ */
+const createListLevels = (format, text) => Array.from({ length: MAX_LIST_LEVEL + 1 }, (_, level) => ({
+    level,
+    format,
+    text: text(level),
+    alignment: AlignmentType.LEFT,
+    style: {
+        paragraph: {
+            indent: { left: LIST_INDENT * (level + 1), hanging: LIST_HANGING }
+        }
+    }
+}));
+
+const NUMBERING = {
+    config: [
+        {
+            reference: 'bullets',
+            levels: createListLevels(LevelFormat.BULLET, level => BULLETS[level % BULLETS.length])
+        },
+        {
+            reference: 'numbers',
+            levels: createListLevels(LevelFormat.DECIMAL, level => `%${level + 1}.`)
+        }
+    ]
+};
+
+const STYLES = {
+    paragraphStyles: [
+        {
+            id: 'Quote',
+            name: 'Quote',
+            basedOn: 'Normal',
+            next: 'Normal',
+            quickFormat: true,
+            run: { italics: true, color: '595959' },
+            paragraph: {
+                indent: { left: LIST_INDENT },
+                border: { left: { style: BorderStyle.SINGLE, size: 18, color: 'BFBFBF', space: 8 } }
+            }
+        },
+        {
+            id: 'Code',
+            name: 'Code',
+            basedOn: 'Normal',
+            next: 'Normal',
+            quickFormat: true,
+            run: { font: CODE_FONT, size: 20 },
+            paragraph: {
+                shading: CODE_SHADING,
+                spacing: { before: 120, after: 120 }
+            }
+        }
+    ]
+};
+
+/**
+ * Maps runs to Word text runs.
+ * @param {Array<Object>} runs
+ * @param {{bold?: boolean}} [overrides] - Formatting applied to every run.
+ * @returns {TextRun[]}
+ */
+const renderRuns = (runs, overrides = {}) => (Array.isArray(runs) ? runs : []).map(run => {
+    if (run?.break) return new TextRun({ break: 1 });
+
+    return new TextRun({
+        text: cleanText(run?.text),
+        bold: Boolean(run?.bold || overrides.bold),
+        italics: Boolean(run?.italic),
+        underline: run?.underline ? {} : undefined,
+        strike: Boolean(run?.strike),
+        highlight: run?.highlight ? 'yellow' : undefined,
+        font: run?.code ? CODE_FONT : undefined,
+        shading: run?.code ? CODE_SHADING : undefined
+    });
+});
+
+/**
+ * Maps a list to paragraphs. Checklist items get a checkbox instead of a bullet.
+ * @param {Object} list
+ * @param {number} level - Nesting level.
+ * @param {{instance: number}} state - Numbering instance counter, so each ordered list restarts at 1.
+ * @param {number} instance - Numbering instance of the outermost ordered list.
+ * @returns {Array<Paragraph|Table>}
+ */
+const renderList = (list, level, state, instance) => {
+    const clampedLevel = Math.min(level, MAX_LIST_LEVEL);
+    const output = [];
+
+    (Array.isArray(list.items) ? list.items : []).forEach(item => {
+        const runs = renderRuns(item?.runs);
+
+        if (typeof item?.checked === 'boolean') {
+            output.push(new Paragraph({
+                indent: { left: LIST_INDENT * clampedLevel + LIST_HANGING },
+                children: [new CheckBox({ checked: item.checked }), new TextRun(' '), ...runs]
+            }));
+        } else if (runs.length || !item?.children?.length) {
+            output.push(new Paragraph({
+                numbering: list.ordered
+                    ? { reference: 'numbers', level: clampedLevel, instance }
+                    : { reference: 'bullets', level: clampedLevel },
+                children: runs
+            }));
+        }
+
+        (Array.isArray(item?.children) ? item.children : []).forEach(child => {
+            if (child?.type === 'list') {
+                output.push(...renderList(child, level + 1, state, instance));
+            } else {
+                output.push(...renderBlock(child, state, LIST_INDENT * (clampedLevel + 1)));
+            }
+        });
+    });
+
+    return output;
+};
+
+/**
+ * @param {*} value
+ * @returns {number} The span as a whole number, at least 1.
+ */
+const toSpan = (value) => Math.max(1, Math.floor(Number(value)) || 1);
+
+/**
+ * Counts the slots each row fills, merged cells and cells reaching down from the rows
+ * above included.
+ * @param {Array<{cells: Object[]}>} rows
+ * @returns {number[]}
+ */
+const countRowSlots = (rows) => {
+    const covered = rows.map(() => []);
+
+    rows.forEach((row, rowIndex) => {
+        let column = 0;
+        row.cells.forEach(cell => {
+            while (covered[rowIndex][column]) column++;
+
+            const colSpan = toSpan(cell?.colSpan);
+            const rowSpan = Math.min(toSpan(cell?.rowSpan), rows.length - rowIndex);
+            for (let r = rowIndex; r < rowIndex + rowSpan; r++) {
+                for (let c = column; c < column + colSpan; c++) covered[r][c] = true;
+            }
+            column += colSpan;
+        });
+    });
+
+    return covered.map(row => row.filter(Boolean).length);
+};
+
+/**
+ * Maps a table. Ragged rows are padded so every row has the same number of cells;
+ * merged cells span columns and rows.
+ * @param {Object} table
+ * @returns {Table|null}
+ */
+const renderTable = (table) => {
+    const rows = (Array.isArray(table.rows) ? table.rows : []).filter(row => Array.isArray(row?.cells) && row.cells.length);
+    if (rows.length === 0) return null;
+
+    const slots = countRowSlots(rows);
+    const columns = Math.max(...slots);
+    const columnWidth = Math.floor(PAGE_TEXT_WIDTH / columns);
+
+    /**
+     * @param {Object} cell
+     * @param {boolean} header
+     * @returns {TableCell}
+     */
+    const renderCell = (cell, header) => {
+        const columnSpan = toSpan(cell.colSpan);
+        const rowSpan = toSpan(cell.rowSpan);
+
+        return new TableCell({
+            width: { size: columnWidth * columnSpan, type: WidthType.DXA },
+            columnSpan: columnSpan > 1 ? columnSpan : undefined,
+            rowSpan: rowSpan > 1 ? rowSpan : undefined,
+            shading: header ? HEADER_SHADING : undefined,
+            children: [new Paragraph({
+                alignment: ALIGNMENTS[cell.align],
+                children: renderRuns(cell.runs, { bold: header })
+            })]
+        });
+    };
+
+    return new Table({
+        width: { size: columnWidth * columns, type: WidthType.DXA },
+        columnWidths: Array(columns).fill(columnWidth),
+        rows: rows.map((row, rowIndex) => new TableRow({
+            tableHeader: Boolean(row.header),
+            children: [
+                ...row.cells.map(cell => renderCell(cell ?? {}, row.header)),
+                ...Array.from({ length: columns - slots[rowIndex] }, () => renderCell({}, row.header))
+            ]
+        }))
+    });
+};
+
+/**
+ * Maps a block to Word paragraphs and tables. Unknown blocks are skipped.
+ * @param {Object} block
+ * @param {{instance: number}} state
+ * @param {number} [indent=0] - Left indent (twips), used for blocks inside list items.
+ * @returns {Array<Paragraph|Table>}
+ */
+const renderBlock = (block, state, indent = 0) => {
+    const indentation = indent ? { left: indent } : undefined;
+
+    switch (block?.type) {
+        case 'heading': {
+            const level = Math.min(Math.max(Number(block.level) || 1, 1), HEADING_LEVELS.length);
+            return [new Paragraph({
+                heading: HEADING_LEVELS[level - 1],
+                indent: indentation,
+                children: renderRuns(block.runs)
+            })];
+        }
+        case 'paragraph':
+            return [new Paragraph({ indent: indentation, children: renderRuns(block.runs) })];
+        case 'quote':
+            return [new Paragraph({
+                style: 'Quote',
+                indent: { left: LIST_INDENT + indent },
+                children: renderRuns(block.runs)
+            })];
+        case 'code': {
+            const lines = cleanText(block.text).split('\n');
+            return [new Paragraph({
+                style: 'Code',
+                indent: indentation,
+                children: lines.map((line, index) => new TextRun({ text: line, break: index > 0 ? 1 : undefined }))
+            })];
+        }
+        case 'list':
+            return renderList(block, 0, state, block.ordered ? ++state.instance : 0);
+        case 'table': {
+            const table = renderTable(block);
+            return table ? [table] : [];
+        }
+        case 'rule':
+            return [new Paragraph({
+                border: { bottom: { style: BorderStyle.SINGLE, size: 6, color: 'auto', space: 1 } },
+                children: []
+            })];
+        default:
+            return [];
+    }
+};
+
+/**
+ * Builds a Word document from note content.
+ * @param {Array<Object>} blocks - Blocks read by `readDocxContent` in the renderer.
+ * @param {{title?: string}} [options]
+ * @returns {Promise<Buffer>} The `.docx` file.
+ */
+export const buildDocx = async (blocks, options = {}) => {
+    if (!Array.isArray(blocks)) {
+        throw new Error('Invalid document content');
+    }
+
+    const state = { instance: 0 };
+    const children = blocks.flatMap(block => renderBlock(block, state));
+
+    const document = new Document({
+        creator: 'Fascinate Note',
+        title: cleanText(options.title).slice(0, 255) || undefined,
+        styles: STYLES,
+        numbering: NUMBERING,
+        sections: [{
+            children: children.length ? children : [new Paragraph({ children: [] })]
+        }]
+    });
+
+    return Packer.toBuffer(document);
+};
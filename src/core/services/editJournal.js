@@ -0,0 +1,390 @@
+/**
+ * @file Append-only journal of unsaved edits (main process).
+ * The renderer reports the note content shortly after every edit. Each entry is
+ * appended and flushed to disk before the IPC handler returns, so it survives a
+ * renderer crash or the app being killed before the debounced autosave ran.
+ * Only checkpoints hold the whole note; other edits are written as the range that
+ * changed since the note was last saved (or since its last checkpoint).
+ * Entries are dropped once a save makes them obsolete; whatever is left on the
+ * next launch is offered for recovery.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { createHash } from 'node:crypto';
+import { isValidNoteId } from './noteStore.js';
+import { safeWarn } from '../../utils/safeLogger.js';
+
+const JOURNAL_FILE = 'edits.log';
+const SESSION_FILE = 'session.json';
+const MAX_JOURNAL_SIZE = 4 * 1024 * 1024;
+
+/**
+ * @typedef {object} JournalEntry
+ * @property {string} noteId                - Note the edit belongs to.
+ * @property {number} at                    - Time of the edit (ms since epoch).
+ * @property {string} hash                  - SHA-1 of `text`, compared with saved content.
+ * @property {string} text                  - Note content after the edit.
+ * @property {number|null} fontSize         - Font size of the note.
+ */
+
+/**
+ * Journal line of an edit that is not a checkpoint: the note content is the base text
+ * (the saved note or an earlier checkpoint) with `start` to `end` replaced by `insert`.
+ * @typedef {object} JournalDelta
+ * @property {string} noteId
+ * @property {number} at
+ * @property {string} hash                  - SHA-1 of the content after the edit.
+ * @property {string} base                  - SHA-1 of the base text.
+ * @property {number} start
+ * @property {number} end
+ * @property {string} insert
+ * @property {number|null} fontSize
+ */
+
+const hashText = (text) => createHash('sha1').update(text).digest('hex');
+
+/**
+ * Finds the range of `from` that differs from `to`: everything between their
+ * common prefix and common suffix.
+ * @param {string} from
+ * @param {string} to
+ * @returns {{start: number, end: number, insert: string}} `from.slice(start, end)` is replaced by `insert`.
+ */
+const diffText = (from, to) => {
+    const maxLength = Math.min(from.length, to.length);
+
+    let start = 0;
+    while (start < maxLength && from.charCodeAt(start) === to.charCodeAt(start)) start++;
+
+    let end = 0;
+    while (end < maxLength - start
+        && from.charCodeAt(from.length - 1 - end) === to.charCodeAt(to.length - 1 - end)) end++;
+
+    return { start, end: from.length - end, insert: to.slice(start, to.length - end) };
+};
+
+const isDelta = (entry) => typeof entry?.base === 'string'
+    && Number.isInteger(entry.start)
+    && Number.isInteger(entry.end)
+    && typeof entry.insert === 'string';
+
+/**
+ * Applies a delta to its base text.
+ * @param {string} base
+ * @param {JournalDelta} delta
+ * @returns {JournalEntry|null} Null when the result does not match the recorded hash.
+ */
+const applyDelta = (base, delta) => {
+    const text = base.slice(0, delta.start) + delta.insert + base.slice(delta.end);
+    if (hashText(text) !== delta.hash) return null;
+
+    return { noteId: delta.noteId, at: delta.at, hash: delta.hash, text, fontSize: delta.fontSize };
+};
+
+/**
+ * Writes a file synchronously through a temporary sibling, like `writeFileAtomic`.
+ * @param {string} filePath
+ * @param {string} data
+ */
+const writeFileAtomicSync = (filePath, data) => {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    const fd = fs.openSync(tempPath, 'w');
+
+    try {
+        fs.writeSync(fd, data);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, filePath);
+};
+
+export class EditJournal {
+    /**
+     * @param {string} rootDir - Directory the `journal` folder is created in (usually `app.getPath('userData')`).
+     */
+    constructor(rootDir) {
+        if (typeof rootDir !== 'string' || !rootDir) {
+            throw new Error('EditJournal requires a root directory.');
+        }
+
+        this.dir = path.join(rootDir, 'journal');
+        this.journalPath = path.join(this.dir, JOURNAL_FILE);
+        this.sessionPath = path.join(this.dir, SESSION_FILE);
+        this.fd = null;
+        this.size = 0;
+        this.startedAt = 0;
+
+        /**
+         * Latest unsaved entry of every note. Deltas carried over from the previous
+         * session stay unresolved until recovery reads the saved note.
+         * @type {Map<string, JournalEntry|JournalDelta>}
+         */
+        this.pending = new Map();
+
+        /** Text the next edit of every note is written against. @type {Map<string, {hash: string, text: string}>} */
+        this.bases = new Map();
+
+        /** What the previous session left behind. */
+        this.recovery = { uncleanShutdown: false, entries: [] };
+    }
+
+    /**
+     * Reads what the previous session left behind and starts a new session.
+     * Synchronous so it finishes before the first window can record edits.
+     */
+    open() {
+        fs.mkdirSync(this.dir, { recursive: true });
+
+        const previous = this.readSession();
+        const latest = new Map();
+        this.readEntries().forEach(entry => latest.set(entry.noteId, entry));
+
+        this.recovery = {
+            uncleanShutdown: Boolean(previous && !previous.cleanExit),
+            entries: [...latest.values()]
+        };
+
+        // Carry unresolved entries over so a second crash cannot lose them
+        this.pending = latest;
+        this.startedAt = Date.now();
+        this.rewrite();
+        this.writeSession({ cleanExit: false, startedAt: this.startedAt, pid: process.pid });
+    }
+
+    readSession() {
+        try {
+            return JSON.parse(fs.readFileSync(this.sessionPath, 'utf-8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                safeWarn('Journal session file is unreadable:', error.message);
+            }
+            return null;
+        }
+    }
+
+    writeSession(session) {
+        writeFileAtomicSync(this.sessionPath, JSON.stringify(session));
+    }
+
+    /**
+     * Parses the journal and applies deltas to the checkpoints they were written
+     * against. Deltas against the saved note are returned as they are. A torn last
+     * line from a crash mid-write is skipped.
+     * @returns {Array<JournalEntry|JournalDelta>}
+     */
+    readEntries() {
+        let raw = '';
+        try {
+            raw = fs.readFileSync(this.journalPath, 'utf-8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                safeWarn('Journal is unreadable:', error.message);
+            }
+            return [];
+        }
+
+        const entries = [];
+        const checkpoints = new Map();
+
+        raw.split('\n').forEach(line => {
+            if (!line.trim()) return;
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch {
+                safeWarn('Skipping damaged journal entry');
+                return;
+            }
+            if (!isValidNoteId(entry?.noteId)) return;
+
+            if (typeof entry.text === 'string') {
+                checkpoints.set(entry.noteId, entry);
+                entries.push(entry);
+                return;
+            }
+            if (!isDelta(entry)) return;
+
+            const checkpoint = checkpoints.get(entry.noteId);
+            if (checkpoint?.hash !== entry.base) {
+                entries.push(entry);
+                return;
+            }
+
+            const resolved = applyDelta(checkpoint.text, entry);
+            if (resolved) {
+                entries.push(resolved);
+            } else {
+                safeWarn('Skipping journal entry that does not match its checkpoint');
+            }
+        });
+        return entries;
+    }
+
+    /**
+     * Replaces the journal with the pending entries only and reopens it for appending.
+     * Entries with their content are written as checkpoints.
+     */
+    rewrite() {
+        if (this.fd !== null) {
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+
+        const data = [...this.pending.values()].map(entry => `${JSON.stringify(entry)}\n`).join('');
+        writeFileAtomicSync(this.journalPath, data);
+
+        this.fd = fs.openSync(this.journalPath, 'a');
+        this.size = Buffer.byteLength(data);
+
+        this.pending.forEach((entry, noteId) => {
+            if (typeof entry.text === 'string') this.bases.set(noteId, entry);
+        });
+    }
+
+    /**
+     * Appends an edit and flushes it to disk before returning.
+     * @param {string} noteId
+     * @param {{text: string, fontSize?: number}} data
+     */
+    record(noteId, data) {
+        if (this.fd === null) return;
+        if (!isValidNoteId(noteId) || typeof data?.text !== 'string') {
+            throw new Error('Invalid journal entry');
+        }
+
+        this.append({
+            noteId,
+            at: Date.now(),
+            hash: hashText(data.text),
+            text: data.text,
+            fontSize: Number.isFinite(data.fontSize) ? data.fontSize : null
+        });
+    }
+
+    /**
+     * Writes an entry as a delta against the base of its note. Without a base, or when
+     * the delta would hold more than half of the note, it is written as a checkpoint.
+     * @param {JournalEntry} entry
+     */
+    append(entry) {
+        const base = this.bases.get(entry.noteId);
+        const delta = base && diffText(base.text, entry.text);
+        const isCheckpoint = !delta || delta.insert.length > entry.text.length / 2;
+
+        const line = isCheckpoint
+            ? `${JSON.stringify(entry)}\n`
+            : `${JSON.stringify({
+                noteId: entry.noteId,
+                at: entry.at,
+                hash: entry.hash,
+                base: base.hash,
+                ...delta,
+                fontSize: entry.fontSize
+            })}\n`;
+
+        fs.writeSync(this.fd, line);
+        fs.fdatasyncSync(this.fd);
+        this.size += Buffer.byteLength(line);
+        this.pending.set(entry.noteId, entry);
+        if (isCheckpoint) this.bases.set(entry.noteId, entry);
+
+        if (this.size > MAX_JOURNAL_SIZE) {
+            this.rewrite();
+        }
+    }
+
+    /**
+     * Returns a recovery entry with its content. Deltas written against the saved
+     * note are applied to `savedText`.
+     * @param {JournalEntry|JournalDelta} entry - An entry of `recovery.entries`.
+     * @param {string} savedText                - Content of the note on disk.
+     * @returns {JournalEntry|null} Null when the note was saved with other content since.
+     */
+    resolve(entry, savedText) {
+        if (typeof entry.text === 'string') return entry;
+        return entry.base === hashText(savedText) ? applyDelta(savedText, entry) : null;
+    }
+
+    /**
+     * Called after a note was saved: the saved content becomes the base of its next
+     * edits, and its pending edit is dropped when the saved content matches it.
+     * @param {string} noteId
+     * @param {string} text - The content that was saved.
+     */
+    commit(noteId, text) {
+        const saved = { hash: hashText(text ?? ''), text: text ?? '' };
+        this.bases.set(noteId, saved);
+
+        const entry = this.pending.get(noteId);
+        if (!entry) return;
+
+        if (entry.hash === saved.hash) {
+            this.pending.delete(noteId);
+            this.compact();
+        } else if (this.fd !== null && typeof entry.text === 'string') {
+            // Edits made while saving were written against the old base, which is gone now
+            this.append(entry);
+        }
+    }
+
+    /**
+     * Drops the pending edits of a note (called when the note is deleted).
+     * @param {string} noteId
+     */
+    discard(noteId) {
+        this.bases.delete(noteId);
+        if (this.pending.delete(noteId)) {
+            this.compact();
+        }
+    }
+
+    /**
+     * Drops the edits carried over from the previous session, once the user
+     * recovered or declined them. Edits made in this session are kept.
+     */
+    dismissRecovery() {
+        let changed = false;
+        this.pending.forEach((entry, noteId) => {
+            if (entry.at < this.startedAt) {
+                this.pending.delete(noteId);
+                this.bases.delete(noteId);
+                changed = true;
+            }
+        });
+
+        this.recovery = { uncleanShutdown: false, entries: [] };
+        if (changed) this.compact();
+    }
+
+    /** Empties the journal when nothing is pending, otherwise shrinks it to the pending entries. */
+    compact() {
+        if (this.fd === null) return;
+
+        if (this.pending.size === 0) {
+            fs.ftruncateSync(this.fd, 0);
+            this.size = 0;
+        } else {
+            this.rewrite();
+        }
+    }
+
+    /**
+     * Ends the session. Edits still pending (e.g. a save that did not finish
+     * before quitting) stay in the journal and are offered on the next launch.
+     */
+    close() {
+        if (this.fd === null) return;
+
+        try {
+            this.compact();
+            fs.closeSync(this.fd);
+            this.fd = null;
+            this.writeSession({ cleanExit: true, startedAt: this.startedAt, pid: process.pid });
+        } catch (error) {
+            safeWarn('Failed to close the edit journal:', error.message);
+        }
+    }
+}
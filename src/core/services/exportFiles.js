@@ -0,0 +1,112 @@
+/**
+ * @file Saves exported notes to a location chosen in the native save dialog (main process).
+ * The directory of the last export is remembered per format in the settings
+ * (`export.lastDirectories`) and offered the next time.
+ */
+
+import { app, dialog } from 'electron';
+import { promises as fs } from 'fs';
+import path from 'node:path';
+import { writeFileAtomic } from '../../utils/atomicWrite.js';
+import { safeWarn } from '../../utils/safeLogger.js';
+
+/** Save dialog filters of the export formats. The first extension is the default. */
+export const EXPORT_FORMATS = {
+    html: { name: 'HTML document', extensions: ['html', 'htm'] },
+    txt: { name: 'Plain text', extensions: ['txt'] },
+    md: { name: 'Markdown', extensions: ['md', 'markdown'] },
+    docx: { name: 'Word document', extensions: ['docx'] },
+    pdf: { name: 'PDF document', extensions: ['pdf'] },
+    csv: { name: 'CSV file', extensions: ['csv'] }
+};
+
+const MAX_FILE_NAME_LENGTH = 120;
+
+// Characters Windows does not allow in file names, plus control characters
+const INVALID_FILE_NAME_CHARS = /[\\/:*?"<>|\u0000-\u001F]/g;
+
+/**
+ * Makes a suggested name safe to use as a file name and gives it the format's extension.
+ * @param {*} name
+ * @param {string} extension
+ * @returns {string}
+ */
+export const toFileName = (name, extension) => {
+    const base = String(name ?? '')
+        .replace(INVALID_FILE_NAME_CHARS, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(new RegExp(`\\.${extension}$`, 'i'), '')
+        .slice(0, MAX_FILE_NAME_LENGTH)
+        .replace(/[. ]+$/, '');
+
+    return `${base || 'note'}.${extension}`;
+};
+
+/**
+ * Returns the remembered directory of a format if it still exists, otherwise Documents.
+ * @param {import('./settingsService.js').SettingsService} [settings]
+ * @param {string} format
+ * @returns {Promise<string>}
+ */
+export const resolveDirectory = async (settings, format) => {
+    const remembered = settings?.get(`export.lastDirectories.${format}`);
+
+    if (remembered) {
+        try {
+            if ((await fs.stat(remembered)).isDirectory()) return remembered;
+        } catch {
+            // Moved or on a drive that is no longer connected
+        }
+    }
+    return app.getPath('documents');
+};
+
+/**
+ * Asks where to save an export and writes it there.
+ * @param {import('electron').BrowserWindow|null} window - Parent of the dialog.
+ * @param {import('./settingsService.js').SettingsService} [settings]
+ * @param {object} request
+ * @param {keyof EXPORT_FORMATS} request.format
+ * @param {string|Uint8Array} request.data - File contents.
+ * @param {string} [request.fileName] - Suggested file name.
+ * @returns {Promise<{saved: boolean, filePath?: string}>} `saved` is false when the dialog was cancelled.
+ */
+export const saveExportFile = async (window, settings, { format, data, fileName } = {}) => {
+    const filter = Object.hasOwn(EXPORT_FORMATS, format) ? EXPORT_FORMATS[format] : null;
+    if (!filter) {
+        throw new Error(`Unknown export format: ${format}`);
+    }
+    if (typeof data !== 'string' && !(data instanceof Uint8Array)) {
+        throw new Error('Invalid export data');
+    }
+
+    const defaultPath = path.join(
+        await resolveDirectory(settings, format),
+        toFileName(fileName, filter.extensions[0])
+    );
+
+    const options = {
+        title: 'Export note',
+        defaultPath,
+        filters: [filter, { name: 'All files', extensions: ['*'] }],
+        properties: ['createDirectory', 'showOverwriteConfirmation']
+    };
+    const { canceled, filePath } = window
+        ? await dialog.showSaveDialog(window, options)
+        : await dialog.showSaveDialog(options);
+
+    if (canceled || !filePath) {
+        return { saved: false };
+    }
+
+    await writeFileAtomic(filePath, typeof data === 'string' ? data : Buffer.from(data));
+
+    try {
+        settings?.set(`export.lastDirectories.${format}`, path.dirname(filePath));
+    } catch (error) {
+        safeWarn('Could not remember the export directory:', error.message);
+    }
+
+    return { saved: true, filePath };
+};
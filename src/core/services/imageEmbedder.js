@@ -0,0 +1,67 @@
+/**
+ * @file Fetches the images of a note as data URIs so exports work without them (main process).
+ * The renderer cannot load them itself: its Content-Security-Policy only allows
+ * its own origin.
+ */
+
+import { net } from 'electron';
+import { safeWarn } from '../../utils/safeLogger.js';
+
+const MAX_IMAGES = 200;
+const MAX_IMAGE_BYTES = 15 * 1024 * 1024;
+const FETCH_TIMEOUT = 15000;
+const ALLOWED_PROTOCOLS = new Set(['http:', 'https:', 'file:']);
+
+/**
+ * Fetches a single image.
+ * @param {string} url
+ * @returns {Promise<string>} The image as a data URI.
+ */
+const fetchImage = async (url) => {
+    const { protocol } = new URL(url);
+    if (!ALLOWED_PROTOCOLS.has(protocol)) {
+        throw new Error(`Unsupported protocol ${protocol}`);
+    }
+
+    const response = await net.fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT) });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+
+    const type = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+    if (!type.startsWith('image/')) {
+        throw new Error(`Not an image (${type || 'unknown type'})`);
+    }
+
+    const bytes = Buffer.from(await response.arrayBuffer());
+    if (bytes.length > MAX_IMAGE_BYTES) {
+        throw new Error('Image is too large');
+    }
+
+    return `data:${type};base64,${bytes.toString('base64')}`;
+};
+
+/**
+ * Fetches images as data URIs. Images that cannot be fetched are left out of the
+ * result, so the export keeps their original address.
+ * @param {string[]} urls - Absolute image URLs.
+ * @returns {Promise<Record<string, string>>} Data URI by URL.
+ */
+export const embedImages = async (urls) => {
+    if (!Array.isArray(urls)) {
+        throw new Error('Invalid image list');
+    }
+
+    const unique = [...new Set(urls.filter(url => typeof url === 'string' && url))].slice(0, MAX_IMAGES);
+    const embedded = {};
+
+    // One at a time: notes rarely hold many images and this keeps memory use flat
+    for (const url of unique) {
+        try {
+            embedded[url] = await fetchImage(url);
+        } catch (error) {
+            safeWarn(`Could not embed image ${url.slice(0, 200)}:`, error.message);
+        }
+    }
+    return embedded;
+};
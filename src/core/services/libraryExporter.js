@@ -0,0 +1,321 @@
+/**
+ * @file Exports every note of the library at once (main process).
+ * Notes are converted one by one in a hidden window that runs the renderer's own
+ * export code (`exportWorker.html`), then written to a new folder or streamed into
+ * a zip archive together with a `manifest.json`. The library has no folders, so
+ * every note is written at the top level of the export; the manifest says so in
+ * `layout`.
+ */
+
+import { BrowserWindow, dialog } from 'electron';
+import { promises as fs } from 'fs';
+import path from 'node:path';
+import { resolvePath } from '../../utils/paths.js';
+import { writeFileAtomic } from '../../utils/atomicWrite.js';
+import { ZipWriter } from '../../utils/zipWriter.js';
+import { safeWarn } from '../../utils/safeLogger.js';
+import { EXPORT_FORMATS, toFileName, resolveDirectory } from './exportFiles.js';
+
+export const MANIFEST_VERSION = 1;
+
+const BATCH_FORMATS = ['html', 'md', 'txt'];
+const WORKER_LOAD_TIMEOUT = 20000;
+
+/**
+ * @typedef {object} LibraryManifestNote
+ * @property {string} id                    - Note ID.
+ * @property {string} title
+ * @property {string} file                  - Path of the note inside the export.
+ * @property {boolean} pinned
+ * @property {string[]} tags                - Tags of the note; empty while the library has no tags.
+ * @property {string} createdAt             - ISO 8601 time.
+ * @property {string} updatedAt             - ISO 8601 time.
+ */
+
+/**
+ * Contents of `manifest.json`.
+ * @typedef {object} LibraryManifest
+ * @property {number} version               - `MANIFEST_VERSION`.
+ * @property {string} app
+ * @property {string} exportedAt            - ISO 8601 time.
+ * @property {'html'|'md'|'txt'} format
+ * @property {'flat'} layout                - Every note file sits at the top level; there are no folders.
+ * @property {LibraryManifestNote[]} notes
+ */
+
+/**
+ * @typedef {object} LibraryExportProgress
+ * @property {number} done                  - Notes written so far.
+ * @property {number} total                 - Notes in the library.
+ * @property {string} [title]               - Title of the note being converted.
+ */
+
+/**
+ * @typedef {object} LibraryExportResult
+ * @property {'done'|'cancelled'|'aborted'} status - `aborted` when no destination was chosen.
+ * @property {string} [path]                - The folder or archive written.
+ * @property {number} [count]               - Notes written.
+ * @property {string[]} [failed]            - Titles of notes that could not be exported.
+ */
+
+/**
+ * Thrown to stop a running export when it is cancelled.
+ */
+class ExportCancelledError extends Error {
+    constructor() {
+        super('Export cancelled');
+        this.name = 'ExportCancelledError';
+    }
+}
+
+/**
+ * Opens the hidden window that converts notes.
+ * @returns {Promise<BrowserWindow>}
+ */
+const openConverterWindow = async () => {
+    const window = new BrowserWindow({
+        show: false,
+        webPreferences: {
+            sandbox: true,
+            contextIsolation: true,
+            nodeIntegration: false
+        }
+    });
+    window.webContents.setWindowOpenHandler(() => ({ action: 'deny' }));
+    window.webContents.on('will-navigate', (event) => event.preventDefault());
+
+    try {
+        let timer = null;
+        await Promise.race([
+            window.loadFile(resolvePath('../exportWorker.html')),
+            new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error('The export worker did not load in time')), WORKER_LOAD_TIMEOUT);
+            })
+        ]).finally(() => clearTimeout(timer));
+
+        const ready = await window.webContents.executeJavaScript('typeof window.convertNote === "function"');
+        if (!ready) {
+            throw new Error('The export worker failed to start');
+        }
+        return window;
+    } catch (error) {
+        window.destroy();
+        throw error;
+    }
+};
+
+/**
+ * Returns a name that is not taken yet. Compared case-insensitively,
+ * like the file systems of Windows and macOS do.
+ * @param {string} fileName
+ * @param {Set<string>} used - Lower-cased names already in use; the result is added.
+ * @returns {string}
+ */
+const uniqueFileName = (fileName, used) => {
+    const extension = path.extname(fileName);
+    const base = fileName.slice(0, fileName.length - extension.length);
+
+    let candidate = fileName;
+    for (let i = 2; used.has(candidate.toLowerCase()); i++) {
+        candidate = `${base} (${i})${extension}`;
+    }
+    used.add(candidate.toLowerCase());
+    return candidate;
+};
+
+/**
+ * Names the export after today's date.
+ * @returns {string}
+ */
+const createExportName = () => `Fascinate Note export ${new Date().toISOString().slice(0, 10)}`;
+
+/**
+ * Writes files into a new folder.
+ * @param {string} directory - The folder, created if needed.
+ * @returns {{addFile: function(string, string, Date): Promise<void>, close: function(): Promise<void>, abort: function(): Promise<void>}}
+ */
+const createFolderTarget = (directory) => ({
+    addFile: async (name, data, modified) => {
+        const filePath = path.join(directory, ...name.split('/'));
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await writeFileAtomic(filePath, data);
+        await fs.utimes(filePath, modified, modified).catch(() => { });
+    },
+    close: async () => { },
+    abort: () => fs.rm(directory, { recursive: true, force: true })
+});
+
+export class LibraryExporter {
+    /**
+     * @param {import('./noteStore.js').NoteStore} noteStore
+     * @param {import('./settingsService.js').SettingsService} [settings] - Remembers the destination folder.
+     */
+    constructor(noteStore, settings) {
+        this.noteStore = noteStore;
+        this.settings = settings;
+        this.running = null;
+    }
+
+    /**
+     * Asks for a destination and exports every note there.
+     * @param {BrowserWindow|null} window - Parent of the dialogs.
+     * @param {object} options
+     * @param {'html'|'md'|'txt'} options.format
+     * @param {'folder'|'zip'} options.target
+     * @param {function(LibraryExportProgress): void} [onProgress]
+     * @returns {Promise<LibraryExportResult>}
+     */
+    async exportAll(window, { format, target } = {}, onProgress = () => { }) {
+        if (!BATCH_FORMATS.includes(format)) {
+            throw new Error(`Unknown export format: ${format}`);
+        }
+        if (target !== 'folder' && target !== 'zip') {
+            throw new Error(`Unknown export target: ${target}`);
+        }
+        if (this.running) {
+            throw new Error('An export is already running');
+        }
+
+        const job = { cancelled: false };
+        this.running = job;
+
+        try {
+            const destination = await this.chooseDestination(window, format, target);
+            if (!destination) return { status: 'aborted' };
+
+            return await this.run(job, destination, format, target, onProgress);
+        } finally {
+            this.running = null;
+        }
+    }
+
+    /**
+     * Cancels the running export. Files written so far are removed.
+     */
+    cancel() {
+        if (this.running) this.running.cancelled = true;
+    }
+
+    /**
+     * Shows the save dialog for an archive, or the folder picker for a folder.
+     * @returns {Promise<string|null>} The archive path or the new folder, null when cancelled.
+     * @private
+     */
+    async chooseDestination(window, format, target) {
+        const directory = await resolveDirectory(this.settings, format);
+        const show = (open, options) => window ? open(window, options) : open(options);
+
+        if (target === 'zip') {
+            const { canceled, filePath } = await show(dialog.showSaveDialog.bind(dialog), {
+                title: 'Export all notes',
+                defaultPath: path.join(directory, `${createExportName()}.zip`),
+                filters: [{ name: 'Zip archive', extensions: ['zip'] }],
+                properties: ['createDirectory', 'showOverwriteConfirmation']
+            });
+            if (canceled || !filePath) return null;
+
+            this.rememberDirectory(format, path.dirname(filePath));
+            return filePath;
+        }
+
+        const { canceled, filePaths } = await show(dialog.showOpenDialog.bind(dialog), {
+            title: 'Export all notes',
+            buttonLabel: 'Export here',
+            defaultPath: directory,
+            properties: ['openDirectory', 'createDirectory']
+        });
+        if (canceled || !filePaths?.length) return null;
+
+        this.rememberDirectory(format, filePaths[0]);
+
+        // A new folder inside the chosen one, so nothing that is already there is overwritten
+        const names = new Set((await fs.readdir(filePaths[0])).map(name => name.toLowerCase()));
+        return path.join(filePaths[0], uniqueFileName(createExportName(), names));
+    }
+
+    rememberDirectory(format, directory) {
+        try {
+            this.settings?.set(`export.lastDirectories.${format}`, directory);
+        } catch (error) {
+            safeWarn('Could not remember the export directory:', error.message);
+        }
+    }
+
+    /**
+     * Converts and writes every note.
+     * @returns {Promise<LibraryExportResult>}
+     * @private
+     */
+    async run(job, destination, format, target, onProgress) {
+        const notes = await this.noteStore.list();
+        const extension = EXPORT_FORMATS[format].extensions[0];
+        const htmlOptions = { ...(this.settings?.get('export.htmlOptions') ?? {}) };
+
+        const output = target === 'zip'
+            ? await ZipWriter.create(destination)
+            : createFolderTarget(destination);
+
+        let converter = null;
+        const used = new Set(['manifest.json']);
+        /** @type {LibraryManifestNote[]} */
+        const manifest = [];
+        const failed = [];
+
+        try {
+            converter = await openConverterWindow();
+            onProgress({ done: 0, total: notes.length });
+
+            for (const [index, meta] of notes.entries()) {
+                if (job.cancelled) throw new ExportCancelledError();
+                onProgress({ done: index, total: notes.length, title: meta.title });
+
+                try {
+                    const note = await this.noteStore.readNote(meta.id);
+                    const content = await converter.webContents.executeJavaScript(
+                        `window.convertNote(${JSON.stringify(note.text ?? '')}, ${JSON.stringify(format)}, ${JSON.stringify({ ...htmlOptions, title: meta.title })})`
+                    );
+                    const file = uniqueFileName(toFileName(meta.title, extension), used);
+
+                    await output.addFile(file, content, new Date(meta.updatedAt));
+                    manifest.push({
+                        id: meta.id,
+                        title: meta.title,
+                        file,
+                        pinned: meta.pinned,
+                        tags: [],
+                        createdAt: new Date(meta.createdAt).toISOString(),
+                        updatedAt: new Date(meta.updatedAt).toISOString()
+                    });
+                } catch (error) {
+                    // A note that cannot be read or converted must not stop the others
+                    safeWarn(`Could not export note ${meta.id}:`, error.message);
+                    failed.push(meta.title);
+                }
+            }
+
+            if (job.cancelled) throw new ExportCancelledError();
+
+            await output.addFile('manifest.json', JSON.stringify({
+                version: MANIFEST_VERSION,
+                app: 'Fascinate Note',
+                exportedAt: new Date().toISOString(),
+                format,
+                layout: 'flat',
+                notes: manifest
+            }, null, 2), new Date());
+            await output.close();
+
+            onProgress({ done: notes.length, total: notes.length });
+            return { status: 'done', path: destination, count: manifest.length, failed };
+        } catch (error) {
+            await output.abort().catch(abortError => safeWarn('Could not remove the unfinished export:', abortError.message));
+
+            if (error instanceof ExportCancelledError) {
+                return { status: 'cancelled' };
+            }
+            throw error;
+        } finally {
+            if (converter && !converter.isDestroyed()) converter.destroy();
+        }
+    }
+}
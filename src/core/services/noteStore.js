@@ -0,0 +1,373 @@
+/**
+ * @file Stores the note library on disk (main process).
+ * Every note lives in its own JSON file inside `<userData>/notes`, next to an
+ * `index.json` that caches note metadata so listing the library never has to
+ * read every note body.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+import { writeFileAtomic, readJSONFile } from '../../utils/atomicWrite.js';
+import { safeWarn } from '../../utils/safeLogger.js';
+
+const INDEX_VERSION = 2;
+const DEFAULT_TITLE = 'Untitled';
+const MAX_TITLE_LENGTH = 200;
+const MAX_EXCERPT_LENGTH = 160;
+const MAX_TEXT_LENGTH = 50 * 1024 * 1024;
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * @typedef {object} NoteMeta
+ * @property {string} id                    - Note ID (UUID).
+ * @property {string} title                 - Display title.
+ * @property {boolean} titleIsCustom        - Whether the title was set by the user (rename) instead of derived from content.
+ * @property {string} excerpt               - Short plain-text preview of the content.
+ * @property {boolean} pinned               - Whether the note is pinned to the top of the list.
+ * @property {number} createdAt             - Creation time (ms since epoch).
+ * @property {number} updatedAt             - Last modification time (ms since epoch).
+ */
+
+/**
+ * @typedef {NoteMeta & {text: string, fontSize: number|null}} Note
+ */
+
+/**
+ * Checks whether a value is a valid note ID.
+ * @param {*} id - Value to check.
+ * @returns {boolean}
+ */
+export const isValidNoteId = (id) => typeof id === 'string' && ID_PATTERN.test(id);
+
+/**
+ * Normalizes a user supplied title.
+ * @param {*} title - Raw title.
+ * @returns {string} Trimmed title or an empty string.
+ */
+const normalizeTitle = (title) => {
+    if (typeof title !== 'string') return '';
+    return title.replace(/\s+/g, ' ').trim().slice(0, MAX_TITLE_LENGTH);
+};
+
+/**
+ * Normalizes a plain-text excerpt sent by the renderer.
+ * @param {*} excerpt - Raw excerpt.
+ * @returns {string} Single-line excerpt or an empty string.
+ */
+const normalizeExcerpt = (excerpt) => {
+    if (typeof excerpt !== 'string') return '';
+    return excerpt.replace(/\s+/g, ' ').trim().slice(0, MAX_EXCERPT_LENGTH);
+};
+
+/**
+ * Extracts the metadata part of a note.
+ * @param {Note} note
+ * @returns {NoteMeta}
+ */
+const toMeta = (note) => ({
+    id: note.id,
+    title: note.title,
+    titleIsCustom: note.titleIsCustom,
+    excerpt: note.excerpt ?? '',
+    pinned: Boolean(note.pinned),
+    createdAt: note.createdAt,
+    updatedAt: note.updatedAt
+});
+
+export class NoteStore {
+    /**
+     * @param {string} rootDir - Directory the `notes` folder is created in (usually `app.getPath('userData')`).
+     */
+    constructor(rootDir) {
+        if (typeof rootDir !== 'string' || !rootDir) {
+            throw new Error('NoteStore requires a root directory.');
+        }
+
+        this.notesDir = path.join(rootDir, 'notes');
+        this.indexPath = path.join(this.notesDir, 'index.json');
+        this.index = null;
+        this.readyPromise = null;
+        this.queue = Promise.resolve();
+    }
+
+    // Loads the index once, rebuilding it from the note files when missing or corrupt
+    ready() {
+        if (!this.readyPromise) {
+            this.readyPromise = (async () => {
+                await fs.mkdir(this.notesDir, { recursive: true });
+
+                let index = null;
+                try {
+                    index = await readJSONFile(this.indexPath);
+                } catch (error) {
+                    safeWarn('Note index is unreadable, rebuilding:', error.message);
+                }
+
+                this.index = index?.version === INDEX_VERSION && index.notes
+                    ? index
+                    : await this.rebuildIndex();
+            })();
+        }
+        return this.readyPromise;
+    }
+
+    // Serializes write operations so concurrent IPC calls cannot interleave
+    enqueue(task) {
+        const run = this.queue.then(() => this.ready()).then(task);
+        this.queue = run.catch(() => { });
+        return run;
+    }
+
+    notePath(id) {
+        return path.join(this.notesDir, `${id}.json`);
+    }
+
+    async rebuildIndex() {
+        const index = { version: INDEX_VERSION, lastOpenedId: null, notes: {} };
+        const files = await fs.readdir(this.notesDir);
+
+        for (const file of files) {
+            const id = file.replace(/\.json$/, '');
+            if (!isValidNoteId(id)) continue;
+
+            try {
+                const note = await readJSONFile(this.notePath(id));
+                if (note) index.notes[id] = toMeta(note);
+            } catch (error) {
+                safeWarn(`Skipping unreadable note ${file}:`, error.message);
+            }
+        }
+
+        await writeFileAtomic(this.indexPath, JSON.stringify(index));
+        return index;
+    }
+
+    async writeIndex() {
+        await writeFileAtomic(this.indexPath, JSON.stringify(this.index));
+    }
+
+    async writeNote(note) {
+        await writeFileAtomic(this.notePath(note.id), JSON.stringify(note));
+        this.index.notes[note.id] = toMeta(note);
+        await this.writeIndex();
+    }
+
+    async readNote(id) {
+        if (!isValidNoteId(id)) {
+            throw new Error('Invalid note id');
+        }
+
+        const note = await readJSONFile(this.notePath(id));
+        if (!note) {
+            throw new Error(`Note not found: ${id}`);
+        }
+        return note;
+    }
+
+    /**
+     * Lists the metadata of every note, pinned notes first, then most recently updated.
+     * @returns {Promise<NoteMeta[]>}
+     */
+    async list() {
+        await this.ready();
+        return Object.values(this.index.notes)
+            .sort((a, b) => (b.pinned - a.pinned) || (b.updatedAt - a.updatedAt));
+    }
+
+    /**
+     * Returns the ID of the note that was opened last, if it still exists.
+     * @returns {Promise<string|null>}
+     */
+    async getLastOpenedId() {
+        await this.ready();
+        const id = this.index.lastOpenedId;
+        return id && this.index.notes[id] ? id : null;
+    }
+
+    /**
+     * Reads a note and remembers it as the last opened one.
+     * @param {string} id
+     * @returns {Promise<Note>}
+     */
+    get(id) {
+        return this.enqueue(async () => {
+            const note = await this.readNote(id);
+
+            if (this.index.lastOpenedId !== id) {
+                this.index.lastOpenedId = id;
+                await this.writeIndex();
+            }
+            return note;
+        });
+    }
+
+    /**
+     * Creates a new note.
+     * @param {{title?: string, text?: string, fontSize?: number, excerpt?: string}} [data]
+     * @returns {Promise<Note>}
+     */
+    create(data = {}) {
+        return this.enqueue(async () => {
+            const now = Date.now();
+            const title = normalizeTitle(data.title);
+            const note = {
+                id: randomUUID(),
+                title: title || DEFAULT_TITLE,
+                titleIsCustom: Boolean(title),
+                text: typeof data.text === 'string' ? data.text.slice(0, MAX_TEXT_LENGTH) : '',
+                fontSize: Number.isFinite(data.fontSize) ? data.fontSize : null,
+                excerpt: normalizeExcerpt(data.excerpt),
+                pinned: false,
+                createdAt: now,
+                updatedAt: now
+            };
+
+            await this.writeNote(note);
+            return note;
+        });
+    }
+
+    /**
+     * Saves the content of a note. The derived `title` is ignored once the note was renamed.
+     * @param {string} id
+     * @param {{text: string, fontSize?: number, title?: string, excerpt?: string}} data
+     * @returns {Promise<NoteMeta>}
+     */
+    save(id, data = {}) {
+        return this.enqueue(async () => {
+            if (typeof data.text !== 'string' || data.text.length > MAX_TEXT_LENGTH) {
+                throw new Error('Invalid note content');
+            }
+
+            const note = await this.readNote(id);
+            const derivedTitle = normalizeTitle(data.title);
+
+            note.text = data.text;
+            if (Number.isFinite(data.fontSize)) note.fontSize = data.fontSize;
+            if (!note.titleIsCustom) note.title = derivedTitle || DEFAULT_TITLE;
+            note.excerpt = normalizeExcerpt(data.excerpt);
+            note.updatedAt = Date.now();
+
+            await this.writeNote(note);
+            return toMeta(note);
+        });
+    }
+
+    /**
+     * Renames a note. An empty title goes back to deriving the title from content.
+     * @param {string} id
+     * @param {string} title
+     * @returns {Promise<NoteMeta>}
+     */
+    rename(id, title) {
+        return this.enqueue(async () => {
+            const note = await this.readNote(id);
+            const normalized = normalizeTitle(title);
+
+            note.title = normalized || DEFAULT_TITLE;
+            note.titleIsCustom = Boolean(normalized);
+            note.updatedAt = Date.now();
+
+            await this.writeNote(note);
+            return toMeta(note);
+        });
+    }
+
+    /**
+     * Pins or unpins a note. Pinning does not change the modification time.
+     * @param {string} id
+     * @param {boolean} pinned
+     * @returns {Promise<NoteMeta>}
+     */
+    setPinned(id, pinned) {
+        return this.enqueue(async () => {
+            const note = await this.readNote(id);
+            note.pinned = Boolean(pinned);
+
+            await this.writeNote(note);
+            return toMeta(note);
+        });
+    }
+
+    /**
+     * Creates a copy of a note.
+     * @param {string} id
+     * @returns {Promise<Note>}
+     */
+    duplicate(id) {
+        return this.enqueue(async () => {
+            const source = await this.readNote(id);
+            const now = Date.now();
+            const copy = {
+                ...source,
+                id: randomUUID(),
+                title: `${source.title} (copy)`.slice(0, MAX_TITLE_LENGTH),
+                titleIsCustom: true,
+                pinned: false,
+                createdAt: now,
+                updatedAt: now
+            };
+
+            await this.writeNote(copy);
+            return copy;
+        });
+    }
+
+    /**
+     * Writes a note taken from a backup, keeping its ID and timestamps.
+     * Replaces the note with the same ID if there is one.
+     * @param {Note} data
+     * @returns {Promise<NoteMeta>}
+     */
+    restore(data = {}) {
+        return this.enqueue(async () => {
+            if (!isValidNoteId(data.id)) {
+                throw new Error('Invalid note id');
+            }
+            if (typeof data.text !== 'string' || data.text.length > MAX_TEXT_LENGTH) {
+                throw new Error('Invalid note content');
+            }
+
+            const title = normalizeTitle(data.title);
+            const createdAt = Number.isFinite(data.createdAt) ? data.createdAt : Date.now();
+            const note = {
+                id: data.id,
+                title: title || DEFAULT_TITLE,
+                titleIsCustom: Boolean(title) && Boolean(data.titleIsCustom),
+                text: data.text,
+                fontSize: Number.isFinite(data.fontSize) ? data.fontSize : null,
+                excerpt: normalizeExcerpt(data.excerpt),
+                pinned: Boolean(data.pinned),
+                createdAt,
+                updatedAt: Number.isFinite(data.updatedAt) ? data.updatedAt : createdAt
+            };
+
+            await this.writeNote(note);
+            return toMeta(note);
+        });
+    }
+
+    /**
+     * Deletes a note.
+     * @param {string} id
+     * @returns {Promise<{id: string}>}
+     */
+    delete(id) {
+        return this.enqueue(async () => {
+            if (!isValidNoteId(id)) {
+                throw new Error('Invalid note id');
+            }
+
+            await fs.rm(this.notePath(id), { force: true });
+            delete this.index.notes[id];
+
+            if (this.index.lastOpenedId === id) {
+                this.index.lastOpenedId = null;
+            }
+
+            await this.writeIndex();
+            return { id };
+        });
+    }
+}
@@ -0,0 +1,115 @@
+/**
+ * @file Prints notes and renders them to PDF (main process).
+ * The renderer builds a complete, self-contained HTML document including the page
+ * setup (`@page` size, margins, header and footer). It is loaded into a hidden
+ * window that is destroyed once the job is done.
+ */
+
+import { BrowserWindow } from 'electron';
+import { promises as fs } from 'fs';
+import os from 'node:os';
+import path from 'node:path';
+import { randomBytes } from 'node:crypto';
+import { safeWarn } from '../../utils/safeLogger.js';
+
+const MAX_DOCUMENT_LENGTH = 50 * 1024 * 1024;
+const LOAD_TIMEOUT = 20000;
+const FONT_TIMEOUT = 3000;
+
+/**
+ * Rejects when a promise does not settle in time.
+ * @template T
+ * @param {Promise<T>} promise
+ * @param {number} ms
+ * @param {string} message
+ * @returns {Promise<T>}
+ */
+const withTimeout = (promise, ms, message) => {
+    let timer = null;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(message)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Loads a document into a hidden window and runs a task on it.
+ * The document is written to a temporary file: data URLs are limited in size.
+ * @template T
+ * @param {string} html - Complete HTML document.
+ * @param {function(import('electron').WebContents): Promise<T>} task
+ * @returns {Promise<T>}
+ */
+const withDocumentWindow = async (html, task) => {
+    if (typeof html !== 'string' || !html || html.length > MAX_DOCUMENT_LENGTH) {
+        throw new Error('Invalid print document');
+    }
+
+    const filePath = path.join(os.tmpdir(), `fascinate-note-print-${randomBytes(8).toString('hex')}.html`);
+    await fs.writeFile(filePath, html, 'utf-8');
+
+    const window = new BrowserWindow({
+        show: false,
+        width: 800,
+        height: 1100,
+        webPreferences: {
+            sandbox: true,
+            contextIsolation: true,
+            nodeIntegration: false
+        }
+    });
+
+    // Links in the note must not take the print window elsewhere
+    window.webContents.setWindowOpenHandler(() => ({ action: 'deny' }));
+    window.webContents.on('will-navigate', (event) => event.preventDefault());
+
+    try {
+        await withTimeout(window.loadFile(filePath), LOAD_TIMEOUT, 'The print document did not load in time');
+
+        // Web fonts from the export stylesheet; print with fallbacks when offline
+        await withTimeout(
+            window.webContents.executeJavaScript('document.fonts.ready.then(() => true)'),
+            FONT_TIMEOUT,
+            'Fonts did not load'
+        ).catch(error => safeWarn('Printing without web fonts:', error.message));
+
+        return await task(window.webContents);
+    } finally {
+        if (!window.isDestroyed()) window.destroy();
+        fs.rm(filePath, { force: true })
+            .catch(error => safeWarn('Could not remove print document:', error.message));
+    }
+};
+
+/**
+ * Renders a document to PDF. Page size and margins come from its `@page` rule.
+ * @param {string} html - Complete HTML document.
+ * @returns {Promise<Buffer>} The PDF file.
+ */
+export const renderPDF = (html) => withDocumentWindow(html, (webContents) => webContents.printToPDF({
+    printBackground: true,
+    preferCSSPageSize: true,
+    generateTaggedPDF: true,
+    generateDocumentOutline: true
+}));
+
+/**
+ * Opens the system print dialog for a document.
+ * @param {string} html - Complete HTML document.
+ * @param {{pageSize?: string, landscape?: boolean}} [options] - Defaults for the print dialog.
+ * @returns {Promise<{printed: boolean}>} `printed` is false when the user cancelled.
+ */
+export const printDocument = (html, options = {}) => withDocumentWindow(html, (webContents) => new Promise((resolve, reject) => {
+    webContents.print({
+        silent: false,
+        printBackground: true,
+        pageSize: typeof options.pageSize === 'string' ? options.pageSize : 'A4',
+        landscape: Boolean(options.landscape)
+    }, (success, failureReason) => {
+        if (success || failureReason === 'cancelled') {
+            resolve({ printed: success });
+        } else {
+            reject(new Error(failureReason || 'Printing failed'));
+        }
+    });
+}));
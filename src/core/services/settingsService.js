@@ -0,0 +1,516 @@
+/**
+ * @file Persistent application settings (main process).
+ * Settings are stored with `electron-store` in `<userData>/settings.json`, validated
+ * against a JSON schema and upgraded through numbered migrations. Every change is
+ * pushed to subscribers so windows can apply it without a restart.
+ */
+
+import Store from 'electron-store';
+import { app } from 'electron';
+import fs from 'node:fs';
+import path from 'node:path';
+import { safeWarn } from '../../utils/safeLogger.js';
+
+export const SETTINGS_SCHEMA_VERSION = 1;
+
+export const TRANSLATION_PROVIDERS = ['googleTranslate', 'mymemory', 'lingva', 'libretranslate'];
+
+/**
+ * @typedef {object} AppSettings
+ * @property {number} schemaVersion                         - Version of the stored settings layout.
+ * @property {{fontFamily: string, defaultFontSize: number, minFontSize: number, maxFontSize: number, fontStep: number, autoSaveDelay: number, markdownAutoformat: boolean}} editor
+ * @property {{theme: 'system'|'light'|'dark'}} appearance
+ * @property {{providers: Array<{id: string, enabled: boolean}>, timeoutMs: number}} translation
+ * @property {{defaultFormat: 'html'|'txt'|'md'|'docx'|'pdf', fileNamePrefix: string, htmlOptions: {theme: 'auto'|'light'|'dark', inlineImages: boolean, tableOfContents: boolean, standalone: boolean}, libraryOptions: {format: 'html'|'md'|'txt', target: 'folder'|'zip'}, lastDirectories: Record<'html'|'txt'|'md'|'docx'|'pdf'|'csv', string>}} export
+ * @property {{pageSize: 'A3'|'A4'|'A5'|'Letter'|'Legal', orientation: 'portrait'|'landscape', margins: 'default'|'narrow'|'wide'|'none', headerFooter: 'titleAndPages'|'pages'|'none', theme: 'light'|'dark'}} print
+ * @property {{schedule: 'off'|'daily'|'weekly', directory: string, keep: number}} backup
+ * @property {{width: number, height: number}} window
+ */
+
+/** @type {AppSettings} */
+export const DEFAULT_SETTINGS = {
+    schemaVersion: SETTINGS_SCHEMA_VERSION,
+    editor: {
+        fontFamily: 'text',
+        defaultFontSize: 14.5,
+        minFontSize: 8,
+        maxFontSize: 128,
+        fontStep: 2,
+        autoSaveDelay: 1000,
+        markdownAutoformat: false
+    },
+    appearance: {
+        theme: 'system'
+    },
+    translation: {
+        providers: TRANSLATION_PROVIDERS.map(id => ({ id, enabled: true })),
+        timeoutMs: 10000
+    },
+    export: {
+        defaultFormat: 'html',
+        fileNamePrefix: 'note',
+        // Remembered choices of the HTML export dialog
+        htmlOptions: {
+            theme: 'auto',
+            inlineImages: true,
+            tableOfContents: false,
+            standalone: true
+        },
+        // Remembered choices of the "Export all" dialog
+        libraryOptions: {
+            format: 'md',
+            target: 'zip'
+        },
+        // Directory of the last export per format, empty until the first export
+        lastDirectories: {
+            html: '',
+            txt: '',
+            md: '',
+            docx: '',
+            pdf: '',
+            csv: ''
+        }
+    },
+    print: {
+        pageSize: 'A4',
+        orientation: 'portrait',
+        margins: 'default',
+        headerFooter: 'titleAndPages',
+        theme: 'light'
+    },
+    backup: {
+        schedule: 'off',
+        // Folder of the automatic backups, chosen by the user
+        directory: '',
+        keep: 10
+    },
+    window: {
+        width: 480,
+        height: 600
+    }
+};
+
+/** Groups that describe this computer rather than the user's preferences; a restored backup leaves them alone. */
+export const LOCAL_SETTINGS_GROUPS = ['backup', 'window'];
+
+const fontSizeSchema = { type: 'number', minimum: 8, maximum: 128 };
+const directorySchema = { type: 'string', maxLength: 4096 };
+
+const schema = {
+    schemaVersion: { type: 'integer', minimum: 0 },
+    editor: {
+        type: 'object',
+        properties: {
+            fontFamily: { enum: ['text', 'display', 'serif', 'mono'] },
+            defaultFontSize: fontSizeSchema,
+            minFontSize: fontSizeSchema,
+            maxFontSize: fontSizeSchema,
+            fontStep: { type: 'number', minimum: 0.5, maximum: 16 },
+            autoSaveDelay: { type: 'integer', minimum: 200, maximum: 60000 },
+            markdownAutoformat: { type: 'boolean' }
+        },
+        additionalProperties: false
+    },
+    appearance: {
+        type: 'object',
+        properties: {
+            theme: { enum: ['system', 'light', 'dark'] }
+        },
+        additionalProperties: false
+    },
+    translation: {
+        type: 'object',
+        properties: {
+            providers: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        id: { enum: TRANSLATION_PROVIDERS },
+                        enabled: { type: 'boolean' }
+                    },
+                    required: ['id', 'enabled'],
+                    additionalProperties: false
+                },
+                uniqueItems: true
+            },
+            timeoutMs: { type: 'integer', minimum: 1000, maximum: 60000 }
+        },
+        additionalProperties: false
+    },
+    export: {
+        type: 'object',
+        properties: {
+            defaultFormat: { enum: ['html', 'txt', 'md', 'docx', 'pdf'] },
+            fileNamePrefix: { type: 'string', minLength: 1, maxLength: 60, pattern: '^[^\\\\/:*?"<>|]+$' },
+            htmlOptions: {
+                type: 'object',
+                properties: {
+                    theme: { enum: ['auto', 'light', 'dark'] },
+                    inlineImages: { type: 'boolean' },
+                    tableOfContents: { type: 'boolean' },
+                    standalone: { type: 'boolean' }
+                },
+                additionalProperties: false
+            },
+            libraryOptions: {
+                type: 'object',
+                properties: {
+                    format: { enum: ['html', 'md', 'txt'] },
+                    target: { enum: ['folder', 'zip'] }
+                },
+                additionalProperties: false
+            },
+            lastDirectories: {
+                type: 'object',
+                properties: {
+                    html: directorySchema,
+                    txt: directorySchema,
+                    md: directorySchema,
+                    docx: directorySchema,
+                    pdf: directorySchema,
+                    csv: directorySchema
+                },
+                additionalProperties: false
+            }
+        },
+        additionalProperties: false
+    },
+    print: {
+        type: 'object',
+        properties: {
+            pageSize: { enum: ['A3', 'A4', 'A5', 'Letter', 'Legal'] },
+            orientation: { enum: ['portrait', 'landscape'] },
+            margins: { enum: ['default', 'narrow', 'wide', 'none'] },
+            headerFooter: { enum: ['titleAndPages', 'pages', 'none'] },
+            theme: { enum: ['light', 'dark'] }
+        },
+        additionalProperties: false
+    },
+    backup: {
+        type: 'object',
+        properties: {
+            schedule: { enum: ['off', 'daily', 'weekly'] },
+            directory: directorySchema,
+            keep: { type: 'integer', minimum: 1, maximum: 100 }
+        },
+        additionalProperties: false
+    },
+    window: {
+        type: 'object',
+        properties: {
+            width: { type: 'integer', minimum: 400, maximum: 10000 },
+            height: { type: 'integer', minimum: 400, maximum: 10000 }
+        },
+        additionalProperties: false
+    }
+};
+
+/**
+ * Migrations indexed by the schema version they upgrade to. Each one receives the
+ * raw stored object and returns the upgraded object. Add a new entry and bump
+ * `SETTINGS_SCHEMA_VERSION` whenever a stored key is renamed or reshaped.
+ * @type {Record<number, (settings: object) => object>}
+ */
+const migrations = {
+    // Files written before versioning carry no schemaVersion; defaults fill in the rest
+    1: (settings) => settings
+};
+
+const isPlainObject = (value) =>
+    value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Recursively adds default values for keys missing from the stored settings.
+ * electron-store only merges defaults one level deep.
+ * @param {object} target               - Stored settings.
+ * @param {object} defaults             - Default values.
+ * @returns {object} The merged object.
+ */
+const mergeDefaults = (target, defaults) => {
+    const merged = { ...target };
+
+    for (const [key, value] of Object.entries(defaults)) {
+        if (!(key in merged)) {
+            merged[key] = structuredClone(value);
+        } else if (isPlainObject(value) && isPlainObject(merged[key])) {
+            merged[key] = mergeDefaults(merged[key], value);
+        }
+    }
+    return merged;
+};
+
+/**
+ * Runs pending migrations and fills in defaults added since the settings were written.
+ * @param {object} stored - Raw stored settings.
+ * @returns {object} Settings in the current layout.
+ */
+const upgradeSettings = (stored) => {
+    let settings = stored;
+    const fromVersion = Number.isInteger(settings.schemaVersion) ? settings.schemaVersion : 0;
+
+    for (let version = fromVersion + 1; version <= SETTINGS_SCHEMA_VERSION; version++) {
+        if (migrations[version]) {
+            settings = migrations[version](settings);
+        }
+    }
+
+    settings = mergeDefaults(settings, DEFAULT_SETTINGS);
+    settings.schemaVersion = Math.max(fromVersion, SETTINGS_SCHEMA_VERSION);
+    return settings;
+};
+
+/**
+ * Checks whether a dot path points at a known setting.
+ * @param {*} key - Dot path such as `editor.autoSaveDelay`.
+ * @returns {boolean}
+ */
+export const isKnownSettingKey = (key) => {
+    if (typeof key !== 'string' || !key || key === 'schemaVersion') return false;
+
+    let node = DEFAULT_SETTINGS;
+    for (const part of key.split('.')) {
+        if (!isPlainObject(node) || !Object.hasOwn(node, part)) return false;
+        node = node[part];
+    }
+    return true;
+};
+
+/**
+ * Returns a copy of the settings with one setting replaced.
+ * @param {object} settings
+ * @param {string} key      - Dot path such as `editor.minFontSize`.
+ * @param {*} value
+ * @returns {object}
+ */
+const setPath = (settings, key, value) => {
+    const copy = structuredClone(settings);
+    const parts = key.split('.');
+    const last = parts.pop();
+    const parent = parts.reduce((node, part) => node[part], copy);
+    parent[last] = value;
+    return copy;
+};
+
+/**
+ * Checks the order of the font sizes, which the schema cannot express.
+ * @param {object} editor - The `editor` settings group.
+ * @throws {Error} When `minFontSize <= defaultFontSize <= maxFontSize` does not hold.
+ */
+const checkFontSizes = (editor) => {
+    const { minFontSize, defaultFontSize, maxFontSize } = editor ?? {};
+    if (!(minFontSize <= defaultFontSize && defaultFontSize <= maxFontSize)) {
+        throw new Error('Font sizes must satisfy minFontSize <= defaultFontSize <= maxFontSize');
+    }
+};
+
+/**
+ * Stand-in for `electron-store` when the settings file cannot be used at all: the
+ * settings live in memory for this session and start from the defaults. Only the
+ * parts of the Store API used by `SettingsService` are provided.
+ */
+class MemoryStore {
+    constructor() {
+        this.data = structuredClone(DEFAULT_SETTINGS);
+        this.listeners = new Set();
+    }
+
+    get store() {
+        return structuredClone(this.data);
+    }
+
+    set store(value) {
+        this.data = structuredClone(value);
+        this.notify();
+    }
+
+    get(key) {
+        return structuredClone(key.split('.').reduce((node, part) => node?.[part], this.data));
+    }
+
+    set(key, value) {
+        this.data = setPath(this.data, key, value);
+        this.notify();
+    }
+
+    clear() {
+        this.store = DEFAULT_SETTINGS;
+    }
+
+    onDidAnyChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this.store));
+    }
+}
+
+/**
+ * Moves a settings file that cannot be loaded next to itself, so the defaults can be
+ * written in its place.
+ * @param {string} file
+ */
+const moveInvalidSettings = (file) => {
+    if (!fs.existsSync(file)) return;
+
+    const backup = `${file}.invalid-${Date.now()}.bak`;
+    try {
+        fs.renameSync(file, backup);
+        safeWarn('The invalid settings were kept in', backup);
+    } catch (error) {
+        safeWarn('Could not move the invalid settings aside:', error.message);
+    }
+};
+
+export class SettingsService {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.name='settings']    - File name of the store (without extension).
+     * @param {string} [options.cwd]                - Directory of the store, defaults to userData.
+     */
+    constructor(options = {}) {
+        this.listeners = new Set();
+
+        const storeOptions = {
+            name: options.name ?? 'settings',
+            cwd: options.cwd,
+            schema,
+            defaults: DEFAULT_SETTINGS,
+            clearInvalidConfig: true
+        };
+
+        try {
+            this.store = new Store(storeOptions);
+        } catch (error) {
+            // `clearInvalidConfig` only covers broken JSON; a file that breaks the
+            // schema is moved aside so the app can start with the defaults
+            safeWarn('Stored settings are invalid, resetting to defaults:', error.message);
+            moveInvalidSettings(path.join(storeOptions.cwd ?? app.getPath('userData'), `${storeOptions.name}.json`));
+
+            try {
+                this.store = new Store(storeOptions);
+            } catch (retryError) {
+                safeWarn('Settings cannot be stored, using defaults for this session:', retryError.message);
+                this.store = new MemoryStore();
+            }
+        }
+
+        this.migrate();
+
+        this.unsubscribeStore = this.store.onDidAnyChange((settings) => {
+            this.listeners.forEach(listener => {
+                try {
+                    listener(settings);
+                } catch (error) {
+                    safeWarn('Settings listener failed:', error.message);
+                }
+            });
+        });
+    }
+
+    // Runs pending migrations and fills in defaults added since the file was written
+    migrate() {
+        const settings = upgradeSettings(this.store.store);
+
+        try {
+            this.store.store = settings;
+        } catch (error) {
+            safeWarn('Stored settings are invalid, resetting to defaults:', error.message);
+            this.store.clear();
+        }
+    }
+
+    /**
+     * Returns a copy of every setting.
+     * @returns {AppSettings}
+     */
+    getAll() {
+        return this.store.store;
+    }
+
+    /**
+     * Reads a single setting.
+     * @param {string} key - Dot path such as `editor.autoSaveDelay`.
+     * @returns {*}
+     */
+    get(key) {
+        if (!isKnownSettingKey(key)) {
+            throw new Error(`Unknown setting: ${key}`);
+        }
+        return this.store.get(key);
+    }
+
+    /**
+     * Updates a single setting. Values are validated against the schema.
+     * @param {string} key - Dot path such as `editor.autoSaveDelay`.
+     * @param {*} value    - New value.
+     * @returns {*} The stored value.
+     */
+    set(key, value) {
+        if (!isKnownSettingKey(key)) {
+            throw new Error(`Unknown setting: ${key}`);
+        }
+        if (key === 'editor' || key.startsWith('editor.')) {
+            checkFontSizes(setPath(this.getAll(), key, value).editor);
+        }
+
+        this.store.set(key, value);
+        return this.store.get(key);
+    }
+
+    /**
+     * Restores a setting (or every setting when no key is given) to its default.
+     * @param {string} [key]
+     * @returns {AppSettings}
+     */
+    reset(key) {
+        if (key === undefined) {
+            this.store.store = structuredClone(DEFAULT_SETTINGS);
+        } else if (isKnownSettingKey(key)) {
+            const defaultValue = key.split('.').reduce((node, part) => node[part], DEFAULT_SETTINGS);
+            this.store.set(key, structuredClone(defaultValue));
+        } else {
+            throw new Error(`Unknown setting: ${key}`);
+        }
+        return this.getAll();
+    }
+
+    /**
+     * Replaces the settings with ones taken from a backup. Older layouts are migrated;
+     * the local groups (`LOCAL_SETTINGS_GROUPS`) keep their current values.
+     * @param {object} stored - Settings as returned by `getAll()`.
+     * @returns {AppSettings}
+     * @throws {Error} When the settings do not match the schema; nothing is changed then.
+     */
+    restore(stored) {
+        if (!isPlainObject(stored)) {
+            throw new Error('Invalid settings');
+        }
+        if (Number.isInteger(stored.schemaVersion) && stored.schemaVersion > SETTINGS_SCHEMA_VERSION) {
+            throw new Error('The settings were written by a newer version of the app');
+        }
+
+        const current = this.getAll();
+        const settings = upgradeSettings(structuredClone(stored));
+        LOCAL_SETTINGS_GROUPS.forEach(group => {
+            settings[group] = current[group];
+        });
+
+        // electron-store validates the whole object before writing it
+        checkFontSizes(settings.editor);
+        this.store.store = settings;
+        return this.getAll();
+    }
+
+    /**
+     * Subscribes to setting changes.
+     * @param {(settings: AppSettings) => void} listener - Called with every setting after a change.
+     * @returns {() => void} Unsubscribe function.
+     */
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+}
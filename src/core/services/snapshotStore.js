@@ -0,0 +1,349 @@
+/**
+ * @file Stores version-history snapshots of notes (main process).
+ * Each note gets a folder in `<userData>/snapshots/<noteId>` with one JSON file per
+ * snapshot and an `index.json` holding their metadata. Automatic snapshots are
+ * thinned out by a retention policy; manual ones are kept until the note is deleted.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'node:path';
+import { createHash, randomBytes } from 'node:crypto';
+import { writeFileAtomic, readJSONFile } from '../../utils/atomicWrite.js';
+import { isValidNoteId } from './noteStore.js';
+import { safeWarn } from '../../utils/safeLogger.js';
+
+const INDEX_VERSION = 1;
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const SNAPSHOT_ID_PATTERN = /^\d{13}-[0-9a-f]{8}$/;
+const KNOWN_REASONS = ['auto', 'change', 'manual', 'restore'];
+
+/**
+ * Retention policy: one automatic snapshot per interval, with a coarser interval for older snapshots.
+ */
+export const SNAPSHOT_RETENTION = {
+    autoInterval: 10 * MINUTE,
+    recentWindow: DAY,
+    olderInterval: DAY,
+    maxSnapshots: 500
+};
+
+/**
+ * A save counts as a sharp change when it rewrites at least `ratio` of the previous
+ * content and at least `minLength` characters, e.g. after select-all and delete.
+ */
+export const SHARP_CHANGE = {
+    ratio: 0.5,
+    minLength: 200
+};
+
+/** @typedef {'auto'|'change'|'manual'|'restore'} SnapshotReason */
+
+/**
+ * @typedef {object} SnapshotMeta
+ * @property {string} id                    - Snapshot ID (`<createdAt>-<random>`).
+ * @property {string} noteId                - Note the snapshot belongs to.
+ * @property {number} createdAt             - Capture time (ms since epoch).
+ * @property {SnapshotReason} reason        - Why the snapshot was taken.
+ * @property {string} title                 - Note title at capture time.
+ * @property {number} size                  - Length of the snapshot content.
+ * @property {string} hash                  - SHA-1 of the content, used to skip duplicates.
+ */
+
+/**
+ * @typedef {SnapshotMeta & {text: string}} Snapshot
+ */
+
+/**
+ * Checks whether a value is a valid snapshot ID.
+ * @param {*} id - Value to check.
+ * @returns {boolean}
+ */
+export const isValidSnapshotId = (id) => typeof id === 'string' && SNAPSHOT_ID_PATTERN.test(id);
+
+const hashText = (text) => createHash('sha1').update(text).digest('hex');
+
+/**
+ * Checks whether replacing `previous` with `next` rewrites a large part of it.
+ * Only the common prefix and suffix are compared, which is enough to catch bulk edits.
+ * @param {string} previous
+ * @param {string} next
+ * @returns {boolean}
+ */
+const isSharpChange = (previous, next) => {
+    const shorter = Math.min(previous.length, next.length);
+    let prefix = 0;
+    while (prefix < shorter && previous[prefix] === next[prefix]) prefix++;
+
+    let suffix = 0;
+    while (suffix < shorter - prefix
+        && previous[previous.length - 1 - suffix] === next[next.length - 1 - suffix]) suffix++;
+
+    const changed = Math.max(previous.length, next.length) - prefix - suffix;
+    return changed >= SHARP_CHANGE.minLength && changed >= previous.length * SHARP_CHANGE.ratio;
+};
+
+/**
+ * Applies the retention policy: within `recentWindow` keep the newest automatic snapshot
+ * of every `autoInterval`, before that the newest of every `olderInterval`.
+ * Snapshots taken before a sharp change are kept whole within `recentWindow` and
+ * thinned out like automatic ones after it. Manual and restore snapshots are always
+ * kept. At most `maxSnapshots` automatic snapshots are kept.
+ * @param {SnapshotMeta[]} snapshots        - Snapshots of one note.
+ * @param {number} [now=Date.now()]         - Current time.
+ * @returns {SnapshotMeta[]} Snapshots to keep, newest first.
+ */
+export const applyRetention = (snapshots, now = Date.now()) => {
+    const { autoInterval, recentWindow, olderInterval, maxSnapshots } = SNAPSHOT_RETENTION;
+    const seenBuckets = new Set();
+    let autoKept = 0;
+
+    return [...snapshots]
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .filter(snapshot => {
+            if (snapshot.reason === 'manual' || snapshot.reason === 'restore') return true;
+
+            const isRecent = now - snapshot.createdAt < recentWindow;
+            if (autoKept >= maxSnapshots) return false;
+
+            if (!isRecent || snapshot.reason !== 'change') {
+                const interval = isRecent ? autoInterval : olderInterval;
+                const bucket = `${isRecent ? 'r' : 'o'}${Math.floor(snapshot.createdAt / interval)}`;
+
+                if (seenBuckets.has(bucket)) return false;
+                seenBuckets.add(bucket);
+            }
+            autoKept++;
+            return true;
+        });
+};
+
+export class SnapshotStore {
+    /**
+     * @param {string} rootDir - Directory the `snapshots` folder is created in (usually `app.getPath('userData')`).
+     */
+    constructor(rootDir) {
+        if (typeof rootDir !== 'string' || !rootDir) {
+            throw new Error('SnapshotStore requires a root directory.');
+        }
+
+        this.snapshotsDir = path.join(rootDir, 'snapshots');
+        this.queue = Promise.resolve();
+    }
+
+    // Serializes write operations so concurrent IPC calls cannot interleave
+    enqueue(task) {
+        const run = this.queue.then(task);
+        this.queue = run.catch(() => { });
+        return run;
+    }
+
+    noteDir(noteId) {
+        if (!isValidNoteId(noteId)) {
+            throw new Error('Invalid note id');
+        }
+        return path.join(this.snapshotsDir, noteId);
+    }
+
+    async readIndex(noteId) {
+        const indexPath = path.join(this.noteDir(noteId), 'index.json');
+
+        try {
+            const index = await readJSONFile(indexPath);
+            if (index?.version === INDEX_VERSION && Array.isArray(index.snapshots)) {
+                return index.snapshots;
+            }
+        } catch (error) {
+            safeWarn(`Snapshot index of ${noteId} is unreadable, rebuilding:`, error.message);
+        }
+
+        return this.rebuildIndex(noteId);
+    }
+
+    async rebuildIndex(noteId) {
+        const dir = this.noteDir(noteId);
+        let files = [];
+
+        try {
+            files = await fs.readdir(dir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const snapshots = [];
+        for (const file of files) {
+            const id = file.replace(/\.json$/, '');
+            if (!isValidSnapshotId(id)) continue;
+
+            try {
+                const { text, ...meta } = await readJSONFile(path.join(dir, file));
+                snapshots.push(meta);
+            } catch (error) {
+                safeWarn(`Skipping unreadable snapshot ${file}:`, error.message);
+            }
+        }
+
+        return snapshots.sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    async writeIndex(noteId, snapshots) {
+        await writeFileAtomic(
+            path.join(this.noteDir(noteId), 'index.json'),
+            JSON.stringify({ version: INDEX_VERSION, snapshots })
+        );
+    }
+
+    /**
+     * Lists the snapshots of a note, newest first.
+     * @param {string} noteId
+     * @returns {Promise<SnapshotMeta[]>}
+     */
+    list(noteId) {
+        return this.enqueue(() => this.readIndex(noteId));
+    }
+
+    /**
+     * Reads a snapshot including its content.
+     * @param {string} noteId
+     * @param {string} snapshotId
+     * @returns {Promise<Snapshot>}
+     */
+    async get(noteId, snapshotId) {
+        if (!isValidSnapshotId(snapshotId)) {
+            throw new Error('Invalid snapshot id');
+        }
+
+        const snapshot = await readJSONFile(path.join(this.noteDir(noteId), `${snapshotId}.json`));
+        if (!snapshot) {
+            throw new Error(`Snapshot not found: ${snapshotId}`);
+        }
+        return snapshot;
+    }
+
+    /**
+     * Stores a snapshot and applies the retention policy.
+     * @param {string} noteId
+     * @param {{text: string, title?: string, reason?: SnapshotReason}} data
+     * @returns {Promise<SnapshotMeta>}
+     */
+    create(noteId, data) {
+        return this.enqueue(() => this.writeSnapshot(noteId, data));
+    }
+
+    /**
+     * Takes an automatic snapshot of the content a save is about to overwrite, when the
+     * last automatic snapshot is older than the snapshot interval or the save changes the
+     * content sharply. Nothing is taken when that content is already the latest snapshot.
+     * @param {string} noteId
+     * @param {{text: string, title?: string}} data - Content currently on disk.
+     * @param {string} [nextText] - Content that is about to be saved.
+     * @returns {Promise<SnapshotMeta|null>} The new snapshot, or null when none was due.
+     */
+    captureIfDue(noteId, data, nextText) {
+        return this.enqueue(async () => {
+            const text = data.text ?? '';
+            if (typeof nextText === 'string' && nextText === text) return null;
+
+            const snapshots = await this.readIndex(noteId);
+            const [latest] = snapshots;
+            const lastAuto = snapshots.find(snapshot => snapshot.reason === 'auto');
+
+            if (latest?.hash === hashText(text)) return null;
+
+            if (typeof nextText === 'string' && isSharpChange(text, nextText)) {
+                return this.writeSnapshot(noteId, { ...data, reason: 'change' }, snapshots);
+            }
+            if (lastAuto && Date.now() - lastAuto.createdAt < SNAPSHOT_RETENTION.autoInterval) return null;
+
+            return this.writeSnapshot(noteId, { ...data, reason: 'auto' }, snapshots);
+        });
+    }
+
+    async writeSnapshot(noteId, data, existing = null) {
+        if (typeof data?.text !== 'string') {
+            throw new Error('Invalid snapshot content');
+        }
+
+        const dir = this.noteDir(noteId);
+        await fs.mkdir(dir, { recursive: true });
+
+        const createdAt = Date.now();
+        const snapshot = {
+            id: `${createdAt}-${randomBytes(4).toString('hex')}`,
+            noteId,
+            createdAt,
+            reason: KNOWN_REASONS.includes(data.reason) ? data.reason : 'auto',
+            title: typeof data.title === 'string' ? data.title.slice(0, 200) : '',
+            size: data.text.length,
+            hash: hashText(data.text)
+        };
+
+        await writeFileAtomic(path.join(dir, `${snapshot.id}.json`), JSON.stringify({ ...snapshot, text: data.text }));
+
+        const snapshots = [snapshot, ...(existing ?? await this.readIndex(noteId))];
+        const kept = applyRetention(snapshots);
+        const keptIds = new Set(kept.map(s => s.id));
+
+        await Promise.all(snapshots
+            .filter(s => !keptIds.has(s.id))
+            .map(s => fs.rm(path.join(dir, `${s.id}.json`), { force: true })));
+
+        await this.writeIndex(noteId, kept);
+        return snapshot;
+    }
+
+    /**
+     * Adds snapshots taken from a backup, keeping their IDs and capture times.
+     * Snapshots the note already has are skipped.
+     * @param {string} noteId
+     * @param {Snapshot[]} snapshots
+     * @returns {Promise<number>} The number of snapshots added.
+     */
+    restore(noteId, snapshots) {
+        return this.enqueue(async () => {
+            const dir = this.noteDir(noteId);
+            const existing = await this.readIndex(noteId);
+            const existingIds = new Set(existing.map(s => s.id));
+            const added = [];
+
+            for (const data of snapshots) {
+                if (!isValidSnapshotId(data?.id) || typeof data.text !== 'string') {
+                    throw new Error('Invalid snapshot');
+                }
+                if (existingIds.has(data.id)) continue;
+
+                const snapshot = {
+                    id: data.id,
+                    noteId,
+                    createdAt: Number.isFinite(data.createdAt) ? data.createdAt : Number(data.id.slice(0, 13)),
+                    reason: KNOWN_REASONS.includes(data.reason) ? data.reason : 'auto',
+                    title: typeof data.title === 'string' ? data.title.slice(0, 200) : '',
+                    size: data.text.length,
+                    hash: hashText(data.text)
+                };
+
+                await fs.mkdir(dir, { recursive: true });
+                await writeFileAtomic(path.join(dir, `${snapshot.id}.json`), JSON.stringify({ ...snapshot, text: data.text }));
+                existingIds.add(snapshot.id);
+                added.push(snapshot);
+            }
+
+            if (added.length > 0) {
+                // No retention here: a restore must not thin out the history it brings back
+                const merged = [...added, ...existing].sort((a, b) => b.createdAt - a.createdAt);
+                await this.writeIndex(noteId, merged);
+            }
+            return added.length;
+        });
+    }
+
+    /**
+     * Removes every snapshot of a note (called when the note is deleted).
+     * @param {string} noteId
+     * @returns {Promise<void>}
+     */
+    deleteAll(noteId) {
+        return this.enqueue(() => fs.rm(this.noteDir(noteId), { recursive: true, force: true }));
+    }
+}
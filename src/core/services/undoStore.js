@@ -0,0 +1,160 @@
+/**
+ * @file Keeps the undo history of notes between sessions (main process).
+ * Every note gets `<userData>/undo/<noteId>.json` with the undo and redo steps of the
+ * editor. Steps are text diffs of the note content, so the file stays small. The file
+ * also holds a hash of the content the history ends at; when the note was changed
+ * outside the editor since (a backup restore, an edit from another version), the
+ * history no longer applies and is not handed out.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'node:path';
+import { createHash } from 'node:crypto';
+import { writeFileAtomic, readJSONFile } from '../../utils/atomicWrite.js';
+import { isValidNoteId } from './noteStore.js';
+import { safeWarn } from '../../utils/safeLogger.js';
+
+const FILE_VERSION = 1;
+
+/** Steps are dropped, oldest first, until the file fits. */
+const MAX_FILE_SIZE = 4 * 1024 * 1024;
+
+/**
+ * @typedef {object} UndoStep
+ * @property {number} at                    - Offset of the change in the note content.
+ * @property {string} removed               - Content the change removed.
+ * @property {string} inserted              - Content the change inserted.
+ * @property {Object|null} before           - Selection before the change.
+ * @property {Object|null} after            - Selection after the change.
+ */
+
+/**
+ * @typedef {object} UndoHistory
+ * @property {UndoStep[]} undo              - Steps to undo, oldest first.
+ * @property {UndoStep[]} redo              - Steps to redo, next last.
+ */
+
+const hashText = (text) => createHash('sha1').update(text).digest('hex');
+
+/**
+ * @param {*} selection
+ * @returns {boolean}
+ */
+const isValidSelection = (selection) => selection === null || (
+    typeof selection === 'object'
+    && [selection.anchor, selection.focus].every(point =>
+        Array.isArray(point?.path)
+        && point.path.every(Number.isInteger)
+        && Number.isInteger(point.offset))
+);
+
+/**
+ * Checks the shape of a step received from the renderer.
+ * @param {*} step
+ * @returns {boolean}
+ */
+export const isValidUndoStep = (step) =>
+    Number.isInteger(step?.at) && step.at >= 0
+    && typeof step.removed === 'string'
+    && typeof step.inserted === 'string'
+    && isValidSelection(step.before ?? null)
+    && isValidSelection(step.after ?? null);
+
+export class UndoStore {
+    /**
+     * @param {string} rootDir - Directory the `undo` folder is created in (usually `app.getPath('userData')`).
+     */
+    constructor(rootDir) {
+        if (typeof rootDir !== 'string' || !rootDir) {
+            throw new Error('UndoStore requires a root directory.');
+        }
+
+        this.dir = path.join(rootDir, 'undo');
+        this.queue = Promise.resolve();
+    }
+
+    // Serializes write operations so concurrent IPC calls cannot interleave
+    enqueue(task) {
+        const run = this.queue.then(task);
+        this.queue = run.catch(() => { });
+        return run;
+    }
+
+    filePath(noteId) {
+        if (!isValidNoteId(noteId)) {
+            throw new Error('Invalid note id');
+        }
+        return path.join(this.dir, `${noteId}.json`);
+    }
+
+    /**
+     * Reads the history of a note.
+     * @param {string} noteId
+     * @param {string} text - Content of the note in the editor.
+     * @returns {Promise<UndoHistory|null>} Null when there is none, or it ends at other content.
+     */
+    async get(noteId, text) {
+        if (typeof text !== 'string') return null;
+
+        try {
+            const stored = await readJSONFile(this.filePath(noteId));
+            if (stored?.version !== FILE_VERSION || stored.hash !== hashText(text)) {
+                return null;
+            }
+            return { undo: stored.undo, redo: stored.redo };
+        } catch (error) {
+            safeWarn(`Undo history of ${noteId} is unreadable:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Stores the history of a note. An empty history removes the file.
+     * @param {string} noteId
+     * @param {{text: string} & UndoHistory} data - `text` is the content the history ends at.
+     * @returns {Promise<{steps: number}>} Number of undo steps kept.
+     */
+    save(noteId, data) {
+        const filePath = this.filePath(noteId);
+
+        if (typeof data?.text !== 'string' || !Array.isArray(data.undo) || !Array.isArray(data.redo)) {
+            return Promise.reject(new Error('Invalid undo history'));
+        }
+
+        const undo = data.undo.filter(isValidUndoStep);
+        const redo = data.redo.filter(isValidUndoStep);
+
+        // A gap in the steps would break every step before it
+        if (undo.length !== data.undo.length || redo.length !== data.redo.length) {
+            return Promise.reject(new Error('Invalid undo history'));
+        }
+
+        return this.enqueue(async () => {
+            if (!undo.length && !redo.length) {
+                await fs.rm(filePath, { force: true });
+                return { steps: 0 };
+            }
+
+            const stored = { version: FILE_VERSION, hash: hashText(data.text), undo, redo };
+            let json = JSON.stringify(stored);
+
+            while (json.length > MAX_FILE_SIZE && stored.undo.length) {
+                stored.undo = stored.undo.slice(Math.ceil(stored.undo.length / 10));
+                json = JSON.stringify(stored);
+            }
+
+            await fs.mkdir(this.dir, { recursive: true });
+            await writeFileAtomic(filePath, json);
+            return { steps: stored.undo.length };
+        });
+    }
+
+    /**
+     * Removes the history of a deleted note.
+     * @param {string} noteId
+     * @returns {Promise<void>}
+     */
+    delete(noteId) {
+        return this.enqueue(() => fs.rm(this.filePath(noteId), { force: true }));
+    }
+}
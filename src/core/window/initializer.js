@@ -1,14 +1,130 @@
-import { BrowserWindow } from "electron";
+import { app, BrowserWindow, nativeTheme } from "electron";
 import { IpcManager } from '../ipcManager.js';
+import { NoteStore } from '../services/noteStore.js';
+import { SettingsService } from '../services/settingsService.js';
+import { SnapshotStore } from '../services/snapshotStore.js';
+import { UndoStore } from '../services/undoStore.js';
+import { EditJournal } from '../services/editJournal.js';
+import { LibraryExporter } from '../services/libraryExporter.js';
+import { BackupService } from '../services/backupService.js';
 import { getWindowConfig } from '../../config/windowConfig.js';
+import { OS } from '../../config/osConfig.js';
 import { OpenDevTools } from '../devtools.js';
+import { safeWarn } from '../../utils/safeLogger.js';
+
+// Services are shared by every window (macOS re-creates windows on activate)
+let coreServices = null;
+
+/**
+ * Applies settings that belong to the whole app rather than a single window
+ * @param {SettingsService} settings
+ */
+const applyAppSettings = (settings) => {
+    nativeTheme.themeSource = settings.get('appearance.theme');
+};
+
+/**
+ * Creates the main-process services once and returns the cached instances
+ * @returns {{ noteStore: NoteStore, snapshotStore: SnapshotStore, undoStore: UndoStore, journal: EditJournal, settings: SettingsService, libraryExporter: LibraryExporter, backupService: BackupService }}
+ */
+const getCoreServices = () => {
+    if (!coreServices) {
+        const userDataPath = app.getPath('userData');
+        const settings = new SettingsService();
+
+        const journal = new EditJournal(userDataPath);
+
+        applyAppSettings(settings);
+        settings.onChange(() => applyAppSettings(settings));
+
+        try {
+            journal.open();
+        } catch (error) {
+            safeWarn('Edit journal is unavailable:', error.message);
+        }
+        app.once('will-quit', () => journal.close());
+
+        const noteStore = new NoteStore(userDataPath);
+        const snapshotStore = new SnapshotStore(userDataPath);
+        const undoStore = new UndoStore(userDataPath);
+
+        const backupService = new BackupService({ noteStore, snapshotStore, settings, journal, undoStore });
+        backupService.start();
+        app.once('will-quit', () => backupService.stop());
+
+        coreServices = {
+            noteStore,
+            snapshotStore,
+            undoStore,
+            journal,
+            settings,
+            libraryExporter: new LibraryExporter(noteStore, settings),
+            backupService
+        };
+    }
+    return coreServices;
+};
+
+/**
+ * Keeps a window in sync with the settings: forwards changes to the renderer,
+ * applies size changes live and remembers the size when the window closes
+ * @param {BrowserWindow} mainWindow
+ * @param {SettingsService} settings
+ */
+const bindWindowSettings = (mainWindow, settings) => {
+    let previousWindow = settings.get('window');
+
+    const unsubscribe = settings.onChange((all) => {
+        if (mainWindow.isDestroyed()) return;
+
+        mainWindow.webContents.send('settings-changed', all);
+
+        // Other settings must not snap a resized window back to the stored size
+        const sizeChanged = all.window.width !== previousWindow.width
+            || all.window.height !== previousWindow.height;
+        previousWindow = all.window;
+
+        const canResize = !mainWindow.isMaximized() && !mainWindow.isFullScreen();
+        if (sizeChanged && canResize) {
+            mainWindow.setSize(all.window.width, all.window.height);
+        }
+    });
+
+    const updateTitleBarOverlay = () => {
+        if (mainWindow.isDestroyed()) return;
+        mainWindow.setTitleBarOverlay({
+            symbolColor: nativeTheme.shouldUseDarkColors ? '#ffffff' : '#000000'
+        });
+    };
+
+    if (OS === 'win32') {
+        nativeTheme.on('updated', updateTitleBarOverlay);
+    }
+
+    mainWindow.on('close', () => {
+        if (mainWindow.isMaximized() || mainWindow.isFullScreen()) return;
+
+        const [width, height] = mainWindow.getSize();
+        try {
+            settings.set('window', { width, height });
+        } catch (error) {
+            safeWarn('Could not remember window size:', error.message);
+        }
+    });
+
+    mainWindow.once('closed', () => {
+        unsubscribe();
+        nativeTheme.removeListener('updated', updateTitleBarOverlay);
+    });
+};
 
 /**
  * Creates and configures the main BrowserWindow
  * @returns {BrowserWindow}
  */
 export const initializeWindow = () => {
-    const windowOptions = getWindowConfig();
+    const { settings } = getCoreServices();
+    const windowOptions = getWindowConfig(settings.get('window'));
     const mainWindow = new BrowserWindow(windowOptions);
 
     mainWindow.show();
@@ -17,6 +133,7 @@ export const initializeWindow = () => {
     
     mainWindow.setMenu(null);
     new OpenDevTools(mainWindow);
+    bindWindowSettings(mainWindow, settings);
 
     return mainWindow;
 };
@@ -29,7 +146,7 @@ export const initializeWindow = () => {
  * }}
  */
 export const initializeCoreManagers = (mainWindow) => {
-    const ipcManager = new IpcManager();
+    const ipcManager = new IpcManager(getCoreServices());
     ipcManager.init();
 
     return {
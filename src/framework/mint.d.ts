@@ -274,13 +274,43 @@ declare module 'mintkit' {
 
     // Routing
 
+    export interface RouteLocation {
+        /** Route path without the query string. */
+        path: string;
+        /** Parsed query string; repeated keys become arrays. */
+        query: Record<string, string | string[]>;
+    }
+
+    /**
+     * Runs before every navigation. Return `false` to cancel, a path to redirect,
+     * or nothing to continue.
+     */
+    export type RouteGuard = (to: RouteLocation, from: RouteLocation) =>
+        boolean | string | void | Promise<boolean | string | void>;
+
     export interface RouterAPI {
-        route(pattern: string, callback: (params: Record<string, string>) => void): this;
-        notFound(callback: (path: string) => void): this;
-        navigate(path: string): void;
+        route(pattern: string, callback: (params: Record<string, string>, query: Record<string, string | string[]>) => void): this;
+        notFound(callback: (path: string, query: Record<string, string | string[]>) => void): this;
+        beforeEach(guard: RouteGuard): () => void;
+        navigate(path: string, options?: { replace?: boolean }): this;
+        back(): void;
         getParams(): Record<string, string>;
+        getQuery(): Record<string, string | string[]>;
         getPath(): string;
-        init(): this;
+        getMode(): 'history' | 'hash' | 'memory';
+        init(options?: RouterOptions): this;
+        /** Resolves once the route of `init` ran; `false` when a guard cancelled it. */
+        ready(): Promise<boolean>;
+    }
+
+    export interface RouterOptions {
+        /**
+         * Keep the route in the URL path (`history`), in the hash (`hash`, for file:// pages)
+         * or only in memory (`memory`).
+         */
+        mode?: 'history' | 'hash' | 'memory';
+        /** Start location in memory mode. */
+        initialPath?: string;
     }
 
     export const Router: RouterAPI;
@@ -289,7 +319,7 @@ declare module 'mintkit' {
      * Programmatically navigates to a new path.
      * @param path The path to navigate to.
      */
-    export function navigate(path: string): void;
+    export function navigate(path: string, options?: { replace?: boolean }): void;
 
     /**
      * A component for declarative navigation.
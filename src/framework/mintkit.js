@@ -1518,23 +1518,140 @@ export const ReloadPerformanceTracker = {
  */
 export const Router = (() => {
     /**
-     * @private {string} currentPath - current URL path
+     * @private {'history'|'hash'|'memory'} mode - Where the route path is kept
+     * @private {string} currentPath - current route path (without query string)
      * @private {Object} currentParams - Parameters from URL
+     * @private {Object} currentQuery - Parsed query string
      * @private {Array} routeHandlers - stored route callbacks
+     * @private {Array} guards - `beforeEach` guards
      * @private {Function|null} notFoundHandler - Handler for not found routes
+     * @private {Array<string>} memoryStack - Visited locations in memory mode
+     * @private {number} navigationId - Increases on every navigation, used to drop stale async guards
+     * @private {Promise<boolean>} ready - Settles once the route of `init` ran (or was cancelled)
      */
+    let mode = 'history';
     let currentPath = window.location.pathname;
     let currentParams = {};
+    let currentQuery = {};
     let routeHandlers = [];
+    let guards = [];
     let notFoundHandler = null;
+    let memoryStack = [];
+    let navigationId = 0;
+    let markReady;
+    const ready = new Promise(resolve => {
+        markReady = resolve;
+    });
+
+    /**
+     * Split location into path and parsed query
+     * @private
+     * @param {string} location - Route location ('/note/1?view=diff')
+     * @returns {{path: string, query: Object}}
+     *
+     * @example
+     * parseLocation('/settings?section=export') // returns { path: '/settings', query: { section: 'export' } }
+     */
+    function parseLocation(location) {
+        const value = String(location || '/');
+        const queryStart = value.indexOf('?');
+        const path = queryStart === -1 ? value : value.slice(0, queryStart);
+        const search = queryStart === -1 ? '' : value.slice(queryStart + 1);
+        const query = {};
+
+        new URLSearchParams(search).forEach((value, key) => {
+            if (key in query) {
+                query[key] = [].concat(query[key], value);
+            } else {
+                query[key] = value;
+            }
+        });
+
+        return { path: path || '/', query };
+    }
+
+    /**
+     * Read route location from the URL (or memory) for the current mode
+     * In hash mode `index.html#/settings?x=1` gives `/settings?x=1`
+     * @private
+     * @returns {string} - Route location
+     */
+    function readLocation() {
+        if (mode === 'memory') {
+            return memoryStack[memoryStack.length - 1] || '/';
+        }
+        if (mode === 'hash') {
+            return window.location.hash.slice(1) || '/';
+        }
+        return window.location.pathname + window.location.search;
+    }
+
+    /**
+     * Write route location to the URL (or memory) for the current mode
+     * @private
+     * @param {string} location - Route location
+     * @param {boolean} replace - Replace current entry instead of adding one
+     */
+    function writeLocation(location, replace) {
+        if (mode === 'memory') {
+            if (replace && memoryStack.length) {
+                memoryStack[memoryStack.length - 1] = location;
+            } else {
+                memoryStack.push(location);
+            }
+            return;
+        }
+
+        const url = mode === 'hash' ? `#${location}` : location;
+        if (replace) {
+            window.history.replaceState({}, '', url);
+        } else {
+            window.history.pushState({}, '', url);
+        }
+    }
+
+    /**
+     * Build location string from path and query
+     * @private
+     * @param {string} path - Route path
+     * @param {Object} query - Query values
+     * @returns {string}
+     */
+    function formatLocation(path, query) {
+        const search = new URLSearchParams();
+        Object.entries(query).forEach(([key, value]) => {
+            [].concat(value).forEach(item => search.append(key, item));
+        });
+        const searchString = search.toString();
+        return searchString ? `${path}?${searchString}` : path;
+    }
+
+    /**
+     * Run `beforeEach` guards in order
+     * A guard returns `false` to cancel, a path to redirect, anything else to continue
+     * @private
+     * @param {Object} to - { path, query } of the next route
+     * @param {Object} from - { path, query } of the current route
+     * @returns {Promise<boolean|string>} - true to continue, false to cancel, or redirect location
+     */
+    async function runGuards(to, from) {
+        for (const guard of guards) {
+            const result = await guard(to, from);
+            if (result === false || typeof result === 'string') {
+                return result;
+            }
+        }
+        return true;
+    }
 
     /**
      * Check URL if user pressed back/forward on browser
+     * Also fires when only the hash changes
      * @listens window:popstate
      */
     window.addEventListener('popstate', () => {
-        currentPath = window.location.pathname;
-        executeRouteHandlers();
+        if (mode === 'memory') return;
+        followLocation(readLocation(), { fromPopState: true });
     });
 
     /**
@@ -1588,15 +1705,84 @@ export const Router = (() => {
             const match = matchRoute(handler.pattern, currentPath);
             if (match) {
                 currentParams = match.params;
-                handler.callback(match.params);
+                handler.callback(match.params, { ...currentQuery });
                 matched = true;
                 break;
             }
         }
 
-        if (!matched && notFoundHandler) {
-            notFoundHandler(currentPath);
+        if (!matched) {
+            currentParams = {};
+            if (notFoundHandler) {
+                notFoundHandler(currentPath, { ...currentQuery });
+            }
+        }
+    }
+
+    /**
+     * Run guards for a location, then commit it and call route handlers
+     * @private
+     * @param {string} location - Route location
+     * @param {Object} [options]
+     * @param {boolean} [options.replace=false] - Replace the current entry
+     * @param {boolean} [options.fromPopState=false] - URL already changed by back/forward
+     * @param {boolean} [options.fromBack=false] - Going back in memory mode; the entry is popped once confirmed
+     * @param {number} [options.redirects=0] - Redirect depth, stops guard loops
+     * @returns {Promise<boolean>} - Whether the navigation happened
+     */
+    async function resolveLocation(location, options = {}) {
+        const { replace = false, fromPopState = false, fromBack = false, redirects = 0 } = options;
+        const id = ++navigationId;
+        const from = { path: currentPath, query: { ...currentQuery } };
+        const to = parseLocation(location);
+
+        const result = await runGuards(to, from);
+
+        // A newer navigation started while guards were running
+        if (id !== navigationId) return false;
+
+        if (result === false) {
+            // Put the URL back when back/forward was cancelled
+            if (fromPopState) {
+                writeLocation(formatLocation(from.path, from.query), true);
+            }
+            return false;
+        }
+
+        if (typeof result === 'string') {
+            if (redirects >= 10) {
+                throw new Error(`Router: too many redirects from "${location}"`);
+            }
+            // Back/forward already moved the URL, so the redirect replaces that entry
+            return resolveLocation(result, { replace: replace || fromPopState, fromBack, redirects: redirects + 1 });
+        }
+
+        // Guards may cancel going back, so the entry left is only dropped now
+        if (fromBack) {
+            memoryStack.pop();
+        }
+        if (!fromPopState) {
+            writeLocation(formatLocation(to.path, to.query), replace || fromBack);
         }
+
+        currentPath = to.path;
+        currentQuery = to.query;
+        executeRouteHandlers();
+        return true;
+    }
+
+    /**
+     * Resolve a location without letting a failed guard become an unhandled rejection
+     * @private
+     * @param {string} location - Route location
+     * @param {Object} [options] - See `resolveLocation`
+     * @returns {Promise<boolean>} - Whether the navigation happened, false when it failed
+     */
+    function followLocation(location, options) {
+        return resolveLocation(location, options).catch(error => {
+            console.error(`Router: navigation to "${location}" failed:`, error);
+            return false;
+        });
     }
 
     // Create a public API
@@ -1606,6 +1792,7 @@ export const Router = (() => {
          * @param {string} pattern - Route pattern string
          * @param {Function} callback - Function when directly call to route
          * @param {Object} callback.params - Parameters from URL
+         * @param {Object} callback.query - Parsed query string
          * @returns {Router} - Router instance for method chaining
          */
         route(pattern, callback) {
@@ -1624,14 +1811,46 @@ export const Router = (() => {
             return this;
         },
 
+        /**
+         * Register guard that runs before every navigation
+         * Return `false` to cancel, a path to redirect, or nothing to continue. May be async
+         * @param {Function} guard - (to, from) => boolean|string|void|Promise
+         * @returns {Function} - Function that removes the guard
+         *
+         * @example
+         * Router.beforeEach((to) => to.path === '/admin' ? '/login' : undefined);
+         */
+        beforeEach(guard) {
+            guards.push(guard);
+            return () => {
+                guards = guards.filter(g => g !== guard);
+            };
+        },
+
         /**
          * Chenge route to path
-         * @param {string} path - new path that navigate to
+         * @param {string} path - new path that navigate to, may include a query string
+         * @param {Object} [options]
+         * @param {boolean} [options.replace=false] - Replace current history entry
+         * @returns {Router} - Router instance for method chaining
          */
-        navigate(path) {
-            window.history.pushState({}, '', path);
-            currentPath = path;
-            executeRouteHandlers();
+        navigate(path, options = {}) {
+            followLocation(path, { replace: Boolean(options.replace) });
+            return this;
+        },
+
+        /**
+         * Go back one entry
+         * In memory mode this pops the in-memory stack
+         */
+        back() {
+            if (mode !== 'memory') {
+                window.history.back();
+                return;
+            }
+            if (memoryStack.length > 1) {
+                followLocation(memoryStack[memoryStack.length - 2], { fromBack: true });
+            }
         },
 
         /**
@@ -1642,6 +1861,15 @@ export const Router = (() => {
             return { ...currentParams };
         },
 
+        /**
+         * Get parsed query string of current route
+         * Repeated keys become arrays
+         * @returns {Object} - Copy of query object
+         */
+        getQuery() {
+            return { ...currentQuery };
+        },
+
         /**
          * Fetch path to current URL
          * @returns {string} - Current URL path
@@ -1650,13 +1878,53 @@ export const Router = (() => {
             return currentPath;
         },
 
+        /**
+         * Get current routing mode
+         * @returns {'history'|'hash'|'memory'}
+         */
+        getMode() {
+            return mode;
+        },
+
         /**
          * Start routing system
-         * @returns {Router} - Router instance for method chaining
+         * Use hash mode for pages loaded from file:// URLs (Electron `loadFile`),
+         * where the pathname is a filesystem path and cannot be changed.
+         * Memory mode never touches the URL
+         * @param {Object} [options] - Router options
+         * @param {'history'|'hash'|'memory'} [options.mode='history'] - Where the route is kept
+         * @param {string} [options.initialPath='/'] - Start location in memory mode
+         * @returns {Router} - Router instance for method chaining; `ready()` tells when the first route ran
          */
-        init() {
-            executeRouteHandlers();
+        init(options = {}) {
+            if (options.mode) {
+                if (!['history', 'hash', 'memory'].includes(options.mode)) {
+                    throw new Error(`Router: unknown mode "${options.mode}"`);
+                }
+                mode = options.mode;
+            }
+
+            if (mode === 'memory') {
+                memoryStack = [options.initialPath || '/'];
+            }
+
+            const { path, query } = parseLocation(readLocation());
+            currentPath = path;
+            currentQuery = query;
+
+            followLocation(readLocation(), { replace: true }).then(markReady);
             return this;
+        },
+
+        /**
+         * Wait for the route of `init` (guards may be async)
+         * @returns {Promise<boolean>} - Whether the first navigation happened
+         *
+         * @example
+         * await Router.init({ mode: 'hash' }).ready();
+         */
+        ready() {
+            return ready;
         }
     };
 })();
@@ -1664,9 +1932,10 @@ export const Router = (() => {
 /**
  * Programmatic navigation helper function
  * @param {string} path - Path that you want to navigate
+ * @param {Object} [options] - See `Router.navigate`
  */
-export function navigate(path) {
-    Router.navigate(path);
+export function navigate(path, options) {
+    Router.navigate(path, options);
 }
 
 /**
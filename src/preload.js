@@ -4,6 +4,62 @@ try {
     contextBridge.exposeInMainWorld('electronAPI', {
         getOS: () => ipcRenderer.invoke('get-os'),
         closeApp: () => ipcRenderer.send('close-app'),
+        notes: {
+            list: () => ipcRenderer.invoke('note-list'),
+            getLastOpenedId: () => ipcRenderer.invoke('note-get-last-opened'),
+            get: (id) => ipcRenderer.invoke('note-get', id),
+            create: (data) => ipcRenderer.invoke('note-create', data),
+            save: (id, data) => ipcRenderer.invoke('note-save', id, data),
+            rename: (id, title) => ipcRenderer.invoke('note-rename', id, title),
+            setPinned: (id, pinned) => ipcRenderer.invoke('note-set-pinned', id, pinned),
+            duplicate: (id) => ipcRenderer.invoke('note-duplicate', id),
+            delete: (id) => ipcRenderer.invoke('note-delete', id),
+        },
+        snapshots: {
+            list: (noteId) => ipcRenderer.invoke('snapshot-list', noteId),
+            get: (noteId, snapshotId) => ipcRenderer.invoke('snapshot-get', noteId, snapshotId),
+            create: (noteId, reason) => ipcRenderer.invoke('snapshot-create', noteId, reason),
+        },
+        undoHistory: {
+            get: (noteId, text) => ipcRenderer.invoke('undo-history-get', noteId, text),
+            save: (noteId, data) => ipcRenderer.invoke('undo-history-save', noteId, data),
+        },
+        journal: {
+            record: (noteId, data) => ipcRenderer.send('journal-record', noteId, data),
+            getRecovery: () => ipcRenderer.invoke('journal-get-recovery'),
+            dismissRecovery: () => ipcRenderer.invoke('journal-dismiss-recovery'),
+        },
+        exporter: {
+            toDocx: (content, options) => ipcRenderer.invoke('export-docx', content, options),
+            toPdf: (html) => ipcRenderer.invoke('export-pdf', html),
+            print: (html, options) => ipcRenderer.invoke('print-document', html, options),
+            embedImages: (urls) => ipcRenderer.invoke('export-embed-images', urls),
+            save: (request) => ipcRenderer.invoke('export-save', request),
+            exportAll: (options) => ipcRenderer.invoke('export-all', options),
+            cancelExportAll: () => ipcRenderer.send('export-all-cancel'),
+            onExportAllProgress: (callback) => {
+                const listener = (event, progress) => callback(progress);
+                ipcRenderer.on('export-all-progress', listener);
+                return () => ipcRenderer.removeListener('export-all-progress', listener);
+            },
+        },
+        backup: {
+            create: () => ipcRenderer.invoke('backup-create'),
+            chooseDirectory: () => ipcRenderer.invoke('backup-choose-directory'),
+            chooseArchive: () => ipcRenderer.invoke('backup-choose-archive'),
+            restore: (options) => ipcRenderer.invoke('backup-restore', options),
+        },
+        settings: {
+            getAll: () => ipcRenderer.invoke('settings-get-all'),
+            get: (key) => ipcRenderer.invoke('settings-get', key),
+            set: (key, value) => ipcRenderer.invoke('settings-set', key, value),
+            reset: (key) => ipcRenderer.invoke('settings-reset', key),
+            onChange: (callback) => {
+                const listener = (event, settings) => callback(settings);
+                ipcRenderer.on('settings-changed', listener);
+                return () => ipcRenderer.removeListener('settings-changed', listener);
+            },
+        },
     });
 } catch (error) {
     console.error('Error in preload:', error);
@@ -3,7 +3,6 @@ import { fetchJSON } from '../../../../utils/fetch.js';
 import { renderMenu } from './menu/menuRenderer.js';
 import { createMenuState, updateMenuState } from './menu/menuState.js';
 import { showMenu, hideMenu } from './menu/menuPosition.js';
-import { recordState, performUndo, performRedo } from './features/primitiveAction.js';
 import { handleMenuItemClick } from './features/menuActions.js';
 import { initializeEventListeners } from './features/eventHandlers.js';
 import {
@@ -37,7 +36,14 @@ export const createContextMenu = async () => {
     return {
         markups: renderMenu(config),
 
-        init({ pageConfig, noteAPI }) {
+        /**
+         * @param {Object} params
+         * @param {Object} params.pageConfig        - Page configuration (needs `textareaId`).
+         * @param {Object} params.noteAPI           - The API returned by `noteFeatures()`.
+         * @param {Object} [params.history]         - Editor history used by undo, redo and every edit.
+         * @param {Object} [params.commands]        - Editor commands (`createEditorCommands()`) used by cut, select all and the table items.
+         */
+        init({ pageConfig, noteAPI, history, commands }) {
             // Validation
             if (!pageConfig?.textareaId) {
                 console.error('[ContextMenu] Invalid pageConfig: missing textareaId');
@@ -50,8 +56,6 @@ export const createContextMenu = async () => {
             }
 
             const CONSTANTS = {
-                DEBOUNCE_DELAY: 300,
-                MAX_HISTORY_SIZE: 50,
                 MENU_OFFSET: 5,
             };
 
@@ -65,7 +69,7 @@ export const createContextMenu = async () => {
             const menuItemsCache = new Map();
 
             // State management
-            const stateManager = createMenuState(CONSTANTS.MAX_HISTORY_SIZE);
+            const stateManager = createMenuState();
 
             // Cleanup functions / registered listeners
             const eventListeners = [];
@@ -101,13 +105,6 @@ export const createContextMenu = async () => {
                         }
                     }
 
-                    // Capture initial state of the textarea
-                    recordState({
-                        content: elements.textarea.innerHTML,
-                        stateManager,
-                        updateMenuState: updateMenuStateWrapper
-                    });
-
                     return true;
                 } catch (error) {
                     console.error('[ContextMenu] initializeElements failed', error);
@@ -120,9 +117,12 @@ export const createContextMenu = async () => {
                 updateMenuState({
                     menuItemsCache,
                     stateManager,
+                    history,
                     undoItemId,
                     redoItemId,
-                    safeGetElementById
+                    safeGetElementById,
+                    contextMenu: elements.contextMenu,
+                    textarea: elements.textarea
                 });
             };
 
@@ -144,40 +144,14 @@ export const createContextMenu = async () => {
                 });
             };
 
-            const recordStateWrapper = (content) => {
-                recordState({
-                    content,
-                    stateManager,
-                    updateMenuState: updateMenuStateWrapper
-                });
-            };
-
-            const performUndoWrapper = () => {
-                performUndo({
-                    textarea: elements.textarea,
-                    stateManager,
-                    updateMenuState: updateMenuStateWrapper
-                });
-            };
-
-            const performRedoWrapper = () => {
-                performRedo({
-                    textarea: elements.textarea,
-                    stateManager,
-                    updateMenuState: updateMenuStateWrapper
-                });
-            };
-
             const handleMenuItemClickWrapper = (event) => {
                 handleMenuItemClick({
                     event,
                     config,
                     stateManager,
-                    textarea: elements.textarea,
+                    history,
+                    commands,
                     noteAPI,
-                    performUndo: performUndoWrapper,
-                    performRedo: performRedoWrapper,
-                    recordState: recordStateWrapper,
                     hideMenu: hideMenuWrapper
                 });
             };
@@ -191,9 +165,6 @@ export const createContextMenu = async () => {
 
                 removeAllEventListeners(eventListeners);
 
-                // Clear state stacks
-                stateManager.clearStacks();
-
                 // Clear caches and references
                 menuItemsCache.clear();
                 Object.keys(elements).forEach(key => elements[key] = null);
@@ -212,9 +183,7 @@ export const createContextMenu = async () => {
                     updateMenuState: updateMenuStateWrapper,
                     showMenu: showMenuWrapper,
                     hideMenu: hideMenuWrapper,
-                    handleMenuItemClick: handleMenuItemClickWrapper,
-                    recordState: recordStateWrapper,
-                    DEBOUNCE_DELAY: CONSTANTS.DEBOUNCE_DELAY
+                    handleMenuItemClick: handleMenuItemClickWrapper
                 });
             } else {
                 console.error(
@@ -90,9 +90,7 @@ export const initializeEventListeners = (params) => {
         updateMenuState,
         showMenu,
         hideMenu,
-        handleMenuItemClick,
-        recordState,
-        DEBOUNCE_DELAY = 300
+        handleMenuItemClick
     } = params;
 
     if (stateManager.isDestroyed()) return;
@@ -107,17 +105,6 @@ export const initializeEventListeners = (params) => {
         }
     });
 
-    // Debounced input listener to record state after user stops typing
-    const debouncedRecordState = debounce(() => {
-        try {
-            recordState(textarea.innerHTML);
-        } catch (error) {
-            console.warn(error);
-        }
-    }, DEBOUNCE_DELAY);
-
-    addEventListener(eventListeners, textarea, 'input', debouncedRecordState);
-
     // Handle menu item clicks
     addEventListener(eventListeners, contextMenu, 'click', handleMenuItemClick);
 
@@ -2,9 +2,8 @@ import { translate } from '../../../../../api/translate/translator.js';
 
 /**
  * Handle paste command
- * @param {Object} params - Action parameters
  */
-const handlePaste = async ({ textarea, recordState }) => {
+const handlePaste = async () => {
     try {
         const text = await navigator.clipboard.readText();
         const selection = window.getSelection();
@@ -26,46 +25,29 @@ const handlePaste = async ({ textarea, recordState }) => {
         selection.addRange(range);
 
     } catch (error) {
-        console.warn(
-            '[ContextMenu] clipboard.readText failed, falling back to execCommand paste',
-            error
-        );
-        try {
-            document.execCommand('paste');
-        } catch (error) {
-            console.warn('[ContextMenu] execCommand paste failed', error);
-        }
+        console.warn('[ContextMenu] clipboard.readText failed', error);
     }
-    recordState(textarea.innerHTML);
 };
 
 /**
  * Handle copy or cut command
- * @param {string} command - 'copy' or 'cut'
  * @param {Object} params - Action parameters
+ * @param {string} params.command - 'copy' or 'cut'
+ * @param {Object} [params.commands] - Editor commands
  */
-const handleCopyOrCut = async ({ command, textarea, recordState }) => {
+const handleCopyOrCut = async ({ command, commands }) => {
     try {
         const selection = window.getSelection().toString();
 
         if (selection) {
             await navigator.clipboard.writeText(selection);
             if (command === 'cut') {
-                document.execCommand('delete');
-                recordState(textarea.innerHTML);
+                commands?.execute('deleteSelection');
             }
         }
     } catch (error) {
-        // Fall back to execCommand
-        try {
-            document.execCommand(command);
-        } catch (error) {
-            console.warn('[ContextMenu] execCommand fallback failed', error);
-        }
-
-        if (command === 'cut') {
-            recordState(textarea.innerHTML);
-        }
+        // The selection stays when it could not be copied
+        console.warn(`[ContextMenu] ${command} failed`, error);
     }
 };
 
@@ -146,14 +128,15 @@ export const handleMenuItemClick = async (params) => {
         event,
         config,
         stateManager,
-        textarea,
+        history,
+        commands,
         noteAPI,
-        performUndo,
-        performRedo,
-        recordState,
         hideMenu
     } = params;
 
+    // Every change made from the menu becomes one step of the editor history
+    const edit = (fn) => history ? history.transact(fn) : fn();
+
     try {
         if (stateManager.isDestroyed()) return;
 
@@ -163,6 +146,9 @@ export const handleMenuItemClick = async (params) => {
         const command = target.dataset.command;
         const isDisabled = target.getAttribute('aria-disabled') === 'true';
 
+        // A submenu trigger without a command of its own only opens its submenu
+        if (!command && target.getAttribute('aria-haspopup') === 'true') return;
+
         if (!command || isDisabled) {
             hideMenu();
             return;
@@ -171,24 +157,28 @@ export const handleMenuItemClick = async (params) => {
         // Route to appropriate handler
         switch (command) {
             case 'paste':
-                await handlePaste({ textarea, recordState });
+                await edit(() => handlePaste());
                 break;
 
             case 'undo':
-                performUndo();
+                history?.undo();
                 break;
 
             case 'redo':
-                performRedo();
+                history?.redo();
                 break;
 
             case 'copy':
+                await handleCopyOrCut({ command });
+                break;
+
             case 'cut':
-                await handleCopyOrCut({ command, textarea, recordState });
+                await edit(() => handleCopyOrCut({ command, commands }));
                 break;
 
             case 'translate':
-                await handleTranslate({ target, hideMenu });
+                // Stays one step from the "Translating.." placeholder to the translated text
+                await edit(() => handleTranslate({ target, hideMenu }));
                 break;
 
             case 'searchWithGoogle':
@@ -196,25 +186,23 @@ export const handleMenuItemClick = async (params) => {
                 break;
 
             case 'selectAll':
-                document.execCommand('selectAll');
+                commands?.execute('selectAll');
                 break;
 
             default:
-                try {
-                    document.execCommand(command);
-                } catch (error) {
-                    console.warn('[ContextMenu] execCommand failed', error);
-                }
-                if (command === 'cut') {
-                    recordState(textarea.innerHTML);
+                if (commands?.has(command)) {
+                    commands.execute(command, target.dataset.value);
+                } else {
+                    console.warn(`[ContextMenu] Unknown command: ${command}`);
                 }
                 break;
         }
     } catch (error) {
         console.error('[ContextMenu] handleMenuItemClick failed', error);
     } finally {
-        // Don't hide menu if translate submenu was clicked
-        if (event.target.closest('[data-command="translate"]') === null) {
+        // Don't hide menu if translate submenu or a submenu trigger was clicked
+        const isSubmenuTrigger = event.target.closest(`.${config.itemClass}`)?.getAttribute('aria-haspopup') === 'true';
+        if (event.target.closest('[data-command="translate"]') === null && !isSubmenuTrigger) {
             hideMenu();
         }
     }
@@ -6,8 +6,11 @@
  */
 const generateMenuItems = (items, config) => {
     return items.map(item => {
+        // Items only shown in some places, e.g. `table` while the caret is in a table
+        const contextAttr = item.context ? `data-context="${item.context}"` : '';
+
         if (item.type === 'separator') {
-            return `<div class="${config.separatorClass}"></div>`;
+            return `<div class="${config.separatorClass}" ${contextAttr}></div>`;
         }
 
         const shortcutMarkup = item.shortcut
@@ -19,7 +22,7 @@ const generateMenuItems = (items, config) => {
 
         if (item.submenu) {
             return `
-                <div id="${item.id}" class="${config.itemClass}" role="menuitem" aria-haspopup="true" ${commandAttr}>
+                <div id="${item.id}" class="${config.itemClass}" role="menuitem" aria-haspopup="true" ${commandAttr} ${contextAttr}>
                     <span>${item.label}</span>
                     <div class="${config.submenuClass}">
                         ${generateMenuItems(item.submenu, config)}
@@ -29,7 +32,7 @@ const generateMenuItems = (items, config) => {
         }
 
         return `
-            <div id="${item.id}" class="${config.itemClass}" role="menuitem" tabindex="-1" aria-disabled="false" ${commandAttr} ${valueAttr}>
+            <div id="${item.id}" class="${config.itemClass}" role="menuitem" tabindex="-1" aria-disabled="false" ${commandAttr} ${valueAttr} ${contextAttr}>
                 ${item.label}
                 ${shortcutMarkup}
             </div>
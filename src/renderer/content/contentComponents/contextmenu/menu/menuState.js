@@ -1,17 +1,14 @@
+import { getSelectedTableCell } from '../../../../scripts/editor/tableCommands.js';
+
 /**
  * Create and manage menu state
- * @param {number} maxHistorySize - Maximum history stack size
  * @returns {Object} State manager object
  */
-export const createMenuState = (maxHistorySize = 50) => {
+export const createMenuState = () => {
     const state = {
         isMenuVisible: false,
         currentSelection: null,
-        undoStack: [],
-        redoStack: [],
-        isApplyingHistory: false,
         isDestroyed: false,
-        MAX_HISTORY_SIZE: maxHistorySize,
     };
 
     return {
@@ -21,18 +18,7 @@ export const createMenuState = (maxHistorySize = 50) => {
         setVisible: (visible) => { state.isMenuVisible = visible; },
 
         isDestroyed: () => state.isDestroyed,
-        setDestroyed: (destroyed) => { state.isDestroyed = destroyed; },
-
-        isApplyingHistory: () => state.isApplyingHistory,
-        setApplyingHistory: (applying) => { state.isApplyingHistory = applying; },
-
-        getUndoStack: () => state.undoStack,
-        getRedoStack: () => state.redoStack,
-
-        clearStacks: () => {
-            state.undoStack.length = 0;
-            state.redoStack.length = 0;
-        }
+        setDestroyed: (destroyed) => { state.isDestroyed = destroyed; }
     };
 };
 
@@ -40,7 +26,7 @@ export const createMenuState = (maxHistorySize = 50) => {
  * Update menu item states (enable/disable)
  * @param {Object} params - Update parameters
  */
-export const updateMenuState = ({ menuItemsCache, stateManager, undoItemId, redoItemId, safeGetElementById }) => {
+export const updateMenuState = ({ menuItemsCache, stateManager, history, undoItemId, redoItemId, safeGetElementById, contextMenu, textarea }) => {
     try {
         if (stateManager.isDestroyed()) return;
 
@@ -72,13 +58,18 @@ export const updateMenuState = ({ menuItemsCache, stateManager, undoItemId, redo
                 .catch(() => setDisabledState(pasteItem, false));
         }
 
-        // Undo/Redo
-        const state = stateManager.getState();
+        // Undo/Redo, from the editor history
         const undoEl = menuItemsCache.get('undo') || safeGetElementById(undoItemId);
         const redoEl = menuItemsCache.get('redo') || safeGetElementById(redoItemId);
 
-        setDisabledState(undoEl, state.undoStack.length <= 1);
-        setDisabledState(redoEl, state.redoStack.length === 0);
+        setDisabledState(undoEl, !history?.canUndo());
+        setDisabledState(redoEl, !history?.canRedo());
+
+        // Table items, only while the caret is in a table of the editor
+        const inTable = Boolean(textarea && getSelectedTableCell(textarea));
+        contextMenu?.querySelectorAll('[data-context="table"]').forEach(item => {
+            item.hidden = !inTable;
+        });
 
     } catch (error) {
         console.warn('[ContextMenu] updateMenuState failed', error);
@@ -7,6 +7,9 @@ import { getConfig } from './pageServices/configService.js';
 import { createPageMarkup } from './pages/pageMarkup.js';
 import { createTitlebar } from './pageComponents/titlebar.js';
 import { initEditorPage } from './pages/editorPage.js';
+import { initSettingsPage } from './pages/settingsPage.js';
+import { initBackupDialog } from './pageComponents/backupDialog.js';
+import { initRoutes } from './pages/routes.js';
 import '../../api/cursor-behavior.js';
 
 export const Page = {
@@ -29,11 +32,11 @@ export const Page = {
         return this._contextMenuCache;  
     },
 
-    async _getTitlebar() {
+    async _getTitlebar(config) {
         // Only create titlebar in Electron environment
         if (window.electronAPI) {
             if (!this._titlebarCache) {
-                this._titlebarCache = await createTitlebar();
+                this._titlebarCache = await createTitlebar(config);
             }
             return this._titlebarCache;
         }
@@ -41,11 +44,11 @@ export const Page = {
     },
 
     async markups() {
-        const [config, modelFind, contextMenu, titlebar] = await Promise.all([
-            getConfig(),
+        const config = await getConfig();
+        const [modelFind, contextMenu, titlebar] = await Promise.all([
             this._getModelFind(),
             this._getContextMenu(),
-            this._getTitlebar()
+            this._getTitlebar(config)
         ]);
 
         return createPageMarkup(config, modelFind, contextMenu, titlebar);
@@ -72,6 +75,19 @@ export const Page = {
                 contextMenu
             );
 
+            // Editor and settings are routes inside #app
+            const backupDialog = initBackupDialog(config, result.noteAPI);
+            const settingsPage = initSettingsPage(config, {
+                onBackUp: backupDialog.backUp,
+                onRestore: backupDialog.restore
+            });
+            initRoutes(config, result.noteAPI, {
+                onSettings: (query) => {
+                    settingsPage.refresh();
+                    settingsPage.showSection(query.section);
+                }
+            });
+
             return result.noteAPI;
         } catch (error) {
             console.log('Error in Page.init:', error);
@@ -0,0 +1,268 @@
+import { Mint } from '../../../framework/mint.js';
+
+Mint.include('stylesheet/style-components/export-dialog.css');
+
+/**
+ * @typedef {object} BackupDialogConfig
+ * @property {string} backupDialogId                - The ID of the restore dialog element.
+ * @property {string} backupDialogTitle             - Title of the restore dialog.
+ */
+
+/** Labels of the changes listed in the restore preview. */
+const CHANGE_LABELS = {
+    added: 'Added',
+    replaced: 'Replaced',
+    deleted: 'Deleted'
+};
+
+const MODE_HINTS = {
+    merge: 'Notes missing from your library are added. Notes changed later in the backup replace yours; your version stays in their history.',
+    replace: 'Your library will match the backup. Notes that are not in the backup are deleted.'
+};
+
+/**
+ * Generates the HTML markup for the "Restore from backup" dialog.
+ *
+ * @param {BackupDialogConfig} config               - Configuration object containing IDs and texts.
+ * @returns {string}                                - The HTML string representing the dialog.
+ */
+export const createBackupDialogMarkup = (config) => {
+    return `
+        <dialog id="${config.backupDialogId}" class="export-dialog backup-dialog" aria-labelledby="${config.backupDialogId}-title">
+            <form>
+                <h2 id="${config.backupDialogId}-title">${config.backupDialogTitle}</h2>
+                <p class="export-dialog-note" data-role="summary"></p>
+                <label class="export-dialog-field">
+                    Restore
+                    <select name="mode">
+                        <option value="merge">Merge with my notes</option>
+                        <option value="replace">Replace my notes</option>
+                    </select>
+                </label>
+                <p class="export-dialog-note" data-role="hint"></p>
+                <ul class="backup-dialog-changes" aria-label="Changes"></ul>
+                <label class="export-dialog-option">
+                    <input type="checkbox" name="includeSettings">
+                    Also restore the settings
+                </label>
+                <p class="export-dialog-note">A backup of your current notes is saved before restoring.</p>
+                <footer class="export-dialog-actions">
+                    <button type="button" data-action="cancel">Cancel</button>
+                    <button type="submit" class="export-dialog-confirm">Restore</button>
+                </footer>
+            </form>
+        </dialog>
+    `;
+};
+
+/**
+ * Lists what restoring a backup changes in the given mode.
+ * @param {import('../../../core/services/backupService.js').BackupPreview} preview
+ * @param {'merge'|'replace'} mode
+ * @returns {{changes: Array<{type: string, title: string}>, kept: number}} `kept` counts the
+ *    notes of the backup that leave the library's copy as it is.
+ */
+const describeChanges = (preview, mode) => {
+    const changes = [];
+    let kept = 0;
+
+    preview.notes.forEach(note => {
+        if (note.status === 'new') {
+            changes.push({ type: 'added', title: note.title });
+        } else if (note.status === 'newer' || (mode === 'replace' && note.status === 'older')) {
+            changes.push({ type: 'replaced', title: note.title });
+        } else {
+            kept++;
+        }
+    });
+
+    if (mode === 'replace') {
+        preview.localOnly.forEach(note => changes.push({ type: 'deleted', title: note.title }));
+    }
+
+    return { changes, kept };
+};
+
+/**
+ * Initializes backing up and restoring. Backups are written by the main process;
+ * a restore shows what it will change and lets the user merge or replace.
+ *
+ * @param {BackupDialogConfig} config               - Configuration object containing IDs.
+ * @param {Object} noteAPI                          - The API returned by `noteFeatures()`.
+ * @returns {{
+ *      backUp: function(): Promise<Object>,
+ *      restore: function(): Promise<Object>,
+ *      cleanup: function(): void
+ * }} Backup controller. Both actions resolve with `{status: 'unavailable'}` when the
+ *    backup bridge or the dialog is missing.
+ */
+export const initBackupDialog = (config, noteAPI) => {
+    const dialog = document.getElementById(config.backupDialogId);
+    const form = dialog?.querySelector('form');
+    const summary = dialog?.querySelector('[data-role="summary"]');
+    const hint = dialog?.querySelector('[data-role="hint"]');
+    const changeList = dialog?.querySelector('.backup-dialog-changes');
+    const cancelBtn = dialog?.querySelector('[data-action="cancel"]');
+    const confirmBtn = dialog?.querySelector('.export-dialog-confirm');
+    const bridge = window.electronAPI?.backup;
+
+    if (!bridge || !dialog || !form || !changeList || !cancelBtn || !confirmBtn || typeof dialog.showModal !== 'function') {
+        const unavailable = async () => ({ status: 'unavailable' });
+        return { backUp: unavailable, restore: unavailable, cleanup: () => { } };
+    }
+
+    /** @type {import('../../../core/services/backupService.js').BackupPreview|null} */
+    let preview = null;
+    /** @type {function(Object): void|null} */
+    let resolvePending = null;
+    let running = false;
+
+    /**
+     * Shows the changes of the selected mode.
+     * @private
+     */
+    const renderChanges = () => {
+        const mode = form.elements.mode.value;
+        const { changes, kept } = describeChanges(preview, mode);
+        const fragment = document.createDocumentFragment();
+
+        changes.forEach(({ type, title }) => {
+            const item = document.createElement('li');
+            const badge = document.createElement('span');
+            badge.className = `backup-dialog-change ${type}`;
+            badge.textContent = CHANGE_LABELS[type];
+            item.append(badge, title || 'Untitled');
+            fragment.appendChild(item);
+        });
+
+        if (kept > 0) {
+            const item = document.createElement('li');
+            item.className = 'backup-dialog-kept';
+            const notes = kept === 1 ? '1 note' : `${kept} notes`;
+            item.textContent = mode === 'merge'
+                ? `${notes} ${kept === 1 ? 'stays' : 'stay'} as in your library`
+                : `${notes} already ${kept === 1 ? 'matches' : 'match'} the backup`;
+            fragment.appendChild(item);
+        }
+
+        if (!fragment.childNodes.length) {
+            const item = document.createElement('li');
+            item.className = 'backup-dialog-kept';
+            item.textContent = 'Nothing to change';
+            fragment.appendChild(item);
+        }
+
+        hint.textContent = MODE_HINTS[mode];
+        changeList.replaceChildren(fragment);
+    };
+
+    /**
+     * @param {Object} result
+     * @private
+     */
+    const finish = (result) => {
+        const resolve = resolvePending;
+        resolvePending = null;
+        preview = null;
+        if (dialog.open) dialog.close();
+        resolve?.(result);
+    };
+
+    const setRunning = (value) => {
+        running = value;
+        confirmBtn.disabled = value;
+        cancelBtn.disabled = value;
+        form.elements.mode.disabled = value;
+        form.elements.includeSettings.disabled = value || !preview?.hasSettings;
+        confirmBtn.textContent = value ? 'Restoring…' : 'Restore';
+    };
+
+    /**
+     * Saves the open note and writes a backup to a file chosen by the user.
+     * @returns {Promise<{status: 'done'|'aborted', path?: string, counts?: {notes: number, snapshots: number}}>}
+     */
+    const backUp = async () => {
+        await noteAPI?.saveData?.();
+        return bridge.create();
+    };
+
+    /**
+     * Asks for a backup, previews it and restores it as chosen.
+     * @returns {Promise<{status: 'done'|'aborted'|'invalid'|'failed', result?: Object, error?: string}>}
+     */
+    const restore = async () => {
+        if (resolvePending) return { status: 'aborted' };
+
+        // The preview compares the backup with what is on disk, including the open note
+        await noteAPI?.saveData?.();
+
+        const choice = await bridge.chooseArchive();
+        if (choice.status !== 'ready') return choice;
+
+        preview = choice.preview;
+        const createdAt = preview.createdAt ? new Date(preview.createdAt).toLocaleString() : 'an unknown date';
+        summary.textContent = `Backup from ${createdAt}: ${preview.counts.notes} ${preview.counts.notes === 1 ? 'note' : 'notes'}, `
+            + `${preview.counts.snapshots} saved ${preview.counts.snapshots === 1 ? 'version' : 'versions'}`;
+
+        form.elements.mode.value = 'merge';
+        form.elements.includeSettings.checked = false;
+        setRunning(false);
+        renderChanges();
+
+        dialog.showModal();
+        cancelBtn.focus();
+
+        return new Promise(resolve => {
+            resolvePending = resolve;
+        });
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (running || !preview) return;
+
+        const options = {
+            mode: form.elements.mode.value,
+            includeSettings: form.elements.includeSettings.checked
+        };
+
+        setRunning(true);
+        try {
+            const result = await bridge.restore(options);
+            await noteAPI?.reloadLibrary?.();
+            finish({ status: 'done', result });
+        } catch (error) {
+            console.error('[BackupDialog] Restore failed:', error);
+            finish({ status: 'failed', error: error.message });
+        } finally {
+            setRunning(false);
+        }
+    };
+
+    const handleCancel = () => {
+        if (!running) finish({ status: 'aborted' });
+    };
+
+    // Escape must not close the dialog while the restore is running
+    const handleEscape = (e) => {
+        e.preventDefault();
+        handleCancel();
+    };
+
+    form.addEventListener('submit', handleSubmit);
+    form.elements.mode.addEventListener('change', renderChanges);
+    cancelBtn.addEventListener('click', handleCancel);
+    dialog.addEventListener('cancel', handleEscape);
+
+    return {
+        backUp,
+        restore,
+        cleanup: () => {
+            form.removeEventListener('submit', handleSubmit);
+            form.elements.mode.removeEventListener('change', renderChanges);
+            cancelBtn.removeEventListener('click', handleCancel);
+            dialog.removeEventListener('cancel', handleEscape);
+            if (!running) finish({ status: 'aborted' });
+        }
+    };
+};
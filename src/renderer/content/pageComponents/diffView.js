@@ -0,0 +1,244 @@
+import { Mint } from '../../../framework/mint.js';
+import { diffHTML, renderDiff } from '../../scripts/diff/htmlDiff.js';
+import { getEditorHtml } from '../../scripts/document/renderDom.js';
+
+Mint.include('stylesheet/style-components/diff.css');
+
+/** Delay before the diff follows edits in the live editor (ms). */
+const LIVE_DIFF_DELAY = 300;
+
+/**
+ * @typedef {object} DiffViewConfig
+ * @property {string} textareaId                    - The ID of the editor element.
+ * @property {string} diffViewId                    - The ID of the diff pane.
+ * @property {string} diffTitleId                   - The ID of the pane title.
+ * @property {string} diffStatsId                   - The ID of the change summary.
+ * @property {string} diffContentId                 - The ID of the read-only diff content.
+ * @property {string} diffChangesOnlyId             - The ID of the "only changes" checkbox.
+ * @property {string} diffFilesButtonId             - The ID of the "compare files" button.
+ * @property {string} diffFileInputId               - The ID of the hidden file input.
+ * @property {string} diffCloseButtonId             - The ID of the close button.
+ */
+
+/**
+ * Generates the HTML markup for the diff pane shown next to the editor.
+ *
+ * @param {DiffViewConfig} config                   - Configuration object containing IDs.
+ * @returns {string}                                - The HTML string representing the pane.
+ */
+export const createDiffViewMarkup = (config) => {
+    return `
+        <aside id="${config.diffViewId}" class="diff-view" aria-label="Changes" hidden>
+            <header class="diff-header">
+                <div class="diff-heading">
+                    <h2 id="${config.diffTitleId}">Changes</h2>
+                    <span id="${config.diffStatsId}" class="diff-stats"></span>
+                </div>
+                <label class="diff-option">
+                    <input type="checkbox" id="${config.diffChangesOnlyId}">
+                    Only changes
+                </label>
+                <button id="${config.diffFilesButtonId}" title="Compare two exported files">Compare files…</button>
+                <input type="file" id="${config.diffFileInputId}" accept=".html,.htm,.txt" multiple hidden>
+                <button id="${config.diffCloseButtonId}" class="diff-close" title="Close" aria-label="Close">×</button>
+            </header>
+            <div id="${config.diffContentId}" class="diff-content editable-div"></div>
+        </aside>
+    `;
+};
+
+/**
+ * Converts the content of an exported file to editor HTML.
+ * HTML exports are used as they are; plain text becomes one block per line.
+ * @param {File} file
+ * @returns {Promise<string>}
+ * @private
+ */
+const readExportedFile = async (file) => {
+    const text = await file.text();
+    if (/\.html?$/i.test(file.name)) return text;
+
+    return text.split(/\r?\n/).map(line => {
+        const div = document.createElement('div');
+        div.textContent = line;
+        return div.outerHTML;
+    }).join('');
+};
+
+/**
+ * Initializes the diff pane. It compares a stored version with the live editor
+ * (updating as the user types) or two exported files with each other.
+ *
+ * @param {DiffViewConfig} config                   - Configuration object containing IDs.
+ * @param {Object} noteAPI                          - The API returned by `noteFeatures()`.
+ * @returns {{
+ *      compareWithCurrent: function(string, string): void,
+ *      compareFiles: function(): void,
+ *      close: function(): void,
+ *      cleanup: function(): void
+ * }} Pane controller. Returns no-ops if required elements are not found.
+ */
+export const initDiffView = (config, noteAPI) => {
+    const editor = document.getElementById(config.textareaId);
+    const pane = document.getElementById(config.diffViewId);
+    const title = document.getElementById(config.diffTitleId);
+    const stats = document.getElementById(config.diffStatsId);
+    const content = document.getElementById(config.diffContentId);
+    const changesOnly = document.getElementById(config.diffChangesOnlyId);
+    const filesBtn = document.getElementById(config.diffFilesButtonId);
+    const fileInput = document.getElementById(config.diffFileInputId);
+    const closeBtn = document.getElementById(config.diffCloseButtonId);
+
+    if (!editor || !pane || !content) {
+        return {
+            compareWithCurrent: () => { },
+            compareFiles: () => { },
+            close: () => { },
+            cleanup: () => { }
+        };
+    }
+
+    /**
+     * `oldHtml` is compared with `newHtml`, or with the live editor when `live` is set.
+     * @type {{oldHtml: string, newHtml: string, live: boolean, noteId: string|null}|null}
+     */
+    let comparison = null;
+    let liveTimeout = null;
+
+    /**
+     * Diffs the current comparison and renders it.
+     * @private
+     */
+    const render = () => {
+        if (!comparison) return;
+
+        const newHtml = comparison.live ? getEditorHtml(editor) : comparison.newHtml;
+        const { ops, stats: counts } = diffHTML(comparison.oldHtml, newHtml);
+        const changed = counts.insert + counts.delete + counts.change;
+
+        stats.textContent = changed === 0
+            ? 'No changes'
+            : `${counts.change} changed, ${counts.insert} added, ${counts.delete} removed`;
+
+        Mint.injectHTML(`#${config.diffContentId}`, renderDiff(ops, {
+            context: changesOnly?.checked ? 1 : null
+        }));
+    };
+
+    /**
+     * Opens the pane with a comparison.
+     * @param {string} label - Title of the pane.
+     * @private
+     */
+    const show = (label) => {
+        title.textContent = label;
+        pane.hidden = false;
+        document.body.classList.add('diff-open');
+        content.scrollTop = 0;
+        render();
+    };
+
+    const close = () => {
+        clearTimeout(liveTimeout);
+        comparison = null;
+        pane.hidden = true;
+        document.body.classList.remove('diff-open');
+        content.replaceChildren();
+    };
+
+    /**
+     * Compares a stored version of the open note with the live editor content.
+     * @param {string} oldHtml - The stored version.
+     * @param {string} label   - Describes the stored version, e.g. "Changes since 10:30".
+     */
+    const compareWithCurrent = (oldHtml, label) => {
+        comparison = {
+            oldHtml,
+            newHtml: '',
+            live: true,
+            noteId: noteAPI.getCurrentNoteId()
+        };
+        show(label);
+    };
+
+    /**
+     * Asks for two exported files and compares the older one with the newer one.
+     */
+    const compareFiles = () => {
+        fileInput.value = '';
+        fileInput.click();
+    };
+
+    const handleFilesChosen = async () => {
+        const files = Array.from(fileInput.files ?? []);
+        if (files.length === 0) return;
+
+        if (files.length !== 2) {
+            window.alert('Choose two exported files to compare.');
+            return;
+        }
+
+        const [older, newer] = files.sort((a, b) => a.lastModified - b.lastModified);
+
+        try {
+            const [oldHtml, newHtml] = await Promise.all([older, newer].map(readExportedFile));
+            comparison = { oldHtml, newHtml, live: false, noteId: null };
+            show(`${older.name} → ${newer.name}`);
+        } catch (error) {
+            console.error('[DiffView] Failed to read files:', error);
+            window.alert('The files could not be read.');
+        }
+    };
+
+    const handleEditorInput = () => {
+        if (!comparison?.live) return;
+        clearTimeout(liveTimeout);
+        liveTimeout = setTimeout(render, LIVE_DIFF_DELAY);
+    };
+
+    // A stored version belongs to one note; switching notes ends the comparison
+    const handleNoteLoaded = (e) => {
+        if (!comparison?.live) return;
+
+        if (e.detail?.id !== comparison.noteId || e.detail?.restoredFrom) {
+            close();
+        } else {
+            render();
+        }
+    };
+
+    const handleKeydown = (e) => {
+        if (e.key === 'Escape' && !pane.hidden) {
+            close();
+        }
+    };
+
+    filesBtn?.addEventListener('click', compareFiles);
+    fileInput?.addEventListener('change', handleFilesChosen);
+    closeBtn?.addEventListener('click', close);
+    changesOnly?.addEventListener('change', render);
+    editor.addEventListener('input', handleEditorInput);
+    document.addEventListener('note-loaded', handleNoteLoaded);
+    document.addEventListener('keydown', handleKeydown);
+
+    return {
+        compareWithCurrent,
+        compareFiles,
+        close,
+
+        /**
+         * Removes all event listeners attached by this module to prevent memory leaks.
+         * @returns {void}
+         */
+        cleanup() {
+            clearTimeout(liveTimeout);
+            filesBtn?.removeEventListener('click', compareFiles);
+            fileInput?.removeEventListener('change', handleFilesChosen);
+            closeBtn?.removeEventListener('click', close);
+            changesOnly?.removeEventListener('change', render);
+            editor.removeEventListener('input', handleEditorInput);
+            document.removeEventListener('note-loaded', handleNoteLoaded);
+            document.removeEventListener('keydown', handleKeydown);
+        }
+    };
+};
@@ -1,3 +1,26 @@
+import { getSetting, onSettingChange } from '../../scripts/settings/settingsClient.js';
+import { deriveNoteTitle } from '../../scripts/note/notehandlers.js';
+
+/**
+ * Builds an export file name from the note's first heading (or first line).
+ * Empty notes fall back to the configured prefix and today's date.
+ * @param {HTMLElement} editor                      - The editor element.
+ * @param {string} extension                        - File extension without the dot.
+ * @returns {string}
+ */
+const createExportFileName = (editor, extension) => {
+    const title = editor ? deriveNoteTitle(editor).replace(/[\\/:*?"<>|]+/g, ' ').trim() : '';
+    if (title) {
+        return `${title}.${extension}`;
+    }
+
+    const prefix = getSetting('export.fileNamePrefix', 'note');
+    return `${prefix}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+};
+
+/** Names of the export formats in status messages. */
+const FORMAT_NAMES = { html: 'HTML', txt: 'text', md: 'Markdown', docx: 'Word', pdf: 'PDF' };
+
 /**
  * @typedef {object} ExportMenuConfig
  * @property {string} exportHtmlButtonId            - The ID for the main export button.
@@ -5,6 +28,11 @@
  * @property {string} exportHtmlButtonText          - The text content for the main export button.
  * @property {string} exportMenuHtmlText            - The text content for the "Export HTML" option in the dropdown.
  * @property {string} exportMenuTxtText             - The text content for the "Export TXT" option in the dropdown.
+ * @property {string} exportMenuMdText              - The text content for the "Export Markdown" option in the dropdown.
+ * @property {string} exportMenuDocxText            - The text content for the "Export Word" option in the dropdown.
+ * @property {string} exportMenuPdfText             - The text content for the "Export PDF" option in the dropdown.
+ * @property {string} exportMenuPrintText           - The text content for the "Print" option in the dropdown.
+ * @property {string} exportMenuAllText             - The text content for the "Export all notes" option in the dropdown.
  */
 
 /**
@@ -22,15 +50,29 @@ export const createExportMenuMarkup = (config) => {
             <div id="export-menu" class="export-menu">
                 <button id="export-html">${config.exportMenuHtmlText}</button>
                 <button id="export-txt">${config.exportMenuTxtText}</button>
+                <button id="export-md">${config.exportMenuMdText}</button>
+                <button id="export-docx">${config.exportMenuDocxText}</button>
+                <button id="export-pdf">${config.exportMenuPdfText}</button>
+                <button id="export-print">${config.exportMenuPrintText}</button>
+                <button id="export-all">${config.exportMenuAllText}</button>
             </div>
         </div>
     `;
 }
 
+/**
+ * @typedef {{saved: boolean, filePath?: string}} SaveResult
+ */
+
 /**
  * @typedef {object} RichEditorAPI
- * @property {function(string): void} downloadHTML  - Function to trigger downloading the editor's content as an HTML file.
- * @property {function(string): void} downloadTXT   - Function to trigger downloading the editor's content as a plain text file.
+ * @property {HTMLElement} editor                    - The editor element, used to name exported files.
+ * @property {function(string, Object): Promise<SaveResult>} downloadHTML - Function to save the editor's content as an HTML file.
+ * @property {function(string): Promise<SaveResult>} downloadTXT - Function to save the editor's content as a plain text file.
+ * @property {function(string): Promise<SaveResult>} downloadMarkdown - Function to save the editor's content as a Markdown file.
+ * @property {function(string): Promise<SaveResult>} downloadDOCX - Function to save the editor's content as a Word document.
+ * @property {function(string, Object): Promise<SaveResult>} downloadPDF - Function to save the editor's content as a PDF file.
+ * @property {function(Object): Promise<boolean>} print - Function to open the print dialog for the editor's content.
  */
 
 /**
@@ -38,16 +80,25 @@ export const createExportMenuMarkup = (config) => {
  *
  * @param {ExportMenuConfig} config             - Configuration object containing IDs for the export buttons.
  * @param {RichEditorAPI} richEditor            - An object providing methods to interact with the rich text editor, specifically for downloading content.
+ * @param {{setStatus?: function(string, string=): void}} [noteAPI] - Note API, used to report the outcome in the status indicator.
+ * @param {object} [options]
+ * @param {function(): Promise<Object|null>} [options.chooseHtmlOptions] - Asks for the HTML export options; resolves with null when cancelled.
+ * @param {function(): void} [options.onExportAll] - Opens the "Export all notes" dialog.
  * @returns {{cleanup: Function}}                 An object containing a `cleanup` function to remove all event listeners.
  *                                                Returns a no-op cleanup function if required elements are not found.
  */
-export const initExportMenu = (config, richEditor) => {
+export const initExportMenu = (config, richEditor, noteAPI, { chooseHtmlOptions, onExportAll } = {}) => {
     const exportBtn = document.getElementById(config.exportHtmlButtonId);
     const exportMenu = document.getElementById('export-menu');
     const exportHtmlBtn = document.getElementById('export-html');
     const exportTxtBtn = document.getElementById('export-txt');
+    const exportMdBtn = document.getElementById('export-md');
+    const exportDocxBtn = document.getElementById('export-docx');
+    const exportPdfBtn = document.getElementById('export-pdf');
+    const printBtn = document.getElementById('export-print');
+    const exportAllBtn = document.getElementById('export-all');
 
-    if (!exportBtn || !exportMenu || !richEditor) {
+    if (!exportBtn || !exportMenu || !exportMdBtn || !exportDocxBtn || !exportPdfBtn || !printBtn || !exportAllBtn || !richEditor) {
         return { cleanup: () => { } };
     }
 
@@ -59,26 +110,91 @@ export const initExportMenu = (config, richEditor) => {
         exportMenu.classList.toggle('show');
     };
 
+    /**
+     * Saves an export through the save dialog and reports the outcome in the status indicator.
+     * Cancelling the dialog is not reported.
+     * @param {'html'|'txt'|'md'|'docx'|'pdf'} format - Export format.
+     * @param {function(string): Promise<SaveResult>} save - Writes the export under a suggested file name.
+     * @private
+     */
+    const runExport = async (format, save) => {
+        exportMenu.classList.remove('show');
+
+        try {
+            const result = await save(createExportFileName(richEditor.editor, format));
+            if (!result?.saved) return;
+
+            const fileName = result.filePath?.split(/[\\/]/).pop();
+            noteAPI?.setStatus?.('exported', fileName ? `Exported ${fileName}` : null);
+        } catch (error) {
+            console.error(`[ExportMenu] ${FORMAT_NAMES[format]} export failed:`, error);
+            noteAPI?.setStatus?.('error', `${FORMAT_NAMES[format]} export failed`);
+        }
+    };
+
     /**
      * Handles the click event for exporting content as an HTML file.
-     * Generates a filename and calls the rich editor's downloadHTML method.
+     * Asks for the theme and the other options first.
      * @private
      */
-    const handleExportHtml = () => {
-        const filename = `note-${new Date().toISOString().slice(0, 10)}.html`;
-        richEditor.downloadHTML(filename);
+    const handleExportHtml = async () => {
         exportMenu.classList.remove('show');
+
+        const options = chooseHtmlOptions ? await chooseHtmlOptions() : {};
+        if (!options) return;
+
+        await runExport('html', (filename) => richEditor.downloadHTML(filename, options));
     };
 
     /**
      * Handles the click event for exporting content as a plain text file.
-     * Generates a filename and calls the rich editor's downloadTXT method.
      * @private
      */
-    const handleExportTxt = () => {
-        const filename = `note-${new Date().toISOString().slice(0, 10)}.txt`;
-        richEditor.downloadTXT(filename);
+    const handleExportTxt = () => runExport('txt', richEditor.downloadTXT);
+
+    /**
+     * Handles the click event for exporting content as a Markdown file.
+     * @private
+     */
+    const handleExportMd = () => runExport('md', richEditor.downloadMarkdown);
+
+    /**
+     * Handles the click event for exporting content as a Word document.
+     * The document is built in the main process.
+     * @private
+     */
+    const handleExportDocx = () => runExport('docx', richEditor.downloadDOCX);
+
+    /**
+     * Handles the click event for exporting content as a PDF file,
+     * using the page setup from the print settings.
+     * @private
+     */
+    const handleExportPdf = () => runExport('pdf', (filename) =>
+        richEditor.downloadPDF(filename, getSetting('print', {})));
+
+    /**
+     * Handles the click event for printing, using the page setup from the print settings.
+     * @private
+     */
+    const handlePrint = async () => {
+        exportMenu.classList.remove('show');
+
+        try {
+            await richEditor.print(getSetting('print', {}));
+        } catch (error) {
+            console.error('[ExportMenu] Printing failed:', error);
+            window.alert('The note could not be printed.');
+        }
+    };
+
+    /**
+     * Handles the click event for exporting every note of the library.
+     * @private
+     */
+    const handleExportAll = () => {
         exportMenu.classList.remove('show');
+        onExportAll?.();
     };
 
     /**
@@ -92,9 +208,32 @@ export const initExportMenu = (config, richEditor) => {
         }
     };
 
+    /**
+     * Moves the default export format to the top of the menu and highlights it.
+     * @param {'html'|'txt'|'md'|'docx'|'pdf'} format - The `export.defaultFormat` setting.
+     * @private
+     */
+    const applyDefaultFormat = (format) => {
+        const buttons = { html: exportHtmlBtn, txt: exportTxtBtn, md: exportMdBtn, docx: exportDocxBtn, pdf: exportPdfBtn };
+        const preferred = buttons[format] ?? exportHtmlBtn;
+
+        exportMenu.prepend(preferred);
+        Object.values(buttons).forEach(button => {
+            button.classList.toggle('default', button === preferred);
+        });
+    };
+
+    applyDefaultFormat(getSetting('export.defaultFormat', 'html'));
+    const unsubscribeDefaultFormat = onSettingChange('export.defaultFormat', applyDefaultFormat);
+
     exportBtn.addEventListener('click', handleToggle);
     exportHtmlBtn.addEventListener('click', handleExportHtml);
     exportTxtBtn.addEventListener('click', handleExportTxt);
+    exportMdBtn.addEventListener('click', handleExportMd);
+    exportDocxBtn.addEventListener('click', handleExportDocx);
+    exportPdfBtn.addEventListener('click', handleExportPdf);
+    printBtn.addEventListener('click', handlePrint);
+    exportAllBtn.addEventListener('click', handleExportAll);
     document.addEventListener('click', handleClickOutside);
 
     return {
@@ -106,7 +245,13 @@ export const initExportMenu = (config, richEditor) => {
             exportBtn.removeEventListener('click', handleToggle);
             exportHtmlBtn.removeEventListener('click', handleExportHtml);
             exportTxtBtn.removeEventListener('click', handleExportTxt);
+            exportMdBtn.removeEventListener('click', handleExportMd);
+            exportDocxBtn.removeEventListener('click', handleExportDocx);
+            exportPdfBtn.removeEventListener('click', handleExportPdf);
+            printBtn.removeEventListener('click', handlePrint);
+            exportAllBtn.removeEventListener('click', handleExportAll);
             document.removeEventListener('click', handleClickOutside);
+            unsubscribeDefaultFormat();
         }
     };
 }
\ No newline at end of file
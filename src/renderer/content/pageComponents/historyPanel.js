@@ -0,0 +1,386 @@
+import { Mint } from '../../../framework/mint.js';
+
+Mint.include('stylesheet/style-components/history.css');
+
+/**
+ * @typedef {object} HistoryPanelConfig
+ * @property {string} historyButtonId               - The ID of the toolbar button that opens the panel.
+ * @property {string} historyButtonTitle            - The title attribute of the toolbar button.
+ * @property {string} historyButtonText             - Text of the toolbar button.
+ * @property {string} historyPanelId                - The ID of the panel element.
+ * @property {string} historyListId                 - The ID of the snapshot list.
+ * @property {string} historyPreviewId              - The ID of the preview element.
+ * @property {string} historySnapshotButtonId       - The ID of the "take snapshot" button.
+ * @property {string} historyRestoreButtonId        - The ID of the "restore" button.
+ * @property {string} historyCopyButtonId           - The ID of the "copy selection" button.
+ * @property {string} historyCompareButtonId        - The ID of the "compare with current" button.
+ * @property {string} historyCompareFilesButtonId   - The ID of the "compare files" button.
+ * @property {string} historyCloseButtonId          - The ID of the close button.
+ * @property {string} historyEmptyText              - Text shown when a note has no snapshots.
+ */
+
+/** @type {Record<string, string>} */
+const REASON_LABELS = {
+    auto: 'Autosave',
+    change: 'Before large edit',
+    manual: 'Saved version',
+    restore: 'Before restore'
+};
+
+/**
+ * Formats a snapshot time: the time for today, date and time otherwise.
+ * @param {number} timestamp - Time in ms since epoch.
+ * @returns {string} The formatted time.
+ */
+const formatSnapshotTime = (timestamp) => {
+    const date = new Date(timestamp);
+    const time = date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+
+    return date.toDateString() === new Date().toDateString()
+        ? time
+        : `${date.toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' })}, ${time}`;
+};
+
+/**
+ * Generates the toolbar button that opens the version history.
+ *
+ * @param {HistoryPanelConfig} config               - Configuration object containing IDs and texts.
+ * @returns {string}                                - The HTML string of the button.
+ */
+export const createHistoryButtonMarkup = (config) => {
+    return `
+        <button id="${config.historyButtonId}" title="${config.historyButtonTitle}">
+            <span>${config.historyButtonText}</span>
+        </button>
+    `;
+};
+
+/**
+ * Generates the HTML markup for the version history panel.
+ *
+ * @param {HistoryPanelConfig} config               - Configuration object containing IDs and texts.
+ * @returns {string}                                - The HTML string representing the panel.
+ */
+export const createHistoryPanelMarkup = (config) => {
+    return `
+        <aside id="${config.historyPanelId}" class="history-panel" aria-label="Version history" hidden>
+            <header class="history-header">
+                <h2>Version history</h2>
+                <button id="${config.historyCompareFilesButtonId}" title="Compare two exported files">Compare files…</button>
+                <button id="${config.historySnapshotButtonId}">Save version now</button>
+                <button id="${config.historyCloseButtonId}" class="history-close" title="Close" aria-label="Close">×</button>
+            </header>
+            <div class="history-body">
+                <ol id="${config.historyListId}" class="history-list" role="listbox" data-empty-text="${config.historyEmptyText}"></ol>
+                <div class="history-preview-pane">
+                    <div id="${config.historyPreviewId}" class="history-preview editable-div"></div>
+                    <footer class="history-actions">
+                        <button id="${config.historyCopyButtonId}" disabled>Copy selection</button>
+                        <button id="${config.historyCompareButtonId}" disabled>Compare with current</button>
+                        <button id="${config.historyRestoreButtonId}" disabled>Restore this version</button>
+                    </footer>
+                </div>
+            </div>
+        </aside>
+    `;
+};
+
+/**
+ * Initializes the version history panel: snapshot list, preview, full restore
+ * and copying a selection out of an old version.
+ *
+ * @param {HistoryPanelConfig} config               - Configuration object containing IDs.
+ * @param {Object} noteAPI                          - The API returned by `noteFeatures()`.
+ * @param {Object} [handlers={}]                    - Callbacks for actions handled outside the panel.
+ * @param {function(string, string): void} [handlers.onCompare] - Called with a version's HTML and a label to compare it with the editor.
+ * @param {function(): void} [handlers.onCompareFiles] - Called to compare two exported files.
+ * @returns {{open: function(): Promise<void>, close: function(): void, cleanup: function(): void}}
+ *                                                    Panel controller. Returns no-ops if required elements are not found.
+ */
+export const initHistoryPanel = (config, noteAPI, handlers = {}) => {
+    const openBtn = document.getElementById(config.historyButtonId);
+    const panel = document.getElementById(config.historyPanelId);
+    const list = document.getElementById(config.historyListId);
+    const preview = document.getElementById(config.historyPreviewId);
+    const snapshotBtn = document.getElementById(config.historySnapshotButtonId);
+    const restoreBtn = document.getElementById(config.historyRestoreButtonId);
+    const copyBtn = document.getElementById(config.historyCopyButtonId);
+    const compareBtn = document.getElementById(config.historyCompareButtonId);
+    const compareFilesBtn = document.getElementById(config.historyCompareFilesButtonId);
+    const closeBtn = document.getElementById(config.historyCloseButtonId);
+
+    if (!panel || !list || !preview || !noteAPI?.listSnapshots) {
+        return {
+            open: async () => { },
+            close: () => { },
+            cleanup: () => { }
+        };
+    }
+
+    const state = {
+        snapshots: [],
+        selectedId: null,
+        noteId: null
+    };
+
+    /**
+     * Renders the snapshot list.
+     * @private
+     */
+    const renderList = () => {
+        const fragment = document.createDocumentFragment();
+
+        state.snapshots.forEach(snapshot => {
+            const item = document.createElement('li');
+            item.className = 'history-item';
+            item.dataset.snapshotId = snapshot.id;
+            item.setAttribute('role', 'option');
+            item.setAttribute('aria-selected', String(snapshot.id === state.selectedId));
+            item.classList.toggle('active', snapshot.id === state.selectedId);
+
+            const time = document.createElement('time');
+            time.dateTime = new Date(snapshot.createdAt).toISOString();
+            time.textContent = formatSnapshotTime(snapshot.createdAt);
+
+            const reason = document.createElement('span');
+            reason.className = `history-reason ${snapshot.reason}`;
+            reason.textContent = REASON_LABELS[snapshot.reason] ?? snapshot.reason;
+
+            const title = document.createElement('span');
+            title.className = 'history-title';
+            title.textContent = snapshot.title;
+
+            item.append(time, reason, title);
+            fragment.appendChild(item);
+        });
+
+        list.replaceChildren(fragment);
+        list.classList.toggle('empty', state.snapshots.length === 0);
+    };
+
+    /**
+     * Loads a snapshot into the preview.
+     * @param {string|null} snapshotId
+     * @private
+     */
+    const select = async (snapshotId) => {
+        state.selectedId = snapshotId;
+        renderList();
+        restoreBtn.disabled = !snapshotId;
+        copyBtn.disabled = true;
+        if (compareBtn) compareBtn.disabled = !snapshotId || !handlers.onCompare;
+
+        if (!snapshotId) {
+            preview.replaceChildren();
+            return;
+        }
+
+        try {
+            const snapshot = await noteAPI.getSnapshot(snapshotId, state.noteId);
+            if (state.selectedId !== snapshotId) return;
+
+            Mint.injectHTML(`#${config.historyPreviewId}`, snapshot.text);
+            preview.scrollTop = 0;
+        } catch (error) {
+            console.error('[HistoryPanel] Failed to load snapshot:', error);
+            preview.textContent = 'This version could not be loaded.';
+            restoreBtn.disabled = true;
+            if (compareBtn) compareBtn.disabled = true;
+        }
+    };
+
+    /**
+     * Reloads the snapshot list of the open note.
+     * @returns {Promise<void>}
+     */
+    const refresh = async () => {
+        state.noteId = noteAPI.getCurrentNoteId();
+
+        try {
+            state.snapshots = await noteAPI.listSnapshots(state.noteId);
+        } catch (error) {
+            console.error('[HistoryPanel] Failed to list snapshots:', error);
+            state.snapshots = [];
+        }
+
+        const stillExists = state.snapshots.some(s => s.id === state.selectedId);
+        await select(stillExists ? state.selectedId : state.snapshots[0]?.id ?? null);
+    };
+
+    const open = async () => {
+        panel.hidden = false;
+        openBtn?.setAttribute('aria-expanded', 'true');
+        await refresh();
+        list.focus();
+    };
+
+    const close = () => {
+        panel.hidden = true;
+        openBtn?.setAttribute('aria-expanded', 'false');
+        state.selectedId = null;
+        preview.replaceChildren();
+    };
+
+    /**
+     * Returns the current selection when it lies inside the preview.
+     * @returns {Selection|null}
+     * @private
+     */
+    const getPreviewSelection = () => {
+        const selection = window.getSelection();
+        if (!selection || selection.isCollapsed || selection.rangeCount === 0) return null;
+
+        const range = selection.getRangeAt(0);
+        return preview.contains(range.commonAncestorContainer) ? selection : null;
+    };
+
+    const handleCopy = async () => {
+        const selection = getPreviewSelection();
+        if (!selection) return;
+
+        const container = document.createElement('div');
+        container.appendChild(selection.getRangeAt(0).cloneContents());
+
+        try {
+            await navigator.clipboard.write([
+                new ClipboardItem({
+                    'text/html': new Blob([container.innerHTML], { type: 'text/html' }),
+                    'text/plain': new Blob([selection.toString()], { type: 'text/plain' })
+                })
+            ]);
+        } catch (error) {
+            console.warn('[HistoryPanel] Rich copy failed, copying plain text:', error);
+            await navigator.clipboard.writeText(selection.toString());
+        }
+
+        copyBtn.textContent = 'Copied';
+        setTimeout(() => {
+            copyBtn.textContent = 'Copy selection';
+        }, 1200);
+    };
+
+    const handleRestore = async () => {
+        const snapshot = state.snapshots.find(s => s.id === state.selectedId);
+        if (!snapshot) return;
+
+        const when = formatSnapshotTime(snapshot.createdAt);
+        if (!window.confirm(`Replace the note with the version from ${when}? The current content is kept in the history.`)) {
+            return;
+        }
+
+        try {
+            await noteAPI.restoreSnapshot(snapshot.id);
+            close();
+        } catch (error) {
+            console.error('[HistoryPanel] Restore failed:', error);
+            window.alert('This version could not be restored.');
+        }
+    };
+
+    const handleCompare = async () => {
+        const snapshot = state.snapshots.find(s => s.id === state.selectedId);
+        if (!snapshot || !handlers.onCompare) return;
+
+        try {
+            const { text } = await noteAPI.getSnapshot(snapshot.id, state.noteId);
+            close();
+            handlers.onCompare(text, `Changes since ${formatSnapshotTime(snapshot.createdAt)}`);
+        } catch (error) {
+            console.error('[HistoryPanel] Failed to compare version:', error);
+        }
+    };
+
+    const handleCompareFiles = () => {
+        close();
+        handlers.onCompareFiles?.();
+    };
+
+    const handleSnapshot = async () => {
+        snapshotBtn.disabled = true;
+        try {
+            await noteAPI.createSnapshot();
+        } catch (error) {
+            console.error('[HistoryPanel] Failed to save version:', error);
+        } finally {
+            snapshotBtn.disabled = false;
+        }
+    };
+
+    const handleListClick = (e) => {
+        const item = e.target.closest('.history-item');
+        if (item) select(item.dataset.snapshotId);
+    };
+
+    const handleListKeydown = (e) => {
+        if (e.key !== 'ArrowDown' && e.key !== 'ArrowUp') return;
+        e.preventDefault();
+
+        const index = state.snapshots.findIndex(s => s.id === state.selectedId);
+        const next = state.snapshots[index + (e.key === 'ArrowDown' ? 1 : -1)];
+        if (next) {
+            select(next.id);
+            list.querySelector(`[data-snapshot-id="${next.id}"]`)?.scrollIntoView({ block: 'nearest' });
+        }
+    };
+
+    const handleSelectionChange = () => {
+        if (!panel.hidden) {
+            copyBtn.disabled = !getPreviewSelection();
+        }
+    };
+
+    const handleKeydown = (e) => {
+        if (e.key === 'Escape' && !panel.hidden) {
+            e.preventDefault();
+            close();
+        }
+    };
+
+    const handleOpenClick = () => (panel.hidden ? open() : close());
+
+    const handleHistoryChange = () => {
+        if (!panel.hidden) refresh();
+    };
+
+    list.tabIndex = 0;
+    if (compareFilesBtn) compareFilesBtn.hidden = !handlers.onCompareFiles;
+    openBtn?.setAttribute('aria-controls', config.historyPanelId);
+    openBtn?.addEventListener('click', handleOpenClick);
+    closeBtn?.addEventListener('click', close);
+    snapshotBtn?.addEventListener('click', handleSnapshot);
+    restoreBtn.addEventListener('click', handleRestore);
+    copyBtn.addEventListener('click', handleCopy);
+    compareBtn?.addEventListener('click', handleCompare);
+    compareFilesBtn?.addEventListener('click', handleCompareFiles);
+    list.addEventListener('click', handleListClick);
+    list.addEventListener('keydown', handleListKeydown);
+    document.addEventListener('selectionchange', handleSelectionChange);
+    document.addEventListener('keydown', handleKeydown);
+    document.addEventListener('note-history-changed', handleHistoryChange);
+    document.addEventListener('note-loaded', handleHistoryChange);
+
+    return {
+        open,
+        close,
+
+        /**
+         * Removes all event listeners attached by this module to prevent memory leaks.
+         * @returns {void}
+         */
+        cleanup() {
+            openBtn?.removeEventListener('click', handleOpenClick);
+            closeBtn?.removeEventListener('click', close);
+            snapshotBtn?.removeEventListener('click', handleSnapshot);
+            restoreBtn.removeEventListener('click', handleRestore);
+            copyBtn.removeEventListener('click', handleCopy);
+            compareBtn?.removeEventListener('click', handleCompare);
+            compareFilesBtn?.removeEventListener('click', handleCompareFiles);
+            list.removeEventListener('click', handleListClick);
+            list.removeEventListener('keydown', handleListKeydown);
+            document.removeEventListener('selectionchange', handleSelectionChange);
+            document.removeEventListener('keydown', handleKeydown);
+            document.removeEventListener('note-history-changed', handleHistoryChange);
+            document.removeEventListener('note-loaded', handleHistoryChange);
+        }
+    };
+};
@@ -0,0 +1,149 @@
+import { Mint } from '../../../framework/mint.js';
+import { getSetting, setSetting } from '../../scripts/settings/settingsClient.js';
+
+Mint.include('stylesheet/style-components/export-dialog.css');
+
+/**
+ * @typedef {object} HtmlExportDialogConfig
+ * @property {string} htmlExportDialogId            - The ID of the dialog element.
+ * @property {string} htmlExportDialogTitle         - Title of the dialog.
+ * @property {string} htmlExportConfirmText         - Text of the export button.
+ * @property {string} htmlExportCancelText          - Text of the cancel button.
+ */
+
+/** Options used before the first export. Mirrors `export.htmlOptions` in the settings. */
+const DEFAULT_OPTIONS = {
+    theme: 'auto',
+    inlineImages: true,
+    tableOfContents: false,
+    standalone: true
+};
+
+/**
+ * Generates the HTML markup for the HTML export options dialog.
+ *
+ * @param {HtmlExportDialogConfig} config           - Configuration object containing IDs and texts.
+ * @returns {string}                                - The HTML string representing the dialog.
+ */
+export const createHtmlExportDialogMarkup = (config) => {
+    return `
+        <dialog id="${config.htmlExportDialogId}" class="export-dialog" aria-labelledby="${config.htmlExportDialogId}-title">
+            <form method="dialog">
+                <h2 id="${config.htmlExportDialogId}-title">${config.htmlExportDialogTitle}</h2>
+                <label class="export-dialog-field">
+                    Theme
+                    <select name="theme">
+                        <option value="auto">Match the reader's system</option>
+                        <option value="light">Light</option>
+                        <option value="dark">Dark</option>
+                    </select>
+                </label>
+                <label class="export-dialog-option">
+                    <input type="checkbox" name="inlineImages">
+                    Embed images in the file
+                </label>
+                <label class="export-dialog-option">
+                    <input type="checkbox" name="tableOfContents">
+                    Add a table of contents
+                </label>
+                <label class="export-dialog-option">
+                    <input type="checkbox" name="standalone">
+                    Standalone (remove editor-only markup)
+                </label>
+                <footer class="export-dialog-actions">
+                    <button value="cancel">${config.htmlExportCancelText}</button>
+                    <button value="export" class="export-dialog-confirm">${config.htmlExportConfirmText}</button>
+                </footer>
+            </form>
+        </dialog>
+    `;
+};
+
+/**
+ * Initializes the HTML export options dialog. The chosen options are remembered
+ * in the settings and preselected the next time.
+ *
+ * @param {HtmlExportDialogConfig} config           - Configuration object containing IDs.
+ * @returns {{
+ *      open: function(): Promise<import('../../scripts/editor/htmlDocument.js').HTMLExportOptions|null>,
+ *      cleanup: function(): void
+ * }} Dialog controller. `open` resolves with null when cancelled. Falls back to the
+ *    remembered options without asking if the dialog is not found.
+ */
+export const initHtmlExportDialog = (config) => {
+    const dialog = document.getElementById(config.htmlExportDialogId);
+    const form = dialog?.querySelector('form');
+
+    const readStoredOptions = () => ({ ...DEFAULT_OPTIONS, ...getSetting('export.htmlOptions', {}) });
+
+    if (!dialog || !form || typeof dialog.showModal !== 'function') {
+        return {
+            open: async () => readStoredOptions(),
+            cleanup: () => { }
+        };
+    }
+
+    /** @type {function(Object|null): void|null} */
+    let resolvePending = null;
+
+    /**
+     * Reads the options from the form.
+     * @private
+     */
+    const readForm = () => ({
+        theme: form.elements.theme.value,
+        inlineImages: form.elements.inlineImages.checked,
+        tableOfContents: form.elements.tableOfContents.checked,
+        standalone: form.elements.standalone.checked
+    });
+
+    /**
+     * Shows the dialog with the remembered options.
+     * @returns {Promise<Object|null>} The chosen options, or null when cancelled.
+     */
+    const open = () => {
+        resolvePending?.(null);
+
+        const options = readStoredOptions();
+        form.elements.theme.value = options.theme;
+        form.elements.inlineImages.checked = options.inlineImages;
+        form.elements.tableOfContents.checked = options.tableOfContents;
+        form.elements.standalone.checked = options.standalone;
+
+        dialog.showModal();
+        dialog.querySelector('.export-dialog-confirm')?.focus();
+
+        return new Promise(resolve => {
+            resolvePending = resolve;
+        });
+    };
+
+    // Escape and the cancel button close the dialog without the "export" return value
+    const handleClose = () => {
+        const resolve = resolvePending;
+        resolvePending = null;
+        if (!resolve) return;
+
+        if (dialog.returnValue !== 'export') {
+            resolve(null);
+            return;
+        }
+
+        const options = readForm();
+        setSetting('export.htmlOptions', options)
+            .catch(error => console.warn('[HtmlExportDialog] Could not remember the options:', error));
+        resolve(options);
+    };
+
+    dialog.addEventListener('close', handleClose);
+
+    return {
+        open,
+        cleanup: () => {
+            dialog.removeEventListener('close', handleClose);
+            resolvePending?.(null);
+            resolvePending = null;
+            if (dialog.open) dialog.close();
+        }
+    };
+};
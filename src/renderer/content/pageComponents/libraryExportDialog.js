@@ -0,0 +1,191 @@
+import { Mint } from '../../../framework/mint.js';
+import { getSetting, setSetting } from '../../scripts/settings/settingsClient.js';
+
+Mint.include('stylesheet/style-components/export-dialog.css');
+
+/**
+ * @typedef {object} LibraryExportDialogConfig
+ * @property {string} libraryExportDialogId         - The ID of the dialog element.
+ * @property {string} libraryExportDialogTitle      - Title of the dialog.
+ */
+
+/** Options used before the first export. Mirrors `export.libraryOptions` in the settings. */
+const DEFAULT_OPTIONS = {
+    format: 'md',
+    target: 'zip'
+};
+
+/**
+ * Generates the HTML markup for the "Export all" dialog.
+ *
+ * @param {LibraryExportDialogConfig} config        - Configuration object containing IDs and texts.
+ * @returns {string}                                - The HTML string representing the dialog.
+ */
+export const createLibraryExportDialogMarkup = (config) => {
+    return `
+        <dialog id="${config.libraryExportDialogId}" class="export-dialog" aria-labelledby="${config.libraryExportDialogId}-title">
+            <form>
+                <h2 id="${config.libraryExportDialogId}-title">${config.libraryExportDialogTitle}</h2>
+                <label class="export-dialog-field">
+                    Format
+                    <select name="format">
+                        <option value="md">Markdown</option>
+                        <option value="html">HTML</option>
+                        <option value="txt">Plain text</option>
+                    </select>
+                </label>
+                <label class="export-dialog-field">
+                    Save as
+                    <select name="target">
+                        <option value="zip">One .zip archive</option>
+                        <option value="folder">Files in a folder</option>
+                    </select>
+                </label>
+                <div class="export-dialog-progress" hidden>
+                    <progress max="1" value="0"></progress>
+                    <span class="export-dialog-progress-text" aria-live="polite"></span>
+                </div>
+                <footer class="export-dialog-actions">
+                    <button type="button" data-action="cancel">Cancel</button>
+                    <button type="submit" class="export-dialog-confirm">Export</button>
+                </footer>
+            </form>
+        </dialog>
+    `;
+};
+
+/**
+ * Initializes the "Export all" dialog. The export runs in the main process; the
+ * dialog shows its progress and can cancel it.
+ *
+ * @param {LibraryExportDialogConfig} config        - Configuration object containing IDs.
+ * @param {Object} noteAPI                          - The API returned by `noteFeatures()`.
+ * @returns {{open: function(): void, cleanup: function(): void}} Dialog controller.
+ *    Returns no-ops if required elements are not found.
+ */
+export const initLibraryExportDialog = (config, noteAPI) => {
+    const dialog = document.getElementById(config.libraryExportDialogId);
+    const form = dialog?.querySelector('form');
+    const progress = dialog?.querySelector('.export-dialog-progress');
+    const bar = progress?.querySelector('progress');
+    const progressText = progress?.querySelector('.export-dialog-progress-text');
+    const cancelBtn = dialog?.querySelector('[data-action="cancel"]');
+    const confirmBtn = dialog?.querySelector('.export-dialog-confirm');
+    const exporter = window.electronAPI?.exporter;
+
+    if (!dialog || !form || !progress || !cancelBtn || !confirmBtn || typeof dialog.showModal !== 'function') {
+        return { open: () => { }, cleanup: () => { } };
+    }
+
+    let running = false;
+
+    /**
+     * Switches between choosing the options and showing the progress.
+     * @param {boolean} value
+     * @private
+     */
+    const setRunning = (value) => {
+        running = value;
+        progress.hidden = !value;
+        confirmBtn.disabled = value;
+        form.elements.format.disabled = value;
+        form.elements.target.disabled = value;
+    };
+
+    /**
+     * @param {{done: number, total: number, title?: string}} state
+     * @private
+     */
+    const renderProgress = ({ done, total, title }) => {
+        bar.max = Math.max(total, 1);
+        bar.value = done;
+        progressText.textContent = total === 0
+            ? 'No notes to export'
+            : `${Math.min(done + 1, total)} of ${total}${title ? ` · ${title}` : ''}`;
+    };
+
+    const open = () => {
+        if (dialog.open) return;
+
+        const options = { ...DEFAULT_OPTIONS, ...getSetting('export.libraryOptions', {}) };
+        form.elements.format.value = options.format;
+        form.elements.target.value = options.target;
+        setRunning(false);
+
+        dialog.showModal();
+        confirmBtn.focus();
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (running) return;
+
+        if (!exporter?.exportAll) {
+            window.alert('Exporting all notes is not available.');
+            return;
+        }
+
+        const options = {
+            format: form.elements.format.value,
+            target: form.elements.target.value
+        };
+        setSetting('export.libraryOptions', options)
+            .catch(error => console.warn('[LibraryExportDialog] Could not remember the options:', error));
+
+        setRunning(true);
+        renderProgress({ done: 0, total: 0, title: 'Preparing…' });
+        const unsubscribe = exporter.onExportAllProgress(renderProgress);
+
+        try {
+            // The open note may have edits that are not saved yet
+            await noteAPI?.saveData?.();
+
+            const result = await exporter.exportAll(options);
+            if (result.status === 'aborted') return;
+
+            dialog.close();
+            if (result.status !== 'done') return;
+
+            noteAPI?.setStatus?.('exported', `Exported ${result.count} ${result.count === 1 ? 'note' : 'notes'}`);
+            if (result.failed.length) {
+                window.alert(`These notes could not be exported:\n${result.failed.join('\n')}`);
+            }
+        } catch (error) {
+            console.error('[LibraryExportDialog] Export failed:', error);
+            dialog.close();
+            noteAPI?.setStatus?.('error', 'Export failed');
+        } finally {
+            unsubscribe();
+            setRunning(false);
+        }
+    };
+
+    // While exporting, Cancel (and Escape) stop the export; the dialog closes when it has stopped
+    const handleCancel = () => {
+        if (running) {
+            exporter.cancelExportAll();
+            progressText.textContent = 'Cancelling…';
+            return;
+        }
+        dialog.close();
+    };
+
+    const handleEscape = (e) => {
+        e.preventDefault();
+        handleCancel();
+    };
+
+    form.addEventListener('submit', handleSubmit);
+    cancelBtn.addEventListener('click', handleCancel);
+    dialog.addEventListener('cancel', handleEscape);
+
+    return {
+        open,
+        cleanup: () => {
+            if (running) exporter?.cancelExportAll();
+            form.removeEventListener('submit', handleSubmit);
+            cancelBtn.removeEventListener('click', handleCancel);
+            dialog.removeEventListener('cancel', handleEscape);
+        }
+    };
+};
@@ -50,24 +50,15 @@ const calculateMenuPosition = (selectionRect, selectionMenu) => {
 /**
  * Updates the active state of all buttons in the selection menu based on current selection.
  * @param {HTMLElement} selectionMenu - The menu element containing formatting buttons.
+ * @param {Object} commands           - Editor commands.
  */
-const updateButtonStates = (selectionMenu) => {
+const updateButtonStates = (selectionMenu, commands) => {
     const buttons = selectionMenu.querySelectorAll('button[data-command]');
     buttons.forEach(button => {
         const command = button.dataset.command;
         const value = button.dataset.value;
 
-        if (command === 'formatBlock') {
-            const blockValue = document.queryCommandValue(
-                'formatBlock'
-            ).toUpperCase();
-
-            if (blockValue === value) {
-                button.classList.add('active');
-            } else {
-                button.classList.remove('active');
-            }
-        } else if (document.queryCommandState(command)) {
+        if (commands.isActive(command, value)) {
             button.classList.add('active');
         } else {
             button.classList.remove('active');
@@ -83,18 +74,18 @@ const updateButtonStates = (selectionMenu) => {
 export const createSelectionMenuMarkup = () => {
     return `
         <div id="selection-menu" class="selection-menu">
-            <button data-command="bold" title="Bold"><b>B</b></button>
-            <button data-command="italic" title="Italic"><i>I</i></button>
-            <button data-command="underline" title="Underline"><u>U</u></button>
+            <button data-command="toggleMark" data-value="bold" title="Bold"><b>B</b></button>
+            <button data-command="toggleMark" data-value="italic" title="Italic"><i>I</i></button>
+            <button data-command="toggleMark" data-value="underline" title="Underline"><u>U</u></button>
             <span class="separator"></span>
-            <button data-command="formatBlock" data-value="H1" title="Heading 1">H1</button>
-            <button data-command="formatBlock" data-value="H2" title="Heading 2">H2</button>
-            <button data-command="formatBlock" data-value="H3" title="Heading 3">H3</button>
+            <button data-command="setBlockType" data-value="H1" title="Heading 1">H1</button>
+            <button data-command="setBlockType" data-value="H2" title="Heading 2">H2</button>
+            <button data-command="setBlockType" data-value="H3" title="Heading 3">H3</button>
             <span class="separator"></span>
-            <button data-command="formatBlock" data-value="BLOCKQUOTE" title="Blockquote">" "</button>
+            <button data-command="setBlockType" data-value="BLOCKQUOTE" title="Blockquote">" "</button>
             <span class="separator"></span>
-            <button data-command="insertUnorderedList" title="Unordered List">• List</button>
-            <button data-command="insertOrderedList" title="Ordered List">1. List</button>
+            <button data-command="wrapList" data-value="unordered" title="Unordered List">• List</button>
+            <button data-command="wrapList" data-value="ordered" title="Ordered List">1. List</button>
         </div>
     `;
 }
@@ -102,17 +93,18 @@ export const createSelectionMenuMarkup = () => {
 /**
  * Initializes the selection menu with event listeners for a given editor element.
  * @param {HTMLElement} editor                  - The editable container element.
+ * @param {Object} commands                     - Editor commands (`createEditorCommands()`); each one is an undo step.
  * @returns {{cleanup: function}}               - Object with a cleanup method to remove all event listeners.
  *
  * @example
- * const menuController = initSelectionMenu(editor);
+ * const menuController = initSelectionMenu(editor, rich.commands);
  * // Later, to remove listeners:
  * menuController.cleanup();
  */
-export const initSelectionMenu = (editor) => {
+export const initSelectionMenu = (editor, commands) => {
     const selectionMenu = document.getElementById('selection-menu');
 
-    if (!editor || !selectionMenu) {
+    if (!editor || !selectionMenu || !commands) {
         return { cleanup: () => { } };
     }
 
@@ -144,7 +136,7 @@ export const initSelectionMenu = (editor) => {
             void selectionMenu.offsetWidth;
 
             selectionMenu.classList.add('show');
-            updateButtonStates(selectionMenu);
+            updateButtonStates(selectionMenu, commands);
         } catch (error) {
             console.error('Error showing selection menu:', error);
             selectionMenu.classList.remove('show');
@@ -165,32 +157,12 @@ export const initSelectionMenu = (editor) => {
         const command = button.dataset.command;
         const value = button.dataset.value || null;
 
-        if (command === 'formatBlock') {
-            try {
-                const currentValue = document.queryCommandValue('formatBlock').toUpperCase();
-                const newValue = (currentValue === value) ? 'P' : value;
-                
-                document.execCommand(
-                    command,
-                    false,
-                    newValue
-                );
-            } catch (error) {
-                console.error('Error executing formatBlock command:', error);
-            }
+        if (command === 'setBlockType') {
+            // Choosing the current block type again turns the block back into a paragraph
+            const newValue = commands.isActive(command, value) ? 'P' : value;
+            commands.execute(command, newValue);
         } else if (command) {
-            try {
-                const selection = window.getSelection();
-                const range = selection.rangeCount > 0 ? selection.getRangeAt(0) : null;
-
-                document.execCommand(command, false, value);
-
-                if (range && selection.rangeCount === 0) {
-                    selection.addRange(range);
-                }
-            } catch (error) {
-                console.error('Error executing command:', error);
-            }
+            commands.execute(command, value);
         }
 
         setTimeout(showSelectionMenu, MENU_HIDE_DELAY);
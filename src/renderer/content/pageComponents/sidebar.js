@@ -0,0 +1,538 @@
+import { Mint } from '../../../framework/mint.js';
+import { MARKDOWN_EXTENSIONS, isMarkdownFile, readMarkdownFile } from '../../scripts/editor/importMarkdown.js';
+
+Mint.include('stylesheet/style-components/sidebar.css');
+
+const SORT_STORAGE_KEY = 'noteSidebarSort';
+const COLLAPSED_STORAGE_KEY = 'noteSidebarCollapsed';
+const FILTER_DEBOUNCE_DELAY = 80;
+const AUTO_EXPAND_MIN_WIDTH = 720;
+
+/**
+ * @typedef {object} SidebarConfig
+ * @property {string} sidebarId                     - The ID of the sidebar element.
+ * @property {string} sidebarToggleId               - The ID of the button that collapses/expands the sidebar.
+ * @property {string} sidebarToggleTitle            - The title attribute of the toggle button.
+ * @property {string} sidebarSearchId               - The ID of the filter input.
+ * @property {string} sidebarSearchPlaceholder      - Placeholder of the filter input.
+ * @property {string} sidebarSortId                 - The ID of the sort field select.
+ * @property {string} sidebarSortDirectionId        - The ID of the sort direction button.
+ * @property {string} sidebarNewNoteId              - The ID of the "new note" button.
+ * @property {string} sidebarNewNoteText            - Text of the "new note" button.
+ * @property {string} sidebarImportId               - The ID of the "open Markdown" button.
+ * @property {string} sidebarImportText             - Text of the "open Markdown" button.
+ * @property {string} sidebarImportTitle            - The title attribute of the "open Markdown" button.
+ * @property {string} sidebarImportInputId          - The ID of the hidden file input.
+ * @property {string} sidebarListId                 - The ID of the note list element.
+ * @property {string} sidebarEmptyText              - Text shown when no note matches the filter.
+ */
+
+/**
+ * Sort comparators for the note list, all ascending.
+ * @type {Record<'title'|'createdAt'|'updatedAt', function(Object, Object): number>}
+ */
+const comparators = {
+    title: (a, b) => a.title.localeCompare(b.title, undefined, { sensitivity: 'base', numeric: true }),
+    createdAt: (a, b) => a.createdAt - b.createdAt,
+    updatedAt: (a, b) => a.updatedAt - b.updatedAt
+};
+
+/**
+ * Formats a modification time: the time for today, the date otherwise.
+ * @param {number} timestamp - Time in ms since epoch.
+ * @returns {string} The formatted time.
+ */
+const formatModifiedTime = (timestamp) => {
+    const date = new Date(timestamp);
+    const isToday = date.toDateString() === new Date().toDateString();
+
+    return isToday
+        ? date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' })
+        : date.toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+};
+
+/**
+ * Reads the persisted sort preference.
+ * @returns {{field: string, direction: 'asc'|'desc'}}
+ */
+const loadSortPreference = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SORT_STORAGE_KEY));
+        if (saved && comparators[saved.field] && ['asc', 'desc'].includes(saved.direction)) {
+            return saved;
+        }
+    } catch (error) {
+        console.warn('[Sidebar] Ignoring invalid sort preference:', error);
+    }
+    return { field: 'updatedAt', direction: 'desc' };
+};
+
+/**
+ * Filters, sorts and pins the notes for display.
+ * @param {Object[]} notes - Note metadata from the note library.
+ * @param {string} query - Filter text.
+ * @param {{field: string, direction: string}} sort - Sort preference.
+ * @returns {Object[]} Notes to display, pinned notes first.
+ */
+const arrangeNotes = (notes, query, sort) => {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const compare = comparators[sort.field];
+    const direction = sort.direction === 'asc' ? 1 : -1;
+
+    return notes
+        .filter(note => {
+            const haystack = `${note.title} ${note.excerpt}`.toLowerCase();
+            return terms.every(term => haystack.includes(term));
+        })
+        .sort((a, b) => (b.pinned - a.pinned) || compare(a, b) * direction);
+};
+
+/**
+ * Generates the HTML markup for the note sidebar and its toggle button.
+ *
+ * @param {SidebarConfig} config                    - Configuration object containing IDs and texts.
+ * @returns {string}                                - The HTML string representing the sidebar.
+ */
+export const createSidebarMarkup = (config) => {
+    return `
+        <button id="${config.sidebarToggleId}" class="sidebar-toggle" title="${config.sidebarToggleTitle}" aria-controls="${config.sidebarId}" aria-expanded="true">
+            <span></span>
+        </button>
+        <aside id="${config.sidebarId}" class="note-sidebar" aria-label="Notes">
+            <div class="note-sidebar-header">
+                <input id="${config.sidebarSearchId}" type="search" placeholder="${config.sidebarSearchPlaceholder}" autocomplete="off" spellcheck="false">
+                <div class="note-sidebar-controls">
+                    <select id="${config.sidebarSortId}" aria-label="Sort notes by">
+                        <option value="updatedAt">Last edited</option>
+                        <option value="createdAt">Date created</option>
+                        <option value="title">Title</option>
+                    </select>
+                    <button id="${config.sidebarSortDirectionId}" class="note-sidebar-direction" title="Reverse order"></button>
+                    <button id="${config.sidebarNewNoteId}" class="note-sidebar-new">${config.sidebarNewNoteText}</button>
+                    <button id="${config.sidebarImportId}" class="note-sidebar-import" title="${config.sidebarImportTitle}">${config.sidebarImportText}</button>
+                    <input type="file" id="${config.sidebarImportInputId}" accept="${MARKDOWN_EXTENSIONS.join(',')},text/markdown" multiple hidden>
+                </div>
+            </div>
+            <ul id="${config.sidebarListId}" class="note-sidebar-list" role="listbox" data-empty-text="${config.sidebarEmptyText}"></ul>
+        </aside>
+    `;
+};
+
+/**
+ * Initializes the note sidebar: list rendering, filtering, sorting, pinning and note actions.
+ * Markdown files opened with the "Open…" button or dropped on the window become new notes.
+ *
+ * @param {SidebarConfig} config                    - Configuration object containing IDs.
+ * @param {Object} noteAPI                          - The API returned by `noteFeatures()`.
+ * @returns {{refresh: function(): Promise<void>, toggle: function(boolean=): void, cleanup: function(): void}}
+ *                                                    Sidebar controller. Returns no-ops if required elements are not found.
+ */
+export const initSidebar = (config, noteAPI) => {
+    const sidebar = document.getElementById(config.sidebarId);
+    const toggleBtn = document.getElementById(config.sidebarToggleId);
+    const searchInput = document.getElementById(config.sidebarSearchId);
+    const sortSelect = document.getElementById(config.sidebarSortId);
+    const directionBtn = document.getElementById(config.sidebarSortDirectionId);
+    const newNoteBtn = document.getElementById(config.sidebarNewNoteId);
+    const importBtn = document.getElementById(config.sidebarImportId);
+    const importInput = document.getElementById(config.sidebarImportInputId);
+    const list = document.getElementById(config.sidebarListId);
+
+    if (!sidebar || !toggleBtn || !list || !noteAPI) {
+        return {
+            refresh: async () => { },
+            toggle: () => { },
+            cleanup: () => { }
+        };
+    }
+
+    const state = {
+        notes: [],
+        query: '',
+        sort: loadSortPreference(),
+        renamingId: null
+    };
+
+    let filterTimer = null;
+
+    /**
+     * Builds the list item for a note.
+     * @param {Object} note - Note metadata.
+     * @param {string|null} activeId - ID of the note open in the editor.
+     * @returns {HTMLLIElement}
+     * @private
+     */
+    const createNoteItem = (note, activeId) => {
+        const item = document.createElement('li');
+        item.className = 'note-sidebar-item';
+        item.dataset.noteId = note.id;
+        item.setAttribute('role', 'option');
+        item.setAttribute('aria-selected', String(note.id === activeId));
+        item.classList.toggle('active', note.id === activeId);
+        item.classList.toggle('pinned', note.pinned);
+
+        const header = document.createElement('div');
+        header.className = 'note-sidebar-item-header';
+
+        if (state.renamingId === note.id) {
+            const input = document.createElement('input');
+            input.className = 'note-sidebar-rename';
+            input.value = note.title;
+            input.dataset.action = 'rename-input';
+            header.appendChild(input);
+            requestAnimationFrame(() => {
+                input.focus();
+                input.select();
+            });
+        } else {
+            const title = document.createElement('span');
+            title.className = 'note-sidebar-title';
+            title.textContent = note.title;
+            header.appendChild(title);
+        }
+
+        const pinBtn = document.createElement('button');
+        pinBtn.className = 'note-sidebar-pin';
+        pinBtn.dataset.action = 'pin';
+        pinBtn.title = note.pinned ? 'Unpin' : 'Pin to top';
+        pinBtn.setAttribute('aria-pressed', String(note.pinned));
+        header.appendChild(pinBtn);
+
+        const excerpt = document.createElement('p');
+        excerpt.className = 'note-sidebar-excerpt';
+        excerpt.textContent = note.excerpt;
+
+        const footer = document.createElement('div');
+        footer.className = 'note-sidebar-item-footer';
+
+        const time = document.createElement('time');
+        time.dateTime = new Date(note.updatedAt).toISOString();
+        time.textContent = formatModifiedTime(note.updatedAt);
+        footer.appendChild(time);
+
+        const actions = document.createElement('span');
+        actions.className = 'note-sidebar-actions';
+        [
+            ['rename', 'Rename'],
+            ['duplicate', 'Duplicate'],
+            ['delete', 'Delete']
+        ].forEach(([action, label]) => {
+            const btn = document.createElement('button');
+            btn.dataset.action = action;
+            btn.textContent = label;
+            actions.appendChild(btn);
+        });
+        footer.appendChild(actions);
+
+        item.append(header, excerpt, footer);
+        return item;
+    };
+
+    /**
+     * Finds the item whose rename input is open.
+     * @returns {HTMLLIElement|null}
+     * @private
+     */
+    const findRenamingItem = () => {
+        if (!state.renamingId) return null;
+
+        const item = Array.from(list.children).find(child => child.dataset.noteId === state.renamingId);
+        return item?.querySelector('[data-action="rename-input"]') ? item : null;
+    };
+
+    /**
+     * Renders the list from the cached notes and the current filter/sort.
+     * An open rename row stays in the list (autosaves refresh it while typing), so
+     * its text and focus are kept.
+     * @private
+     */
+    const render = () => {
+        const activeId = noteAPI.getCurrentNoteId();
+        const notes = arrangeNotes(state.notes, state.query, state.sort);
+        const renamingItem = findRenamingItem();
+
+        const items = notes.map(note => {
+            if (note.id !== renamingItem?.dataset.noteId) return createNoteItem(note, activeId);
+
+            renamingItem.setAttribute('aria-selected', String(note.id === activeId));
+            renamingItem.classList.toggle('active', note.id === activeId);
+            renamingItem.classList.toggle('pinned', note.pinned);
+
+            const pinBtn = renamingItem.querySelector('[data-action="pin"]');
+            pinBtn.title = note.pinned ? 'Unpin' : 'Pin to top';
+            pinBtn.setAttribute('aria-pressed', String(note.pinned));
+            return renamingItem;
+        });
+
+        const index = items.indexOf(renamingItem);
+        if (index === -1) {
+            list.replaceChildren(...items);
+        } else {
+            // Detaching the row would blur the input, which commits the rename
+            Array.from(list.children).forEach(child => {
+                if (child !== renamingItem) child.remove();
+            });
+            renamingItem.before(...items.slice(0, index));
+            renamingItem.after(...items.slice(index + 1));
+        }
+        list.classList.toggle('empty', notes.length === 0);
+
+        sortSelect.value = state.sort.field;
+        directionBtn.dataset.direction = state.sort.direction;
+        directionBtn.textContent = state.sort.direction === 'asc' ? '↑' : '↓';
+    };
+
+    /**
+     * Reloads the note index from the main process and re-renders.
+     * @returns {Promise<void>}
+     */
+    const refresh = async () => {
+        try {
+            state.notes = await noteAPI.listNotes();
+            render();
+        } catch (error) {
+            console.error('[Sidebar] Failed to load notes:', error);
+        }
+    };
+
+    /**
+     * Collapses or expands the sidebar.
+     * @param {boolean} [force] - Expanded state to apply; toggles when omitted.
+     */
+    const toggle = (force) => {
+        const collapsed = force === undefined
+            ? !document.body.classList.contains('sidebar-collapsed')
+            : !force;
+
+        document.body.classList.toggle('sidebar-collapsed', collapsed);
+        toggleBtn.setAttribute('aria-expanded', String(!collapsed));
+        localStorage.setItem(COLLAPSED_STORAGE_KEY, String(collapsed));
+    };
+
+    const saveSort = () => {
+        localStorage.setItem(SORT_STORAGE_KEY, JSON.stringify(state.sort));
+        render();
+    };
+
+    const commitRename = async (input) => {
+        const id = state.renamingId;
+        state.renamingId = null;
+
+        if (!id) return;
+
+        try {
+            await noteAPI.renameNote(id, input.value);
+        } catch (error) {
+            console.error('[Sidebar] Rename failed:', error);
+            render();
+        }
+    };
+
+    /**
+     * Runs the action of a clicked item button.
+     * @param {string} action - The `data-action` of the button.
+     * @param {string} noteId - The note of the item.
+     * @private
+     */
+    const runItemAction = async (action, noteId) => {
+        const note = state.notes.find(n => n.id === noteId);
+        if (!note) return;
+
+        switch (action) {
+            case 'pin':
+                await noteAPI.pinNote(noteId, !note.pinned);
+                break;
+
+            case 'rename':
+                state.renamingId = noteId;
+                render();
+                break;
+
+            case 'duplicate':
+                await noteAPI.duplicateNote(noteId);
+                break;
+
+            case 'delete':
+                if (window.confirm(`Delete "${note.title}"? This cannot be undone.`)) {
+                    await noteAPI.deleteNote(noteId);
+                }
+                break;
+
+            default:
+                break;
+        }
+    };
+
+    const handleListClick = async (e) => {
+        const item = e.target.closest('.note-sidebar-item');
+        if (!item) return;
+
+        const action = e.target.closest('[data-action]')?.dataset.action;
+
+        try {
+            if (action === 'rename-input') return;
+
+            if (action) {
+                await runItemAction(action, item.dataset.noteId);
+            } else {
+                await noteAPI.openNote(item.dataset.noteId);
+            }
+        } catch (error) {
+            console.error('[Sidebar] Note action failed:', error);
+        }
+    };
+
+    const handleListKeydown = (e) => {
+        if (e.target.dataset.action !== 'rename-input') return;
+
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            commitRename(e.target);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            state.renamingId = null;
+            render();
+        }
+    };
+
+    const handleListFocusOut = (e) => {
+        if (e.target.dataset.action === 'rename-input' && state.renamingId) {
+            commitRename(e.target);
+        }
+    };
+
+    const handleSearch = () => {
+        clearTimeout(filterTimer);
+        filterTimer = setTimeout(() => {
+            state.query = searchInput.value;
+            render();
+        }, FILTER_DEBOUNCE_DELAY);
+    };
+
+    const handleSortChange = () => {
+        state.sort.field = sortSelect.value;
+        state.sort.direction = sortSelect.value === 'title' ? 'asc' : 'desc';
+        saveSort();
+    };
+
+    const handleDirectionClick = () => {
+        state.sort.direction = state.sort.direction === 'asc' ? 'desc' : 'asc';
+        saveSort();
+    };
+
+    const handleNewNote = async () => {
+        try {
+            await noteAPI.createNote();
+            searchInput.value = '';
+            state.query = '';
+        } catch (error) {
+            console.error('[Sidebar] Failed to create note:', error);
+        }
+    };
+
+    /**
+     * Imports Markdown files as new notes; the last one ends up open in the editor.
+     * @param {File[]} files
+     * @private
+     */
+    const importFiles = async (files) => {
+        const failed = [];
+
+        for (const file of files) {
+            try {
+                await noteAPI.importNote(await readMarkdownFile(file));
+            } catch (error) {
+                console.error(`[Sidebar] Failed to import ${file.name}:`, error);
+                failed.push(file.name);
+            }
+        }
+
+        if (failed.length) {
+            window.alert(`These files could not be opened:\n${failed.join('\n')}`);
+        }
+    };
+
+    const handleImportClick = () => {
+        importInput.value = '';
+        importInput.click();
+    };
+
+    const handleImportChosen = () => importFiles(Array.from(importInput.files ?? []));
+
+    // Dropped files would otherwise replace the page
+    const handleDragOver = (e) => {
+        if (!e.dataTransfer?.types.includes('Files')) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+    };
+
+    // Other files are left to whatever they were dropped on (e.g. images in the editor),
+    // except on the sidebar, which only takes notes
+    const handleDrop = (e) => {
+        const files = Array.from(e.dataTransfer?.files ?? []);
+        if (files.length === 0) return;
+
+        const markdownFiles = files.filter(isMarkdownFile);
+
+        if (markdownFiles.length) {
+            e.preventDefault();
+            importFiles(markdownFiles);
+        } else if (sidebar.contains(e.target)) {
+            e.preventDefault();
+            window.alert('Only Markdown files (.md) can be opened.');
+        }
+    };
+
+    const handleToggle = () => toggle();
+    const handleLibraryChange = () => refresh();
+    const handleNoteLoaded = () => render();
+
+    toggleBtn.addEventListener('click', handleToggle);
+    list.addEventListener('click', handleListClick);
+    list.addEventListener('keydown', handleListKeydown);
+    list.addEventListener('focusout', handleListFocusOut);
+    searchInput.addEventListener('input', handleSearch);
+    sortSelect.addEventListener('change', handleSortChange);
+    directionBtn.addEventListener('click', handleDirectionClick);
+    newNoteBtn.addEventListener('click', handleNewNote);
+    importBtn?.addEventListener('click', handleImportClick);
+    importInput?.addEventListener('change', handleImportChosen);
+    document.addEventListener('dragover', handleDragOver);
+    document.addEventListener('drop', handleDrop);
+    document.addEventListener('note-library-changed', handleLibraryChange);
+    document.addEventListener('note-loaded', handleNoteLoaded);
+
+    // Without a saved preference, only start expanded when there is room for it
+    const savedCollapsed = localStorage.getItem(COLLAPSED_STORAGE_KEY);
+    toggle(savedCollapsed === null
+        ? window.innerWidth >= AUTO_EXPAND_MIN_WIDTH
+        : savedCollapsed !== 'true');
+    refresh();
+
+    return {
+        refresh,
+        toggle,
+
+        /**
+         * Removes all event listeners attached by this module to prevent memory leaks.
+         * @returns {void}
+         */
+        cleanup() {
+            clearTimeout(filterTimer);
+            toggleBtn.removeEventListener('click', handleToggle);
+            list.removeEventListener('click', handleListClick);
+            list.removeEventListener('keydown', handleListKeydown);
+            list.removeEventListener('focusout', handleListFocusOut);
+            searchInput.removeEventListener('input', handleSearch);
+            sortSelect.removeEventListener('change', handleSortChange);
+            directionBtn.removeEventListener('click', handleDirectionClick);
+            newNoteBtn.removeEventListener('click', handleNewNote);
+            importBtn?.removeEventListener('click', handleImportClick);
+            importInput?.removeEventListener('change', handleImportChosen);
+            document.removeEventListener('dragover', handleDragOver);
+            document.removeEventListener('drop', handleDrop);
+            document.removeEventListener('note-library-changed', handleLibraryChange);
+            document.removeEventListener('note-loaded', handleNoteLoaded);
+        }
+    };
+};
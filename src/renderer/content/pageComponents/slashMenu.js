@@ -0,0 +1,333 @@
+import { Mint } from '../../../framework/mint.js';
+import { filterBlockCommands } from '../../scripts/editor/markdown/blockCommands.js';
+import { applyBlockCommand } from '../../scripts/editor/markdown/commands.js';
+import { getBlockElement, getTextBeforeCursor } from '../../scripts/editor/nodeElement.js';
+
+Mint.include('stylesheet/style-components/slash-menu.css');
+
+const MENU_OFFSET = 6;
+
+/** A line that holds only a slash command being typed, e.g. `/hea`. */
+const SLASH_QUERY_PATTERN = /^\/([\w-]*)$/;
+
+/**
+ * Escapes text for use in HTML.
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeHTML = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Returns HTML markup string for the slash command palette.
+ *
+ * @returns {string} - HTML markup for the palette.
+ */
+export const createSlashMenuMarkup = () => {
+    return `
+        <div id="slash-menu" class="slash-menu" hidden>
+            <div class="slash-menu-list" role="listbox" aria-label="Blocks"></div>
+            <div class="slash-menu-preview" aria-hidden="true"></div>
+        </div>
+    `;
+};
+
+/**
+ * Returns the child of the editor that holds a node.
+ * @param {Node} node
+ * @param {HTMLElement} editor
+ * @returns {Node}
+ */
+const getTopLevelNode = (node, editor) => {
+    let current = node;
+    while (current.parentNode && current.parentNode !== editor) {
+        current = current.parentNode;
+    }
+    return current;
+};
+
+/**
+ * Moves a line of inline content written directly in the editor into a paragraph,
+ * so it can be replaced like any other block.
+ * @param {Node} lineNode - Child of the editor on the line.
+ * @returns {HTMLParagraphElement}
+ */
+const wrapInlineLine = (lineNode) => {
+    const isLineEnd = (node) => !node
+        || (node.nodeType === Node.ELEMENT_NODE && (node.tagName === 'BR' || getComputedStyle(node).display !== 'inline'));
+
+    let start = lineNode;
+    while (!isLineEnd(start.previousSibling)) start = start.previousSibling;
+
+    const paragraph = document.createElement('p');
+    start.before(paragraph);
+
+    while (!isLineEnd(paragraph.nextSibling)) {
+        paragraph.appendChild(paragraph.nextSibling);
+    }
+    return paragraph;
+};
+
+/**
+ * Finds the line the caret is in, with the slash command typed at its start.
+ * @param {HTMLElement} editor
+ * @returns {{block: HTMLElement, query: string, isFirstLine: boolean, lineNode: Node|null}|null}
+ *      Null when the caret is not right after a slash command at the start of a line.
+ *      `lineNode` is set when the line is inline content next to other blocks of the editor.
+ */
+const readSlashQuery = (editor) => {
+    const selection = window.getSelection();
+    if (!selection || selection.rangeCount === 0 || !selection.isCollapsed) return null;
+
+    const range = selection.getRangeAt(0);
+    const node = range.startContainer;
+    if (!editor.contains(node)) return null;
+
+    const block = getBlockElement(node, editor);
+    if (!block || block.closest('pre')) return null;
+
+    const isFirstLine = block === editor;
+    const lineNode = isFirstLine && node !== editor && editor.children.length > 0
+        && !(editor.children.length === 1 && editor.firstElementChild.tagName === 'BR')
+        ? getTopLevelNode(node, editor)
+        : null;
+
+    const beforeCursor = getTextBeforeCursor(node, range.startOffset, block);
+    const match = beforeCursor.match(SLASH_QUERY_PATTERN);
+    const lineText = (lineNode ?? block).textContent;
+
+    // Only the slash command may be on the line so far
+    if (!match || !lineText.trimStart().startsWith(beforeCursor)) return null;
+    return { block, query: match[1], isFirstLine, lineNode };
+};
+
+/**
+ * Initializes the slash command palette: typing `/` at the start of a line opens a list
+ * of the block commands (`blockCommands.js`) at the caret, filtered by what is typed after it.
+ * @param {HTMLElement} editor                  - The editable container element.
+ * @param {Object} [history]                    - Editor history; picking a block is one undo step.
+ * @returns {{cleanup: function}}               - Object with a cleanup method to remove all event listeners.
+ *
+ * @example
+ * const slashMenu = initSlashMenu(editor, rich.history);
+ * // Later, to remove listeners:
+ * slashMenu.cleanup();
+ */
+export const initSlashMenu = (editor, history) => {
+    const menu = document.getElementById('slash-menu');
+    const list = menu?.querySelector('.slash-menu-list');
+    const preview = menu?.querySelector('.slash-menu-preview');
+
+    if (!editor || !menu || !list || !preview) {
+        return { cleanup: () => { } };
+    }
+
+    let matches = [];
+    let activeIndex = 0;
+    let current = null;
+    let dismissed = null;
+
+    const isOpen = () => !menu.hidden;
+
+    const close = () => {
+        menu.hidden = true;
+        current = null;
+        matches = [];
+    };
+
+    /**
+     * Places the palette under the caret, or above it when there is no room below.
+     */
+    const position = () => {
+        const selection = window.getSelection();
+        if (!selection.rangeCount) return;
+
+        const range = selection.getRangeAt(0);
+        let rect = range.getBoundingClientRect();
+
+        // A collapsed range in an empty line has no size; use its block instead
+        if (rect.width === 0 && rect.height === 0) {
+            rect = current.block.getBoundingClientRect();
+        }
+
+        const menuWidth = menu.offsetWidth;
+        const menuHeight = menu.offsetHeight;
+        let left = Math.min(rect.left, window.innerWidth - menuWidth - MENU_OFFSET);
+        let top = rect.bottom + MENU_OFFSET;
+
+        if (top + menuHeight > window.innerHeight) {
+            top = Math.max(MENU_OFFSET, rect.top - menuHeight - MENU_OFFSET);
+        }
+        left = Math.max(MENU_OFFSET, left);
+
+        menu.style.left = `${left}px`;
+        menu.style.top = `${top}px`;
+    };
+
+    /**
+     * Marks the active item and shows its preview.
+     */
+    const renderActive = () => {
+        list.querySelectorAll('.slash-menu-item').forEach((item, index) => {
+            const active = index === activeIndex;
+            item.classList.toggle('active', active);
+            item.setAttribute('aria-selected', String(active));
+            if (active) item.scrollIntoView({ block: 'nearest' });
+        });
+
+        preview.innerHTML = matches[activeIndex]?.preview ?? '';
+        preview.hidden = !preview.innerHTML;
+    };
+
+    const render = () => {
+        if (matches.length === 0) {
+            list.innerHTML = '<div class="slash-menu-empty">No matching blocks</div>';
+        } else {
+            list.innerHTML = matches.map((command, index) => `
+                <button type="button" class="slash-menu-item" role="option" data-index="${index}" tabindex="-1">
+                    <span class="slash-menu-icon">${escapeHTML(command.icon)}</span>
+                    <span class="slash-menu-text">
+                        <span class="slash-menu-label">${escapeHTML(command.label)}</span>
+                        <span class="slash-menu-description">${escapeHTML(command.description)}</span>
+                    </span>
+                </button>
+            `).join('');
+        }
+        renderActive();
+    };
+
+    /**
+     * Opens, filters or closes the palette for the current caret position.
+     */
+    const update = () => {
+        const slash = readSlashQuery(editor);
+        if (!slash) {
+            dismissed = null;
+            close();
+            return;
+        }
+
+        // Escape keeps the palette closed until the query changes
+        if (dismissed && dismissed.block === slash.block && dismissed.query === slash.query) return;
+        dismissed = null;
+
+        const queryChanged = slash.query !== current?.query;
+        current = slash;
+
+        if (queryChanged || !isOpen()) {
+            matches = filterBlockCommands(slash.query);
+            activeIndex = 0;
+            render();
+        }
+
+        menu.hidden = false;
+        position();
+    };
+
+    /**
+     * Turns the line into the block of a command.
+     * @param {number} index
+     */
+    const choose = (index) => {
+        const command = matches[index];
+        if (!command || !current) return;
+
+        const { block, isFirstLine, lineNode } = current;
+        close();
+
+        const apply = () => {
+            if (lineNode) {
+                applyBlockCommand(command, wrapInlineLine(lineNode), window.getSelection());
+            } else {
+                applyBlockCommand(command, block, window.getSelection(), isFirstLine);
+            }
+        };
+        if (history) {
+            history.transact(apply);
+        } else {
+            apply();
+        }
+    };
+
+    /**
+     * Keyboard navigation while the palette is open. Runs before the other key
+     * handlers of the editor (markdown, shortcuts), so Enter picks a block.
+     * @param {KeyboardEvent} e
+     */
+    const handleKeydown = (e) => {
+        if (!isOpen() || e.isComposing) return;
+
+        const handled = () => {
+            e.preventDefault();
+            e.stopImmediatePropagation();
+        };
+
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'ArrowUp':
+                if (matches.length === 0) return;
+                handled();
+                activeIndex = (activeIndex + (e.key === 'ArrowDown' ? 1 : -1) + matches.length) % matches.length;
+                renderActive();
+                break;
+            case 'Enter':
+            case 'Tab':
+                if (matches.length === 0) return;
+                handled();
+                choose(activeIndex);
+                break;
+            case 'Escape':
+                handled();
+                dismissed = current;
+                close();
+                break;
+            default:
+                break;
+        }
+    };
+
+    /**
+     * Picks a block with the mouse without taking the focus from the editor.
+     * @param {MouseEvent} e
+     */
+    const handleMouseDown = (e) => {
+        e.preventDefault();
+
+        const item = e.target.closest('.slash-menu-item');
+        if (item) choose(Number(item.dataset.index));
+    };
+
+    const handleMouseMove = (e) => {
+        const item = e.target.closest('.slash-menu-item');
+        const index = item ? Number(item.dataset.index) : -1;
+        if (index !== -1 && index !== activeIndex) {
+            activeIndex = index;
+            renderActive();
+        }
+    };
+
+    const handleBlur = () => close();
+
+    // Attach event listeners
+    editor.addEventListener('keydown', handleKeydown, true);
+    editor.addEventListener('input', update);
+    editor.addEventListener('blur', handleBlur);
+    document.addEventListener('selectionchange', update);
+    menu.addEventListener('mousedown', handleMouseDown);
+    menu.addEventListener('mousemove', handleMouseMove);
+
+    return {
+        cleanup() {
+            editor.removeEventListener('keydown', handleKeydown, true);
+            editor.removeEventListener('input', update);
+            editor.removeEventListener('blur', handleBlur);
+            document.removeEventListener('selectionchange', update);
+            menu.removeEventListener('mousedown', handleMouseDown);
+            menu.removeEventListener('mousemove', handleMouseMove);
+            close();
+        }
+    };
+};
@@ -0,0 +1,161 @@
+import { Mint } from '../../../framework/mint.js';
+import { getSelectedTableCell } from '../../scripts/editor/tableCommands.js';
+
+Mint.include('stylesheet/style-components/table-toolbar.css');
+
+const TOOLBAR_OFFSET = 6;
+const VIEWPORT_PADDING = 8;
+
+/**
+ * Returns HTML markup string for the table toolbar, shown above a table while the
+ * caret is in one of its cells.
+ *
+ * @returns {string} - HTML markup for the table toolbar.
+ */
+export const createTableToolbarMarkup = () => {
+    return `
+        <div id="table-toolbar" class="table-toolbar" role="toolbar" aria-label="Table" hidden>
+            <button data-command="insertRow" data-value="above" title="Insert row above">+ Row ↑</button>
+            <button data-command="insertRow" data-value="below" title="Insert row below">+ Row ↓</button>
+            <button data-command="insertColumn" data-value="left" title="Insert column left">+ Col ←</button>
+            <button data-command="insertColumn" data-value="right" title="Insert column right">+ Col →</button>
+            <span class="separator"></span>
+            <button data-command="deleteRow" title="Delete row">− Row</button>
+            <button data-command="deleteColumn" title="Delete column">− Col</button>
+            <span class="separator"></span>
+            <button data-command="setColumnAlign" data-value="left" title="Align column left">Left</button>
+            <button data-command="setColumnAlign" data-value="center" title="Align column center">Center</button>
+            <button data-command="setColumnAlign" data-value="right" title="Align column right">Right</button>
+            <span class="separator"></span>
+            <button data-command="toggleHeaderRow" title="Header row">Header</button>
+            <button data-command="mergeCells" title="Merge cells">Merge</button>
+            <button data-command="splitCell" title="Split cell">Split</button>
+            <span class="separator"></span>
+            <button data-command="sortTable" data-value="asc" title="Sort by this column, ascending">Sort ↑</button>
+            <button data-command="sortTable" data-value="desc" title="Sort by this column, descending">Sort ↓</button>
+            <button data-command="copyTable" data-value="csv" title="Copy table as CSV">Copy CSV</button>
+            <button data-command="copyTable" data-value="tsv" title="Copy table as TSV, for spreadsheets">Copy TSV</button>
+            <button data-command="exportTable" title="Export table as a .csv file">Export CSV</button>
+            <span class="separator"></span>
+            <button data-command="deleteTable" title="Delete table">Delete table</button>
+        </div>
+    `;
+}
+
+/**
+ * Initializes the table toolbar for a given editor element.
+ * @param {HTMLElement} editor                  - The editable container element.
+ * @param {Object} commands                     - Editor commands with the table commands registered.
+ * @returns {{cleanup: function}}               - Object with a cleanup method to remove all event listeners.
+ *
+ * @example
+ * const tableToolbar = initTableToolbar(editor, rich.commands);
+ * // Later, to remove listeners:
+ * tableToolbar.cleanup();
+ */
+export const initTableToolbar = (editor, commands) => {
+    const toolbar = document.getElementById('table-toolbar');
+
+    if (!editor || !toolbar || !commands) {
+        return { cleanup: () => { } };
+    }
+
+    const hide = () => {
+        toolbar.hidden = true;
+    };
+
+    /**
+     * Places the toolbar above the table, or below it when there is no room above.
+     * @param {HTMLTableElement} table
+     */
+    const position = (table) => {
+        const rect = table.getBoundingClientRect();
+        const width = toolbar.offsetWidth;
+        const height = toolbar.offsetHeight;
+
+        let top = rect.top - height - TOOLBAR_OFFSET;
+        if (top < VIEWPORT_PADDING) {
+            top = Math.min(rect.bottom + TOOLBAR_OFFSET, window.innerHeight - height - VIEWPORT_PADDING);
+        }
+
+        const left = Math.max(
+            VIEWPORT_PADDING,
+            Math.min(rect.left, window.innerWidth - width - VIEWPORT_PADDING)
+        );
+
+        toolbar.style.left = `${left}px`;
+        toolbar.style.top = `${Math.max(VIEWPORT_PADDING, top)}px`;
+    };
+
+    const updateButtonStates = () => {
+        toolbar.querySelectorAll('button[data-command]').forEach(button => {
+            button.classList.toggle('active', commands.isActive(button.dataset.command, button.dataset.value));
+        });
+    };
+
+    /**
+     * Shows the toolbar while the caret is in a table cell.
+     */
+    const update = () => {
+        const cell = getSelectedTableCell(editor);
+        const table = cell?.closest('table');
+
+        if (!table) {
+            hide();
+            return;
+        }
+
+        toolbar.hidden = false;
+        position(table);
+        updateButtonStates();
+    };
+
+    /**
+     * Runs the command of the pressed button, keeping the focus in the editor.
+     * @param {MouseEvent} e
+     */
+    const handleMouseDown = (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+
+        const button = e.target.closest('button[data-command]');
+        if (!button) return;
+
+        const { command, value } = button.dataset;
+        if (command === 'setColumnAlign' && commands.isActive(command, value)) {
+            // Choosing the current alignment again clears it
+            commands.execute(command, null);
+        } else {
+            commands.execute(command, value);
+        }
+
+        update();
+    };
+
+    const handleEditorBlur = () => {
+        setTimeout(() => {
+            if (!toolbar.matches(':hover')) hide();
+        }, 100);
+    };
+
+    const handleScroll = () => {
+        if (!toolbar.hidden) update();
+    };
+
+    document.addEventListener('selectionchange', update);
+    editor.addEventListener('blur', handleEditorBlur);
+    window.addEventListener('scroll', handleScroll, true);
+    window.addEventListener('resize', handleScroll);
+    toolbar.addEventListener('mousedown', handleMouseDown);
+
+    return {
+        cleanup() {
+            document.removeEventListener('selectionchange', update);
+            editor.removeEventListener('blur', handleEditorBlur);
+            window.removeEventListener('scroll', handleScroll, true);
+            window.removeEventListener('resize', handleScroll);
+            toolbar.removeEventListener('mousedown', handleMouseDown);
+            hide();
+        }
+    };
+}
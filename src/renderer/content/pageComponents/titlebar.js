@@ -1,12 +1,18 @@
 /**
  * Creates the HTML markup for a custom title bar.
  * This should only be used in an Electron environment.
+ * @param {Object} [config={}] - Page configuration.
+ * @param {string} [config.settingsButtonId] - ID for the button that opens the settings page.
+ * @param {string} [config.settingsButtonTitle] - Tooltip/title for the settings button.
  * @returns {string} The HTML markup for the title bar.
  */
-export const createTitlebarMarkup = () => {
+export const createTitlebarMarkup = (config = {}) => {
     return `
         <div id="title-bar" class="application-titlebar">
             <span>Fascinate Notes</span>
+            ${config.settingsButtonId ? `
+                <button id="${config.settingsButtonId}" class="titlebar-settings" title="${config.settingsButtonTitle}" aria-label="${config.settingsButtonTitle}">⚙</button>
+            ` : ''}
         </div>
     `;
 };
@@ -17,6 +23,9 @@ export const createTitlebarMarkup = () => {
  */
 export const initTitlebar = () => {};
 
-export const createTitlebar = async () => {
-    return { markups: createTitlebarMarkup() };
+/**
+ * @param {Object} [config={}] - Page configuration, see `createTitlebarMarkup`.
+ */
+export const createTitlebar = async (config = {}) => {
+    return { markups: createTitlebarMarkup(config) };
 };
\ No newline at end of file
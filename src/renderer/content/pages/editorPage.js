@@ -1,9 +1,40 @@
 import { initRichEditor } from '../rich.js';
 import { keyMap } from '../../scripts/editor/keymap.js';
+import { connectNoteHistory } from '../../scripts/editor/historyStorage.js';
 import { initStatusIndicator } from '../pageComponents/statusIndicator.js';
 import { initZoomControls } from '../pageComponents/zoomControls.js';
 import { initExportMenu } from '../pageComponents/exportMenu.js';
+import { initHtmlExportDialog } from '../pageComponents/htmlExportDialog.js';
+import { initLibraryExportDialog } from '../pageComponents/libraryExportDialog.js';
 import { initSelectionMenu } from '../pageComponents/selectionMenu.js';
+import { initSlashMenu } from '../pageComponents/slashMenu.js';
+import { initTableToolbar } from '../pageComponents/tableToolbar.js';
+import { initSidebar } from '../pageComponents/sidebar.js';
+import { initHistoryPanel } from '../pageComponents/historyPanel.js';
+import { initDiffView } from '../pageComponents/diffView.js';
+import { getSetting, onSettingChange } from '../../scripts/settings/settingsClient.js';
+
+/**
+ * Font stacks for the `editor.fontFamily` setting.
+ * @type {Record<string, string>}
+ */
+const EDITOR_FONTS = {
+    text: 'var(--font-text)',
+    display: 'var(--font-display)',
+    serif: 'Georgia, "Times New Roman", "Leelawadee UI", serif',
+    mono: '"SF Mono", Consolas, "Liberation Mono", monospace'
+};
+
+/**
+ * Applies the editor font through the `--editor-font` CSS variable.
+ * @param {string} fontFamily - Key of `EDITOR_FONTS`.
+ */
+const applyEditorFont = (fontFamily) => {
+    document.documentElement.style.setProperty(
+        '--editor-font',
+        EDITOR_FONTS[fontFamily] ?? EDITOR_FONTS.text
+    );
+};
 
 export const initEditorPage = async (config, noteAPI, modelFind, contextMenu) => {
     const editorElement = document.getElementById(config.textareaId);
@@ -22,19 +53,48 @@ export const initEditorPage = async (config, noteAPI, modelFind, contextMenu) =>
     // Store cleanup functions
     const cleanupFunctions = [];
 
+    applyEditorFont(getSetting('editor.fontFamily'));
+    cleanupFunctions.push(onSettingChange('editor.fontFamily', applyEditorFont));
+
+    rich.setMarkdownAutoformat(getSetting('editor.markdownAutoformat', false));
+    cleanupFunctions.push(onSettingChange('editor.markdownAutoformat', rich.setMarkdownAutoformat));
+
+    // Every note keeps its own undo history, also after it was closed
+    cleanupFunctions.push(connectNoteHistory(rich.history, editorElement, noteAPI));
+
     // Setup event listeners
     requestAnimationFrame(() => {
         // Initialize components
         const statusIndicator = initStatusIndicator(config);
         const zoomControls = initZoomControls(config, noteAPI);
-        const exportMenu = initExportMenu(config, rich);
-        const selectionMenu = initSelectionMenu(editorElement);
+        const htmlExportDialog = initHtmlExportDialog(config);
+        const libraryExportDialog = initLibraryExportDialog(config, noteAPI);
+        const exportMenu = initExportMenu(config, rich, noteAPI, {
+            chooseHtmlOptions: htmlExportDialog.open,
+            onExportAll: libraryExportDialog.open
+        });
+        const selectionMenu = initSelectionMenu(editorElement, rich.commands);
+        const slashMenu = initSlashMenu(editorElement, rich.history);
+        const tableToolbar = initTableToolbar(editorElement, rich.commands);
+        const sidebar = initSidebar(config, noteAPI);
+        const diffView = initDiffView(config, noteAPI);
+        const historyPanel = initHistoryPanel(config, noteAPI, {
+            onCompare: diffView.compareWithCurrent,
+            onCompareFiles: diffView.compareFiles
+        });
 
         // Store cleanup functions
         cleanupFunctions.push(
             zoomControls.cleanup,
             exportMenu.cleanup,
-            selectionMenu.cleanup
+            htmlExportDialog.cleanup,
+            libraryExportDialog.cleanup,
+            selectionMenu.cleanup,
+            slashMenu.cleanup,
+            tableToolbar.cleanup,
+            sidebar.cleanup,
+            diffView.cleanup,
+            historyPanel.cleanup
         );
 
         // Initialize Keyboard Shortcuts
@@ -66,7 +126,17 @@ export const initEditorPage = async (config, noteAPI, modelFind, contextMenu) =>
                 } else {
                     console.warn('modelFind.show(true) is not available.');
                 }
-            }
+            },
+            /**
+             * Called on Ctrl/Cmd + Z
+             */
+            onUndo: () => rich.history.undo(),
+            /**
+             * Called on Ctrl/Cmd + Shift + Z and Ctrl/Cmd + Y
+             */
+            onRedo: () => rich.history.redo(),
+            history: rich.history,
+            commands: rich.commands
         };
 
         const cleanupKeyMap = keyMap(editorElement, editorCallbacks);
@@ -75,7 +145,7 @@ export const initEditorPage = async (config, noteAPI, modelFind, contextMenu) =>
 
     // Initialize other components
     modelFind.init({ pageConfig: config, noteAPI });
-    contextMenu.init({ pageConfig: config, noteAPI });
+    contextMenu.init({ pageConfig: config, noteAPI, history: rich.history, commands: rich.commands });
 
     // Return cleanup function
     return {
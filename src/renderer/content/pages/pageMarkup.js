@@ -2,16 +2,35 @@ import { createStatusIndicatorMarkup } from '../pageComponents/statusIndicator.j
 import { createZoomControlsMarkup } from '../pageComponents/zoomControls.js';
 import { createExportMenuMarkup } from '../pageComponents/exportMenu.js';
 import { createSelectionMenuMarkup } from '../pageComponents/selectionMenu.js';
+import { createSlashMenuMarkup } from '../pageComponents/slashMenu.js';
+import { createTableToolbarMarkup } from '../pageComponents/tableToolbar.js';
 import { createTitlebarMarkup } from '../pageComponents/titlebar.js';
+import { createSidebarMarkup } from '../pageComponents/sidebar.js';
+import { createHistoryButtonMarkup, createHistoryPanelMarkup } from '../pageComponents/historyPanel.js';
+import { createDiffViewMarkup } from '../pageComponents/diffView.js';
+import { createHtmlExportDialogMarkup } from '../pageComponents/htmlExportDialog.js';
+import { createLibraryExportDialogMarkup } from '../pageComponents/libraryExportDialog.js';
+import { createBackupDialogMarkup } from '../pageComponents/backupDialog.js';
+import { createSettingsPageMarkup } from './settingsPage.js';
 
 /**
- * Generates the complete HTML markup for the page editor.
+ * Generates the complete HTML markup for the page.
+ *
+ * The editor and the settings page are route views; only one is visible at a time.
  *
  * This includes:
+ * - Editor view
+ * - Settings view
+ * - Note sidebar
  * - Status indicator
  * - Editable text area
  * - Zoom controls
  * - Export menu
+ * - Version history panel
+ * - Diff pane
+ * - HTML export dialog
+ * - "Export all" dialog
+ * - "Restore from backup" dialog
  * - Selection menu
  * - Additional markups from modelFind and contextMenu
  *
@@ -23,13 +42,21 @@ import { createTitlebarMarkup } from '../pageComponents/titlebar.js';
  * @param {string} config.resetZoomButtonId - ID for the reset zoom button.
  * @param {string} config.resetZoomButtonTitle - Tooltip/title for the reset zoom button.
  * @param {string} config.resetZoomButtonText - Text displayed in the reset zoom button.
+ * @param {string} config.sidebarId - ID for the note sidebar (see `SidebarConfig` for the other sidebar keys).
+ * @param {string} config.historyPanelId - ID for the version history panel (see `HistoryPanelConfig` for the other keys).
+ * @param {string} config.diffViewId - ID for the diff pane (see `DiffViewConfig` for the other keys).
+ * @param {string} config.htmlExportDialogId - ID for the HTML export dialog (see `HtmlExportDialogConfig` for the other keys).
+ * @param {string} config.libraryExportDialogId - ID for the "Export all" dialog (see `LibraryExportDialogConfig` for the other keys).
+ * @param {string} config.editorViewId - ID for the editor route view.
+ * @param {string} config.settingsViewId - ID for the settings route view (see `SettingsPageConfig` for the other keys).
+ * @param {string} config.backupDialogId - ID for the "Restore from backup" dialog (see `BackupDialogConfig` for the other keys).
  * @param {Object} modelFind - Object containing additional markup for model-related UI.
  * @param {string} modelFind.markups - HTML string for model-related elements.
  * @param {Object} contextMenu - Object containing additional markup for context menu.
  * @param {string} contextMenu.markups - HTML string for context menu elements.
  * @param {?Object} titlebar - Object containing titlebar markup, or null.
  * @param {string} titlebar.markups - HTML string for the titlebar.
- * @returns {string} - HTML markup string representing the full page editor.
+ * @returns {string} - HTML markup string representing the full page.
  *
  * @example
  * const pageHTML = createPageMarkup(config, modelFind, contextMenu, titlebar);
@@ -38,18 +65,33 @@ import { createTitlebarMarkup } from '../pageComponents/titlebar.js';
 export const createPageMarkup = (config, modelFind, contextMenu, titlebar) => {
     return `
         ${titlebar ? titlebar.markups : ''}
-        ${createStatusIndicatorMarkup(config)}
-        
-        <div class="${config.textareaContainerClass}">
-            <div id="${config.textareaId}" contenteditable="true" spellcheck="false" class="editable-div" data-placeholder="${config.textareaPlaceholder}"></div>
 
-            <div class="${config.zoomControlsClass}">
-                ${createZoomControlsMarkup(config)}
-                ${createExportMenuMarkup(config)}
+        <div id="${config.editorViewId}" class="route-view">
+            ${createSidebarMarkup(config)}
+            ${createStatusIndicatorMarkup(config)}
+
+            <div class="${config.textareaContainerClass}">
+                <div id="${config.textareaId}" contenteditable="true" spellcheck="false" class="editable-div" data-placeholder="${config.textareaPlaceholder}"></div>
+
+                <div class="${config.zoomControlsClass}">
+                    ${createZoomControlsMarkup(config)}
+                    ${createExportMenuMarkup(config)}
+                    ${createHistoryButtonMarkup(config)}
+                </div>
             </div>
+
+            ${createHistoryPanelMarkup(config)}
+            ${createDiffViewMarkup(config)}
+            ${createHtmlExportDialogMarkup(config)}
+            ${createLibraryExportDialogMarkup(config)}
         </div>
 
+        ${createSettingsPageMarkup(config)}
+        ${createBackupDialogMarkup(config)}
+
         ${createSelectionMenuMarkup()}
+        ${createSlashMenuMarkup()}
+        ${createTableToolbarMarkup()}
         
         ${modelFind.markups}
         ${contextMenu.markups}
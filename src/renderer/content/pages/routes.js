@@ -0,0 +1,172 @@
+import { Mint } from '../../../framework/mint.js';
+
+/**
+ * Route paths of the views rendered inside `#app`.
+ * @type {{editor: string, note: string, settings: string}}
+ */
+export const ROUTES = {
+    editor: '/',
+    note: '/note/:id',
+    settings: '/settings'
+};
+
+/**
+ * Builds the deep link of a note.
+ * @param {string} id - Note ID.
+ * @returns {string}
+ */
+export const getNotePath = (id) => `/note/${encodeURIComponent(id)}`;
+
+/**
+ * @typedef {object} RoutesConfig
+ * @property {string} editorViewId                  - The ID of the editor view element.
+ * @property {string} settingsViewId                - The ID of the settings view element.
+ * @property {string} settingsButtonId              - The ID of the titlebar settings button.
+ * @property {string} settingsBackId                - The ID of the "back to notes" button.
+ */
+
+/**
+ * Registers the app routes with `Mint.Router` and wires the buttons and the
+ * keyboard shortcut (Ctrl/Cmd + ,) that switch between them.
+ * Views stay mounted and are only hidden, so the editor keeps its state.
+ *
+ * Deep links:
+ * - `#/note/<id>` opens a note (the URL follows the open note, so a reload keeps it)
+ * - `#/settings?section=<name>` opens the settings page at a section
+ *
+ * @param {RoutesConfig} config                     - Configuration object containing IDs.
+ * @param {Object} noteAPI                          - The API returned by `noteFeatures()`.
+ * @param {Object} [handlers={}]                    - Callbacks run when a route becomes active.
+ * @param {function(): void} [handlers.onEditor]    - Called when the editor is shown.
+ * @param {function(Object): void} [handlers.onSettings] - Called with the query when the settings page is shown.
+ * @returns {{navigate: function(string, Object=): void, cleanup: function(): void}}
+ */
+export const initRoutes = (config, noteAPI, handlers = {}) => {
+    const views = {
+        editor: document.getElementById(config.editorViewId),
+        settings: document.getElementById(config.settingsViewId)
+    };
+    const settingsBtn = document.getElementById(config.settingsButtonId);
+    const backBtn = document.getElementById(config.settingsBackId);
+
+    /**
+     * Shows one view and hides the others.
+     * @param {'editor'|'settings'} name - View to show.
+     * @private
+     */
+    const showView = (name) => {
+        Object.entries(views).forEach(([key, view]) => {
+            if (view) view.hidden = key !== name;
+        });
+        document.body.dataset.route = name;
+    };
+
+    const navigate = (path, options) => {
+        if (Mint.Router.getPath() !== path) {
+            Mint.Router.navigate(path, options);
+        }
+    };
+
+    const showEditor = () => {
+        showView('editor');
+        handlers.onEditor?.();
+    };
+
+    // Unknown note links fall back to the editor instead of an empty note
+    const removeNoteGuard = Mint.Router.beforeEach(async (to) => {
+        const [, section, id] = to.path.split('/');
+        if (section !== 'note') return;
+
+        try {
+            const notes = await noteAPI.listNotes();
+            if (!notes.some(note => note.id === decodeURIComponent(id ?? ''))) {
+                console.warn(`[Routes] Note not found: ${id}`);
+                return ROUTES.editor;
+            }
+        } catch (error) {
+            console.error('[Routes] Failed to check note link:', error);
+            return ROUTES.editor;
+        }
+    });
+
+    Mint.Router
+        .route(ROUTES.note, async ({ id }) => {
+            showEditor();
+
+            try {
+                await noteAPI.whenLoaded();
+                if (noteAPI.getCurrentNoteId() !== id) {
+                    await noteAPI.openNote(id);
+                }
+            } catch (error) {
+                console.error('[Routes] Failed to open linked note:', error);
+            }
+        })
+        .route(ROUTES.settings, (params, query) => {
+            showView('settings');
+            handlers.onSettings?.(query);
+        })
+        .route(ROUTES.editor, async () => {
+            showEditor();
+
+            await noteAPI.whenLoaded();
+            const currentId = noteAPI.getCurrentNoteId();
+            if (currentId && Mint.Router.getPath() === ROUTES.editor) {
+                navigate(getNotePath(currentId), { replace: true });
+            }
+        })
+        .notFound(showEditor);
+
+    const handleSettingsClick = () => {
+        if (Mint.Router.getPath() === ROUTES.settings) {
+            const currentId = noteAPI.getCurrentNoteId();
+            navigate(currentId ? getNotePath(currentId) : ROUTES.editor);
+        } else {
+            navigate(ROUTES.settings);
+        }
+    };
+
+    const handleBackClick = () => {
+        const currentId = noteAPI.getCurrentNoteId();
+        navigate(currentId ? getNotePath(currentId) : ROUTES.editor);
+    };
+
+    const handleKeydown = (e) => {
+        if ((e.ctrlKey || e.metaKey) && e.key === ',') {
+            e.preventDefault();
+            handleSettingsClick();
+        } else if (e.key === 'Escape' && Mint.Router.getPath() === ROUTES.settings) {
+            handleBackClick();
+        }
+    };
+
+    // Keep the URL on the open note so reloads and back/forward return to it
+    const handleNoteLoaded = (e) => {
+        if (Mint.Router.getPath() === ROUTES.settings) return;
+        navigate(getNotePath(e.detail.id), { replace: Mint.Router.getPath() === ROUTES.editor });
+    };
+
+    settingsBtn?.addEventListener('click', handleSettingsClick);
+    backBtn?.addEventListener('click', handleBackClick);
+    document.addEventListener('keydown', handleKeydown);
+    document.addEventListener('note-loaded', handleNoteLoaded);
+
+    // The page is loaded from a file:// URL, so the route lives in the hash
+    Mint.Router.init({ mode: 'hash' });
+
+    return {
+        navigate,
+
+        /**
+         * Removes all event listeners attached by this module to prevent memory leaks.
+         * @returns {void}
+         */
+        cleanup() {
+            removeNoteGuard();
+            settingsBtn?.removeEventListener('click', handleSettingsClick);
+            backBtn?.removeEventListener('click', handleBackClick);
+            document.removeEventListener('keydown', handleKeydown);
+            document.removeEventListener('note-loaded', handleNoteLoaded);
+        }
+    };
+};
@@ -0,0 +1,604 @@
+import { Mint } from '../../../framework/mint.js';
+import {
+    loadSettings,
+    getSetting,
+    setSetting,
+    resetSetting,
+    onSettingChange
+} from '../../scripts/settings/settingsClient.js';
+
+Mint.include('stylesheet/style-components/settings.css');
+
+const MESSAGE_HIDE_DELAY = 2500;
+
+/**
+ * @typedef {object} SettingsPageConfig
+ * @property {string} settingsViewId                - The ID of the settings view element.
+ * @property {string} settingsTitle                 - Heading of the settings page.
+ * @property {string} settingsBackId                - The ID of the "back to notes" button.
+ * @property {string} settingsBackText              - Text of the "back to notes" button.
+ * @property {string} settingsResetId               - The ID of the "reset to defaults" button.
+ * @property {string} settingsResetText             - Text of the "reset to defaults" button.
+ * @property {string} settingsMessageId             - The ID of the status message element.
+ */
+
+/**
+ * @typedef {object} SettingsField
+ * @property {string} key                           - Dot path of the setting.
+ * @property {string} label                         - Field label.
+ * @property {'select'|'number'|'checkbox'|'text'|'directory'|'providers'} type - Kind of control.
+ * @property {Array<[string, string]>} [options]    - Value/label pairs of a select.
+ * @property {number} [min]                         - Minimum of a number field.
+ * @property {number} [max]                         - Maximum of a number field.
+ * @property {number} [step]                        - Step of a number field.
+ * @property {string} [unit]                        - Unit shown after a number field.
+ * @property {string} [hint]                        - Help text under the field.
+ */
+
+/**
+ * @typedef {object} SettingsActions
+ * @property {function(): Promise<Object>} [onBackUp]  - Writes a backup to a file chosen by the user.
+ * @property {function(): Promise<Object>} [onRestore] - Restores a backup chosen by the user.
+ */
+
+/** @type {Array<{id: string, title: string, fields: SettingsField[], actions?: Array<[string, string]>}>} */
+const SETTINGS_SECTIONS = [
+    {
+        id: 'editor',
+        title: 'Editor',
+        fields: [
+            {
+                key: 'editor.fontFamily',
+                label: 'Font',
+                type: 'select',
+                options: [
+                    ['text', 'Inter Tight'],
+                    ['display', 'General Sans'],
+                    ['serif', 'Serif'],
+                    ['mono', 'Monospace']
+                ]
+            },
+            { key: 'editor.defaultFontSize', label: 'Default text size', type: 'number', min: 8, max: 128, step: 0.5, unit: 'px' },
+            {
+                key: 'editor.autoSaveDelay',
+                label: 'Autosave delay',
+                type: 'number',
+                min: 200,
+                max: 60000,
+                step: 100,
+                unit: 'ms',
+                hint: 'How long to wait after the last keystroke before saving.'
+            },
+            {
+                key: 'editor.markdownAutoformat',
+                label: 'Markdown autoformat',
+                type: 'checkbox',
+                hint: 'Turns # headings, - lists, &gt; quotes, --- rules, ``` code and - [ ] tasks into blocks as you type. Backspace right after a conversion brings the characters back.'
+            }
+        ]
+    },
+    {
+        id: 'appearance',
+        title: 'Appearance',
+        fields: [
+            {
+                key: 'appearance.theme',
+                label: 'Theme',
+                type: 'select',
+                options: [
+                    ['system', 'Match system'],
+                    ['light', 'Light'],
+                    ['dark', 'Dark']
+                ]
+            }
+        ]
+    },
+    {
+        id: 'translation',
+        title: 'Translation',
+        fields: [
+            {
+                key: 'translation.providers',
+                label: 'Providers',
+                type: 'providers',
+                hint: 'Providers are tried from top to bottom until one succeeds.'
+            }
+        ]
+    },
+    {
+        id: 'export',
+        title: 'Export',
+        fields: [
+            {
+                key: 'export.defaultFormat',
+                label: 'Default format',
+                type: 'select',
+                options: [
+                    ['html', 'HTML'],
+                    ['txt', 'Plain text'],
+                    ['md', 'Markdown'],
+                    ['docx', 'Word (.docx)'],
+                    ['pdf', 'PDF']
+                ]
+            },
+            { key: 'export.fileNamePrefix', label: 'File name prefix', type: 'text' }
+        ]
+    },
+    {
+        id: 'print',
+        title: 'Print and PDF',
+        fields: [
+            {
+                key: 'print.pageSize',
+                label: 'Page size',
+                type: 'select',
+                options: [
+                    ['A4', 'A4'],
+                    ['A3', 'A3'],
+                    ['A5', 'A5'],
+                    ['Letter', 'Letter'],
+                    ['Legal', 'Legal']
+                ]
+            },
+            {
+                key: 'print.orientation',
+                label: 'Orientation',
+                type: 'select',
+                options: [
+                    ['portrait', 'Portrait'],
+                    ['landscape', 'Landscape']
+                ]
+            },
+            {
+                key: 'print.margins',
+                label: 'Margins',
+                type: 'select',
+                options: [
+                    ['default', 'Normal'],
+                    ['narrow', 'Narrow'],
+                    ['wide', 'Wide'],
+                    ['none', 'None']
+                ]
+            },
+            {
+                key: 'print.headerFooter',
+                label: 'Header and footer',
+                type: 'select',
+                options: [
+                    ['titleAndPages', 'Title and page numbers'],
+                    ['pages', 'Page numbers only'],
+                    ['none', 'None']
+                ]
+            },
+            {
+                key: 'print.theme',
+                label: 'Theme',
+                type: 'select',
+                options: [
+                    ['light', 'Light'],
+                    ['dark', 'Dark']
+                ]
+            }
+        ]
+    },
+    {
+        id: 'backup',
+        title: 'Backup',
+        fields: [
+            {
+                key: 'backup.schedule',
+                label: 'Automatic backups',
+                type: 'select',
+                options: [
+                    ['off', 'Off'],
+                    ['daily', 'Every day'],
+                    ['weekly', 'Every week']
+                ]
+            },
+            {
+                key: 'backup.directory',
+                label: 'Backup folder',
+                type: 'directory',
+                hint: 'Automatic backups need a folder, ideally on another drive.'
+            },
+            {
+                key: 'backup.keep',
+                label: 'Backups to keep',
+                type: 'number',
+                min: 1,
+                max: 100,
+                step: 1,
+                hint: 'Older automatic backups are deleted.'
+            }
+        ],
+        actions: [
+            ['back-up', 'Back up now…'],
+            ['restore-backup', 'Restore from backup…']
+        ]
+    }
+];
+
+/** Messages shown when a backup action fails. */
+const BACKUP_ACTION_ERRORS = {
+    'choose-directory': 'Could not save the backup folder',
+    'back-up': 'Could not write the backup',
+    'restore-backup': 'Could not open the backup'
+};
+
+/** @type {Record<string, string>} */
+const PROVIDER_LABELS = {
+    googleTranslate: 'Google Translate',
+    mymemory: 'MyMemory',
+    lingva: 'Lingva',
+    libretranslate: 'LibreTranslate'
+};
+
+/**
+ * Returns the element ID used for a setting control.
+ * @param {string} key - Dot path of the setting.
+ * @returns {string}
+ */
+const getFieldId = (key) => `setting-${key.replace(/\./g, '-')}`;
+
+/**
+ * Generates the markup of a single field.
+ * @param {SettingsField} field
+ * @returns {string}
+ */
+const createFieldMarkup = (field) => {
+    const id = getFieldId(field.key);
+    let control;
+
+    switch (field.type) {
+        case 'select':
+            control = `
+                <select id="${id}" data-setting-key="${field.key}">
+                    ${field.options.map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                </select>
+            `;
+            break;
+
+        case 'number':
+            control = `
+                <span class="settings-number">
+                    <input id="${id}" type="number" data-setting-key="${field.key}" min="${field.min}" max="${field.max}" step="${field.step}">
+                    <span>${field.unit ?? ''}</span>
+                </span>
+            `;
+            break;
+
+        case 'checkbox':
+            control = `<input id="${id}" type="checkbox" data-setting-key="${field.key}">`;
+            break;
+
+        case 'directory':
+            control = `
+                <span class="settings-directory">
+                    <input id="${id}" type="text" data-setting-key="${field.key}" placeholder="No folder chosen" readonly>
+                    <button type="button" data-settings-action="choose-directory" data-setting-key="${field.key}">Choose…</button>
+                </span>
+            `;
+            break;
+
+        case 'providers':
+            control = `<ol id="${id}" class="settings-providers" data-setting-key="${field.key}"></ol>`;
+            break;
+
+        default:
+            control = `<input id="${id}" type="text" data-setting-key="${field.key}" spellcheck="false" autocomplete="off">`;
+    }
+
+    return `
+        <div class="settings-field${field.type === 'providers' ? ' settings-field-wide' : ''}">
+            <label for="${id}">${field.label}</label>
+            ${control}
+            ${field.hint ? `<p class="settings-hint">${field.hint}</p>` : ''}
+        </div>
+    `;
+};
+
+/**
+ * Generates the HTML markup for the settings page.
+ *
+ * @param {SettingsPageConfig} config               - Configuration object containing IDs and texts.
+ * @returns {string}                                - The HTML string representing the settings view.
+ */
+export const createSettingsPageMarkup = (config) => {
+    return `
+        <section id="${config.settingsViewId}" class="settings-page route-view" aria-labelledby="settings-title" hidden>
+            <header class="settings-header">
+                <button id="${config.settingsBackId}" class="settings-back">${config.settingsBackText}</button>
+                <h1 id="settings-title">${config.settingsTitle}</h1>
+            </header>
+
+            ${SETTINGS_SECTIONS.map(section => `
+                <section class="settings-section" data-section="${section.id}">
+                    <h2>${section.title}</h2>
+                    ${section.fields.map(createFieldMarkup).join('')}
+                    ${section.actions ? `
+                        <div class="settings-actions">
+                            ${section.actions.map(([action, text]) => `<button type="button" data-settings-action="${action}">${text}</button>`).join('')}
+                        </div>
+                    ` : ''}
+                </section>
+            `).join('')}
+
+            <footer class="settings-footer">
+                <p id="${config.settingsMessageId}" class="settings-message" role="status"></p>
+                <button id="${config.settingsResetId}" class="settings-reset">${config.settingsResetText}</button>
+            </footer>
+        </section>
+    `;
+};
+
+/**
+ * Initializes the settings page: fills the controls from the persisted settings,
+ * saves every change and keeps the controls in sync with changes made elsewhere.
+ *
+ * @param {SettingsPageConfig} config               - Configuration object containing IDs.
+ * @param {SettingsActions} [actions={}]            - Actions that need the note library.
+ * @returns {{refresh: function(): void, showSection: function(string=): void, cleanup: function(): void}}
+ *                                                    Settings page controller. Returns no-ops if the view is not found.
+ */
+export const initSettingsPage = (config, actions = {}) => {
+    const view = document.getElementById(config.settingsViewId);
+    const resetBtn = document.getElementById(config.settingsResetId);
+    const message = document.getElementById(config.settingsMessageId);
+
+    if (!view) {
+        return {
+            refresh: () => { },
+            showSection: () => { },
+            cleanup: () => { }
+        };
+    }
+
+    const fields = SETTINGS_SECTIONS.flatMap(section => section.fields);
+    const providerList = view.querySelector('.settings-providers');
+    let messageTimer = null;
+
+    /**
+     * Shows a short status message under the form.
+     * @param {string} text - Message text.
+     * @param {boolean} [isError=false] - Whether the message reports an error.
+     * @private
+     */
+    const showMessage = (text, isError = false) => {
+        clearTimeout(messageTimer);
+        message.textContent = text;
+        message.classList.toggle('error', isError);
+        messageTimer = setTimeout(() => {
+            message.textContent = '';
+        }, MESSAGE_HIDE_DELAY);
+    };
+
+    /**
+     * Persists a setting and reports the result.
+     * @param {string} key - Dot path of the setting.
+     * @param {*} value - New value.
+     * @param {string} label - Field label used in messages.
+     * @private
+     */
+    const saveSetting = async (key, value, label) => {
+        try {
+            await setSetting(key, value);
+            showMessage(`${label} saved`);
+        } catch (error) {
+            console.error(`[Settings] Failed to save "${key}":`, error);
+            showMessage(`Could not save ${label.toLowerCase()}: the value is not allowed`, true);
+            refresh();
+        }
+    };
+
+    /**
+     * Builds the list of translation providers with enable toggles and reorder buttons.
+     * @param {Array<{id: string, enabled: boolean}>} providers
+     * @private
+     */
+    const renderProviders = (providers) => {
+        const fragment = document.createDocumentFragment();
+
+        providers.forEach((provider, index) => {
+            const item = document.createElement('li');
+            item.className = 'settings-provider';
+            item.dataset.providerId = provider.id;
+
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = provider.enabled;
+            checkbox.dataset.action = 'toggle';
+            label.append(checkbox, PROVIDER_LABELS[provider.id] ?? provider.id);
+
+            const actions = document.createElement('span');
+            actions.className = 'settings-provider-actions';
+            [
+                ['up', '↑', 'Move up', index === 0],
+                ['down', '↓', 'Move down', index === providers.length - 1]
+            ].forEach(([action, text, title, disabled]) => {
+                const btn = document.createElement('button');
+                btn.dataset.action = action;
+                btn.textContent = text;
+                btn.title = title;
+                btn.disabled = disabled;
+                actions.appendChild(btn);
+            });
+
+            item.append(label, actions);
+            fragment.appendChild(item);
+        });
+
+        providerList.replaceChildren(fragment);
+    };
+
+    /**
+     * Fills every control from the cached settings.
+     */
+    const refresh = () => {
+        fields.forEach(field => {
+            const value = getSetting(field.key);
+
+            if (field.type === 'providers') {
+                renderProviders(value ?? []);
+                return;
+            }
+
+            const control = document.getElementById(getFieldId(field.key));
+            if (!control || value === undefined) return;
+
+            if (field.type === 'checkbox') {
+                control.checked = Boolean(value);
+            } else if (document.activeElement !== control) {
+                control.value = String(value);
+            }
+        });
+    };
+
+    /**
+     * Scrolls to a section, e.g. for the `#/settings?section=translation` deep link.
+     * @param {string} [sectionId] - Section ID; scrolls to the top when omitted or unknown.
+     */
+    const showSection = (sectionId) => {
+        const section = sectionId && view.querySelector(`[data-section="${CSS.escape(sectionId)}"]`);
+        if (section) {
+            section.scrollIntoView({ block: 'start' });
+        } else {
+            view.scrollTop = 0;
+        }
+    };
+
+    const handleChange = (e) => {
+        const key = e.target.dataset.settingKey;
+        const field = fields.find(f => f.key === key);
+        if (!field || field.type === 'providers' || field.type === 'directory') return;
+
+        let value = e.target.value;
+
+        if (field.type === 'checkbox') {
+            value = e.target.checked;
+        } else if (field.type === 'number') {
+            value = Number(value);
+            if (!Number.isFinite(value) || value < field.min || value > field.max) {
+                showMessage(`${field.label} must be between ${field.min} and ${field.max}`, true);
+                refresh();
+                return;
+            }
+            if (Number.isInteger(field.step)) value = Math.round(value);
+        } else if (field.type === 'text') {
+            value = value.trim();
+        }
+
+        saveSetting(key, value, field.label);
+    };
+
+    const handleProviderAction = (e) => {
+        const action = e.target.closest('[data-action]')?.dataset.action;
+        const item = e.target.closest('.settings-provider');
+        if (!action || !item) return;
+
+        // Checkboxes report through `change`, reorder buttons through `click`
+        if ((action === 'toggle') !== (e.type === 'change')) return;
+
+        const providers = structuredClone(getSetting('translation.providers', []));
+        const index = providers.findIndex(p => p.id === item.dataset.providerId);
+        if (index === -1) return;
+
+        if (action === 'toggle') {
+            providers[index].enabled = e.target.checked;
+        } else {
+            const target = action === 'up' ? index - 1 : index + 1;
+            if (target < 0 || target >= providers.length) return;
+            [providers[index], providers[target]] = [providers[target], providers[index]];
+        }
+
+        saveSetting('translation.providers', providers, 'Providers');
+    };
+
+    /**
+     * Runs a backup action and reports its result.
+     * @param {string} action - `choose-directory`, `back-up` or `restore-backup`.
+     * @private
+     */
+    const runBackupAction = async (action) => {
+        if (action === 'choose-directory') {
+            const directory = await window.electronAPI?.backup?.chooseDirectory();
+            if (directory) showMessage('Backup folder saved');
+            return;
+        }
+
+        const run = action === 'back-up' ? actions.onBackUp : actions.onRestore;
+        const result = await run?.() ?? { status: 'unavailable' };
+
+        switch (result.status) {
+            case 'done':
+                if (action === 'back-up') {
+                    showMessage(`Backed up ${result.counts.notes} ${result.counts.notes === 1 ? 'note' : 'notes'}`);
+                } else {
+                    const { added, replaced, deleted } = result.result;
+                    showMessage(`Backup restored: ${added} added, ${replaced} replaced, ${deleted} deleted`);
+                }
+                break;
+            case 'invalid':
+                window.alert(`This file cannot be restored.\n${result.error}`);
+                break;
+            case 'failed':
+                showMessage('Could not restore the backup', true);
+                break;
+            case 'unavailable':
+                showMessage('Backups are not available', true);
+                break;
+        }
+    };
+
+    const handleAction = (e) => {
+        const action = e.target.closest('[data-settings-action]')?.dataset.settingsAction;
+        if (!action) return;
+
+        runBackupAction(action).catch(error => {
+            console.error(`[Settings] "${action}" failed:`, error);
+            showMessage(BACKUP_ACTION_ERRORS[action] ?? 'Backups are not available', true);
+        });
+    };
+
+    const handleReset = async () => {
+        if (!window.confirm('Reset all settings to their defaults?')) return;
+
+        try {
+            await resetSetting();
+            showMessage('Settings reset to defaults');
+        } catch (error) {
+            console.error('[Settings] Reset failed:', error);
+            showMessage('Could not reset settings', true);
+        }
+    };
+
+    view.addEventListener('change', handleChange);
+    view.addEventListener('click', handleAction);
+    providerList?.addEventListener('click', handleProviderAction);
+    providerList?.addEventListener('change', handleProviderAction);
+    resetBtn?.addEventListener('click', handleReset);
+
+    const unsubscribers = ['editor', 'appearance', 'translation', 'export', 'print', 'backup']
+        .map(group => onSettingChange(group, refresh));
+
+    loadSettings().then(refresh);
+
+    return {
+        refresh,
+        showSection,
+
+        /**
+         * Removes all event listeners attached by this module to prevent memory leaks.
+         * @returns {void}
+         */
+        cleanup() {
+            clearTimeout(messageTimer);
+            view.removeEventListener('change', handleChange);
+            view.removeEventListener('click', handleAction);
+            providerList?.removeEventListener('click', handleProviderAction);
+            providerList?.removeEventListener('change', handleProviderAction);
+            resetBtn?.removeEventListener('click', handleReset);
+            unsubscribers.forEach(unsubscribe => unsubscribe());
+        }
+    };
+};
@@ -1,7 +1,13 @@
 import { createPlaceholder } from '../scripts/editor/placeholder.js';
 import { handleMarkdown } from '../scripts/editor/markdown.js';
+import { createMarkdownAutoformat } from '../scripts/editor/markdown/autoformat.js';
+import { createInlineMarkdown } from '../scripts/editor/markdown/inlineMarks.js';
 import { handlePaste } from '../scripts/editor/handlePaste.js';
-import { exportHTML, downloadHTML, downloadTXT } from '../scripts/editor/download.js';
+import { createEditorHistory } from '../scripts/editor/history.js';
+import { createEditorCommands } from '../scripts/editor/editorCommands.js';
+import { registerTableCommands } from '../scripts/editor/tableCommands.js';
+import { registerTableDataCommands } from '../scripts/editor/tableData.js';
+import { exportHTML, downloadHTML, downloadTXT, downloadMarkdown, downloadDOCX, downloadPDF, printEditor } from '../scripts/editor/download.js';
 
 /**
  * Component to manage rich editor with Markdown support and HTML export
@@ -9,7 +15,7 @@ import { exportHTML, downloadHTML, downloadTXT } from '../scripts/editor/downloa
  * @param {string} options.editorId - ID of contentEditable element
  * @param {string} [options.placeholderText] - Placeholder text when empty
  * @param {Object} [options.formatButtons] - Format button IDs: {bold, italic}
- * @returns {{cleanup: Function, updatePlaceholder: Function, editor: HTMLElement, placeholder: HTMLElement, exportHTML: Function, downloadHTML: Function, downloadTXT: Function}|null}
+ * @returns {{cleanup: Function, updatePlaceholder: Function, setMarkdownAutoformat: Function, history: Object, commands: Object, editor: HTMLElement, placeholder: HTMLElement, exportHTML: Function, downloadHTML: Function, downloadTXT: Function, downloadMarkdown: Function, downloadDOCX: Function, downloadPDF: Function, print: Function}|null}
  */
 export const initRichEditor = ({ editorId, placeholderText, formatButtons = {} } = {}) => {
     const editor = document.getElementById(editorId);
@@ -29,14 +35,34 @@ export const initRichEditor = ({ editorId, placeholderText, formatButtons = {} }
         syncFontSize
     } = placeholderManager;
 
-    // Markdown handler wrapper
+    // Undo/redo history shared by every change of the content
+    const history = createEditorHistory(editor);
+
+    // Formatting and block commands, each one an undo step
+    const commands = createEditorCommands(editor, history);
+
+    // Row, column, alignment and merge commands for tables
+    const unregisterTableCommands = registerTableCommands(commands, editor);
+
+    // Sort, CSV/TSV copy and CSV export of tables
+    const unregisterTableDataCommands = registerTableDataCommands(commands, editor);
+
+    // Opt-in Markdown autoformat (`>`, `---`, ```lang, `- [ ]`, ...), off until enabled
+    const autoformat = createMarkdownAutoformat(editor, history);
+
+    // Inline Markdown (`**bold**`, `code`, [links](url), ...) turned into marks as you type
+    const inlineMarkdown = createInlineMarkdown(editor, history);
+
+    // Markdown handler wrapper; only Space and Enter can run a markdown command
     const markdownHandler = (e) => {
-        handleMarkdown(e, editor);
+        if (autoformat.handleKeydown(e)) return;
+        if (e.key !== ' ' && e.key !== 'Enter') return;
+        history.transact(() => handleMarkdown(e, editor));
     }
 
     // Paste handler wrapper
     const pasteHandler = (e) => {
-        handlePaste(e, editor);
+        history.transact(() => handlePaste(e, editor));
     }
 
     // Handle zoom events
@@ -104,7 +130,7 @@ export const initRichEditor = ({ editorId, placeholderText, formatButtons = {} }
         const el = document.getElementById(formatButtons.bold);
         if (el) {
             const fn = () => {
-                document.execCommand('bold', false, null);
+                commands.execute('toggleMark', 'bold');
             }
 
             el.addEventListener(
@@ -120,11 +146,7 @@ export const initRichEditor = ({ editorId, placeholderText, formatButtons = {} }
         const el = document.getElementById(formatButtons.italic);
         if (el) {
             const fn = () => {
-                document.execCommand(
-                    'italic',
-                    false,
-                    null
-                );
+                commands.execute('toggleMark', 'italic');
             }
 
             el.addEventListener(
@@ -149,6 +171,12 @@ export const initRichEditor = ({ editorId, placeholderText, formatButtons = {} }
             if (fontObserver) {
                 fontObserver.disconnect();
             }
+            unregisterTableCommands();
+            unregisterTableDataCommands();
+            commands.cleanup();
+            autoformat.cleanup();
+            inlineMarkdown.cleanup();
+            history.cleanup();
             editor.removeEventListener(
                 'wheel',
                 wheelHandler
@@ -193,6 +221,8 @@ export const initRichEditor = ({ editorId, placeholderText, formatButtons = {} }
             syncFontSize();
         },
 
+        setMarkdownAutoformat: (enabled) => autoformat.setEnabled(enabled),
+
         exportHTML: (
             includeStyles = true
         ) => exportHTML(
@@ -200,14 +230,20 @@ export const initRichEditor = ({ editorId, placeholderText, formatButtons = {} }
             includeStyles
         ),
         
-        downloadHTML: (filename = 'document.html') => {
-            downloadHTML(editor, filename);
-        },
+        downloadHTML: (filename = 'document.html', options = {}) => downloadHTML(editor, filename, options),
 
-        downloadTXT: (filename = 'document.txt') => {
-            downloadTXT(editor, filename);
-        },
+        downloadTXT: (filename = 'document.txt') => downloadTXT(editor, filename),
+
+        downloadMarkdown: (filename = 'document.md') => downloadMarkdown(editor, filename),
+
+        downloadDOCX: (filename = 'document.docx') => downloadDOCX(editor, filename),
+
+        downloadPDF: (filename = 'document.pdf', options = {}) => downloadPDF(editor, filename, options),
+
+        print: (options = {}) => printEditor(editor, options),
 
+        history,
+        commands,
         editor,
         placeholder
     };
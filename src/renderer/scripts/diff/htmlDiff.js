@@ -0,0 +1,433 @@
+/**
+ * @file Block- and word-level diff of editor HTML.
+ * Documents are split into blocks (paragraphs, headings, list items, table rows, ...),
+ * the block sequences are matched with a longest-common-subsequence diff, and blocks
+ * that were edited rather than added or removed are diffed again word by word.
+ */
+
+/** Elements whose children are blocks of their own. */
+const CONTAINER_TAGS = new Set([
+    'BODY', 'UL', 'OL', 'TABLE', 'THEAD', 'TBODY', 'TFOOT', 'SECTION', 'ARTICLE', 'MAIN'
+]);
+
+/** Elements that start a new block. */
+const BLOCK_TAGS = new Set([
+    'P', 'DIV', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'LI', 'TR', 'PRE', 'BLOCKQUOTE',
+    'HR', 'FIGURE', 'DETAILS', ...CONTAINER_TAGS
+]);
+
+/** Above this many comparison cells a sequence is treated as fully replaced. */
+const MAX_DIFF_CELLS = 4_000_000;
+
+/** Minimum word similarity for a removed and an added block to count as one edited block. */
+const CHANGE_SIMILARITY = 0.4;
+
+/**
+ * @typedef {object} DiffBlock
+ * @property {string} tag                   - Lowercase tag name of the block.
+ * @property {string} html                  - Markup of the block.
+ * @property {string} text                  - Text content with collapsed whitespace.
+ * @property {string[]} [cells]             - Cell texts of a table row.
+ */
+
+/**
+ * @typedef {object} BlockDiffOp
+ * @property {'equal'|'insert'|'delete'|'change'} type - Kind of difference.
+ * @property {DiffBlock} [oldBlock]         - Block in the old version (equal, delete, change).
+ * @property {DiffBlock} [newBlock]         - Block in the new version (equal, insert, change).
+ */
+
+/**
+ * @typedef {object} WordDiffSegment
+ * @property {'equal'|'insert'|'delete'} type - Kind of difference.
+ * @property {string} text                  - The text of the segment.
+ */
+
+const segmenter = typeof Intl !== 'undefined' && Intl.Segmenter
+    ? new Intl.Segmenter(undefined, { granularity: 'word' })
+    : null;
+
+const escapeHTML = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const normalizeText = (text) => text.replace(/\s+/g, ' ').trim();
+
+/**
+ * Splits text into words, whitespace and punctuation. Uses `Intl.Segmenter` so
+ * languages written without spaces (such as Thai) are split into words too.
+ * @param {string} text - Text to split.
+ * @returns {string[]} Tokens that join back into the original text.
+ */
+export const tokenize = (text) => {
+    if (!text) return [];
+    if (segmenter) {
+        return Array.from(segmenter.segment(text), part => part.segment);
+    }
+    return text.match(/\s+|[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu) ?? [];
+};
+
+/**
+ * Computes a longest-common-subsequence diff of two sequences.
+ * Common prefixes and suffixes are matched first; when the remaining middle is
+ * too large to compare, it is reported as deleted and re-inserted.
+ * @template T
+ * @param {T[]} a                           - Old sequence.
+ * @param {T[]} b                           - New sequence.
+ * @param {function(T, T): boolean} [equals] - Item comparison.
+ * @returns {Array<{type: 'equal'|'delete'|'insert', a?: number, b?: number}>}
+ *          Operations in document order, with indexes into `a` and `b`.
+ */
+export const diffSequence = (a, b, equals = (x, y) => x === y) => {
+    let start = 0;
+    while (start < a.length && start < b.length && equals(a[start], b[start])) {
+        start++;
+    }
+
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && equals(a[endA - 1], b[endB - 1])) {
+        endA--;
+        endB--;
+    }
+
+    const ops = [];
+    for (let i = 0; i < start; i++) {
+        ops.push({ type: 'equal', a: i, b: i });
+    }
+
+    const n = endA - start;
+    const m = endB - start;
+
+    if (n * m > MAX_DIFF_CELLS) {
+        for (let i = start; i < endA; i++) ops.push({ type: 'delete', a: i });
+        for (let j = start; j < endB; j++) ops.push({ type: 'insert', b: j });
+    } else if (n > 0 || m > 0) {
+        // lengths[i * (m + 1) + j] = LCS length of a[start + i..] and b[start + j..]
+        const width = m + 1;
+        const lengths = new Uint32Array((n + 1) * width);
+
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                lengths[i * width + j] = equals(a[start + i], b[start + j])
+                    ? lengths[(i + 1) * width + j + 1] + 1
+                    : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < n || j < m) {
+            if (i < n && j < m && equals(a[start + i], b[start + j])) {
+                ops.push({ type: 'equal', a: start + i++, b: start + j++ });
+            } else if (i < n && (j === m || lengths[(i + 1) * width + j] >= lengths[i * width + j + 1])) {
+                ops.push({ type: 'delete', a: start + i++ });
+            } else {
+                ops.push({ type: 'insert', b: start + j++ });
+            }
+        }
+    }
+
+    for (let i = endA, j = endB; i < a.length; i++, j++) {
+        ops.push({ type: 'equal', a: i, b: j });
+    }
+
+    return ops;
+};
+
+/**
+ * Diffs two texts word by word. Adjacent tokens of the same kind are merged.
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {WordDiffSegment[]}
+ */
+export const diffWords = (oldText, newText) => {
+    const oldTokens = tokenize(oldText);
+    const newTokens = tokenize(newText);
+    const segments = [];
+
+    diffSequence(oldTokens, newTokens).forEach(op => {
+        const text = op.type === 'insert' ? newTokens[op.b] : oldTokens[op.a];
+        const last = segments[segments.length - 1];
+
+        if (last?.type === op.type) {
+            last.text += text;
+        } else {
+            segments.push({ type: op.type, text });
+        }
+    });
+
+    return segments;
+};
+
+/**
+ * Word similarity of two texts (Dice coefficient over their words), from 0 to 1.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+const similarity = (a, b) => {
+    const wordsA = tokenize(a).filter(token => token.trim());
+    const wordsB = tokenize(b).filter(token => token.trim());
+    if (wordsA.length === 0 && wordsB.length === 0) return 1;
+
+    const counts = new Map();
+    wordsA.forEach(word => counts.set(word, (counts.get(word) ?? 0) + 1));
+
+    let common = 0;
+    wordsB.forEach(word => {
+        const count = counts.get(word);
+        if (count) {
+            common++;
+            counts.set(word, count - 1);
+        }
+    });
+
+    return (2 * common) / (wordsA.length + wordsB.length);
+};
+
+/**
+ * Creates a block from an element.
+ * @param {Element} element
+ * @param {string} [html=element.outerHTML]
+ * @returns {DiffBlock}
+ */
+const createBlock = (element, html = element.outerHTML) => {
+    const block = {
+        tag: element.tagName.toLowerCase(),
+        html: html.trim(),
+        text: normalizeText(element.textContent ?? '')
+    };
+
+    if (block.tag === 'tr') {
+        block.cells = Array.from(element.children)
+            .filter(cell => cell.tagName === 'TD' || cell.tagName === 'TH')
+            .map(cell => normalizeText(cell.textContent ?? ''));
+        block.text = block.cells.join(' ');
+    }
+
+    return block;
+};
+
+const isBlockNode = (node) => node.nodeType === Node.ELEMENT_NODE && BLOCK_TAGS.has(node.tagName);
+
+const hasBlockChildren = (element) => Array.from(element.childNodes).some(isBlockNode);
+
+/**
+ * Collects the blocks of an element. Runs of inline content between blocks
+ * (such as the bare first line of the editor) become blocks of their own.
+ * @param {Element} parent
+ * @param {DiffBlock[]} blocks
+ * @private
+ */
+const collectBlocks = (parent, blocks) => {
+    let inlineRun = [];
+
+    const flushInlineRun = () => {
+        const wrapper = parent.ownerDocument.createElement(parent.tagName === 'LI' ? 'li' : 'div');
+        inlineRun.forEach(node => wrapper.appendChild(node.cloneNode(true)));
+        inlineRun = [];
+
+        if (wrapper.textContent.trim() || wrapper.querySelector('img, hr')) {
+            blocks.push(createBlock(wrapper));
+        }
+    };
+
+    Array.from(parent.childNodes).forEach(node => {
+        if (!isBlockNode(node)) {
+            if (node.nodeType === Node.ELEMENT_NODE || node.nodeType === Node.TEXT_NODE) {
+                inlineRun.push(node);
+            }
+            return;
+        }
+
+        flushInlineRun();
+
+        if (node.tagName === 'TR' || node.tagName === 'HR' || node.tagName === 'PRE') {
+            blocks.push(createBlock(node));
+        } else if (CONTAINER_TAGS.has(node.tagName) || hasBlockChildren(node)) {
+            collectBlocks(node, blocks);
+        } else if (node.textContent.trim() || node.querySelector('img')) {
+            blocks.push(createBlock(node));
+        }
+    });
+
+    flushInlineRun();
+};
+
+/**
+ * Splits editor HTML (or a whole exported HTML document) into blocks.
+ * @param {string} html
+ * @returns {DiffBlock[]}
+ */
+export const extractBlocks = (html) => {
+    const doc = new DOMParser().parseFromString(String(html ?? ''), 'text/html');
+    const blocks = [];
+    collectBlocks(doc.body, blocks);
+    return blocks;
+};
+
+/**
+ * Pairs removed and added blocks of one changed region into edited blocks.
+ * @param {DiffBlock[]} deleted
+ * @param {DiffBlock[]} inserted
+ * @returns {BlockDiffOp[]}
+ * @private
+ */
+const pairChanges = (deleted, inserted) => {
+    const ops = [];
+    let nextInsert = 0;
+
+    deleted.forEach(oldBlock => {
+        const match = inserted.findIndex((newBlock, index) => index >= nextInsert
+            && newBlock.tag === oldBlock.tag
+            && similarity(oldBlock.text, newBlock.text) >= CHANGE_SIMILARITY);
+
+        if (match === -1) {
+            ops.push({ type: 'delete', oldBlock });
+            return;
+        }
+
+        for (; nextInsert < match; nextInsert++) {
+            ops.push({ type: 'insert', newBlock: inserted[nextInsert] });
+        }
+        ops.push({ type: 'change', oldBlock, newBlock: inserted[match] });
+        nextInsert = match + 1;
+    });
+
+    for (; nextInsert < inserted.length; nextInsert++) {
+        ops.push({ type: 'insert', newBlock: inserted[nextInsert] });
+    }
+
+    return ops;
+};
+
+/**
+ * Diffs two versions of editor HTML at block level.
+ * @param {string} oldHtml
+ * @param {string} newHtml
+ * @returns {{ops: BlockDiffOp[], stats: {equal: number, insert: number, delete: number, change: number}}}
+ */
+export const diffHTML = (oldHtml, newHtml) => {
+    const oldBlocks = extractBlocks(oldHtml);
+    const newBlocks = extractBlocks(newHtml);
+    const ops = [];
+    let deleted = [];
+    let inserted = [];
+
+    const flushChanges = () => {
+        ops.push(...pairChanges(deleted, inserted));
+        deleted = [];
+        inserted = [];
+    };
+
+    diffSequence(oldBlocks, newBlocks, (x, y) => x.tag === y.tag && x.html === y.html)
+        .forEach(op => {
+            if (op.type === 'delete') {
+                deleted.push(oldBlocks[op.a]);
+            } else if (op.type === 'insert') {
+                inserted.push(newBlocks[op.b]);
+            } else {
+                flushChanges();
+                ops.push({ type: 'equal', oldBlock: oldBlocks[op.a], newBlock: newBlocks[op.b] });
+            }
+        });
+    flushChanges();
+
+    const stats = { equal: 0, insert: 0, delete: 0, change: 0 };
+    ops.forEach(op => stats[op.type]++);
+
+    return { ops, stats };
+};
+
+/**
+ * Renders word segments as text with `<ins>`/`<del>` marks.
+ * @param {WordDiffSegment[]} segments
+ * @returns {string}
+ * @private
+ */
+const renderSegments = (segments) => segments.map(({ type, text }) => {
+    if (type === 'insert') return `<ins>${escapeHTML(text)}</ins>`;
+    if (type === 'delete') return `<del>${escapeHTML(text)}</del>`;
+    return escapeHTML(text);
+}).join('');
+
+/**
+ * Wraps blocks that cannot stand alone (list items, table rows) in their container.
+ * @param {DiffBlock} block
+ * @param {string} html
+ * @returns {string}
+ * @private
+ */
+const wrapBlock = (block, html) => {
+    if (block.tag === 'tr') return `<table><tbody>${html}</tbody></table>`;
+    if (block.tag === 'li') return `<ul>${html}</ul>`;
+    return html;
+};
+
+/**
+ * Renders an edited block with word-level marks. Table rows with the same
+ * number of cells are compared cell by cell.
+ * @param {DiffBlock} oldBlock
+ * @param {DiffBlock} newBlock
+ * @returns {string}
+ * @private
+ */
+const renderChangedBlock = (oldBlock, newBlock) => {
+    const { tag } = newBlock;
+
+    if (tag === 'tr') {
+        const cells = oldBlock.cells.length === newBlock.cells.length
+            ? newBlock.cells.map((text, i) => `<td>${renderSegments(diffWords(oldBlock.cells[i], text))}</td>`)
+            : [`<td>${renderSegments(diffWords(oldBlock.text, newBlock.text))}</td>`];
+        return wrapBlock(newBlock, `<tr>${cells.join('')}</tr>`);
+    }
+
+    const content = renderSegments(diffWords(oldBlock.text, newBlock.text));
+    return wrapBlock(newBlock, `<${tag}>${content}</${tag}>`);
+};
+
+/**
+ * Renders a block diff as HTML for a read-only pane.
+ * @param {BlockDiffOp[]} ops                       - Result of `diffHTML`.
+ * @param {object} [options={}]
+ * @param {number|null} [options.context=null]     - Unchanged blocks kept around each change; null shows all.
+ * @returns {string}
+ */
+export const renderDiff = (ops, { context = null } = {}) => {
+    const visible = ops.map((op, index) => {
+        if (context === null || op.type !== 'equal') return true;
+        const from = Math.max(0, index - context);
+        const to = Math.min(ops.length - 1, index + context);
+        return ops.slice(from, to + 1).some(near => near.type !== 'equal');
+    });
+
+    const parts = [];
+    let hidden = 0;
+
+    const flushHidden = () => {
+        if (hidden > 0) {
+            parts.push(`<div class="diff-collapsed">${hidden} unchanged block${hidden === 1 ? '' : 's'}</div>`);
+            hidden = 0;
+        }
+    };
+
+    ops.forEach((op, index) => {
+        if (!visible[index]) {
+            hidden++;
+            return;
+        }
+        flushHidden();
+
+        const html = op.type === 'change'
+            ? renderChangedBlock(op.oldBlock, op.newBlock)
+            : wrapBlock(op.newBlock ?? op.oldBlock, (op.newBlock ?? op.oldBlock).html);
+
+        parts.push(`<div class="diff-block diff-${op.type}">${html}</div>`);
+    });
+    flushHidden();
+
+    return parts.join('');
+};
@@ -0,0 +1,119 @@
+/**
+ * @file CSV and TSV for tables of the document model. `tableToDelimited` writes a table
+ * with RFC 4180 quoting; `parseDelimited` and `delimitedToTable` read the text a
+ * spreadsheet puts on the clipboard. Formatting is dropped; line breaks in cells stay,
+ * inside quotes.
+ */
+
+import { createText, inlineText, layoutTable } from './model.js';
+
+/** Field starts a spreadsheet reads as a formula. */
+const FORMULA_START = /^[=+\-@\t\r]/;
+const NUMBER_PATTERN = /^[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?$/i;
+
+/**
+ * @param {string} text
+ * @returns {string} The field with a `'` in front when a spreadsheet would run it as a
+ *     formula; plain numbers such as `-5` are left alone.
+ */
+const escapeFormula = (text) => (
+    FORMULA_START.test(text) && !NUMBER_PATTERN.test(text) ? `'${text}` : text
+);
+
+/**
+ * @param {string} text
+ * @param {string} delimiter
+ * @returns {string} The field, quoted when it holds the delimiter, a quote or a line break.
+ */
+const quoteField = (text, delimiter) => (
+    text.includes(delimiter) || /["\r\n]/.test(text)
+        ? `"${text.replace(/"/g, '""')}"`
+        : text
+);
+
+/**
+ * Serializes a table as delimited text. Merged cells fill their first slot; the other
+ * slots they cover stay empty, so every line has the same number of fields.
+ * @param {import('./model.js').TableRow[]} rows
+ * @param {object} [options]
+ * @param {string} [options.delimiter=',']          - `,` for CSV, a tab for TSV.
+ * @param {string} [options.newline='\r\n']         - Line ending.
+ * @param {boolean} [options.escapeFormulas=false]  - Prefix fields starting with `=`, `+`, `-`
+ *     or `@` with `'`, so a spreadsheet opening the file shows them instead of running them.
+ * @returns {string}
+ */
+export const tableToDelimited = (rows, { delimiter = ',', newline = '\r\n', escapeFormulas = false } = {}) => layoutTable(rows)
+    .map(row => row
+        .map(cell => {
+            const text = cell ? inlineText(cell.content) : '';
+            return quoteField(escapeFormulas ? escapeFormula(text) : text, delimiter);
+        })
+        .join(delimiter))
+    .join(newline);
+
+/**
+ * Reads delimited text. A field starting with a quote runs to the closing quote and may
+ * hold delimiters, doubled quotes and line breaks.
+ * @param {string} text
+ * @param {string} [delimiter='\t']
+ * @returns {string[][]} The fields of each line; a final line break adds no empty line.
+ */
+export const parseDelimited = (text, delimiter = '\t') => {
+    const source = String(text).replace(/\r\n?/g, '\n');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (quoted) {
+            if (char !== '"') {
+                field += char;
+            } else if (source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else {
+                quoted = false;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n') {
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+};
+
+/**
+ * Builds a table from the fields of delimited text; the first line is the header row.
+ * @param {string[][]} rows
+ * @returns {import('./model.js').Block}
+ */
+export const delimitedToTable = (rows) => ({
+    type: 'table',
+    rows: rows.map((fields, index) => ({
+        header: index === 0,
+        cells: fields.map(field => ({
+            content: field.split('\n').flatMap((line, i) => [
+                ...(i > 0 ? [{ type: 'break' }] : []),
+                ...(line ? [createText(line)] : [])
+            ]),
+            align: null
+        }))
+    }))
+});
@@ -0,0 +1,139 @@
+/**
+ * @file JSON document model of a note.
+ * A document is a list of blocks (paragraphs, headings, lists, ...); text inside a block
+ * is a list of inline nodes carrying marks (bold, link, ...). The model only holds plain
+ * JSON values, so it can be stored, compared, sent over IPC and serialized without a DOM.
+ *
+ * `parseDom.js` reads it from editor markup, `renderDom.js` puts it into the editor, and
+ * `toHtml.js`, `toMarkdown.js` and `toText.js` serialize it. `delimited.js` writes tables
+ * as CSV or TSV and reads them back.
+ *
+ * The model is the source of truth for note content: notes, snapshots, the edit journal
+ * and the undo history hold the model serialized by `toHtml` (see `getEditorHtml`), and
+ * notes are rendered into the editor from the model.
+ *
+ * @typedef {{type: 'bold'|'italic'|'underline'|'strike'|'highlight'|'code'}|{type: 'link', href: string}} Mark
+ *
+ * @typedef {{type: 'text', text: string, marks: Mark[]}
+ *     | {type: 'break'}
+ *     | {type: 'image', src: string, alt: string}} InlineNode
+ *
+ * @typedef {{type: 'paragraph', content: InlineNode[]}
+ *     | {type: 'heading', level: number, content: InlineNode[]}
+ *     | {type: 'quote', blocks: Block[]}
+ *     | {type: 'code', language: string, text: string}
+ *     | {type: 'list', ordered: boolean, start: number, items: ListItem[]}
+ *     | {type: 'table', rows: TableRow[]}
+ *     | {type: 'rule'}} Block
+ *
+ * @typedef {{checked: boolean|null, blocks: Block[]}} ListItem - `checked` is null for a
+ *    plain item and a boolean for a task list item.
+ * @typedef {{header: boolean, cells: TableCell[]}} TableRow
+ * @typedef {{content: InlineNode[], align: 'left'|'center'|'right'|null, colSpan?: number, rowSpan?: number}} TableCell
+ *    `colSpan` and `rowSpan` are only set for merged cells.
+ *
+ * @typedef {{type: 'doc', version: number, blocks: Block[]}} DocumentNode
+ */
+
+export const DOCUMENT_VERSION = 1;
+
+/** Marks in the order they are nested, outermost first. */
+export const MARK_TYPES = ['link', 'bold', 'italic', 'strike', 'underline', 'highlight', 'code'];
+
+/**
+ * Creates a document.
+ * @param {Block[]} [blocks=[]]
+ * @returns {DocumentNode}
+ */
+export const createDocument = (blocks = []) => ({ type: 'doc', version: DOCUMENT_VERSION, blocks });
+
+/**
+ * Creates a text node with its marks in canonical order.
+ * @param {string} text
+ * @param {Mark[]} [marks=[]]
+ * @returns {InlineNode}
+ */
+export const createText = (text, marks = []) => ({ type: 'text', text, marks: sortMarks(marks) });
+
+/**
+ * Sorts marks into nesting order and drops duplicates of the same type.
+ * @param {Mark[]} marks
+ * @returns {Mark[]}
+ */
+export const sortMarks = (marks) => MARK_TYPES
+    .map(type => marks.find(mark => mark.type === type))
+    .filter(Boolean);
+
+/**
+ * @param {Mark} a
+ * @param {Mark} b
+ * @returns {boolean}
+ */
+export const isSameMark = (a, b) => a.type === b.type && (a.type !== 'link' || a.href === b.href);
+
+/**
+ * @param {Mark[]} a
+ * @param {Mark[]} b
+ * @returns {boolean}
+ */
+export const hasSameMarks = (a, b) => a.length === b.length && a.every((mark, i) => isSameMark(mark, b[i]));
+
+/**
+ * @param {Mark[]} marks
+ * @param {string} type
+ * @returns {boolean}
+ */
+export const hasMark = (marks, type) => marks.some(mark => mark.type === type);
+
+/**
+ * Joins the text of inline content; breaks become newlines.
+ * @param {InlineNode[]} content
+ * @returns {string}
+ */
+export const inlineText = (content) => content
+    .map(node => {
+        if (node.type === 'text') return node.text;
+        if (node.type === 'break') return '\n';
+        return node.alt;
+    })
+    .join('');
+
+/**
+ * Lays the cells of a table out on a grid. A merged cell takes the first slot it covers;
+ * its other slots, and the slots missing at the end of short rows, are null.
+ * @param {TableRow[]} rows
+ * @returns {Array<Array<TableCell|null>>} One array per row, all of the same length.
+ */
+export const layoutTable = (rows) => {
+    const grid = rows.map(() => []);
+    const covered = rows.map(() => []);
+
+    rows.forEach((row, rowIndex) => {
+        let column = 0;
+        row.cells.forEach(cell => {
+            while (covered[rowIndex][column]) column++;
+
+            const colSpan = cell.colSpan ?? 1;
+            const rowSpan = Math.min(cell.rowSpan ?? 1, rows.length - rowIndex);
+            for (let r = rowIndex; r < rowIndex + rowSpan; r++) {
+                for (let c = column; c < column + colSpan; c++) covered[r][c] = true;
+            }
+
+            grid[rowIndex][column] = cell;
+            column += colSpan;
+        });
+    });
+
+    const width = Math.max(0, ...covered.map(row => row.length));
+    return grid.map(row => Array.from({ length: width }, (_, i) => row[i] ?? null));
+};
+
+/**
+ * Checks that a value has the shape of a document of this version. Only the outline is
+ * checked; serializers skip nodes of unknown types.
+ * @param {*} value
+ * @returns {boolean}
+ */
+export const isDocument = (value) => value?.type === 'doc'
+    && value.version === DOCUMENT_VERSION
+    && Array.isArray(value.blocks);
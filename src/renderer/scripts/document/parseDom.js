@@ -0,0 +1,386 @@
+/**
+ * @file Reads editor markup into the document model (see `model.js`). Understands the
+ * markup of the slash commands in `commands.js`, of `execCommand` formatting (including
+ * formatting applied through style attributes) and of pasted or imported content.
+ */
+
+import { createDocument, createText, hasSameMarks, sortMarks } from './model.js';
+
+const BLOCK_TAGS = new Set([
+    'P', 'DIV', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'UL', 'OL', 'LI', 'BLOCKQUOTE',
+    'PRE', 'TABLE', 'HR', 'SECTION', 'ARTICLE', 'HEADER', 'FOOTER', 'FIGURE', 'MAIN'
+]);
+
+const HEADING_PATTERN = /^H([1-6])$/;
+
+const TAG_MARKS = {
+    B: 'bold', STRONG: 'bold',
+    I: 'italic', EM: 'italic',
+    U: 'underline', INS: 'underline',
+    S: 'strike', STRIKE: 'strike', DEL: 'strike',
+    MARK: 'highlight',
+    CODE: 'code', KBD: 'code', SAMP: 'code'
+};
+
+const isElement = (node) => node.nodeType === Node.ELEMENT_NODE;
+
+const isBlock = (node) => isElement(node) && BLOCK_TAGS.has(node.tagName);
+
+/**
+ * Adds the marks of an element to the inherited marks.
+ * @param {HTMLElement} element
+ * @param {import('./model.js').Mark[]} marks
+ * @returns {import('./model.js').Mark[]}
+ */
+const addMarks = (element, marks) => {
+    const added = [];
+    const tagMark = TAG_MARKS[element.tagName];
+    if (tagMark) added.push({ type: tagMark });
+
+    if (element.tagName === 'A' && element.getAttribute('href')) {
+        added.push({ type: 'link', href: element.getAttribute('href') });
+    }
+
+    // Formatting applied through a style attribute (e.g. `execCommand` with `styleWithCSS`)
+    const style = element.style ?? {};
+    const weight = style.fontWeight;
+    const decoration = `${style.textDecoration ?? ''} ${style.textDecorationLine ?? ''}`;
+
+    if (weight === 'bold' || weight === 'bolder' || Number(weight) >= 600) added.push({ type: 'bold' });
+    if (style.fontStyle === 'italic') added.push({ type: 'italic' });
+    if (decoration.includes('underline')) added.push({ type: 'underline' });
+    if (decoration.includes('line-through')) added.push({ type: 'strike' });
+
+    // The innermost link wins
+    return added.length
+        ? sortMarks([...added, ...marks.filter(mark => !added.some(a => a.type === mark.type))])
+        : marks;
+};
+
+/**
+ * Collects the inline nodes of a DOM node.
+ * @param {Node} node
+ * @param {import('./model.js').Mark[]} marks - Marks inherited from the ancestors.
+ * @param {import('./model.js').InlineNode[]} content - Output.
+ */
+const collectInline = (node, marks, content) => {
+    if (node.nodeType === Node.TEXT_NODE) {
+        // Non-breaking spaces stay until `normalizeInline`, which only collapses plain whitespace
+        const text = node.data.replace(/[ \t\r\n]+/g, ' ');
+        if (text) content.push(createText(text, marks));
+        return;
+    }
+    if (!isElement(node)) return;
+
+    switch (node.tagName) {
+        case 'BR':
+            content.push({ type: 'break' });
+            return;
+        case 'INPUT':
+        case 'SCRIPT':
+        case 'STYLE':
+            return;
+        case 'IMG': {
+            const src = node.getAttribute('src');
+            if (src) content.push({ type: 'image', src, alt: node.getAttribute('alt') ?? '' });
+            return;
+        }
+        default: {
+            const childMarks = addMarks(node, marks);
+            node.childNodes.forEach(child => collectInline(child, childMarks, content));
+        }
+    }
+};
+
+/**
+ * Merges text nodes with the same marks and trims whitespace around line breaks
+ * and at both ends, like the browser renders it. Non-breaking spaces are shown by
+ * the browser wherever they are, so they are kept as plain spaces.
+ * @param {import('./model.js').InlineNode[]} content
+ * @returns {import('./model.js').InlineNode[]}
+ */
+const normalizeInline = (content) => {
+    const merged = [];
+
+    content.forEach(node => {
+        const previous = merged[merged.length - 1];
+        if (node.type === 'text' && previous?.type === 'text' && hasSameMarks(previous.marks, node.marks)) {
+            previous.text += node.text;
+        } else {
+            merged.push(node.type === 'text' ? { ...node } : node);
+        }
+    });
+
+    // Collapse spaces across node boundaries
+    let afterSpace = true;
+    merged.forEach(node => {
+        if (node.type === 'break') {
+            afterSpace = true;
+            return;
+        }
+        if (node.type !== 'text') {
+            afterSpace = false;
+            return;
+        }
+        if (afterSpace) node.text = node.text.replace(/^ +/, '');
+        node.text = node.text.replace(/ {2,}/g, ' ');
+        if (node.text) afterSpace = node.text.endsWith(' ');
+    });
+
+    // Drop trailing spaces before breaks and at the end
+    for (let i = merged.length - 1, atEnd = true; i >= 0; i--) {
+        const node = merged[i];
+        if (node.type === 'break') {
+            atEnd = true;
+        } else if (node.type !== 'text') {
+            atEnd = false;
+        } else if (atEnd) {
+            node.text = node.text.replace(/ +$/, '');
+            if (node.text) atEnd = false;
+        }
+    }
+
+    merged.forEach(node => {
+        if (node.type === 'text') node.text = node.text.replace(/\u00A0/g, ' ');
+    });
+
+    const result = merged.filter(node => node.type !== 'text' || node.text);
+
+    // A trailing `<br>` only keeps an empty line editable in the browser
+    if (result[result.length - 1]?.type === 'break') result.pop();
+    return result;
+};
+
+/**
+ * Reads the inline content of DOM nodes.
+ * @param {Node[]} nodes
+ * @returns {import('./model.js').InlineNode[]}
+ */
+const readInline = (nodes) => {
+    const content = [];
+    nodes.forEach(node => collectInline(node, [], content));
+    return normalizeInline(content);
+};
+
+/**
+ * Reads the text of a code block, turning `<br>` and block children into newlines.
+ * @param {Node} node
+ * @returns {string}
+ */
+const readCodeText = (node) => {
+    if (node.nodeType === Node.TEXT_NODE) return node.data;
+    if (!isElement(node)) return '';
+    if (node.tagName === 'BR') return '\n';
+
+    const text = Array.from(node.childNodes, readCodeText).join('');
+    return isBlock(node) && node.tagName !== 'PRE' ? `${text}\n` : text;
+};
+
+/**
+ * Reads the children of an element as blocks. Inline content between blocks
+ * (e.g. the bare first line of the editor) becomes a paragraph.
+ * @param {Element} parent
+ * @returns {import('./model.js').Block[]}
+ */
+const readChildren = (parent) => {
+    const blocks = [];
+    let inline = [];
+
+    const flushInline = () => {
+        const content = readInline(inline);
+        if (content.length) blocks.push({ type: 'paragraph', content });
+        inline = [];
+    };
+
+    parent.childNodes.forEach(child => {
+        if (isBlock(child)) {
+            flushInline();
+            blocks.push(...readBlock(child));
+        } else {
+            inline.push(child);
+        }
+    });
+    flushInline();
+
+    return blocks;
+};
+
+/**
+ * Reads the children of an element that holds at least one block, such as a list item.
+ * When it is empty (e.g. `<li><br></li>`) the block is an empty paragraph.
+ * @param {Element} parent
+ * @returns {import('./model.js').Block[]}
+ */
+const readContainer = (parent) => {
+    const blocks = readChildren(parent);
+    return blocks.length ? blocks : [{ type: 'paragraph', content: [] }];
+};
+
+/**
+ * Reads a list. Nested lists placed directly in the list (as `execCommand('indent')`
+ * does) belong to the item before them.
+ * @param {HTMLElement} list
+ * @returns {import('./model.js').Block|null}
+ */
+const readList = (list) => {
+    const items = [];
+
+    Array.from(list.children).forEach(child => {
+        if (child.tagName === 'UL' || child.tagName === 'OL') {
+            const nested = readList(child);
+            if (!nested) return;
+
+            if (items.length) {
+                items[items.length - 1].blocks.push(nested);
+            } else {
+                items.push({ checked: null, blocks: [nested] });
+            }
+            return;
+        }
+        if (child.tagName !== 'LI') return;
+
+        const checkbox = child.querySelector(':scope > input[type="checkbox"]');
+        items.push({
+            checked: checkbox ? checkbox.checked || checkbox.hasAttribute('checked') : null,
+            blocks: readContainer(child)
+        });
+    });
+
+    if (!items.length) return null;
+
+    const start = Number.parseInt(list.getAttribute('start') ?? '1', 10);
+    return {
+        type: 'list',
+        ordered: list.tagName === 'OL',
+        start: Number.isFinite(start) ? start : 1,
+        items
+    };
+};
+
+/**
+ * Reads the alignment of a table cell.
+ * @param {HTMLElement} cell
+ * @returns {'left'|'center'|'right'|null}
+ */
+const readAlignment = (cell) => {
+    const align = (cell.style?.textAlign || cell.getAttribute('align') || '').toLowerCase();
+    if (align === 'center') return 'center';
+    if (align === 'right' || align === 'end') return 'right';
+    if (align === 'left' || align === 'start') return 'left';
+    return null;
+};
+
+/** Largest spans browsers accept. */
+const MAX_SPANS = { colspan: 1000, rowspan: 65534 };
+
+/**
+ * Reads the spans of a merged cell.
+ * @param {HTMLTableCellElement} cell
+ * @returns {{colSpan?: number, rowSpan?: number}} Only the spans larger than 1.
+ */
+const readSpans = (cell) => {
+    const spans = {};
+    const colSpan = Math.min(Number.parseInt(cell.getAttribute('colspan'), 10), MAX_SPANS.colspan);
+    const rowSpan = Math.min(Number.parseInt(cell.getAttribute('rowspan'), 10), MAX_SPANS.rowspan);
+
+    if (colSpan > 1) spans.colSpan = colSpan;
+    if (rowSpan > 1) spans.rowSpan = rowSpan;
+    return spans;
+};
+
+/**
+ * Reads a table. Rows in `thead` or made of `th` cells are header rows.
+ * @param {HTMLTableElement} table
+ * @returns {import('./model.js').Block|null}
+ */
+const readTable = (table) => {
+    const rows = Array.from(table.querySelectorAll('tr'))
+        .filter(row => row.closest('table') === table)
+        .map(row => {
+            const cells = Array.from(row.children).filter(cell => cell.tagName === 'TD' || cell.tagName === 'TH');
+            return {
+                header: row.parentElement?.tagName === 'THEAD'
+                    || (cells.length > 0 && cells.every(cell => cell.tagName === 'TH')),
+                cells: cells.map(cell => ({
+                    content: readInline(Array.from(cell.childNodes)),
+                    align: readAlignment(cell),
+                    ...readSpans(cell)
+                }))
+            };
+        })
+        .filter(row => row.cells.length);
+
+    return rows.length ? { type: 'table', rows } : null;
+};
+
+/**
+ * Reads a block element.
+ * @param {HTMLElement} element
+ * @returns {import('./model.js').Block[]}
+ */
+const readBlock = (element) => {
+    const tag = element.tagName;
+    const heading = tag.match(HEADING_PATTERN);
+
+    if (heading) {
+        return [{ type: 'heading', level: Number(heading[1]), content: readInline(Array.from(element.childNodes)) }];
+    }
+
+    switch (tag) {
+        case 'HR':
+            return [{ type: 'rule' }];
+        case 'UL':
+        case 'OL':
+            return [readList(element)].filter(Boolean);
+        case 'LI': {
+            const wrapper = element.ownerDocument.createElement('ul');
+            wrapper.appendChild(element.cloneNode(true));
+            return [readList(wrapper)].filter(Boolean);
+        }
+        case 'TABLE':
+            return [readTable(element)].filter(Boolean);
+        case 'PRE': {
+            const code = element.querySelector('code');
+            const language = (code?.className.match(/(?:^|\s)language-(\S+)/) ?? [])[1] ?? '';
+            return [{ type: 'code', language, text: readCodeText(element).replace(/\n$/, '') }];
+        }
+        case 'BLOCKQUOTE':
+            return [{ type: 'quote', blocks: readContainer(element) }];
+        default: {
+            const blocks = readChildren(element);
+
+            // An empty line typed in the editor (`<div><br></div>`) stays an empty paragraph
+            if (blocks.length === 0 && (tag === 'DIV' || tag === 'P') && element.querySelector('br')) {
+                return [{ type: 'paragraph', content: [] }];
+            }
+            return blocks;
+        }
+    }
+};
+
+/**
+ * Reads editor content into a document.
+ * @param {HTMLElement|string} source - The editor element, or an HTML string.
+ * @returns {import('./model.js').DocumentNode}
+ *
+ * @example
+ * parseDocument('<h1>Title</h1><div><b>Bold</b> text</div>');
+ * // {type: 'doc', version: 1, blocks: [
+ * //     {type: 'heading', level: 1, content: [{type: 'text', text: 'Title', marks: []}]},
+ * //     {type: 'paragraph', content: [{type: 'text', text: 'Bold', marks: [{type: 'bold'}]}, ...]}
+ * // ]}
+ */
+export const parseDocument = (source) => {
+    const root = typeof source === 'string'
+        ? new DOMParser().parseFromString(source, 'text/html').body
+        : source;
+
+    return createDocument(readChildren(root));
+};
+
+/**
+ * Reads one table of the editor.
+ * @param {HTMLTableElement} table
+ * @returns {import('./model.js').Block|null} The table block, or null for a table without cells.
+ */
+export const parseTable = (table) => readTable(table);
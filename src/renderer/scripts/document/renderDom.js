@@ -0,0 +1,56 @@
+/**
+ * @file Moves the document model in and out of the editor. Rendering goes through
+ * `toHtml`, so the editor DOM and exported HTML never disagree about the markup of a
+ * block, and reading goes through `parseDocument`, so markup the browser adds while
+ * typing never reaches a saved note, a snapshot or the undo history.
+ */
+
+import { parseDocument } from './parseDom.js';
+import { toHtml } from './toHtml.js';
+
+/**
+ * Renders a document into DOM nodes.
+ * @param {import('./model.js').DocumentNode} doc
+ * @param {Document} [ownerDocument=document] - Document the nodes are created in.
+ * @returns {DocumentFragment}
+ */
+export const renderDocument = (doc, ownerDocument = document) => {
+    const template = ownerDocument.createElement('template');
+    template.innerHTML = toHtml(doc);
+    return template.content;
+};
+
+/**
+ * Replaces the content of the editor with a document. The change goes through the
+ * editor history when one is given, so it can be undone.
+ * @param {HTMLElement} editor                      - The editor element.
+ * @param {import('./model.js').DocumentNode} doc   - Document to show.
+ * @param {Object} [history]                        - The history returned by `createEditorHistory()`.
+ */
+export const setEditorDocument = (editor, doc, history) => {
+    const replace = () => editor.replaceChildren(renderDocument(doc, editor.ownerDocument));
+    if (history) {
+        history.transact(replace);
+    } else {
+        replace();
+    }
+};
+
+/**
+ * Reads the content of the editor as it is stored: the document model serialized to HTML.
+ * Rendering that HTML and reading it back gives the same string.
+ * @param {HTMLElement} editor - The editor element.
+ * @returns {string}
+ */
+export const getEditorHtml = (editor) => toHtml(parseDocument(editor));
+
+/**
+ * Puts stored note content into the editor, reading it into the document model first.
+ * Content saved before notes went through the model is converted on the way.
+ * @param {HTMLElement} editor  - The editor element.
+ * @param {string} html         - Stored content of a note or snapshot.
+ * @param {Object} [history]    - The history returned by `createEditorHistory()`.
+ */
+export const setEditorHtml = (editor, html, history) => {
+    setEditorDocument(editor, parseDocument(html), history);
+};
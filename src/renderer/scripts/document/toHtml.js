@@ -0,0 +1,230 @@
+/**
+ * @file Serializes the document model to the HTML the editor works with: the same
+ * markup the slash commands (`commands.js`) and the Markdown import (`markdownToHtml.js`)
+ * produce. Works on strings only, so it runs without a DOM.
+ */
+
+import { MARK_TYPES, isSameMark } from './model.js';
+
+/** Opening and closing tags of the marks. */
+const MARK_TAGS = {
+    bold: ['<b>', '</b>'],
+    italic: ['<i>', '</i>'],
+    underline: ['<u>', '</u>'],
+    strike: ['<s>', '</s>'],
+    highlight: ['<mark>', '</mark>'],
+    code: ['<code>', '</code>']
+};
+
+/**
+ * Escapes text for use in HTML.
+ * @param {string} text
+ * @returns {string}
+ */
+export const escapeHTML = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const openTag = (mark) => mark.type === 'link'
+    ? `<a href="${escapeHTML(mark.href)}">`
+    : MARK_TAGS[mark.type]?.[0] ?? '';
+
+const closeTag = (mark) => mark.type === 'link' ? '</a>' : MARK_TAGS[mark.type]?.[1] ?? '';
+
+/**
+ * Returns the character an inline node shows at one of its ends, or null for the
+ * start or end of a line.
+ * @param {import('./model.js').InlineNode|undefined} node
+ * @param {boolean} last - Whether to look at the end of the node rather than the start.
+ * @returns {string|null}
+ */
+const edgeCharacter = (node, last) => {
+    if (!node || node.type === 'break') return null;
+    if (node.type !== 'text') return '\uFFFC';
+    return node.text[last ? node.text.length - 1 : 0] ?? null;
+};
+
+/**
+ * Escapes the text of a text node so the browser shows all of its spaces: a space at
+ * the start or end of a line, or followed by another space, becomes `&nbsp;`, the way
+ * the browser writes spaces typed there.
+ * @param {import('./model.js').InlineNode[]} content
+ * @param {number} index - Index of the text node in `content`.
+ * @returns {string}
+ */
+const textToHtml = (content, index) => {
+    const { text } = content[index];
+    const before = edgeCharacter(content[index - 1], true);
+    const after = edgeCharacter(content[index + 1], false);
+
+    return Array.from(text, (char, i) => {
+        if (char !== ' ') return escapeHTML(char);
+
+        const previous = i > 0 ? text[i - 1] : before;
+        const next = i < text.length - 1 ? text[i + 1] : after;
+        return previous === null || next === null || next === ' ' ? '&nbsp;' : ' ';
+    }).join('');
+};
+
+/**
+ * Serializes inline content. Marks shared by neighbouring nodes stay open across them,
+ * so `<b>a<i>b</i></b>` comes out as it went in.
+ * @param {import('./model.js').InlineNode[]} content
+ * @returns {string}
+ */
+export const inlineToHtml = (content) => {
+    const open = [];
+    let html = '';
+
+    const closeTo = (depth) => {
+        while (open.length > depth) html += closeTag(open.pop());
+    };
+
+    content.forEach((node, index) => {
+        const marks = node.type === 'text' ? node.marks : [];
+
+        let keep = 0;
+        while (keep < open.length && marks.some(mark => isSameMark(mark, open[keep]))) keep++;
+        closeTo(keep);
+
+        MARK_TYPES.forEach(type => {
+            const mark = marks.find(m => m.type === type);
+            if (mark && !open.some(m => isSameMark(m, mark))) {
+                html += openTag(mark);
+                open.push(mark);
+            }
+        });
+
+        if (node.type === 'text') {
+            html += textToHtml(content, index);
+        } else if (node.type === 'break') {
+            html += '<br>';
+        } else if (node.type === 'image') {
+            html += `<img src="${escapeHTML(node.src)}" alt="${escapeHTML(node.alt)}">`;
+        }
+    });
+    closeTo(0);
+
+    return html;
+};
+
+/**
+ * Serializes the content of a text block. The browser shows no line after a `<br>` at
+ * the end of a block, so an empty block and a block ending in a break get another one.
+ * @param {import('./model.js').InlineNode[]} content
+ * @returns {string}
+ */
+const blockContent = (content) => content.length && content[content.length - 1].type !== 'break'
+    ? inlineToHtml(content)
+    : `${inlineToHtml(content)}<br>`;
+
+/**
+ * Serializes a list item. A single paragraph is written without a wrapper, like the
+ * items the editor creates; the text of a task item goes into the editable `span`
+ * of `/check`.
+ * @param {import('./model.js').ListItem} item
+ * @param {boolean} ordered
+ * @returns {string}
+ */
+const itemToHtml = (item, ordered) => {
+    const [first, ...rest] = item.blocks;
+    const hasText = first?.type === 'paragraph';
+    const text = hasText ? blockContent(first.content) : '';
+    const nested = blocksToHtml(hasText ? rest : item.blocks);
+
+    if (item.checked !== null) {
+        const checked = item.checked ? ' checked' : '';
+        return `<li><input type="checkbox"${checked} style="margin-right: 8px;"><span contenteditable="true">${hasText && first.content.length ? text : ''}</span>${nested}</li>`;
+    }
+    return ordered
+        ? `<li style="list-style: decimal;">${text}${nested}</li>`
+        : `<li>${text}${nested}</li>`;
+};
+
+/**
+ * @param {import('./model.js').TableCell} cell
+ * @param {'th'|'td'} tag
+ * @returns {string}
+ */
+const cellToHtml = (cell, tag) => {
+    const style = cell.align ? ` style="text-align: ${cell.align};"` : '';
+    const colSpan = cell.colSpan > 1 ? ` colspan="${cell.colSpan}"` : '';
+    const rowSpan = cell.rowSpan > 1 ? ` rowspan="${cell.rowSpan}"` : '';
+    return `<${tag}${colSpan}${rowSpan}${style}>${blockContent(cell.content)}</${tag}>`;
+};
+
+/**
+ * Serializes a table; header rows go into `thead`.
+ * @param {import('./model.js').TableRow[]} rows
+ * @returns {string}
+ */
+const tableToHtml = (rows) => {
+    const header = rows.filter(row => row.header);
+    const body = rows.filter(row => !row.header);
+    const rowHtml = (row, tag) => `<tr>${row.cells.map(cell => cellToHtml(cell, tag)).join('')}</tr>`;
+
+    const head = header.length ? `<thead>${header.map(row => rowHtml(row, 'th')).join('')}</thead>` : '';
+    const rest = body.length ? `<tbody>${body.map(row => rowHtml(row, 'td')).join('')}</tbody>` : '';
+    return `<table class="fascinate-notes-table">${head}${rest}</table>`;
+};
+
+/**
+ * Serializes a block.
+ * @param {import('./model.js').Block} block
+ * @returns {string}
+ */
+const blockToHtml = (block) => {
+    switch (block.type) {
+        case 'paragraph':
+            return `<p>${blockContent(block.content)}</p>`;
+        case 'heading': {
+            const level = Math.min(6, Math.max(1, block.level));
+            return `<h${level}>${blockContent(block.content)}</h${level}>`;
+        }
+        case 'quote':
+            return `<blockquote>${blocksToHtml(block.blocks) || '<br>'}</blockquote>`;
+        case 'code': {
+            const language = block.language ? ` class="language-${escapeHTML(block.language)}"` : '';
+            // Like a `<br>`, a newline at the end of a code block shows no line
+            const text = block.text.endsWith('\n') ? `${block.text}\n` : block.text;
+            return `<pre><code${language}>${text ? escapeHTML(text) : '<br>'}</code></pre>`;
+        }
+        case 'list': {
+            const task = !block.ordered && block.items.length > 0 && block.items.every(item => item.checked !== null);
+            const items = block.items.map(item => itemToHtml(item, block.ordered)).join('');
+
+            if (task) return `<ul style="list-style-type: none; padding-left: 0px;">${items}</ul>`;
+            if (block.ordered) {
+                const start = block.start !== 1 ? ` start="${block.start}"` : '';
+                return `<ol class="ordered-list"${start}>${items}</ol>`;
+            }
+            return `<ul class="unordered-list">${items}</ul>`;
+        }
+        case 'table':
+            return tableToHtml(block.rows);
+        case 'rule':
+            return '<hr>';
+        default:
+            return '';
+    }
+};
+
+/**
+ * Serializes blocks.
+ * @param {import('./model.js').Block[]} blocks
+ * @returns {string}
+ */
+const blocksToHtml = (blocks) => blocks.map(blockToHtml).join('');
+
+/**
+ * Serializes a document to editor HTML.
+ * @param {import('./model.js').DocumentNode} doc
+ * @returns {string}
+ *
+ * @example
+ * toHtml(createDocument([{type: 'heading', level: 1, content: [createText('Title')]}]));
+ * // '<h1>Title</h1>'
+ */
+export const toHtml = (doc) => blocksToHtml(doc.blocks);
@@ -0,0 +1,242 @@
+/**
+ * @file Serializes the document model to CommonMark with GitHub Flavored Markdown
+ * extensions (tables, task lists, strikethrough). Underline and highlight have no Markdown
+ * syntax and are kept as inline `<u>` and `<mark>` HTML, which GFM allows.
+ */
+
+import { isSameMark, layoutTable } from './model.js';
+
+/** Delimiters of the marks; links are written separately. */
+const MARK_DELIMITERS = {
+    bold: ['**', '**'],
+    italic: ['*', '*'],
+    strike: ['~~', '~~'],
+    underline: ['<u>', '</u>'],
+    highlight: ['<mark>', '</mark>']
+};
+
+/** Marks written around other marks, outermost first (code is written as a code span). */
+const DELIMITED_MARKS = ['link', 'bold', 'italic', 'strike', 'underline', 'highlight'];
+
+/**
+ * Escapes characters that Markdown would otherwise read as syntax.
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeText = (text) => text
+    .replace(/[\\`*[\]<~]/g, '\\$&')
+    .replace(/(^|[^\p{L}\p{N}])_|_(?=[^\p{L}\p{N}]|$)/gu, (match) => match.replace('_', '\\_'));
+
+/**
+ * Escapes characters that would start a block (heading, quote, list) at the start of a line,
+ * and lines that would be read as a thematic break (`---`) or a setext underline (`===`).
+ * @param {string} line
+ * @returns {string}
+ */
+const escapeLineStart = (line) => line
+    .replace(/^(\s*)([#>+-])(?=\s|$)/, '$1\\$2')
+    .replace(/^(\s*\d+)([.)])(?=\s|$)/, '$1\\$2')
+    .replace(/^(\s*)([-=*_])(?=(?:\s*\2)*\s*$)/, '$1\\$2');
+
+/**
+ * Wraps code in backticks, using a longer fence than any backtick run inside it.
+ * @param {string} code
+ * @returns {string}
+ */
+const wrapCode = (code) => {
+    const longestRun = Math.max(0, ...(code.match(/`+/g) ?? []).map(run => run.length));
+    const fence = '`'.repeat(longestRun + 1);
+    const padding = code.startsWith('`') || code.endsWith('`') ? ' ' : '';
+    return `${fence}${padding}${code}${padding}${fence}`;
+};
+
+const openDelimiter = (mark) => mark.type === 'link' ? '[' : MARK_DELIMITERS[mark.type][0];
+
+const closeDelimiter = (mark) => mark.type === 'link' ? `](<${mark.href}>)` : MARK_DELIMITERS[mark.type][1];
+
+/**
+ * Serializes inline content. Line breaks are returned as `\n` and turned into hard
+ * breaks when the paragraph is assembled. Marks shared by neighbouring nodes stay open
+ * across them, and whitespace is kept outside of delimiters (`** bold**` would not be
+ * parsed as emphasis).
+ * @param {import('./model.js').InlineNode[]} content
+ * @returns {string}
+ */
+const inlineToMarkdown = (content) => {
+    const open = [];
+    let output = '';
+
+    const closeTo = (depth) => {
+        if (open.length <= depth) return;
+
+        const trailing = output.match(/ *$/)[0];
+        output = output.slice(0, output.length - trailing.length);
+        while (open.length > depth) output += closeDelimiter(open.pop());
+        output += trailing;
+    };
+
+    content.forEach(node => {
+        if (node.type === 'break') {
+            output += '\n';
+            return;
+        }
+
+        const marks = node.type === 'text' ? node.marks.filter(mark => mark.type !== 'code') : [];
+        let text = node.type === 'text'
+            ? (node.marks.some(mark => mark.type === 'code') ? wrapCode(node.text) : escapeText(node.text))
+            : (node.src ? `![${escapeText(node.alt)}](<${node.src}>)` : '');
+
+        let keep = 0;
+        while (keep < open.length && marks.some(mark => isSameMark(mark, open[keep]))) keep++;
+        closeTo(keep);
+
+        const opening = DELIMITED_MARKS
+            .map(type => marks.find(mark => mark.type === type))
+            .filter(mark => mark && !open.some(m => isSameMark(m, mark)));
+
+        if (opening.length && text.trim()) {
+            const leading = text.match(/^ */)[0];
+            output += leading;
+            text = text.slice(leading.length);
+
+            opening.forEach(mark => {
+                output += openDelimiter(mark);
+                open.push(mark);
+            });
+        }
+
+        output += text;
+    });
+    closeTo(0);
+
+    return output;
+};
+
+/**
+ * Turns serialized inline content into a paragraph: whitespace is trimmed per line,
+ * single line breaks become hard breaks and blank lines split paragraphs.
+ * @param {string} inline
+ * @returns {string}
+ */
+const toParagraph = (inline) => inline
+    .replace(/[ \t]*\n[ \t]*/g, '\n')
+    .replace(/ {2,}/g, ' ')
+    .trim()
+    .replace(/\n{2,}/g, '\n\n')
+    .split('\n')
+    .map(escapeLineStart)
+    .join('\n')
+    .replace(/([^\n])\n(?=[^\n])/g, '$1\\\n');
+
+/**
+ * Indents every line after the first (continuation lines of a list item).
+ * @param {string} text
+ * @param {number} width
+ * @returns {string}
+ */
+const indentContinuation = (text, width) => {
+    const padding = ' '.repeat(width);
+    return text.split('\n').map((line, i) => (i === 0 || !line ? line : padding + line)).join('\n');
+};
+
+/**
+ * Serializes a list. Task items get `[ ]`/`[x]` markers; the blocks of an item are
+ * written tight, one per line.
+ * @param {Extract<import('./model.js').Block, {type: 'list'}>} list
+ * @returns {string}
+ */
+const listToMarkdown = (list) => {
+    let number = list.start;
+
+    return list.items
+        .map(item => {
+            const marker = list.ordered ? `${number++}.` : '-';
+            const task = item.checked === null ? '' : `[${item.checked ? 'x' : ' '}] `;
+            return { marker, text: `${task}${blocksToMarkdown(item.blocks).join('\n')}` };
+        })
+        .filter(item => item.text.trim())
+        .map(({ marker, text }) => `${marker} ${indentContinuation(text, marker.length + 1)}`.replace(/ \n/, '\n'))
+        .join('\n');
+};
+
+const ALIGNMENT_RULES = { left: ':---', center: ':---:', right: '---:' };
+
+/**
+ * Serializes a table as a GFM table. The first row is the header row. GFM has no merged
+ * cells; the slots a merged cell covers after its first one stay empty.
+ * @param {import('./model.js').TableRow[]} rows
+ * @returns {string}
+ */
+const tableToMarkdown = (rows) => {
+    if (rows.length === 0) return '';
+
+    const grid = layoutTable(rows);
+    const width = grid[0].length;
+    if (width === 0) return '';
+
+    const formatCell = (cell) => {
+        if (!cell) return ' ';
+        const text = toParagraph(inlineToMarkdown(cell.content))
+            .replace(/\\\n|\n+/g, '<br>')
+            .replace(/\|/g, '\\|');
+        return text || ' ';
+    };
+
+    const formatRow = (cells) => `| ${cells.map(formatCell).join(' | ')} |`;
+    const [header, ...body] = grid;
+    const rule = `| ${header.map(cell => ALIGNMENT_RULES[cell?.align] ?? '---').join(' | ')} |`;
+
+    return [formatRow(header), rule, ...body.map(formatRow)].join('\n');
+};
+
+/**
+ * Serializes a block.
+ * @param {import('./model.js').Block} block
+ * @returns {string} Markdown, or an empty string for empty blocks.
+ */
+const blockToMarkdown = (block) => {
+    switch (block.type) {
+        case 'paragraph':
+            return toParagraph(inlineToMarkdown(block.content));
+        case 'heading': {
+            const text = toParagraph(inlineToMarkdown(block.content)).replace(/\\\n|\n+/g, ' ');
+            return text ? `${'#'.repeat(Math.min(6, Math.max(1, block.level)))} ${text}` : '';
+        }
+        case 'rule':
+            return '---';
+        case 'list':
+            return listToMarkdown(block);
+        case 'table':
+            return tableToMarkdown(block.rows);
+        case 'code': {
+            const longestRun = Math.max(2, ...(block.text.match(/`+/g) ?? []).map(run => run.length));
+            const fence = '`'.repeat(longestRun + 1);
+            return block.text.trim() ? `${fence}${block.language}\n${block.text}\n${fence}` : '';
+        }
+        case 'quote': {
+            const content = blocksToMarkdown(block.blocks).join('\n\n');
+            return content
+                ? content.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n')
+                : '';
+        }
+        default:
+            return '';
+    }
+};
+
+/**
+ * Serializes blocks, leaving out empty ones.
+ * @param {import('./model.js').Block[]} blocks
+ * @returns {string[]}
+ */
+const blocksToMarkdown = (blocks) => blocks.map(blockToMarkdown).filter(Boolean);
+
+/**
+ * Serializes a document to Markdown.
+ * @param {import('./model.js').DocumentNode} doc
+ * @returns {string} Markdown text ending with a newline (empty for an empty document).
+ */
+export const toMarkdown = (doc) => {
+    const markdown = blocksToMarkdown(doc.blocks).join('\n\n').trim();
+    return markdown ? `${markdown}\n` : '';
+};
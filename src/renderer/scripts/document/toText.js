@@ -0,0 +1,66 @@
+/**
+ * @file Serializes the document model to plain text. Block structure survives as
+ * line breaks, list markers and tab-separated table cells; formatting is dropped.
+ */
+
+import { inlineText } from './model.js';
+
+/**
+ * Indents every line after the first (continuation lines of a list item).
+ * @param {string} text
+ * @param {number} width
+ * @returns {string}
+ */
+const indentContinuation = (text, width) => {
+    const padding = ' '.repeat(width);
+    return text.split('\n').map((line, i) => (i === 0 || !line ? line : padding + line)).join('\n');
+};
+
+/**
+ * Serializes a block.
+ * @param {import('./model.js').Block} block
+ * @returns {string}
+ */
+const blockToText = (block) => {
+    switch (block.type) {
+        case 'paragraph':
+        case 'heading':
+            return inlineText(block.content);
+        case 'code':
+            return block.text;
+        case 'rule':
+            return '---';
+        case 'quote':
+            return blocksToText(block.blocks);
+        case 'list': {
+            let number = block.start;
+            return block.items
+                .map(item => {
+                    const marker = block.ordered ? `${number++}. ` : '- ';
+                    const task = item.checked === null ? '' : `[${item.checked ? 'x' : ' '}] `;
+                    return marker + indentContinuation(`${task}${blocksToText(item.blocks)}`, marker.length);
+                })
+                .join('\n');
+        }
+        case 'table':
+            return block.rows
+                .map(row => row.cells.map(cell => inlineText(cell.content).replace(/\s*\n\s*/g, ' ')).join('\t'))
+                .join('\n');
+        default:
+            return '';
+    }
+};
+
+/**
+ * Serializes blocks, one or more lines each.
+ * @param {import('./model.js').Block[]} blocks
+ * @returns {string}
+ */
+const blocksToText = (blocks) => blocks.map(blockToText).join('\n');
+
+/**
+ * Serializes a document to plain text.
+ * @param {import('./model.js').DocumentNode} doc
+ * @returns {string}
+ */
+export const toText = (doc) => blocksToText(doc.blocks);
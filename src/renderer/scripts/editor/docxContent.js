@@ -0,0 +1,137 @@
+/**
+ * @file Maps editor content, read into the document model (`document/parseDom.js`), to
+ * the plain block structure the main process turns into a Word document (see
+ * `core/services/docxExporter.js`). The structure only holds strings, numbers and
+ * booleans so it can be sent over IPC.
+ *
+ * @typedef {{text: string, bold?: boolean, italic?: boolean, underline?: boolean, strike?: boolean, highlight?: boolean, code?: boolean}|{break: true}} DocxRun
+ *
+ * @typedef {{type: 'heading', level: number, runs: DocxRun[]}
+ *     | {type: 'paragraph', runs: DocxRun[]}
+ *     | {type: 'quote', runs: DocxRun[]}
+ *     | {type: 'code', text: string}
+ *     | {type: 'list', ordered: boolean, items: DocxListItem[]}
+ *     | {type: 'table', rows: DocxTableRow[]}
+ *     | {type: 'rule'}} DocxBlock
+ *
+ * @typedef {{runs: DocxRun[], checked: boolean|null, children: DocxBlock[]}} DocxListItem
+ * @typedef {{header: boolean, cells: Array<{runs: DocxRun[], align: 'left'|'center'|'right'|null, colSpan?: number, rowSpan?: number}>}} DocxTableRow
+ */
+
+import { parseDocument } from '../document/parseDom.js';
+import { hasMark } from '../document/model.js';
+
+const RUN_FORMATS = ['bold', 'italic', 'underline', 'strike', 'highlight', 'code'];
+
+const sameFormat = (a, b) => RUN_FORMATS.every(format => Boolean(a[format]) === Boolean(b[format]));
+
+/**
+ * Maps inline content to runs. Links keep their text and images their alt text; runs
+ * with the same formatting are merged.
+ * @param {import('../document/model.js').InlineNode[]} content
+ * @returns {DocxRun[]}
+ */
+const toRuns = (content) => {
+    const runs = [];
+
+    content.forEach(node => {
+        if (node.type === 'break') {
+            runs.push({ break: true });
+            return;
+        }
+
+        const run = { text: node.type === 'image' ? node.alt : node.text };
+        if (!run.text) return;
+        if (node.type === 'text') {
+            RUN_FORMATS.forEach(format => {
+                if (hasMark(node.marks, format)) run[format] = true;
+            });
+        }
+
+        const previous = runs[runs.length - 1];
+        if (previous && !previous.break && sameFormat(previous, run)) {
+            previous.text += run.text;
+        } else {
+            runs.push(run);
+        }
+    });
+
+    return runs;
+};
+
+/**
+ * Maps a list. The first paragraph of an item holds its runs; empty items are left out.
+ * @param {Extract<import('../document/model.js').Block, {type: 'list'}>} list
+ * @returns {DocxBlock[]}
+ */
+const toList = (list) => {
+    const items = list.items
+        .map(item => {
+            const [first, ...rest] = item.blocks;
+            const hasText = first?.type === 'paragraph';
+            return {
+                runs: hasText ? toRuns(first.content) : [],
+                checked: item.checked,
+                children: toBlocks(hasText ? rest : item.blocks)
+            };
+        })
+        .filter(item => item.runs.length || item.children.length || item.checked !== null);
+
+    return items.length ? [{ type: 'list', ordered: list.ordered, items }] : [];
+};
+
+/**
+ * Maps a block of the document model.
+ * @param {import('../document/model.js').Block} block
+ * @returns {DocxBlock[]}
+ */
+const toBlock = (block) => {
+    switch (block.type) {
+        case 'paragraph':
+            return [{ type: 'paragraph', runs: toRuns(block.content) }];
+        case 'heading': {
+            const runs = toRuns(block.content).filter(run => !run.break);
+            return runs.length ? [{ type: 'heading', level: block.level, runs }] : [];
+        }
+        case 'rule':
+            return [{ type: 'rule' }];
+        case 'list':
+            return toList(block);
+        case 'table':
+            return [{
+                type: 'table',
+                rows: block.rows.map(row => ({
+                    header: row.header,
+                    cells: row.cells.map(cell => ({
+                        runs: toRuns(cell.content),
+                        align: cell.align,
+                        ...(cell.colSpan && { colSpan: cell.colSpan }),
+                        ...(cell.rowSpan && { rowSpan: cell.rowSpan })
+                    }))
+                }))
+            }];
+        case 'code':
+            return block.text.trim() ? [{ type: 'code', text: block.text }] : [];
+        case 'quote':
+            // Word has no nested quote structure; every paragraph of the quote is quoted
+            return toBlocks(block.blocks)
+                .filter(child => child.type !== 'paragraph' || child.runs.length)
+                .map(child => (child.type === 'paragraph' ? { type: 'quote', runs: child.runs } : child));
+        default:
+            return [];
+    }
+};
+
+/**
+ * Maps blocks of the document model.
+ * @param {import('../document/model.js').Block[]} blocks
+ * @returns {DocxBlock[]}
+ */
+const toBlocks = (blocks) => blocks.flatMap(toBlock);
+
+/**
+ * Reads editor content for a Word export.
+ * @param {HTMLElement} source - The editor element.
+ * @returns {DocxBlock[]}
+ */
+export const readDocxContent = (source) => toBlocks(parseDocument(source).blocks);
@@ -1,4 +1,10 @@
-import { downloadMarkupsContent } from './downloadStyle/cssConfig.js';
+import { htmlToMarkdown } from './markdown/htmlToMarkdown.js';
+import { readDocxContent } from './docxContent.js';
+import { createPrintDocument } from './printDocument.js';
+import { createHTMLDocument } from './htmlDocument.js';
+import { parseDocument, parseTable } from '../document/parseDom.js';
+import { toText } from '../document/toText.js';
+import { tableToDelimited } from '../document/delimited.js';
 
 /**
  * Styles for HTML export including theme colors
@@ -33,6 +39,41 @@ const getEditorStyles = (editor) => {
     }
 };
 
+/**
+ * @typedef {Object} SaveResult
+ * @property {boolean} saved - False when the user cancelled the save dialog
+ * @property {string} [filePath] - Where the file was written
+ */
+
+/**
+ * Save a file through the native save dialog of the main process.
+ * Falls back to a browser download when the bridge is not available.
+ * @param {'html'|'txt'|'md'|'docx'|'pdf'|'csv'} format - Export format
+ * @param {string|Uint8Array} data - File contents
+ * @param {string} filename - Suggested filename
+ * @param {string} type - MIME type for the fallback download
+ * @returns {Promise<SaveResult>} Save result
+ */
+
+const saveFile = async (format, data, filename, type) => {
+    const exporter = window.electronAPI?.exporter;
+    if (exporter?.save) {
+        return exporter.save({ format, data, fileName: filename });
+    }
+
+    const blob = new Blob([data], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+
+    return { saved: true };
+};
+
 /**
  * Export editor content as HTML
  * @param {HTMLElement} editor - Editor element
@@ -59,53 +100,115 @@ export const exportHTML = (editor, includeStyles = true) => {
 }
 
 /**
- * Download as HTML file with proper theme styling
+ * Download as a self-contained HTML file with proper theme styling
  * @param {HTMLElement} editor - Editor element
  * @param {string} filename - Output filename
+ * @param {import('./htmlDocument.js').HTMLExportOptions} [options] - Theme, images, table of contents
+ * @returns {Promise<SaveResult>} Save result
  */
 
-export const downloadHTML = (editor, filename = 'document.html') => {
-    const html = `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Documents</title>
-    <style>${downloadMarkupsContent.styles}</style>
-</head>
-<body>
-${editor.innerHTML}
-</body>
-</html>`;
-
-    const blob = new Blob([html], { type: 'text/html;charset=utf-8' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = filename;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+export const downloadHTML = async (editor, filename = 'document.html', options = {}) => {
+    const html = await createHTMLDocument(editor, options);
 
-}
+    return saveFile('html', html, filename, 'text/html;charset=utf-8');
+};
+
+/**
+ * Download as Markdown (GFM) file
+ * @param {HTMLElement} editor - Editor element
+ * @param {string} filename - Output filename
+ * @returns {Promise<SaveResult>} Save result
+ */
+
+export const downloadMarkdown = (editor, filename = 'document.md') => {
+    const markdown = htmlToMarkdown(editor);
+
+    return saveFile('md', markdown, filename, 'text/markdown;charset=utf-8');
+};
+
+/**
+ * Download as Word (.docx) file, built by the main process
+ * @param {HTMLElement} editor - Editor element
+ * @param {string} filename - Output filename
+ * @returns {Promise<SaveResult>} Save result
+ */
+
+export const downloadDOCX = async (editor, filename = 'document.docx') => {
+    const exporter = window.electronAPI?.exporter;
+    if (!exporter) {
+        throw new Error('Word export is not available');
+    }
+
+    const bytes = await exporter.toDocx(readDocxContent(editor), {
+        title: filename.replace(/\.docx$/i, '')
+    });
+
+    return saveFile('docx', bytes, filename, 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+};
+
+/**
+ * Download as PDF file, rendered by the main process
+ * @param {HTMLElement} editor - Editor element
+ * @param {string} filename - Output filename
+ * @param {import('./printDocument.js').PrintOptions} [options] - Page setup and theme
+ * @returns {Promise<SaveResult>} Save result
+ */
+
+export const downloadPDF = async (editor, filename = 'document.pdf', options = {}) => {
+    const exporter = window.electronAPI?.exporter;
+    if (!exporter) {
+        throw new Error('PDF export is not available');
+    }
+
+    const bytes = await exporter.toPdf(createPrintDocument(editor, options));
+
+    return saveFile('pdf', bytes, filename, 'application/pdf');
+};
+
+/**
+ * Print through the system print dialog
+ * @param {HTMLElement} editor - Editor element
+ * @param {import('./printDocument.js').PrintOptions} [options] - Page setup and theme
+ * @returns {Promise<boolean>} False when the user cancelled
+ */
+
+export const printEditor = async (editor, options = {}) => {
+    const exporter = window.electronAPI?.exporter;
+    if (!exporter) {
+        throw new Error('Printing is not available');
+    }
+
+    const { printed } = await exporter.print(createPrintDocument(editor, options), {
+        pageSize: options.pageSize,
+        landscape: options.orientation === 'landscape'
+    });
+    return printed;
+};
 
 /**
  * Download as TXT file
  * @param {HTMLElement} editor - Editor element
  * @param {string} filename - Output filename
+ * @returns {Promise<SaveResult>} Save result
  */
 
 export const downloadTXT = (editor, filename = 'document.txt') => {
-    const text = editor.innerText;
+    const text = toText(parseDocument(editor));
 
-    const blob = new Blob([text], { type: 'text/plain;charset=utf-8' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = filename;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-};
\ No newline at end of file
+    return saveFile('txt', text, filename, 'text/plain;charset=utf-8');
+};
+
+/**
+ * Download a table as a CSV file. The file starts with a byte order mark so spreadsheet
+ * apps read it as UTF-8, and cells that would run as formulas are escaped.
+ * @param {HTMLTableElement} table - Table of the editor
+ * @param {string} filename - Output filename
+ * @returns {Promise<SaveResult>} Save result
+ */
+
+export const downloadTableCSV = (table, filename = 'table.csv') => {
+    const block = parseTable(table);
+    const csv = block ? tableToDelimited(block.rows, { escapeFormulas: true }) : '';
+
+    return saveFile('csv', `\uFEFF${csv}\r\n`, filename, 'text/csv;charset=utf-8');
+};
@@ -46,7 +46,7 @@ const theme = {
  * @param {ThemeMode} mode
  * @returns {string}
  */
-const themeStyles = (mode) => {
+export const themeStyles = (mode) => {
     const colors = theme[mode];
     
     return `
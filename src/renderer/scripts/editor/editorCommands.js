@@ -0,0 +1,1142 @@
+/**
+ * @file Editing commands of the editor, built on the Range and DOM APIs instead of the
+ * deprecated `document.execCommand`. The commands always write the markup of the
+ * document model (`document/toHtml.js`): `<b>`, `<i>`, `<u>`, `<s>` and `<code>` for
+ * marks, `<p>` for paragraphs, `ul.unordered-list` and `ol.ordered-list` for lists.
+ *
+ * Commands live in a registry, so the keymap, the selection menu, the context menu and
+ * the toolbar run the same code. Every command runs as one step of the editor history
+ * and can tell whether it is active for the current selection (for button states).
+ *
+ * Built-in commands:
+ * - `toggleMark(type)`     - bold, italic, underline, strike, highlight or code on the selection.
+ * - `setBlockType(tag)`    - turns the selected blocks into `P`, `H1`-`H6`, `BLOCKQUOTE` or `PRE`.
+ * - `wrapList(kind)`       - toggles an `ordered` or `unordered` list.
+ * - `indent` / `lift`      - nests a list item one level deeper / moves a list item or
+ *                            quoted block one level out.
+ * - `deleteSelection`, `insertText(text)`, `selectAll`.
+ *
+ * The table commands are registered by `tableCommands.js`.
+ */
+
+/** Tags written for the marks. */
+const MARK_TAGS = { bold: 'B', italic: 'I', underline: 'U', strike: 'S', highlight: 'MARK', code: 'CODE' };
+
+/** Elements that carry a mark, including the ones pasted content brings in. */
+const MARK_ELEMENTS = {
+    bold: ['B', 'STRONG'],
+    italic: ['I', 'EM'],
+    underline: ['U', 'INS'],
+    strike: ['S', 'STRIKE', 'DEL'],
+    highlight: ['MARK'],
+    code: ['CODE', 'KBD', 'SAMP']
+};
+
+/** Elements that hold a line of text. */
+const TEXT_BLOCK_TAGS = new Set(['P', 'DIV', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'BLOCKQUOTE', 'PRE', 'LI', 'TD', 'TH']);
+
+const BLOCK_TAGS = new Set([
+    ...TEXT_BLOCK_TAGS, 'UL', 'OL', 'TABLE', 'THEAD', 'TBODY', 'TR', 'HR',
+    'SECTION', 'ARTICLE', 'HEADER', 'FOOTER', 'FIGURE', 'MAIN'
+]);
+
+/** Block types `setBlockType` accepts. */
+const BLOCK_TYPES = new Set(['P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'BLOCKQUOTE', 'PRE']);
+
+const isElement = (node) => node?.nodeType === Node.ELEMENT_NODE;
+
+const isBlockElement = (node) => isElement(node) && BLOCK_TAGS.has(node.tagName);
+
+const isList = (node) => isElement(node) && (node.tagName === 'UL' || node.tagName === 'OL');
+
+/**
+ * Reads a mark that is applied through a style attribute (e.g. by pasted content).
+ * @param {HTMLElement} element
+ * @param {string} type
+ * @returns {boolean}
+ */
+const hasStyleMark = (element, type) => {
+    const style = element.style;
+    if (!style) return false;
+
+    const decoration = `${style.textDecoration ?? ''} ${style.textDecorationLine ?? ''}`;
+    switch (type) {
+        case 'bold':
+            return style.fontWeight === 'bold' || style.fontWeight === 'bolder' || Number(style.fontWeight) >= 600;
+        case 'italic':
+            return style.fontStyle === 'italic';
+        case 'underline':
+            return decoration.includes('underline');
+        case 'strike':
+            return decoration.includes('line-through');
+        default:
+            return false;
+    }
+};
+
+/**
+ * @param {HTMLElement} element
+ * @param {string} type
+ * @returns {boolean} Whether the element gives its content the mark.
+ */
+const carriesMark = (element, type) => {
+    // `pre > code` is a code block, not inline code
+    if (type === 'code' && element.parentElement?.tagName === 'PRE') return false;
+    return MARK_ELEMENTS[type].includes(element.tagName) || hasStyleMark(element, type);
+};
+
+/**
+ * Replaces an element with its children.
+ * @param {HTMLElement} element
+ */
+const unwrap = (element) => element.replaceWith(...element.childNodes);
+
+/**
+ * @param {Node} node
+ * @returns {boolean} Whether the node (a fragment or an element) holds text, an image or a line break.
+ */
+const hasContent = (node) => node.textContent !== '' || Boolean(node.querySelector?.('img, br'));
+
+/**
+ * Creates an empty list with the markup of the slash commands.
+ * @param {'ordered'|'unordered'} kind
+ * @returns {HTMLElement}
+ */
+const createList = (kind) => {
+    const list = document.createElement(kind === 'ordered' ? 'ol' : 'ul');
+    list.className = kind === 'ordered' ? 'ordered-list' : 'unordered-list';
+    return list;
+};
+
+/**
+ * Gives a list item the markup of the list it is in.
+ * @param {HTMLLIElement} item
+ */
+const styleItem = (item) => {
+    item.style.listStyle = item.parentElement?.tagName === 'OL' ? 'decimal' : '';
+    if (!item.getAttribute('style')) item.removeAttribute('style');
+};
+
+/**
+ * @param {HTMLElement} list
+ * @returns {boolean} Whether the list is a task list (`/check`).
+ */
+const isTaskList = (list) => Array.from(list.children)
+    .some(item => item.querySelector(':scope > input[type="checkbox"]'));
+
+/**
+ * Takes the checkbox off a task item and unwraps the editable span holding its text.
+ * @param {HTMLLIElement} item
+ */
+const removeTaskMarkup = (item) => {
+    const checkbox = item.querySelector(':scope > input[type="checkbox"]');
+    if (!checkbox) return;
+
+    const span = checkbox.nextElementSibling;
+    checkbox.remove();
+    if (span?.tagName === 'SPAN' && Array.from(span.attributes).every(attribute => attribute.name === 'contenteditable')) {
+        unwrap(span);
+    }
+};
+
+/**
+ * @param {HTMLElement} list
+ * @returns {'ordered'|'unordered'|'task'}
+ */
+const getListKind = (list) => {
+    if (list.tagName === 'OL') return 'ordered';
+    return isTaskList(list) ? 'task' : 'unordered';
+};
+
+/**
+ * Reads the text of a node; `<br>` and nested blocks start a new line.
+ * @param {Node} node
+ * @returns {string}
+ */
+const readText = (node) => {
+    if (node.nodeType === Node.TEXT_NODE) return node.data.replace(/\u00A0/g, ' ');
+    if (!isElement(node)) return '';
+    if (node.tagName === 'BR') return '\n';
+
+    const text = Array.from(node.childNodes, readText).join('');
+    return isBlockElement(node) && node.nextSibling ? `${text}\n` : text;
+};
+
+/**
+ * Reads the text of a block as lines. The `<br>` that keeps the last line of a block
+ * editable is not a line of its own.
+ * @param {HTMLElement} block
+ * @returns {string}
+ */
+const readBlockText = (block) => {
+    return Array.from(block.childNodes, readText).join('').replace(/\n$/, '');
+};
+
+/**
+ * @param {HTMLElement} element
+ * @returns {boolean} Whether the element only holds the `<br>` of an empty line.
+ */
+const isEmptyLine = (element) => element.childNodes.length === 1 && element.firstChild.nodeName === 'BR';
+
+/**
+ * Creates the command registry of an editor with the built-in commands.
+ * @param {HTMLElement} editor      - The contenteditable element.
+ * @param {Object} [history]        - The history returned by `createEditorHistory()`; every command becomes one step.
+ * @returns {{
+ *      register: function(string, {run: function(...*): (boolean|void), isActive?: function(...*): boolean, value?: function(): *}): function(): void,
+ *      execute: function(string, ...*): boolean,
+ *      isActive: function(string, ...*): boolean,
+ *      value: function(string): *,
+ *      has: function(string): boolean,
+ *      cleanup: function(): void
+ * }}
+ *
+ * @example
+ * const commands = createEditorCommands(editor, history);
+ * commands.execute('toggleMark', 'bold');
+ * commands.isActive('setBlockType', 'H1'); // true when the caret is in a heading 1
+ */
+export const createEditorCommands = (editor, history) => {
+    const commands = new Map();
+
+    // Marks toggled with a collapsed selection, applied to the next typed text
+    const pendingMarks = new Map();
+    let pendingCaret = null;
+
+    /**
+     * @returns {Range|null} The selection range when it is inside the editor.
+     */
+    const getRange = () => {
+        const selection = window.getSelection();
+        if (!selection || selection.rangeCount === 0) return null;
+
+        const range = selection.getRangeAt(0);
+        return editor.contains(range.commonAncestorContainer) ? range : null;
+    };
+
+    /**
+     * @param {Range} range
+     */
+    const select = (range) => {
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+    };
+
+    /**
+     * Runs a change that moves nodes around and puts the selection back afterwards.
+     * @param {Range} range
+     * @param {function(Map<Node, Node>): *} fn - Receives a map to record replaced nodes (old to new).
+     * @returns {*} Whatever `fn` returns.
+     */
+    const keepSelection = (range, fn) => {
+        const { startContainer, startOffset, endContainer, endOffset } = range;
+        const replaced = new Map();
+        const result = fn(replaced);
+
+        // A node that was taken out goes to the start of what replaced it or its ancestor
+        const resolve = (node, offset) => {
+            if (node.isConnected && editor.contains(node)) return [node, offset];
+
+            for (let removed = node; removed; removed = removed.parentNode) {
+                let replacement = replaced.get(removed);
+                while (replacement && !replacement.isConnected) replacement = replaced.get(replacement);
+                if (replacement) return [replacement, 0];
+            }
+            return null;
+        };
+
+        const start = resolve(startContainer, startOffset);
+        const end = resolve(endContainer, endOffset) ?? start;
+        if (start) {
+            const restored = document.createRange();
+            restored.setStart(...start);
+            restored.setEnd(...end);
+            select(restored);
+        }
+        return result;
+    };
+
+    /**
+     * Lists the text nodes a range covers.
+     * @param {Range} range
+     * @returns {Text[]}
+     */
+    const getTextNodes = (range) => {
+        const root = range.commonAncestorContainer;
+        if (root.nodeType === Node.TEXT_NODE) return range.collapsed ? [] : [root];
+
+        const nodes = [];
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+        while (walker.nextNode()) {
+            const node = walker.currentNode;
+            if (node.length === 0 || !range.intersectsNode(node)) continue;
+            if (node === range.startContainer && range.startOffset === node.length) continue;
+            if (node === range.endContainer && range.endOffset === 0) continue;
+            nodes.push(node);
+        }
+        return nodes;
+    };
+
+    /**
+     * Splits the text nodes at the ends of a range, so the range covers whole text nodes.
+     * @param {Range} range
+     */
+    const splitBoundaries = (range) => {
+        let { startContainer: start, startOffset, endContainer: end, endOffset } = range;
+
+        if (end.nodeType === Node.TEXT_NODE && endOffset > 0 && endOffset < end.length) {
+            end.splitText(endOffset);
+        }
+        if (start.nodeType === Node.TEXT_NODE && startOffset > 0 && startOffset < start.length) {
+            const rest = start.splitText(startOffset);
+            if (end === start) {
+                end = rest;
+                endOffset -= startOffset;
+            }
+            start = rest;
+            startOffset = 0;
+        }
+
+        range.setStart(start, startOffset);
+        range.setEnd(end, endOffset);
+    };
+
+    /**
+     * @param {Node} node
+     * @param {string} type
+     * @returns {HTMLElement|null} The closest ancestor inside the editor that gives the node the mark.
+     */
+    const findMarkElement = (node, type) => {
+        let current = isElement(node) ? node : node.parentNode;
+        while (current && current !== editor) {
+            if (isElement(current) && carriesMark(current, type)) return current;
+            current = current.parentNode;
+        }
+        return null;
+    };
+
+    const isInCodeBlock = (node) => Boolean(node.parentElement?.closest('pre'))
+        && editor.contains(node.parentElement.closest('pre'));
+
+    /**
+     * Moves everything of `element` before and after `node` into copies of the element,
+     * so the element only holds the node.
+     * @param {HTMLElement} element
+     * @param {Node} node
+     */
+    const isolate = (element, node) => {
+        const range = document.createRange();
+
+        range.setStart(element, 0);
+        range.setEndBefore(node);
+        const before = range.extractContents();
+        if (hasContent(before)) {
+            const copy = element.cloneNode(false);
+            copy.appendChild(before);
+            element.before(copy);
+        }
+
+        range.setStartAfter(node);
+        range.setEnd(element, element.childNodes.length);
+        const after = range.extractContents();
+        if (hasContent(after)) {
+            const copy = element.cloneNode(false);
+            copy.appendChild(after);
+            element.after(copy);
+        }
+    };
+
+    /**
+     * Takes a mark off an element; elements that only exist for the mark are removed.
+     * @param {HTMLElement} element
+     * @param {string} type
+     */
+    const removeElementMark = (element, type) => {
+        if (MARK_ELEMENTS[type].includes(element.tagName)) {
+            unwrap(element);
+            return;
+        }
+
+        const style = element.style;
+        if (type === 'bold') style.fontWeight = '';
+        if (type === 'italic') style.fontStyle = '';
+        if (type === 'underline' || type === 'strike') {
+            const kept = type === 'underline' ? 'line-through' : 'underline';
+            const decoration = `${style.textDecoration} ${style.textDecorationLine}`;
+            style.textDecoration = '';
+            style.textDecorationLine = decoration.includes(kept) ? kept : '';
+        }
+
+        if (!element.getAttribute('style')) element.removeAttribute('style');
+        if (element.tagName === 'SPAN' && element.attributes.length === 0) unwrap(element);
+    };
+
+    /**
+     * Takes a mark off a text node, splitting the elements that carry it.
+     * @param {Text} node
+     * @param {string} type
+     */
+    const removeMark = (node, type) => {
+        let element = findMarkElement(node, type);
+        while (element) {
+            isolate(element, node);
+            removeElementMark(element, type);
+            element = findMarkElement(node, type);
+        }
+    };
+
+    /**
+     * Wraps a text node in the element of a mark and joins it with a neighbouring
+     * element of the same mark.
+     * @param {Text} node
+     * @param {string} type
+     */
+    const addMark = (node, type) => {
+        const tag = MARK_TAGS[type];
+        const wrapper = document.createElement(tag);
+        node.before(wrapper);
+        wrapper.appendChild(node);
+
+        const previous = wrapper.previousSibling;
+        if (isElement(previous) && previous.tagName === tag && previous.attributes.length === 0) {
+            previous.append(...wrapper.childNodes);
+            wrapper.remove();
+        }
+    };
+
+    /**
+     * Joins elements of a mark that ended up next to each other.
+     * @param {HTMLElement} root
+     * @param {string} type
+     */
+    const joinMarkElements = (root, type) => {
+        const tag = MARK_TAGS[type];
+        root.querySelectorAll(tag).forEach(element => {
+            const next = element.nextSibling;
+            if (isElement(next) && next.tagName === tag && next.attributes.length === 0 && element.attributes.length === 0) {
+                element.append(...next.childNodes);
+                next.remove();
+            }
+        });
+    };
+
+    /**
+     * @param {string} type
+     * @returns {boolean} Whether all of the selection has the mark.
+     */
+    const isMarkActive = (type) => {
+        const range = getRange();
+        if (!range) return false;
+        if (range.collapsed && pendingMarks.has(type)) return pendingMarks.get(type);
+
+        const nodes = getTextNodes(range).filter(node => node.data.trim() && !isInCodeBlock(node));
+        if (nodes.length === 0) return Boolean(findMarkElement(range.startContainer, type));
+        return nodes.every(node => findMarkElement(node, type));
+    };
+
+    /**
+     * Toggles a mark on the selection. With a collapsed selection the mark applies to
+     * the next typed text.
+     * @param {string} type
+     * @returns {boolean}
+     */
+    const toggleMark = (type) => {
+        if (!MARK_TAGS[type]) return false;
+
+        const range = getRange();
+        if (!range) return false;
+
+        const active = isMarkActive(type);
+
+        if (range.collapsed) {
+            pendingMarks.set(type, !active);
+            pendingCaret = { node: range.startContainer, offset: range.startOffset };
+            return true;
+        }
+
+        splitBoundaries(range);
+        const nodes = getTextNodes(range).filter(node => !isInCodeBlock(node));
+        if (nodes.length === 0) return false;
+
+        nodes.forEach(node => {
+            if (active) {
+                removeMark(node, type);
+            } else if (!findMarkElement(node, type)) {
+                addMark(node, type);
+            }
+        });
+        joinMarkElements(editor, type);
+
+        const first = nodes[0];
+        const last = nodes[nodes.length - 1];
+        const selected = document.createRange();
+        selected.setStart(first, 0);
+        selected.setEnd(last, last.length);
+        select(selected);
+        return true;
+    };
+
+    /**
+     * Types text with the pending marks of a collapsed `toggleMark`.
+     * @param {InputEvent} e
+     */
+    const handleBeforeInput = (e) => {
+        if (pendingMarks.size === 0 || e.inputType !== 'insertText' || !e.data) return;
+
+        const range = getRange();
+        if (!range || !range.collapsed) return;
+
+        e.preventDefault();
+        const marks = new Map(pendingMarks);
+        pendingMarks.clear();
+
+        const insert = () => {
+            const node = document.createTextNode(e.data);
+            range.insertNode(node);
+
+            marks.forEach((on, type) => {
+                if (!on) removeMark(node, type);
+            });
+            marks.forEach((on, type) => {
+                if (on && !findMarkElement(node, type)) addMark(node, type);
+            });
+
+            const caret = document.createRange();
+            caret.setStart(node, node.length);
+            caret.collapse(true);
+            select(caret);
+        };
+
+        if (history) {
+            history.transact(insert);
+        } else {
+            insert();
+        }
+    };
+
+    // Moving the caret drops the marks toggled for the next typed text
+    const handleSelectionChange = () => {
+        if (pendingMarks.size === 0) return;
+
+        const range = getRange();
+        if (!range || !range.collapsed
+            || range.startContainer !== pendingCaret?.node || range.startOffset !== pendingCaret?.offset) {
+            pendingMarks.clear();
+        }
+    };
+
+    /**
+     * Finds the block holding a node.
+     * @param {Node} node
+     * @returns {HTMLElement|null} Null for inline content placed directly in the editor.
+     */
+    const findBlock = (node) => {
+        let current = isElement(node) ? node : node.parentNode;
+        while (current && current !== editor) {
+            if (TEXT_BLOCK_TAGS.has(current.tagName)) return current;
+            current = current.parentNode;
+        }
+        return null;
+    };
+
+    /**
+     * Finds the block holding a node, wrapping inline content placed directly in the
+     * editor (e.g. its bare first line) into a paragraph.
+     * @param {Node} node
+     * @returns {HTMLElement}
+     */
+    const ensureBlock = (node) => {
+        const block = findBlock(node);
+        if (block) return block;
+
+        let child = node;
+        while (child.parentNode !== editor) child = child.parentNode;
+
+        let first = child;
+        while (first.previousSibling && !isBlockElement(first.previousSibling)) first = first.previousSibling;
+
+        const paragraph = document.createElement('p');
+        first.before(paragraph);
+        while (paragraph.nextSibling && !isBlockElement(paragraph.nextSibling)) {
+            paragraph.appendChild(paragraph.nextSibling);
+        }
+        return paragraph;
+    };
+
+    /**
+     * @param {Range} range
+     * @returns {Node} The node at the start of a range; a container is resolved to its child.
+     */
+    const startNode = (range) => {
+        const { startContainer, startOffset } = range;
+        if (startContainer.nodeType === Node.TEXT_NODE || !startContainer.childNodes.length) return startContainer;
+        return startContainer.childNodes[Math.min(startOffset, startContainer.childNodes.length - 1)];
+    };
+
+    /**
+     * Lists the leaf nodes (text, line breaks, images, empty elements) a range touches.
+     * @param {Range} range
+     * @returns {Node[]}
+     */
+    const getLeafNodes = (range) => {
+        const leaves = [startNode(range)];
+        const root = range.commonAncestorContainer;
+
+        if (root.nodeType !== Node.TEXT_NODE) {
+            const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT);
+            while (walker.nextNode()) {
+                const node = walker.currentNode;
+                if (node.firstChild || !range.intersectsNode(node)) continue;
+                if (node === range.endContainer && range.endOffset === 0 && !range.collapsed) continue;
+                leaves.push(node);
+            }
+        }
+        return leaves.filter(node => node !== editor);
+    };
+
+    /**
+     * Lists the blocks a range touches, in document order.
+     * @param {Range} range
+     * @param {boolean} [create=false] - Wrap inline content placed directly in the editor into paragraphs.
+     * @returns {HTMLElement[]}
+     */
+    const getSelectedBlocks = (range, create = false) => {
+        const leaves = getLeafNodes(range);
+        if (leaves.length === 0 && create) {
+            const paragraph = document.createElement('p');
+            paragraph.innerHTML = '<br>';
+            editor.appendChild(paragraph);
+            return [paragraph];
+        }
+
+        const blocks = [];
+        leaves.forEach(node => {
+            const block = create ? ensureBlock(node) : findBlock(node);
+            if (block && !blocks.includes(block)) blocks.push(block);
+        });
+        return blocks;
+    };
+
+    /**
+     * @returns {string} Block type at the start of the selection: `P`, `H1`-`H6`, `BLOCKQUOTE` or `PRE`.
+     */
+    const getBlockType = () => {
+        const range = getRange();
+        if (!range) return 'P';
+
+        const block = findBlock(startNode(range));
+        return block && BLOCK_TYPES.has(block.tagName) ? block.tagName : 'P';
+    };
+
+    /**
+     * Turns a block into another block type.
+     * @param {HTMLElement} block
+     * @param {string} tag
+     * @param {Map<Node, Node>} replaced
+     * @returns {HTMLElement|null} The new block, or null when the block kept its element.
+     */
+    const convertBlock = (block, tag, replaced) => {
+        if (block.tagName === tag) return null;
+
+        // List items and table cells keep their element; their text gets the block type
+        if (block.tagName === 'LI' || block.tagName === 'TD' || block.tagName === 'TH') {
+            if (tag === 'P') return null;
+
+            const wrapper = document.createElement(tag);
+            const inline = Array.from(block.childNodes)
+                .filter(child => !isList(child) && !(isElement(child) && child.tagName === 'INPUT'));
+            inline[0] ? inline[0].before(wrapper) : block.appendChild(wrapper);
+            wrapper.append(...inline);
+            if (!hasContent(wrapper)) wrapper.innerHTML = '<br>';
+            return null;
+        }
+
+        // A plain paragraph cannot hold blocks; a quote around blocks is lifted instead
+        if (tag === 'P' && Array.from(block.children).some(isBlockElement)) {
+            replaced.set(block, block.firstChild);
+            unwrap(block);
+            return null;
+        }
+
+        let element;
+        if (tag === 'PRE') {
+            element = document.createElement('pre');
+            const code = document.createElement('code');
+            const text = readBlockText(block);
+            if (text) {
+                code.textContent = text;
+            } else {
+                code.innerHTML = '<br>';
+            }
+            element.appendChild(code);
+        } else {
+            element = document.createElement(tag.toLowerCase());
+            if (block.tagName === 'PRE') {
+                readBlockText(block).split('\n').forEach((line, i) => {
+                    if (i > 0) element.appendChild(document.createElement('br'));
+                    if (line) element.appendChild(document.createTextNode(line));
+                });
+            } else {
+                element.append(...block.childNodes);
+            }
+            if (!hasContent(element)) element.innerHTML = '<br>';
+        }
+
+        replaced.set(block, element);
+        block.replaceWith(element);
+        return element;
+    };
+
+    /**
+     * Joins a quote or code block into the one before it, one line per block.
+     * @param {HTMLElement} previous
+     * @param {HTMLElement} element
+     * @param {Map<Node, Node>} replaced
+     */
+    const joinBlocks = (previous, element, replaced) => {
+        if (element.tagName === 'PRE') {
+            const previousCode = previous.querySelector('code');
+            previousCode.textContent = `${previousCode.textContent}\n${element.textContent}`;
+        } else {
+            previous.appendChild(document.createElement('br'));
+            if (!isEmptyLine(element)) previous.append(...element.childNodes);
+        }
+
+        replaced.set(element, previous);
+        element.remove();
+    };
+
+    /**
+     * Turns the selected blocks into a block type.
+     * @param {string} [tag='P'] - `P`, `H1`-`H6`, `BLOCKQUOTE` or `PRE`.
+     * @returns {boolean}
+     */
+    const setBlockType = (tag = 'P') => {
+        const type = String(tag).toUpperCase();
+        if (!BLOCK_TYPES.has(type)) return false;
+
+        const range = getRange();
+        if (!range) return false;
+
+        return keepSelection(range, (replaced) => {
+            const blocks = getSelectedBlocks(range, true);
+            const converted = blocks.map(block => convertBlock(block, type, replaced)).filter(Boolean);
+
+            // Lines turned into a quote or a code block together become one block
+            if (type === 'BLOCKQUOTE' || type === 'PRE') {
+                converted.forEach(element => {
+                    const previous = element.previousSibling;
+                    if (previous?.tagName === type && converted.includes(previous)) joinBlocks(previous, element, replaced);
+                });
+            }
+            return blocks.length > 0;
+        });
+    };
+
+    /**
+     * Lists the list items of the selected blocks; null when a block is not in a list.
+     * @param {HTMLElement[]} blocks
+     * @returns {HTMLLIElement[]|null}
+     */
+    const getSelectedItems = (blocks) => {
+        const items = [];
+        for (const block of blocks) {
+            const item = block.closest('li');
+            if (!item || !editor.contains(item)) return null;
+            if (!items.includes(item)) items.push(item);
+        }
+        return items;
+    };
+
+    /**
+     * Splits a list around one of its items and puts the content of the item after the
+     * first part as a paragraph. Nested lists of the item follow the paragraph.
+     * @param {HTMLLIElement} item
+     * @param {Map<Node, Node>} replaced
+     */
+    const removeListItem = (item, replaced) => {
+        const list = item.parentElement;
+        const index = Array.from(list.children).indexOf(item);
+        const following = Array.from(list.children).slice(index + 1);
+
+        if (following.length) {
+            const rest = list.cloneNode(false);
+            if (list.tagName === 'OL') {
+                const start = Number.parseInt(list.getAttribute('start') ?? '1', 10) || 1;
+                rest.setAttribute('start', String(start + index + 1));
+            }
+            rest.append(...following);
+            list.after(rest);
+        }
+
+        removeTaskMarkup(item);
+
+        const paragraph = document.createElement('p');
+        const nested = Array.from(item.childNodes).filter(isList);
+        paragraph.append(...Array.from(item.childNodes).filter(child => !isList(child)));
+        if (!hasContent(paragraph)) paragraph.innerHTML = '<br>';
+
+        list.after(paragraph, ...nested);
+        replaced.set(item, paragraph);
+        item.remove();
+        if (list.children.length === 0) list.remove();
+    };
+
+    /**
+     * Turns a list into another kind of list, keeping its items.
+     * @param {HTMLElement} list
+     * @param {'ordered'|'unordered'} kind
+     * @param {Map<Node, Node>} replaced
+     */
+    const changeListKind = (list, kind, replaced) => {
+        const changed = createList(kind);
+        if (kind === 'ordered' && list.hasAttribute('start')) changed.setAttribute('start', list.getAttribute('start'));
+
+        Array.from(list.children).forEach(item => {
+            // Task items lose their checkbox
+            removeTaskMarkup(item);
+            changed.appendChild(item);
+            styleItem(item);
+        });
+
+        replaced.set(list, changed);
+        list.replaceWith(changed);
+    };
+
+    /**
+     * @param {'ordered'|'unordered'} kind
+     * @returns {boolean} Whether the selection is in a list of that kind.
+     */
+    const isListActive = (kind) => {
+        const range = getRange();
+        if (!range) return false;
+
+        const item = findBlock(startNode(range))?.closest('li');
+        return Boolean(item && editor.contains(item) && getListKind(item.parentElement) === kind);
+    };
+
+    /**
+     * Toggles a list on the selected blocks: blocks outside lists become a list, items
+     * of a list of that kind become paragraphs and other lists change their kind.
+     * @param {'ordered'|'unordered'} [kind='unordered']
+     * @returns {boolean}
+     */
+    const wrapList = (kind = 'unordered') => {
+        if (kind !== 'ordered' && kind !== 'unordered') return false;
+
+        const range = getRange();
+        if (!range) return false;
+
+        return keepSelection(range, (replaced) => {
+            const blocks = getSelectedBlocks(range, true);
+            const items = getSelectedItems(blocks);
+
+            if (items) {
+                const lists = [...new Set(items.map(item => item.parentElement))];
+                if (lists.every(list => getListKind(list) === kind)) {
+                    items.filter(item => !items.some(other => other !== item && other.contains(item)))
+                        .forEach(item => removeListItem(item, replaced));
+                } else {
+                    lists.filter(list => getListKind(list) !== kind)
+                        .forEach(list => changeListKind(list, kind, replaced));
+                }
+                return true;
+            }
+
+            // Blocks next to each other become the items of one list
+            let list = null;
+            blocks.filter(block => !block.closest('li'))
+                .filter(block => !blocks.some(other => other !== block && block.contains(other)))
+                .forEach(block => {
+                    if (!list || list.nextElementSibling !== block) {
+                        list = createList(kind);
+                        block.before(list);
+                    }
+
+                    const item = document.createElement('li');
+                    list.appendChild(item);
+                    styleItem(item);
+
+                    if (block.tagName === 'PRE') {
+                        item.textContent = readBlockText(block);
+                    } else {
+                        item.append(...block.childNodes);
+                    }
+                    if (!hasContent(item)) item.innerHTML = '<br>';
+
+                    replaced.set(block, item);
+                    block.remove();
+                });
+            return true;
+        });
+    };
+
+    /**
+     * Nests the selected list items one level deeper, into the item before them.
+     * @returns {boolean} False when the selection is not in a list item that can be nested.
+     */
+    const indent = () => {
+        const range = getRange();
+        if (!range) return false;
+
+        const items = getSelectedItems(getSelectedBlocks(range));
+        if (!items?.length) return false;
+
+        const top = items.filter(item => !items.some(other => other !== item && other.contains(item)));
+        if (!top[0].previousElementSibling) return false;
+
+        return keepSelection(range, () => {
+            top.forEach(item => {
+                const previous = item.previousElementSibling;
+                if (previous?.tagName !== 'LI') return;
+
+                let nested = previous.lastElementChild;
+                if (!isList(nested) || nested.tagName !== item.parentElement.tagName) {
+                    nested = item.parentElement.cloneNode(false);
+                    nested.removeAttribute('start');
+                    previous.appendChild(nested);
+                }
+                nested.appendChild(item);
+            });
+            return true;
+        });
+    };
+
+    /**
+     * Moves the selected list items one level out (top-level items become paragraphs),
+     * or takes the selected blocks out of a quote.
+     * @returns {boolean} False when there is nothing to lift.
+     */
+    const lift = () => {
+        const range = getRange();
+        if (!range) return false;
+
+        const blocks = getSelectedBlocks(range);
+        if (blocks.length === 0) return false;
+
+        return keepSelection(range, (replaced) => {
+            const items = getSelectedItems(blocks);
+
+            if (items) {
+                items.filter(item => !items.some(other => other !== item && other.contains(item)))
+                    .forEach(item => {
+                        const list = item.parentElement;
+                        const parentItem = list.parentElement;
+
+                        if (parentItem?.tagName !== 'LI') {
+                            removeListItem(item, replaced);
+                            return;
+                        }
+
+                        // Items after the lifted one become its own nested list
+                        const following = Array.from(list.children).slice(Array.from(list.children).indexOf(item) + 1);
+                        if (following.length) {
+                            const nested = list.cloneNode(false);
+                            nested.append(...following);
+                            item.appendChild(nested);
+                        }
+
+                        parentItem.after(item);
+                        styleItem(item);
+                        if (list.children.length === 0) list.remove();
+                    });
+                return true;
+            }
+
+            let lifted = false;
+            blocks.forEach(block => {
+                if (block.tagName === 'BLOCKQUOTE') {
+                    convertBlock(block, 'P', replaced);
+                    lifted = true;
+                    return;
+                }
+
+                const quote = block.parentElement;
+                if (quote?.tagName !== 'BLOCKQUOTE' || !editor.contains(quote)) return;
+
+                const following = [];
+                for (let sibling = block.nextSibling; sibling; sibling = sibling.nextSibling) following.push(sibling);
+                if (following.some(hasContent)) {
+                    const rest = quote.cloneNode(false);
+                    rest.append(...following);
+                    quote.after(rest);
+                }
+
+                quote.after(block);
+                if (!hasContent(quote)) quote.remove();
+                lifted = true;
+            });
+            return lifted;
+        });
+    };
+
+    /**
+     * Moves the content of a block to the end of another one, then removes the block
+     * and the lists or quotes it leaves empty. Nested lists of the block stay in place.
+     * @param {HTMLElement} target
+     * @param {HTMLElement} source
+     */
+    const mergeBlocks = (target, source) => {
+        const moved = Array.from(source.childNodes).filter(child => !isList(child));
+
+        if (moved.some(hasContent)) {
+            // The trailing `<br>` only kept the block open while it was empty
+            if (target.lastChild?.nodeName === 'BR') target.lastChild.remove();
+            target.append(...moved);
+        } else {
+            moved.forEach(child => child.remove());
+        }
+        if (!hasContent(target)) target.replaceChildren(document.createElement('br'));
+
+        let parent = source;
+        while (parent && parent !== editor && !hasContent(parent)) {
+            const next = parent.parentElement;
+            parent.remove();
+            parent = next;
+        }
+    };
+
+    /**
+     * Deletes the selected content. A selection across blocks joins the first and the
+     * last block, like deleting it with the keyboard.
+     * @returns {boolean} False when nothing is selected.
+     */
+    const deleteSelection = () => {
+        const range = getRange();
+        if (!range || range.collapsed) return false;
+
+        const { startContainer, startOffset } = range;
+        const startBlock = findBlock(startContainer);
+        const endBlock = findBlock(range.endContainer);
+
+        range.deleteContents();
+
+        const mergeable = startBlock && endBlock && startBlock !== endBlock && endBlock.isConnected
+            && !startBlock.contains(endBlock) && !endBlock.contains(startBlock)
+            && ![startBlock, endBlock].some(block => block.tagName === 'TD' || block.tagName === 'TH');
+        if (mergeable) mergeBlocks(startBlock, endBlock);
+
+        // `deleteContents` collapses to the common ancestor; the caret belongs where the selection started
+        if (startContainer.isConnected) {
+            const length = startContainer.nodeType === Node.TEXT_NODE ? startContainer.length : startContainer.childNodes.length;
+            range.setStart(startContainer, Math.min(startOffset, length));
+        } else if (startBlock?.isConnected) {
+            range.setStart(startBlock, 0);
+        }
+        range.collapse(true);
+
+        select(range);
+        return true;
+    };
+
+    /**
+     * Replaces the selection with plain text.
+     * @param {string} text
+     * @returns {boolean}
+     */
+    const insertText = (text) => {
+        const range = getRange();
+        if (!range || !text) return false;
+
+        range.deleteContents();
+        const node = document.createTextNode(text);
+        range.insertNode(node);
+
+        range.setStartAfter(node);
+        range.collapse(true);
+        select(range);
+        return true;
+    };
+
+    /**
+     * Selects the whole content of the editor.
+     * @returns {boolean}
+     */
+    const selectAll = () => {
+        const range = document.createRange();
+        range.selectNodeContents(editor);
+        select(range);
+        return true;
+    };
+
+    /**
+     * Adds a command, replacing one with the same name.
+     * @param {string} name
+     * @param {{run: function(...*): (boolean|void), isActive?: function(...*): boolean, value?: function(): *}} command
+     *      `run` returns false when it did nothing.
+     * @returns {function(): void} Removes the command.
+     */
+    const register = (name, command) => {
+        if (!name || typeof command?.run !== 'function') {
+            throw new TypeError(`[Commands] Invalid command: ${name}`);
+        }
+
+        commands.set(name, command);
+        return () => {
+            if (commands.get(name) === command) commands.delete(name);
+        };
+    };
+
+    /**
+     * Runs a command as one step of the editor history.
+     * @param {string} name
+     * @param {...*} args
+     * @returns {boolean} Whether the command did something.
+     */
+    const execute = (name, ...args) => {
+        const command = commands.get(name);
+        if (!command) {
+            console.warn(`[Commands] Unknown command: ${name}`);
+            return false;
+        }
+
+        const run = () => command.run(...args) !== false;
+
+        try {
+            return history ? history.transact(run) : run();
+        } catch (error) {
+            console.error(`[Commands] ${name} failed:`, error);
+            return false;
+        }
+    };
+
+    /**
+     * @param {string} name
+     * @param {...*} args
+     * @returns {boolean} Whether the command is active for the current selection.
+     */
+    const isActive = (name, ...args) => {
+        try {
+            return Boolean(commands.get(name)?.isActive?.(...args));
+        } catch (error) {
+            console.warn(`[Commands] Could not read the state of ${name}:`, error);
+            return false;
+        }
+    };
+
+    register('toggleMark', { run: toggleMark, isActive: isMarkActive });
+    register('setBlockType', { run: setBlockType, isActive: (tag) => getBlockType() === String(tag).toUpperCase(), value: getBlockType });
+    register('wrapList', { run: wrapList, isActive: isListActive });
+    register('indent', { run: indent });
+    register('lift', { run: lift });
+    register('deleteSelection', { run: deleteSelection });
+    register('insertText', { run: insertText });
+    register('selectAll', { run: selectAll });
+
+    editor.addEventListener('beforeinput', handleBeforeInput);
+    document.addEventListener('selectionchange', handleSelectionChange);
+
+    return {
+        register,
+        execute,
+        isActive,
+        value: (name) => commands.get(name)?.value?.() ?? null,
+        has: (name) => commands.has(name),
+        cleanup() {
+            editor.removeEventListener('beforeinput', handleBeforeInput);
+            document.removeEventListener('selectionchange', handleSelectionChange);
+            pendingMarks.clear();
+        }
+    };
+};
@@ -1,3 +1,7 @@
+import { createDocument } from '../document/model.js';
+import { toHtml } from '../document/toHtml.js';
+import { parseDelimited, delimitedToTable } from '../document/delimited.js';
+
 /**
  * Handle paste event, sanitizing and preserving rich formatting.
  * This function intercepts paste events to ensure only safe HTML formatting
@@ -15,6 +19,7 @@
  * 
  * @features
  * - Preserves text formatting (bold, italic, underline, strikethrough)
+ * - Turns tab-separated text copied from a spreadsheet into a table
  * - Maintains block-level elements (headings, lists, blockquotes, code blocks)
  * - Sanitizes dangerous HTML and scripts
  * - Smooth fade-in animation for pasted content
@@ -34,6 +39,7 @@ export const handlePaste = (e, editor) => {
 
         const html = clipboardData.getData('text/html');
         const text = clipboardData.getData('text/plain');
+        const spreadsheetRows = html ? null : readSpreadsheetRows(text, editor);
 
         /** @type {string} */
         let content;
@@ -51,6 +57,9 @@ export const handlePaste = (e, editor) => {
                     line => `<div>${escapeHTML(line) || '<br>'}</div>`)
                 .join('');
             }
+        } else if (spreadsheetRows) {
+            // Tab-separated cells from a spreadsheet become a table
+            content = toHtml(createDocument([delimitedToTable(spreadsheetRows)]));
         } else {
             // Fallback to plain text
             content = text.split('\n').map(
@@ -141,14 +150,18 @@ export const handlePaste = (e, editor) => {
  * @throws {Error} Throws if element is not a valid HTMLElement
  * 
  * @whitelist Allowed tags:
- * - Text formatting: strong, em, u, s
- * - Block elements: h1-h6, p, div, blockquote, pre, code
- * - Lists: ul, ol, li
+ * - Text formatting: strong, em, u, s, mark
+ * - Links: a with an http, https or mailto address; images become links to their address
+ * - Block elements: h1-h6, p, div, blockquote, pre, code, hr
+ * - Lists: ul, ol, li, task list checkboxes
+ * - Tables: table, thead, tbody, tr, th, td
  * - Line breaks: br
  * 
+ * Lists, task lists and tables get the markup the editor's own commands create.
+ * 
  * @security
  * - Strips all script tags and event handlers
- * - Removes style attributes
+ * - Removes style attributes (except the editor's list and cell alignment styles)
  * - Sanitizes text content
  * - Replaces non-breaking spaces with regular spaces
  * 
@@ -158,7 +171,7 @@ export const handlePaste = (e, editor) => {
  * const safe = formatPastedHTML(temp);
  * // Returns: '<strong>Bold</strong> and '
  */
-const formatPastedHTML = (element) => {
+export const formatPastedHTML = (element) => {
     if (!(element instanceof HTMLElement)) {
         throw new Error('formatPastedHTML requires a valid HTMLElement');
     }
@@ -218,8 +231,84 @@ const formatPastedHTML = (element) => {
                     return childContent ? `<s>${childContent}</s>` : '';
                 }
 
-                // Block-level elements: headings, paragraphs, lists, quotes, code
-                else if (['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'ul', 'ol', 'li', 'blockquote', 'pre', 'code'].includes(tag)) {
+                // Highlight, as typed with `==text==`
+                else if (tag === 'mark') {
+                    return childContent ? `<mark>${childContent}</mark>` : '';
+                }
+
+                // Links, as typed with `[text](address)`; other addresses keep only the text
+                else if (tag === 'a') {
+                    const href = readLinkAddress(node.getAttribute('href'));
+                    return href && childContent ? `<a href="${escapeHTML(href)}">${childContent}</a>` : childContent;
+                }
+
+                // Images are not shown in notes; they become a link to the image,
+                // or just their alt text inside a link
+                else if (tag === 'img') {
+                    const alt = escapeHTML(node.getAttribute('alt') ?? '');
+                    const src = readLinkAddress(node.getAttribute('src'));
+                    if (!src || node.closest('a')) return alt;
+                    return `<a href="${escapeHTML(src)}">${alt || escapeHTML(src)}</a>`;
+                }
+
+                // Task lists, as created by `/check`
+                else if (tag === 'ul' && isTaskList(node)) {
+                    if (!childContent.trim()) return '';
+                    return `<ul style="list-style-type: none; padding-left: 0px;">${childContent}</ul>`;
+                }
+
+                // Lists, with the classes of the editor's list commands
+                else if (tag === 'ul' || tag === 'ol') {
+                    if (!childContent.trim()) return '';
+                    return `<${tag} class="${tag === 'ol' ? 'ordered-list' : 'unordered-list'}">${childContent}</${tag}>`;
+                }
+
+                else if (tag === 'li' && node.parentElement?.tagName === 'OL') {
+                    if (!childContent.trim()) return '';
+                    return `<li style="list-style: decimal;">${childContent}</li>`;
+                }
+
+                // Task list checkboxes and the text next to them
+                else if (tag === 'input') {
+                    if (node.getAttribute('type')?.toLowerCase() !== 'checkbox') return '';
+                    const checked = node.hasAttribute('checked') ? ' checked' : '';
+                    return `<input type="checkbox"${checked} style="margin-right: 8px;">`;
+                }
+
+                else if (tag === 'span' && isTaskText(node)) {
+                    return `<span contenteditable="true">${childContent}</span>`;
+                }
+
+                // Tables, as created by `/table`
+                else if (tag === 'table') {
+                    if (!childContent.trim()) return '';
+                    return `<table class="fascinate-notes-table">${childContent}</table>`;
+                }
+
+                else if (['thead', 'tbody', 'tr'].includes(tag)) {
+                    if (!childContent.trim()) return '';
+                    return `<${tag}>${childContent}</${tag}>`;
+                }
+
+                // Cells are kept when empty so rows keep their shape
+                else if (tag === 'th' || tag === 'td') {
+                    const align = (node.style?.textAlign || node.getAttribute('align') || '').toLowerCase();
+                    const style = CELL_ALIGNMENTS.includes(align) ? ` style="text-align: ${align};"` : '';
+                    const spans = CELL_SPANS
+                        .map(name => [name, Number.parseInt(node.getAttribute(name), 10)])
+                        .filter(([, value]) => value > 1)
+                        .map(([name, value]) => ` ${name}="${value}"`)
+                        .join('');
+                    return `<${tag}${spans}${style}>${childContent.trim() ? childContent : '<br>'}</${tag}>`;
+                }
+
+                // Horizontal rules
+                else if (tag === 'hr') {
+                    return '<hr>';
+                }
+
+                // Block-level elements: headings, paragraphs, list items, quotes, code
+                else if (['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'li', 'blockquote', 'pre', 'code'].includes(tag)) {
                     // Avoid creating empty block elements
                     if (!childContent.trim()) return '';
                     return `<${tag}>${childContent}</${tag}>`;
@@ -278,6 +367,74 @@ const formatPastedHTML = (element) => {
     }
 };
 
+const CELL_ALIGNMENTS = ['left', 'center', 'right'];
+const LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+/**
+ * Reads a link address, allowing only absolute http, https and mailto addresses.
+ *
+ * @param {string|null} value - The `href` or `src` attribute
+ * @returns {string|null} The address, or null when it is not allowed
+ */
+const readLinkAddress = (value) => {
+    if (!value) return null;
+    try {
+        return LINK_PROTOCOLS.includes(new URL(value.trim()).protocol) ? value.trim() : null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Reads pasted plain text as spreadsheet rows: at least two lines of tab-separated
+ * fields, all with the same number of fields. Text pasted into a table cell or code
+ * stays text, and so do lines that all start with a tab (indentation, not columns).
+ *
+ * @param {string} text - Pasted plain text
+ * @param {HTMLElement} editor - The editor element
+ * @returns {string[][]|null} The fields of each row, or null when the text is no table
+ */
+const readSpreadsheetRows = (text, editor) => {
+    if (!text.includes('\t')) return null;
+
+    const anchor = window.getSelection()?.anchorNode;
+    const element = anchor?.nodeType === Node.TEXT_NODE ? anchor.parentElement : anchor;
+    if (element?.closest('td, th, pre, code') && editor.contains(element)) return null;
+
+    const rows = parseDelimited(text, '\t');
+    const width = rows[0]?.length ?? 0;
+    if (rows.every(row => row[0] === '')) return null;
+
+    return rows.length >= 2 && width >= 2 && rows.every(row => row.length === width) ? rows : null;
+};
+const CELL_SPANS = ['colspan', 'rowspan'];
+
+/**
+ * Check whether a list is a task list: each item starts with a checkbox.
+ * 
+ * @param {HTMLElement} list - A `ul` element
+ * @returns {boolean} True if every item has a leading checkbox
+ */
+const isTaskList = (list) => {
+    const items = Array.from(list.children).filter(child => child.tagName === 'LI');
+    return items.length > 0 && items.every(item =>
+        item.firstElementChild?.tagName === 'INPUT' && item.firstElementChild.getAttribute('type')?.toLowerCase() === 'checkbox'
+    );
+};
+
+/**
+ * Check whether a span holds the text of a task list item (it follows the checkbox).
+ * 
+ * @param {HTMLElement} span - A `span` element
+ * @returns {boolean} True if the span directly follows a task checkbox
+ */
+const isTaskText = (span) => {
+    const previous = span.previousElementSibling;
+    return span.parentElement?.tagName === 'LI'
+        && previous?.tagName === 'INPUT'
+        && previous.getAttribute('type')?.toLowerCase() === 'checkbox';
+};
+
 /**
  * Escape HTML special characters to prevent XSS attacks
  * 
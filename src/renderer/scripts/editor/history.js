@@ -0,0 +1,556 @@
+/**
+ * @file Undo/redo history of the editor.
+ * Every change of the editor content ends up in one history: typing is recorded from
+ * `input` events and grouped into runs, while programmatic changes (markdown commands,
+ * paste, formatting, translation, ...) are wrapped in `transact()` so each one becomes
+ * a single step. Every step remembers the selection before and after it, so undo and
+ * redo put the caret back where the change happened.
+ *
+ * Steps are stored as text diffs of the editor content as it is saved (the document
+ * model serialized by `getEditorHtml`) rather than whole copies, so a long note can keep
+ * hundreds of steps, and the history can be saved with the note. Undo and redo render
+ * the content back through the model, so the caret is kept as a text position, which
+ * does not depend on how the browser happened to split the content into nodes.
+ */
+
+import { getEditorHtml, setEditorHtml } from '../document/renderDom.js';
+
+/** Maximum number of undo steps kept. */
+const MAX_ENTRIES = 500;
+
+/** Maximum length of the text held by all steps together; the oldest steps go first. */
+const MAX_HISTORY_SIZE = 2 * 1024 * 1024;
+
+/** A run of typing is closed after this pause (ms). */
+const GROUP_DELAY = 1000;
+
+/** Keys that move the caret; typing after them starts a new undo step. */
+const NAVIGATION_KEYS = new Set(['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Home', 'End', 'PageUp', 'PageDown']);
+
+/**
+ * @typedef {object} SelectionPoint
+ * @property {number} offset                - Characters before the point; line breaks and
+ *                                            images count as one.
+ */
+
+/**
+ * @typedef {object} HistoryState
+ * @property {string} html                  - Editor content.
+ * @property {{anchor: SelectionPoint, focus: SelectionPoint}|null} selection
+ */
+
+/**
+ * @typedef {object} HistoryStep
+ * @property {number} at                    - Offset of the change in the editor content.
+ * @property {string} removed               - HTML the change removed.
+ * @property {string} inserted              - HTML the change inserted.
+ * @property {HistoryState['selection']} before - Selection before the change.
+ * @property {HistoryState['selection']} after  - Selection after the change.
+ */
+
+/**
+ * Finds the part of `from` that differs from `to`: everything between their common
+ * prefix and common suffix.
+ * @param {string} from
+ * @param {string} to
+ * @returns {{at: number, removed: string, inserted: string}}
+ */
+const diffText = (from, to) => {
+    const maxLength = Math.min(from.length, to.length);
+
+    let start = 0;
+    while (start < maxLength && from.charCodeAt(start) === to.charCodeAt(start)) start++;
+
+    let end = 0;
+    while (end < maxLength - start
+        && from.charCodeAt(from.length - 1 - end) === to.charCodeAt(to.length - 1 - end)) end++;
+
+    return {
+        at: start,
+        removed: from.slice(start, from.length - end),
+        inserted: to.slice(start, to.length - end)
+    };
+};
+
+/**
+ * Replaces `length` characters at `at` with `text`.
+ * @param {string} html
+ * @param {number} at
+ * @param {number} length
+ * @param {string} text
+ * @returns {string}
+ */
+const splice = (html, at, length, text) => html.slice(0, at) + text + html.slice(at + length);
+
+const stepSize = (step) => step.removed.length + step.inserted.length;
+
+/**
+ * @param {*} step
+ * @returns {boolean} Whether a stored step can be applied.
+ */
+const isValidStep = (step) =>
+    Number.isInteger(step?.at) && step.at >= 0
+    && typeof step.removed === 'string'
+    && typeof step.inserted === 'string';
+
+/**
+ * Sorts native input types into runs that are grouped into one undo step.
+ * @param {string} [inputType]
+ * @returns {'insert'|'delete'|null} Null for changes that always get their own step.
+ */
+const getInputKind = (inputType) => {
+    if (inputType === 'insertText' || inputType === 'insertCompositionText') return 'insert';
+    if (inputType?.startsWith('delete') && inputType !== 'deleteByCut' && inputType !== 'deleteByDrag') return 'delete';
+    return null;
+};
+
+/** Elements that start a new line of text. */
+const LINE_BLOCKS = new Set([
+    'P', 'DIV', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'LI', 'BLOCKQUOTE', 'PRE', 'TR', 'TD', 'TH', 'HR'
+]);
+
+/**
+ * Walks the content of the editor in document order, counting text positions: the
+ * characters of text nodes, one for a `<br>` or image, and one for the start of a block
+ * that begins a new line. The count is the same for the content as the browser left it
+ * and as it is rendered from the document model.
+ * @param {HTMLElement} editor
+ * @param {function(Node, number): boolean} visit - Called with every node and the count
+ *      before it; returning true stops the walk.
+ * @returns {number} The count at the end of the content.
+ */
+const walkPositions = (editor, visit) => {
+    let count = 0;
+    // A block does not start another line right after a line break
+    let atLineStart = true;
+    let stopped = false;
+
+    const walk = (node) => {
+        if (node.nodeType === Node.ELEMENT_NODE && LINE_BLOCKS.has(node.tagName) && !atLineStart) {
+            count++;
+            atLineStart = true;
+        }
+        if (visit(node, count)) {
+            stopped = true;
+            return;
+        }
+
+        if (node.nodeType === Node.TEXT_NODE) {
+            if (node.length) atLineStart = false;
+            count += node.length;
+        } else if (node.nodeName === 'BR' || node.nodeName === 'IMG') {
+            count++;
+            atLineStart = node.nodeName === 'BR';
+        } else {
+            for (const child of node.childNodes) {
+                walk(child);
+                if (stopped) return;
+            }
+        }
+    };
+
+    for (const child of editor.childNodes) {
+        walk(child);
+        if (stopped) break;
+    }
+    return count;
+};
+
+/**
+ * Describes a DOM position relative to the editor.
+ * @param {HTMLElement} editor
+ * @param {Node} node
+ * @param {number} offset
+ * @returns {SelectionPoint|null} Null when the node is outside the editor.
+ */
+const toPoint = (editor, node, offset) => {
+    if (!node || !editor.contains(node)) return null;
+
+    let target = node;
+    let within = node.nodeType === Node.TEXT_NODE ? offset : 0;
+
+    if (node.nodeType !== Node.TEXT_NODE) {
+        if (offset < node.childNodes.length) {
+            target = node.childNodes[offset];
+        } else {
+            // The end of an element is the end of its last descendant
+            while (target.lastChild) target = target.lastChild;
+            if (target.nodeType === Node.TEXT_NODE) within = target.length;
+            else if (target !== node && (target.nodeName === 'BR' || target.nodeName === 'IMG')) within = 1;
+        }
+    }
+    if (target === editor) return { offset: 0 };
+
+    let found = null;
+    walkPositions(editor, (current, count) => {
+        if (current !== target) return false;
+        found = count + within;
+        return true;
+    });
+    return found === null ? null : { offset: found };
+};
+
+/**
+ * Finds the DOM position a point describes.
+ * @param {HTMLElement} editor
+ * @param {SelectionPoint} point
+ * @returns {{node: Node, offset: number}|null} Null when the point is no text position.
+ */
+const fromPoint = (editor, point) => {
+    if (!Number.isInteger(point?.offset)) return null;
+
+    let found = null;
+    const end = walkPositions(editor, (node, count) => {
+        if (node.nodeType === Node.TEXT_NODE && count + node.length >= point.offset) {
+            found = { node, offset: Math.max(0, point.offset - count) };
+        } else if (node.nodeName === 'BR' && count >= point.offset) {
+            found = { node: node.parentNode, offset: Array.prototype.indexOf.call(node.parentNode.childNodes, node) };
+        }
+        return found !== null;
+    });
+
+    return found ?? (point.offset >= end ? { node: editor, offset: editor.childNodes.length } : null);
+};
+
+/**
+ * Creates the undo/redo history of an editor.
+ * @param {HTMLElement} editor - The contenteditable editor element.
+ * @returns {{
+ *      transact: function(function(): *): *,
+ *      record: function(): boolean,
+ *      serialize: function(): {undo: HistoryStep[], redo: HistoryStep[]},
+ *      load: function({undo: HistoryStep[], redo: HistoryStep[]}): boolean,
+ *      undo: function(): boolean,
+ *      redo: function(): boolean,
+ *      canUndo: function(): boolean,
+ *      canRedo: function(): boolean,
+ *      reset: function(): void,
+ *      onChange: function(function({canUndo: boolean, canRedo: boolean}): void): function(): void,
+ *      cleanup: function(): void
+ * }} The history controller.
+ */
+export const createEditorHistory = (editor) => {
+    /** @type {HistoryStep[]} */
+    let undoStack = [];
+    /** @type {HistoryStep[]} */
+    let redoStack = [];
+    const listeners = new Set();
+    // Total length of the text held by the steps
+    let size = 0;
+
+    /** State after the last recorded step. @type {HistoryState} */
+    let current = { html: getEditorHtml(editor), selection: null };
+    /** Open run of typing. @type {{kind: string, timer: number}|null} */
+    let pending = null;
+    let depth = 0;
+    let sawInput = false;
+    // Set while the history itself changes the content, so its own events are not recorded
+    let applying = false;
+
+    const captureSelection = () => {
+        const selection = window.getSelection();
+        if (!selection?.rangeCount) return null;
+
+        const anchor = toPoint(editor, selection.anchorNode, selection.anchorOffset);
+        const focus = toPoint(editor, selection.focusNode, selection.focusOffset);
+        return anchor && focus ? { anchor, focus } : null;
+    };
+
+    const restoreSelection = (saved) => {
+        const anchor = saved && fromPoint(editor, saved.anchor);
+        const focus = saved && fromPoint(editor, saved.focus);
+        if (!anchor || !focus) return;
+
+        try {
+            window.getSelection().setBaseAndExtent(anchor.node, anchor.offset, focus.node, focus.offset);
+        } catch (error) {
+            console.warn('[History] Could not restore the selection:', error);
+        }
+    };
+
+    const notify = () => {
+        const status = { canUndo: undoStack.length > 0, canRedo: redoStack.length > 0 };
+        listeners.forEach(listener => {
+            try {
+                listener(status);
+            } catch (error) {
+                console.error('[History] Listener failed:', error);
+            }
+        });
+    };
+
+    /**
+     * Lets other listeners (autosave, placeholder, journal) know the content changed.
+     * @private
+     */
+    const dispatchInput = () => {
+        applying = true;
+        try {
+            editor.dispatchEvent(new Event('input', { bubbles: true }));
+        } finally {
+            applying = false;
+        }
+    };
+
+    /**
+     * Records the content as a new step if it changed since the last one.
+     * @returns {boolean} Whether a step was recorded.
+     * @private
+     */
+    const commit = () => {
+        const after = { html: getEditorHtml(editor), selection: captureSelection() };
+
+        if (after.html === current.html) {
+            current = after;
+            return false;
+        }
+
+        const step = { ...diffText(current.html, after.html), before: current.selection, after: after.selection };
+        undoStack.push(step);
+        size += stepSize(step);
+
+        redoStack.forEach(dropped => { size -= stepSize(dropped); });
+        redoStack = [];
+
+        while (undoStack.length > 1 && (undoStack.length > MAX_ENTRIES || size > MAX_HISTORY_SIZE)) {
+            size -= stepSize(undoStack.shift());
+        }
+
+        current = after;
+        notify();
+        return true;
+    };
+
+    /**
+     * Closes the open run of typing.
+     * @private
+     */
+    const flush = () => {
+        if (!pending) return;
+        clearTimeout(pending.timer);
+        pending = null;
+        commit();
+    };
+
+    /**
+     * Puts content into the editor that the history produced.
+     * @param {string} html
+     * @param {HistoryState['selection']} selection
+     * @private
+     */
+    const apply = (html, selection) => {
+        applying = true;
+        try {
+            setEditorHtml(editor, html);
+            restoreSelection(selection);
+        } finally {
+            applying = false;
+        }
+
+        current = { html: getEditorHtml(editor), selection };
+        dispatchInput();
+        notify();
+    };
+
+    /**
+     * Closes the open run of typing and records changes made behind the history's back,
+     * so the steps apply to what is in the editor.
+     * @private
+     */
+    const sync = () => {
+        flush();
+        commit();
+    };
+
+    /**
+     * Runs a change as one undo step. Nested transactions join the outermost one;
+     * an async function keeps the transaction open until it settles.
+     * @param {function(): *} fn - Changes the editor content.
+     * @returns {*} Whatever `fn` returns.
+     */
+    const transact = (fn) => {
+        if (depth === 0) {
+            flush();
+            current = { ...current, selection: captureSelection() };
+            sawInput = false;
+        }
+        depth++;
+
+        const finish = () => {
+            depth--;
+            if (depth > 0) return;
+
+            // Programmatic DOM changes fire no input event, so nothing else would save them
+            if (commit() && !sawInput) dispatchInput();
+        };
+
+        let result;
+        try {
+            result = fn();
+        } catch (error) {
+            finish();
+            throw error;
+        }
+
+        if (typeof result?.then === 'function') {
+            return result.finally(finish);
+        }
+
+        finish();
+        return result;
+    };
+
+    /**
+     * Records a change made outside `transact()` (e.g. by replacing the content) as one step.
+     * @returns {boolean} Whether the content changed.
+     */
+    const record = () => {
+        flush();
+        return commit();
+    };
+
+    /**
+     * Returns the steps for storing them with the note. They apply to the current content.
+     * @returns {{undo: HistoryStep[], redo: HistoryStep[]}}
+     */
+    const serialize = () => {
+        sync();
+        return { undo: [...undoStack], redo: [...redoStack] };
+    };
+
+    /**
+     * Replaces the steps with stored ones that end at the current content.
+     * @param {{undo: HistoryStep[], redo: HistoryStep[]}} saved
+     * @returns {boolean} Whether the steps were valid and loaded.
+     */
+    const load = (saved) => {
+        const undo = Array.isArray(saved?.undo) ? saved.undo : null;
+        const redo = Array.isArray(saved?.redo) ? saved.redo : null;
+        if (!undo || !redo || !undo.every(isValidStep) || !redo.every(isValidStep)) {
+            return false;
+        }
+
+        if (pending) clearTimeout(pending.timer);
+        pending = null;
+        undoStack = undo.slice(-MAX_ENTRIES);
+        redoStack = redo.slice(-MAX_ENTRIES);
+        size = [...undoStack, ...redoStack].reduce((total, step) => total + stepSize(step), 0);
+        current = { html: getEditorHtml(editor), selection: null };
+        notify();
+        return true;
+    };
+
+    /**
+     * Reverts the last step.
+     * @returns {boolean} Whether there was a step to undo.
+     */
+    const undo = () => {
+        sync();
+        const step = undoStack.pop();
+        if (!step) return false;
+
+        redoStack.push(step);
+        apply(splice(current.html, step.at, step.inserted.length, step.removed), step.before);
+        return true;
+    };
+
+    /**
+     * Repeats the last undone step.
+     * @returns {boolean} Whether there was a step to redo.
+     */
+    const redo = () => {
+        sync();
+        const step = redoStack.pop();
+        if (!step) return false;
+
+        undoStack.push(step);
+        apply(splice(current.html, step.at, step.removed.length, step.inserted), step.after);
+        return true;
+    };
+
+    /**
+     * Forgets every step, e.g. after another note was loaded.
+     */
+    const reset = () => {
+        if (pending) clearTimeout(pending.timer);
+        pending = null;
+        undoStack = [];
+        redoStack = [];
+        size = 0;
+        current = { html: getEditorHtml(editor), selection: null };
+        notify();
+    };
+
+    const handleBeforeInput = (e) => {
+        if (applying || depth > 0) return;
+
+        // Undo from the native edit menu goes through this history too
+        if (e.inputType === 'historyUndo' || e.inputType === 'historyRedo') {
+            e.preventDefault();
+            if (e.inputType === 'historyUndo') undo(); else redo();
+            return;
+        }
+
+        if (pending && pending.kind !== getInputKind(e.inputType)) flush();
+        if (!pending) current = { ...current, selection: captureSelection() };
+    };
+
+    const handleInput = (e) => {
+        if (applying) return;
+        if (depth > 0) {
+            sawInput = true;
+            return;
+        }
+
+        const kind = getInputKind(e.inputType);
+        if (!kind) {
+            flush();
+            commit();
+            return;
+        }
+
+        if (pending) clearTimeout(pending.timer);
+        pending = { kind, timer: setTimeout(flush, GROUP_DELAY) };
+    };
+
+    const handleKeydown = (e) => {
+        if (NAVIGATION_KEYS.has(e.key)) flush();
+    };
+
+    editor.addEventListener('beforeinput', handleBeforeInput);
+    editor.addEventListener('input', handleInput);
+    editor.addEventListener('keydown', handleKeydown);
+    editor.addEventListener('mousedown', flush);
+
+    return {
+        transact,
+        record,
+        serialize,
+        load,
+        undo,
+        redo,
+        canUndo: () => undoStack.length > 0 || pending !== null,
+        canRedo: () => redoStack.length > 0 && pending === null,
+        reset,
+
+        /**
+         * Subscribes to changes of what can be undone or redone.
+         * @param {function({canUndo: boolean, canRedo: boolean}): void} listener
+         * @returns {function(): void} Unsubscribe function.
+         */
+        onChange: (listener) => {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+
+        cleanup() {
+            if (pending) clearTimeout(pending.timer);
+            pending = null;
+            listeners.clear();
+            editor.removeEventListener('beforeinput', handleBeforeInput);
+            editor.removeEventListener('input', handleInput);
+            editor.removeEventListener('keydown', handleKeydown);
+            editor.removeEventListener('mousedown', flush);
+        }
+    };
+};
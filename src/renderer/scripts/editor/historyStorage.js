@@ -0,0 +1,101 @@
+/**
+ * @file Ties the editor history to the note that is open.
+ * Loading another note starts its own history, restored from what the main process kept
+ * of the last session; every save of the note stores the history next to it. The history
+ * is checked against the content as it is saved (`getEditorHtml`), so it still applies
+ * after the note was rendered into the editor again.
+ */
+
+import { getEditorHtml } from '../document/renderDom.js';
+
+/**
+ * Connects the editor history to the notes loaded into the editor.
+ * @param {Object} history                          - The history returned by `createEditorHistory()`.
+ * @param {HTMLElement} editor                      - The editor element.
+ * @param {Object} noteAPI                          - The API returned by `noteFeatures()`.
+ * @returns {function(): void} Cleanup function.
+ */
+export const connectNoteHistory = (history, editor, noteAPI) => {
+    const bridge = window.electronAPI?.undoHistory;
+    let loadToken = 0;
+    // Last stored steps, to skip saves that did not change the history
+    let stored = { noteId: null, undo: null, redo: null, undoCount: 0, redoCount: 0 };
+
+    /**
+     * Starts the history of a note, with the steps kept from before when they still apply.
+     * @param {string|null} noteId
+     * @private
+     */
+    const openHistory = async (noteId) => {
+        const token = ++loadToken;
+        history.reset();
+        stored = { noteId, undo: null, redo: null, undoCount: 0, redoCount: 0 };
+
+        if (!bridge || !noteId) return;
+
+        try {
+            const saved = await bridge.get(noteId, getEditorHtml(editor));
+
+            // Edits made while the history was read win over it
+            if (!saved || token !== loadToken || history.canUndo() || history.canRedo()) return;
+            history.load(saved);
+        } catch (error) {
+            console.warn('[History] Could not read the undo history:', error);
+        }
+    };
+
+    /**
+     * Stores the history after the note was saved, so both end at the same content.
+     * @private
+     */
+    const storeHistory = () => {
+        const noteId = noteAPI.getCurrentNoteId?.();
+        if (!bridge || !noteId || noteId !== stored.noteId) return;
+
+        const { undo, redo } = history.serialize();
+        const unchanged = undo.length === stored.undoCount && redo.length === stored.redoCount
+            && undo[undo.length - 1] === stored.undo && redo[redo.length - 1] === stored.redo;
+        if (unchanged) return;
+
+        stored = {
+            noteId,
+            undo: undo[undo.length - 1],
+            redo: redo[redo.length - 1],
+            undoCount: undo.length,
+            redoCount: redo.length
+        };
+
+        bridge.save(noteId, { text: getEditorHtml(editor), undo, redo })
+            .catch(error => console.warn('[History] Could not store the undo history:', error));
+    };
+
+    // Restoring a saved version is a step of the history rather than a new start
+    const handleNoteLoaded = (e) => {
+        if (e.detail?.restoredFrom) {
+            history.record();
+        } else {
+            openHistory(e.detail?.id ?? null);
+        }
+    };
+
+    const handleLibraryChanged = (e) => {
+        if (e.detail?.type === 'saved') {
+            storeHistory();
+        }
+    };
+
+    document.addEventListener('note-loaded', handleNoteLoaded);
+    document.addEventListener('note-library-changed', handleLibraryChanged);
+
+    // The first note may have been loaded before the editor was set up
+    noteAPI.whenLoaded?.().then(() => {
+        const noteId = noteAPI.getCurrentNoteId?.();
+        if (noteId && noteId !== stored.noteId) openHistory(noteId);
+    });
+
+    return () => {
+        loadToken++;
+        document.removeEventListener('note-loaded', handleNoteLoaded);
+        document.removeEventListener('note-library-changed', handleLibraryChanged);
+    };
+};
@@ -0,0 +1,209 @@
+import { downloadMarkupsContent, themeStyles } from './downloadStyle/cssConfig.js';
+import { deriveNoteTitle } from '../note/notehandlers.js';
+
+/**
+ * @typedef {Object} HTMLExportOptions
+ * @property {'light'|'dark'|'auto'} [theme='auto'] - Color theme; `auto` follows `prefers-color-scheme`
+ * @property {boolean} [inlineImages=true] - Embed images as data URIs
+ * @property {boolean} [tableOfContents=false] - Add a table of contents built from the headings
+ * @property {boolean} [standalone=true] - Strip editor-only attributes and elements
+ * @property {string} [title] - Document title; the first heading or line when omitted
+ */
+
+const HEADINGS = 'h1, h2, h3, h4, h5, h6';
+
+// Attributes only the editor needs
+const EDITOR_ATTRIBUTES = ['contenteditable', 'spellcheck', 'data-placeholder'];
+
+const tocStyles = `
+        .table-of-contents {
+            margin-bottom: 2rem;
+            padding-bottom: 1rem;
+            border-bottom: 1px solid currentColor;
+        }
+
+        .table-of-contents h2 {
+            border: none;
+            margin-top: 0;
+        }
+
+        .table-of-contents ul {
+            list-style: none;
+            padding-left: 0;
+        }
+`;
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+const escapeHTML = (text) => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Copy the editor content. Checkbox state lives in a property that `innerHTML`
+ * does not serialize, so it is copied to the `checked` attribute.
+ * @param {HTMLElement} editor - Editor element
+ * @returns {HTMLElement} Detached copy
+ */
+const cloneContent = (editor) => {
+    const root = editor.ownerDocument.createElement('div');
+    root.innerHTML = editor.innerHTML;
+
+    const original = editor.querySelectorAll('input[type="checkbox"]');
+    root.querySelectorAll('input[type="checkbox"]').forEach((checkbox, index) => {
+        checkbox.toggleAttribute('checked', Boolean(original[index]?.checked));
+    });
+
+    return root;
+};
+
+/**
+ * Remove what only matters while editing: editing attributes, the wrappers
+ * left by pasting and interactive checkboxes
+ * @param {HTMLElement} root - Content copy
+ */
+const stripEditorMarkup = (root) => {
+    root.querySelectorAll('span.pasted-content').forEach(span => span.replaceWith(...span.childNodes));
+
+    root.querySelectorAll(EDITOR_ATTRIBUTES.map(name => `[${name}]`).join(', ')).forEach(element => {
+        EDITOR_ATTRIBUTES.forEach(name => element.removeAttribute(name));
+    });
+
+    root.querySelectorAll('input[type="checkbox"]').forEach(checkbox => checkbox.setAttribute('disabled', ''));
+};
+
+/**
+ * Create a fragment identifier for a heading
+ * @param {string} text - Heading text
+ * @param {Set<string>} used - Identifiers already in use
+ * @returns {string} Unique identifier
+ */
+const createHeadingId = (text, used) => {
+    const base = text
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, '-')
+        .replace(/^-+|-+$/g, '') || 'section';
+
+    let id = base;
+    for (let i = 2; used.has(id); i++) {
+        id = `${base}-${i}`;
+    }
+    used.add(id);
+    return id;
+};
+
+/**
+ * Insert a table of contents linking to every heading
+ * @param {HTMLElement} root - Content copy
+ */
+const addTableOfContents = (root) => {
+    const headings = Array.from(root.querySelectorAll(HEADINGS))
+        .filter(heading => heading.textContent.trim());
+    if (headings.length === 0) return;
+
+    const doc = root.ownerDocument;
+    const used = new Set(Array.from(root.querySelectorAll('[id]'), element => element.id));
+    const topLevel = Math.min(...headings.map(heading => Number(heading.tagName[1])));
+
+    const nav = doc.createElement('nav');
+    nav.className = 'table-of-contents';
+
+    const title = doc.createElement('h2');
+    title.id = createHeadingId('table-of-contents-title', used);
+    title.textContent = 'Contents';
+    nav.setAttribute('aria-labelledby', title.id);
+
+    const list = doc.createElement('ul');
+    headings.forEach(heading => {
+        if (!heading.id) heading.id = createHeadingId(heading.textContent.trim(), used);
+
+        const item = doc.createElement('li');
+        item.style.paddingLeft = `${(Number(heading.tagName[1]) - topLevel) * 1.25}em`;
+
+        const link = doc.createElement('a');
+        link.href = `#${heading.id}`;
+        link.textContent = heading.textContent.replace(/\s+/g, ' ').trim();
+
+        item.appendChild(link);
+        list.appendChild(item);
+    });
+
+    nav.append(title, list);
+    root.prepend(nav);
+};
+
+/**
+ * Replace image addresses with data URIs fetched by the main process.
+ * Images that cannot be fetched keep their address.
+ * @param {HTMLElement} root - Content copy
+ * @returns {Promise<void>}
+ */
+const inlineImages = async (root) => {
+    const images = Array.from(root.querySelectorAll('img[src]'))
+        .filter(image => !image.getAttribute('src').startsWith('data:'));
+    if (images.length === 0) return;
+
+    const exporter = window.electronAPI?.exporter;
+    if (!exporter?.embedImages) {
+        console.warn('Image embedding is not available; images keep their address');
+        return;
+    }
+
+    // Resolved against the app's address, like the editor displays them
+    const sources = new Map();
+    images.forEach(image => {
+        try {
+            sources.set(image, new URL(image.getAttribute('src'), document.baseURI).href);
+        } catch {
+            // Not a valid address; nothing to fetch
+        }
+    });
+
+    const embedded = await exporter.embedImages([...sources.values()]);
+    sources.forEach((url, image) => {
+        if (embedded[url]) image.setAttribute('src', embedded[url]);
+    });
+};
+
+/**
+ * Create a complete, self-contained HTML document of the editor content
+ * @param {HTMLElement} editor - Editor element
+ * @param {HTMLExportOptions} [options] - Export options
+ * @returns {Promise<string>} HTML document
+ */
+export const createHTMLDocument = async (editor, options = {}) => {
+    const {
+        theme = 'auto',
+        inlineImages: embedImages = true,
+        tableOfContents = false,
+        standalone = true
+    } = options;
+    const title = options.title || deriveNoteTitle(editor) || 'Documents';
+
+    const root = cloneContent(editor);
+    if (standalone) stripEditorMarkup(root);
+    if (tableOfContents) addTableOfContents(root);
+    if (embedImages) await inlineImages(root);
+
+    // The base stylesheet follows the system theme; a fixed theme overrides it
+    const fixedTheme = theme === 'light' || theme === 'dark' ? theme : null;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="color-scheme" content="${fixedTheme ?? 'light dark'}">
+    <title>${escapeHTML(title)}</title>
+    <style>${downloadMarkupsContent.styles}${fixedTheme ? themeStyles(fixedTheme) : ''}${tableOfContents ? tocStyles : ''}</style>
+</head>
+<body>
+${root.innerHTML}
+</body>
+</html>`;
+};
@@ -0,0 +1,33 @@
+import { markdownToHtml } from './markdown/markdownToHtml.js';
+import { formatPastedHTML } from './handlePaste.js';
+
+/** File extensions opened as Markdown. */
+export const MARKDOWN_EXTENSIONS = ['.md', '.markdown', '.mdown', '.mkd'];
+
+/**
+ * Check whether a file is a Markdown file
+ * @param {File} file - File from a file input or a drop
+ * @returns {boolean} True for Markdown files
+ */
+export const isMarkdownFile = (file) => {
+    const name = file?.name?.toLowerCase() ?? '';
+    return MARKDOWN_EXTENSIONS.some(extension => name.endsWith(extension)) || file?.type === 'text/markdown';
+};
+
+/**
+ * Convert Markdown to editor HTML, sanitized like pasted content
+ * @param {string} markdown - Markdown source
+ * @returns {string} Editor HTML
+ */
+export const importMarkdown = (markdown) => {
+    const temp = document.createElement('div');
+    temp.innerHTML = markdownToHtml(markdown);
+    return formatPastedHTML(temp);
+};
+
+/**
+ * Read a Markdown file as editor HTML
+ * @param {File} file - Markdown file
+ * @returns {Promise<string>} Editor HTML
+ */
+export const readMarkdownFile = async (file) => importMarkdown(await file.text());
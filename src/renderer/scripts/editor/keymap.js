@@ -8,6 +8,8 @@
  * @param {Function} callbacks.onReplace            - Callback when replace is triggered
  * @param {Function} callbacks.onUndo               - Callback when undo is triggered
  * @param {Function} callbacks.onRedo               - Callback when redo is triggered
+ * @param {Object} callbacks.history                - Editor history; edits made by shortcuts become one undo step each
+ * @param {Object} callbacks.commands               - Editor commands (`createEditorCommands()`) for formatting and indentation
  */
 export const handleKeydown = (e, editor, callbacks = {}) => {
     // Validate inputs
@@ -24,8 +26,20 @@ export const handleKeydown = (e, editor, callbacks = {}) => {
     // Check for Ctrl on Windows/Linux or Cmd on macOS
     const isModKey = e.ctrlKey || e.metaKey;
 
+    // Runs an edit as a single undo step when a history is available
+    const edit = (fn) => callbacks.history ? callbacks.history.transact(fn) : fn();
+
+    // Runs an editor command
+    const run = (name, ...args) => {
+        if (!callbacks.commands) {
+            console.warn(`[Keymap] No editor commands for ${name}`);
+            return false;
+        }
+        return callbacks.commands.execute(name, ...args);
+    };
+
     try {
-        // Tab / Shift+Tab for indentation
+        // Tab / Shift+Tab for table cells and indentation
         if (e.key === 'Tab') {
             e.preventDefault();
 
@@ -38,31 +52,33 @@ export const handleKeydown = (e, editor, callbacks = {}) => {
             }
 
             try {
-                if (e.shiftKey) {
-                    // Decrease indentation
-                    const success = document.execCommand('outdent');
-                    if (!success) {
-                        console.warn('[Keymap] Outdent command not supported or failed');
-                    }
-                } else {
-                    // Insert 4 spaces for tab
-                    const range = selection.getRangeAt(0);
+                edit(() => {
+                    // In a table, move between cells (adding a row after the last one)
+                    if (run('goToCell', e.shiftKey ? -1 : 1)) return;
 
-                    // Use non-breaking spaces for better consistency
-                    const indent = document.createTextNode('\u00A0\u00A0\u00A0\u00A0');
+                    if (e.shiftKey) {
+                        // Decrease indentation (list items and quotes)
+                        run('lift');
+                    } else if (!run('indent')) {
+                        // Outside of list items, insert 4 spaces for tab
+                        const range = selection.getRangeAt(0);
 
-                    // Delete any selected content first
-                    range.deleteContents();
-                    range.insertNode(indent);
+                        // Use non-breaking spaces for better consistency
+                        const indent = document.createTextNode('\u00A0\u00A0\u00A0\u00A0');
 
-                    // Move cursor after the inserted spaces
-                    range.setStartAfter(indent);
-                    range.setEndAfter(indent);
-                    range.collapse(false);
+                        // Delete any selected content first
+                        range.deleteContents();
+                        range.insertNode(indent);
 
-                    selection.removeAllRanges();
-                    selection.addRange(range);
-                }
+                        // Move cursor after the inserted spaces
+                        range.setStartAfter(indent);
+                        range.setEndAfter(indent);
+                        range.collapse(false);
+
+                        selection.removeAllRanges();
+                        selection.addRange(range);
+                    }
+                });
             } catch (error) {
                 console.error('[Keymap] Indent/Outdent operation failed:', {
                     operation: e.shiftKey ? 'outdent' : 'indent',
@@ -99,14 +115,14 @@ export const handleKeydown = (e, editor, callbacks = {}) => {
                         if (callbacks.onRedo && typeof callbacks.onRedo === 'function') {
                             callbacks.onRedo();
                         } else {
-                            document.execCommand('redo');
+                            callbacks.history?.redo();
                         }
                     } else {
                         // Ctrl/Cmd + Z (Undo)
                         if (callbacks.onUndo && typeof callbacks.onUndo === 'function') {
                             callbacks.onUndo();
                         } else {
-                            document.execCommand('undo');
+                            callbacks.history?.undo();
                         }
                     }
                 } catch (error) {
@@ -126,7 +142,7 @@ export const handleKeydown = (e, editor, callbacks = {}) => {
                     if (callbacks.onRedo && typeof callbacks.onRedo === 'function') {
                         callbacks.onRedo();
                     } else {
-                        document.execCommand('redo');
+                        callbacks.history?.redo();
                     }
                 } catch (error) {
                     console.error(
@@ -154,9 +170,6 @@ export const handleKeydown = (e, editor, callbacks = {}) => {
                         '[Keymap] Select All failed:',
                         error
                     );
-
-                    // Fallback to execCommand
-                    document.execCommand('selectAll');
                 }
                 return;
             }
@@ -223,47 +236,54 @@ export const handleKeydown = (e, editor, callbacks = {}) => {
                 e.preventDefault();
 
                 try {
-                    const selection = window.getSelection();
-                    if (!selection.rangeCount) return;
-
-                    const range = selection.getRangeAt(0);
-
-                    if (e.shiftKey) {
-                        // Ctrl/Cmd + Shift + Enter (Insert line above)
-                        const br = document.createElement('br');
-                        range.insertNode(br);
-                        range.setStartAfter(br);
-                        range.collapse(true);
-
-                        selection.removeAllRanges();
-                        selection.addRange(range);
-                    } else {
-                        // Ctrl/Cmd + Enter (Insert line below)
-                        const currentNode = range.startContainer;
+                    edit(() => {
+                        const selection = window.getSelection();
+                        if (!selection.rangeCount) return;
 
-                        const parent = currentNode.nodeType === Node.TEXT_NODE
-                            ? currentNode.parentNode
-                            : currentNode;
+                        const range = selection.getRangeAt(0);
 
-                        // Find the end of the current line/paragraph
-                        let node = parent;
-                        while (node && node !== editor && node.nextSibling) {
-                            node = node.nextSibling;
-                        }
-
-                        const br = document.createElement('br');
-                        if (node && node.parentNode) {
-                            node.parentNode.insertBefore(br, node.nextSibling);
+                        if (e.shiftKey) {
+                            // Ctrl/Cmd + Shift + Enter (Insert line above)
+                            const br = document.createElement('br');
+                            range.insertNode(br);
                             range.setStartAfter(br);
                             range.collapse(true);
 
                             selection.removeAllRanges();
                             selection.addRange(range);
                         } else {
-                            // Fallback
-                            document.execCommand('insertParagraph');
+                            // Ctrl/Cmd + Enter (Insert line below)
+                            const currentNode = range.startContainer;
+
+                            const parent = currentNode.nodeType === Node.TEXT_NODE
+                                ? currentNode.parentNode
+                                : currentNode;
+
+                            // Find the end of the current line/paragraph
+                            let node = parent;
+                            while (node && node !== editor && node.nextSibling) {
+                                node = node.nextSibling;
+                            }
+
+                            const br = document.createElement('br');
+                            if (node && node.parentNode) {
+                                node.parentNode.insertBefore(br, node.nextSibling);
+                                range.setStartAfter(br);
+                                range.collapse(true);
+
+                                selection.removeAllRanges();
+                                selection.addRange(range);
+                            } else {
+                                // Fallback: break the line at the caret
+                                range.insertNode(br);
+                                range.setStartAfter(br);
+                                range.collapse(true);
+
+                                selection.removeAllRanges();
+                                selection.addRange(range);
+                            }
                         }
-                    }
+                    });
                 } catch (error) {
                     console.error(
                         '[Keymap] Insert line failed:',
@@ -278,34 +298,36 @@ export const handleKeydown = (e, editor, callbacks = {}) => {
                 e.preventDefault();
 
                 try {
-                    const selection = window.getSelection();
-                    if (!selection.rangeCount) return;
+                    edit(() => {
+                        const selection = window.getSelection();
+                        if (!selection.rangeCount) return;
 
-                    const range = selection.getRangeAt(0);
-                    let node = range.startContainer;
+                        const range = selection.getRangeAt(0);
+                        let node = range.startContainer;
 
-                    // Find the containing block element
-                    while (node && node !== editor && node.nodeType !== Node.ELEMENT_NODE) {
-                        node = node.parentNode;
-                    }
+                        // Find the containing block element
+                        while (node && node !== editor && node.nodeType !== Node.ELEMENT_NODE) {
+                            node = node.parentNode;
+                        }
 
-                    if (node && node !== editor) {
-                        let startNode = node;
-                        let endNode = node;
+                        if (node && node !== editor) {
+                            let startNode = node;
+                            let endNode = node;
 
-                        // Expand selection to include entire line
-                        const lineRange = document.createRange();
-                        lineRange.selectNodeContents(startNode);
-                        lineRange.deleteContents();
+                            // Expand selection to include entire line
+                            const lineRange = document.createRange();
+                            lineRange.selectNodeContents(startNode);
+                            lineRange.deleteContents();
 
-                        if (!startNode.textContent.trim() && startNode.parentNode) {
-                            startNode.parentNode.removeChild(startNode);
+                            if (!startNode.textContent.trim() && startNode.parentNode) {
+                                startNode.parentNode.removeChild(startNode);
+                            }
                         }
-                    }
+                    });
                 } catch (error) {
                     console.error('[Keymap] Delete line failed:', error);
                     // Fallback to simple delete
-                    document.execCommand('delete');
+                    run('deleteSelection');
                 }
                 return;
             }
@@ -314,7 +336,7 @@ export const handleKeydown = (e, editor, callbacks = {}) => {
             if (e.code === 'KeyB') {
                 e.preventDefault();
                 try {
-                    document.execCommand('bold');
+                    run('toggleMark', 'bold');
                 } catch (error) {
                     console.error('[Keymap] Bold failed:', error);
                 }
@@ -325,7 +347,7 @@ export const handleKeydown = (e, editor, callbacks = {}) => {
             if (e.code === 'KeyI') {
                 e.preventDefault();
                 try {
-                    document.execCommand('italic');
+                    run('toggleMark', 'italic');
                 } catch (error) {
                     console.error('[Keymap] Italic failed:', error);
                 }
@@ -336,7 +358,7 @@ export const handleKeydown = (e, editor, callbacks = {}) => {
             if (e.code === 'KeyU') {
                 e.preventDefault();
                 try {
-                    document.execCommand('underline');
+                    run('toggleMark', 'underline');
                 } catch (error) {
                     console.error('[Keymap] Underline failed:', error);
                 }
@@ -0,0 +1,312 @@
+/**
+ * @file Opt-in Markdown autoformat (`editor.markdownAutoformat`). Typing a Markdown block
+ * marker and Space (or Enter for `---` and ```) turns the line into that block:
+ *
+ *   `# ` to `###### `  heading          `> `       blockquote
+ *   `- `, `* `, `+ `   bulleted list    `---`      horizontal rule (also `***`, `___`)
+ *   `1. `              numbered list    ```lang    code block with a language
+ *   `- [ ] `, `- [x] ` to-do item
+ *
+ * The typed marker is recorded as its own undo step before the conversion, so Ctrl+Z,
+ * or Backspace right after the conversion, brings back the literal characters.
+ */
+import { findBlockCommand } from './blockCommands.js';
+import { replaceBlock } from './commands.js';
+import { getBlockElement, getTextBeforeCursor } from '../nodeElement.js';
+
+/**
+ * @typedef {object} AutoformatRule
+ * @property {string} name              - Rule name, for debugging.
+ * @property {RegExp} pattern           - Matches the whole line before the caret.
+ * @property {string[]} keys            - Keys that run the rule.
+ * @property {boolean} [inListItem]     - Runs in an item of a bulleted list instead of a paragraph.
+ * @property {function(RegExpMatchArray, string): {nodes: Node[], focus: HTMLElement}} create
+ *      Builds the block from the match and the text after the marker.
+ */
+
+/**
+ * Builds a block with a registered block command.
+ * @param {string} id - Block command id.
+ * @param {string} text - Text of the block.
+ * @returns {{nodes: Node[], focus: HTMLElement}}
+ */
+const createBlock = (id, text) => findBlockCommand(id).create(text);
+
+/**
+ * Builds a to-do item, checked for `[x]`.
+ * @param {string} mark - Character between the brackets.
+ * @param {string} text - Text of the item.
+ * @returns {{nodes: Node[], focus: HTMLElement}}
+ */
+const createTask = (mark, text) => {
+    const block = createBlock('check', text);
+    const checkbox = block.nodes[0].querySelector('input[type="checkbox"]');
+    if (checkbox && mark.toLowerCase() === 'x') {
+        checkbox.checked = true;
+        checkbox.setAttribute('checked', '');
+    }
+    return block;
+};
+
+/** @type {AutoformatRule[]} */
+const AUTOFORMAT_RULES = [
+    {
+        name: 'heading',
+        pattern: /^(#{1,6})$/,
+        keys: [' '],
+        create: ([, hashes], text) => {
+            const heading = document.createElement(`h${hashes.length}`);
+            if (text) {
+                heading.textContent = text;
+            } else {
+                heading.innerHTML = '<br>';
+            }
+            return { nodes: [heading], focus: heading };
+        }
+    },
+    {
+        name: 'task',
+        pattern: /^[-*+]\s\[([ xX]?)\]$/,
+        keys: [' '],
+        create: ([, mark], text) => createTask(mark, text)
+    },
+    {
+        // `- ` already made a bulleted list; `[ ] ` in its item finishes `- [ ] `
+        name: 'taskInList',
+        pattern: /^\[([ xX]?)\]$/,
+        keys: [' '],
+        inListItem: true,
+        create: ([, mark], text) => createTask(mark, text)
+    },
+    {
+        name: 'bulletList',
+        pattern: /^[-*+]$/,
+        keys: [' '],
+        create: (match, text) => createBlock('bullet', text)
+    },
+    {
+        name: 'orderedList',
+        pattern: /^(\d{1,9})\.$/,
+        keys: [' '],
+        create: ([, start], text) => {
+            const block = createBlock('numbered', text);
+            if (Number(start) !== 1) block.nodes[0].setAttribute('start', String(Number(start)));
+            return block;
+        }
+    },
+    {
+        name: 'blockquote',
+        pattern: /^>$/,
+        keys: [' '],
+        create: (match, text) => createBlock('quote', text)
+    },
+    {
+        name: 'horizontalRule',
+        pattern: /^(?:-{3,}|\*{3,}|_{3,})$/,
+        keys: [' ', 'Enter'],
+        create: () => createBlock('hr', '')
+    },
+    {
+        name: 'codeBlock',
+        pattern: /^```([\w+#.-]*)$/,
+        keys: [' ', 'Enter'],
+        create: ([, language], text) => {
+            const block = createBlock('code', text);
+            if (language) block.focus.className = `language-${language}`;
+            return block;
+        }
+    }
+];
+
+/**
+ * Finds the line the caret is at the end of the marker in.
+ * @param {HTMLElement} editor
+ * @param {Selection} selection
+ * @returns {{block: HTMLElement, beforeCursor: string, isFirstLine: boolean}|null}
+ *      Null when the caret is not in a line that can be converted.
+ */
+const readLine = (editor, selection) => {
+    if (!selection.rangeCount || !selection.isCollapsed) return null;
+
+    const range = selection.getRangeAt(0);
+    const node = range.startContainer;
+    if (!editor.contains(node)) return null;
+
+    const block = getBlockElement(node, editor);
+    if (!block) return null;
+
+    if (block === editor) {
+        // Inline content directly in the editor is only converted when it is the only line
+        const onlyLine = editor.children.length === 0
+            || (editor.children.length === 1 && editor.firstElementChild.tagName === 'BR');
+        if (!onlyLine || node.nodeType !== Node.TEXT_NODE) return null;
+
+        return { block, beforeCursor: node.textContent.substring(0, range.startOffset), isFirstLine: true };
+    }
+
+    if (!['P', 'DIV', 'LI'].includes(block.tagName) || block.closest('pre, table')) return null;
+
+    const beforeCursor = getTextBeforeCursor(node, range.startOffset, block);
+
+    // The marker must start the line
+    if (!block.textContent.startsWith(beforeCursor)) return null;
+    return { block, beforeCursor, isFirstLine: false };
+};
+
+/**
+ * Puts a list item into a list of its own, splitting the list around it.
+ * @param {HTMLLIElement} item
+ * @returns {HTMLElement} The list holding only the item.
+ */
+const isolateListItem = (item) => {
+    const list = item.parentElement;
+    const following = [];
+    for (let next = item.nextElementSibling; next; next = next.nextElementSibling) {
+        following.push(next);
+    }
+
+    let own = list;
+    if (item.previousElementSibling) {
+        own = list.cloneNode(false);
+        list.after(own);
+        own.appendChild(item);
+    }
+
+    if (following.length) {
+        const tail = list.cloneNode(false);
+        tail.append(...following);
+        own.after(tail);
+    }
+    return own;
+};
+
+/**
+ * Types a space at the caret the way the browser does: a non-breaking space at the
+ * end of the text, so it stays visible.
+ * @param {Selection} selection
+ */
+const insertSpace = (selection) => {
+    const range = selection.getRangeAt(0);
+    const node = range.startContainer;
+    if (node.nodeType !== Node.TEXT_NODE) return;
+
+    const offset = range.startOffset;
+    node.insertData(offset, offset === node.length ? '\u00A0' : ' ');
+    selection.collapse(node, offset + 1);
+};
+
+/**
+ * Creates the Markdown autoformat of an editor. It is off until enabled.
+ * @param {HTMLElement} editor          - The contenteditable editor element.
+ * @param {Object} history              - Editor history (`createEditorHistory()`).
+ * @returns {{
+ *      handleKeydown: function(KeyboardEvent): boolean,
+ *      setEnabled: function(boolean): void,
+ *      isEnabled: function(): boolean,
+ *      cleanup: function(): void
+ * }} `handleKeydown` returns whether it handled the key.
+ *
+ * @example
+ * const autoformat = createMarkdownAutoformat(editor, history);
+ * autoformat.setEnabled(true);
+ * editor.addEventListener('keydown', (e) => autoformat.handleKeydown(e));
+ */
+export const createMarkdownAutoformat = (editor, history) => {
+    let enabled = false;
+    // Editor HTML right after the last conversion, while Backspace can still revert it
+    let convertedHtml = null;
+
+    /**
+     * Converts a line, keeping the typed marker as an undo step of its own.
+     * @param {KeyboardEvent} e
+     * @param {{block: HTMLElement, beforeCursor: string, isFirstLine: boolean}} line
+     * @param {AutoformatRule} rule
+     * @param {RegExpMatchArray} match
+     */
+    const convert = (e, line, rule, match) => {
+        e.preventDefault();
+        const selection = window.getSelection();
+
+        history.transact(() => {
+            if (e.key === ' ') {
+                insertSpace(selection);
+                history.record();
+            }
+
+            const { block, beforeCursor, isFirstLine } = line;
+            const text = block.textContent.slice(beforeCursor.length).trim();
+            const { nodes, focus } = rule.create(match, text);
+
+            const target = rule.inListItem ? isolateListItem(block) : block;
+            replaceBlock(target, nodes, focus, selection, isFirstLine);
+        });
+
+        convertedHtml = editor.innerHTML;
+    };
+
+    /**
+     * Runs the rules for a key press.
+     * @param {KeyboardEvent} e
+     * @returns {boolean} Whether the key was handled.
+     */
+    const handleKeydown = (e) => {
+        if (!enabled || e.isComposing || e.ctrlKey || e.metaKey || e.altKey) return false;
+
+        const selection = window.getSelection();
+        const revert = e.key === 'Backspace'
+            && convertedHtml !== null
+            && convertedHtml === editor.innerHTML
+            && selection.isCollapsed;
+        convertedHtml = null;
+
+        if (revert) {
+            e.preventDefault();
+            history.undo();
+            return true;
+        }
+
+        if (e.key !== ' ' && !(e.key === 'Enter' && !e.shiftKey)) return false;
+
+        const line = readLine(editor, selection);
+        if (!line) return false;
+
+        const inListItem = line.block.tagName === 'LI';
+        if (inListItem && (!line.block.parentElement.classList.contains('unordered-list')
+            || line.block.querySelector('ul, ol'))) {
+            return false;
+        }
+
+        for (const rule of AUTOFORMAT_RULES) {
+            if (!rule.keys.includes(e.key) || Boolean(rule.inListItem) !== inListItem) continue;
+
+            const match = line.beforeCursor.match(rule.pattern);
+            if (match) {
+                convert(e, line, rule, match);
+                return true;
+            }
+        }
+        return false;
+    };
+
+    // Backspace reverts only right after the conversion
+    const forgetConversion = () => {
+        convertedHtml = null;
+    };
+
+    editor.addEventListener('mousedown', forgetConversion);
+
+    return {
+        handleKeydown,
+
+        setEnabled(value) {
+            enabled = Boolean(value);
+            convertedHtml = null;
+        },
+
+        isEnabled: () => enabled,
+
+        cleanup() {
+            editor.removeEventListener('mousedown', forgetConversion);
+        }
+    };
+};
@@ -0,0 +1,295 @@
+/**
+ * @file Registry of the block commands: the blocks a line can be turned into by typing
+ * `/name` and Space (see `processMarkdownInLine`) or by picking them from the slash
+ * command palette (`pageComponents/slashMenu.js`). A block type registered here shows
+ * up in both places.
+ */
+
+/**
+ * @typedef {object} BlockCommand
+ * @property {string} id                - Name typed after the slash (`/quote`).
+ * @property {string} label             - Name shown in the palette.
+ * @property {string} description       - One line shown under the label.
+ * @property {string} icon              - Short text shown as the icon.
+ * @property {string[]} [aliases]       - Other names that run the command.
+ * @property {string} [preview]         - HTML of a sample of the block, shown in the palette.
+ * @property {function(string): {nodes: Node[], focus: HTMLElement}} create
+ *      Builds the block from the text left on the line; `focus` gets the caret.
+ */
+
+/** @type {BlockCommand[]} */
+const blockCommands = [];
+
+/**
+ * Creates an element holding text, or a `<br>` when the text is empty so the
+ * caret can be placed in it.
+ * @param {string} tag
+ * @param {string} text
+ * @returns {HTMLElement}
+ */
+const createTextElement = (tag, text) => {
+    const element = document.createElement(tag);
+    if (text) {
+        element.textContent = text;
+    } else {
+        element.innerHTML = '<br>';
+    }
+    return element;
+};
+
+/**
+ * Adds a block command. A command with the same id is replaced.
+ * @param {BlockCommand} command
+ * @returns {function(): void} Removes the command.
+ *
+ * @example
+ * registerBlockCommand({
+ *     id: 'callout', label: 'Callout', description: 'Highlighted note', icon: '!',
+ *     create: (text) => {
+ *         const quote = document.createElement('blockquote');
+ *         quote.textContent = text || 'Note';
+ *         return { nodes: [quote], focus: quote };
+ *     }
+ * });
+ */
+export const registerBlockCommand = (command) => {
+    if (!command?.id || typeof command.create !== 'function') {
+        throw new TypeError(`[BlockCommands] Invalid block command: ${command?.id}`);
+    }
+
+    const index = blockCommands.findIndex(existing => existing.id === command.id);
+    if (index === -1) {
+        blockCommands.push(command);
+    } else {
+        blockCommands[index] = command;
+    }
+
+    return () => {
+        const current = blockCommands.indexOf(command);
+        if (current !== -1) blockCommands.splice(current, 1);
+    };
+};
+
+/**
+ * @returns {BlockCommand[]} The registered block commands, in registration order.
+ */
+export const getBlockCommands = () => [...blockCommands];
+
+/**
+ * Finds the command a typed name runs.
+ * @param {string} name - Name without the slash, e.g. `h2`.
+ * @returns {BlockCommand|null}
+ */
+export const findBlockCommand = (name) => {
+    const key = String(name).toLowerCase();
+    return blockCommands.find(command => command.id === key || command.aliases?.includes(key)) ?? null;
+};
+
+/**
+ * Scores how well a query matches a name: its letters must appear in order. Matches at
+ * the start of the name and of its words, and letters next to each other, score higher.
+ * @param {string} query - Lowercase query.
+ * @param {string} name
+ * @returns {number} 0 when the name does not match.
+ */
+const scoreMatch = (query, name) => {
+    const text = name.toLowerCase();
+    if (text === query) return 1000;
+    if (text.startsWith(query)) return 500 - text.length;
+
+    let score = 0;
+    let position = -1;
+    for (const char of query) {
+        const index = text.indexOf(char, position + 1);
+        if (index === -1) return 0;
+
+        if (index === position + 1) score += 5;
+        if (index === 0 || /[\s-]/.test(text[index - 1])) score += 10;
+        score += 1;
+        position = index;
+    }
+    return score;
+};
+
+/**
+ * Filters the block commands by a fuzzy query, best matches first.
+ * @param {string} query - Text typed after the slash.
+ * @returns {BlockCommand[]}
+ *
+ * @example
+ * filterBlockCommands('hd2'); // [Heading 2, ...]
+ */
+export const filterBlockCommands = (query) => {
+    const key = String(query ?? '').trim().toLowerCase();
+    if (!key) return getBlockCommands();
+
+    return blockCommands
+        .map((command, order) => ({
+            command,
+            order,
+            score: Math.max(...[command.id, command.label, ...(command.aliases ?? [])].map(name => scoreMatch(key, name)))
+        }))
+        .filter(match => match.score > 0)
+        .sort((a, b) => b.score - a.score || a.order - b.order)
+        .map(match => match.command);
+};
+
+registerBlockCommand({
+    id: 'text',
+    label: 'Text',
+    description: 'Plain paragraph',
+    icon: 'Aa',
+    aliases: ['paragraph', 'p'],
+    preview: '<p>Just start writing with plain text.</p>',
+    create: (text) => {
+        const paragraph = createTextElement('p', text);
+        return { nodes: [paragraph], focus: paragraph };
+    }
+});
+
+[1, 2, 3, 4].forEach(level => {
+    registerBlockCommand({
+        id: `h${level}`,
+        label: `Heading ${level}`,
+        description: ['Big section heading', 'Medium section heading', 'Small section heading', 'Smallest heading'][level - 1],
+        icon: `H${level}`,
+        aliases: [`heading${level}`],
+        preview: `<h${level}>Heading ${level}</h${level}>`,
+        create: (text) => {
+            const heading = createTextElement(`h${level}`, text);
+            return { nodes: [heading], focus: heading };
+        }
+    });
+});
+
+registerBlockCommand({
+    id: 'bullet',
+    label: 'Bulleted list',
+    description: 'Simple list with bullets',
+    icon: '•',
+    aliases: ['ul', 'list'],
+    preview: '<ul class="unordered-list"><li>First item</li><li>Second item</li></ul>',
+    create: (text) => {
+        const ul = document.createElement('ul');
+        ul.className = 'unordered-list';
+        const li = createTextElement('li', text);
+        ul.appendChild(li);
+        return { nodes: [ul], focus: li };
+    }
+});
+
+registerBlockCommand({
+    id: 'numbered',
+    label: 'Numbered list',
+    description: 'List with numbers',
+    icon: '1.',
+    aliases: ['ol'],
+    preview: '<ol class="ordered-list"><li style="list-style: decimal;">First step</li><li style="list-style: decimal;">Second step</li></ol>',
+    create: (text) => {
+        const ol = document.createElement('ol');
+        ol.className = 'ordered-list';
+        const li = createTextElement('li', text);
+        li.style.listStyle = 'decimal';
+        ol.appendChild(li);
+        return { nodes: [ol], focus: li };
+    }
+});
+
+registerBlockCommand({
+    id: 'check',
+    label: 'To-do list',
+    description: 'Track tasks with checkboxes',
+    icon: '[ ]',
+    aliases: ['todo', 'task'],
+    preview: '<ul style="list-style-type: none; padding-left: 0px;"><li><input type="checkbox" checked disabled style="margin-right: 8px;"><span>Done</span></li><li><input type="checkbox" disabled style="margin-right: 8px;"><span>To do</span></li></ul>',
+    create: (text) => {
+        const ul = document.createElement('ul');
+        ul.style.listStyleType = 'none';
+        ul.style.paddingLeft = '0';
+
+        const li = document.createElement('li');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = false;
+        checkbox.style.marginRight = '8px';
+
+        const textSpan = document.createElement('span');
+        textSpan.textContent = text || '';
+        textSpan.contentEditable = 'true';
+
+        li.appendChild(checkbox);
+        li.appendChild(textSpan);
+        ul.appendChild(li);
+        return { nodes: [ul], focus: textSpan };
+    }
+});
+
+registerBlockCommand({
+    id: 'quote',
+    label: 'Quote',
+    description: 'Quoted text',
+    icon: '" "',
+    aliases: ['blockquote'],
+    preview: '<blockquote>A quote stands out from the text.</blockquote>',
+    create: (text) => {
+        const quote = createTextElement('blockquote', text);
+        return { nodes: [quote], focus: quote };
+    }
+});
+
+registerBlockCommand({
+    id: 'code',
+    label: 'Code block',
+    description: 'Code with fixed-width text',
+    icon: '</>',
+    aliases: ['pre'],
+    preview: '<pre><code>const note = \'Fascinate\';</code></pre>',
+    create: (text) => {
+        const pre = document.createElement('pre');
+        const code = createTextElement('code', text);
+        pre.appendChild(code);
+        return { nodes: [pre], focus: code };
+    }
+});
+
+registerBlockCommand({
+    id: 'table',
+    label: 'Table',
+    description: 'Table with a header row',
+    icon: '⊞',
+    preview: '<table class="fascinate-notes-table"><thead><tr><th>Name</th><th>Value</th></tr></thead><tbody><tr><td>A</td><td>1</td></tr></tbody></table>',
+    create: () => {
+        // A 2x2 table
+        const table = document.createElement('table');
+        table.className = 'fascinate-notes-table';
+        const thead = document.createElement('thead');
+        const tbody = document.createElement('tbody');
+        const trHead = document.createElement('tr');
+        const trBody = document.createElement('tr');
+
+        const headerCells = [0, 1].map(() => createTextElement('th', ''));
+        const bodyCells = [0, 1].map(() => createTextElement('td', ''));
+
+        trHead.append(...headerCells);
+        thead.appendChild(trHead);
+        trBody.append(...bodyCells);
+        tbody.appendChild(trBody);
+        table.append(thead, tbody);
+
+        return { nodes: [table], focus: headerCells[0] };
+    }
+});
+
+registerBlockCommand({
+    id: 'hr',
+    label: 'Divider',
+    description: 'Horizontal line between sections',
+    icon: '—',
+    aliases: ['line', 'divider'],
+    preview: '<p>Above</p><hr><p>Below</p>',
+    create: () => {
+        const hr = document.createElement('hr');
+        const paragraph = createTextElement('p', '');
+        return { nodes: [hr, paragraph], focus: paragraph };
+    }
+});
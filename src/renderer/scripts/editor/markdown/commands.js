@@ -1,3 +1,5 @@
+import { findBlockCommand } from './blockCommands.js';
+
 /**
  * Set cursor at end of element
  * @param {HTMLElement} element - Target element
@@ -51,6 +53,39 @@ export const handleCodeBlockExit = (e, currentElement, selection) => {
     return false;
 };
 
+/**
+ * Replaces a line with new block nodes and puts the caret in one of them
+ * @param {HTMLElement} blockElement - Block element holding the line
+ * @param {Node[]} nodes - Nodes that take its place
+ * @param {HTMLElement} focus - Element that gets the caret
+ * @param {Selection} selection - Window selection
+ * @param {boolean} isFirstLine - The block element is the editor itself
+ */
+export const replaceBlock = (blockElement, nodes, focus, selection, isFirstLine = false) => {
+    if (isFirstLine) {
+        blockElement.innerHTML = '';
+        blockElement.append(...nodes);
+    } else {
+        blockElement.replaceWith(...nodes);
+    }
+
+    setCursorAtEnd(focus, selection);
+};
+
+/**
+ * Turns a line that starts with a slash command into the block of the command. The
+ * text after the command stays in the new block.
+ * @param {import('./blockCommands.js').BlockCommand} command - Command to run
+ * @param {HTMLElement} blockElement - Block element holding the slash command
+ * @param {Selection} selection - Window selection
+ * @param {boolean} isFirstLine - The block element is the editor itself
+ */
+export const applyBlockCommand = (command, blockElement, selection, isFirstLine = false) => {
+    const contentAfter = blockElement.textContent.replace(/^\/[\w-]*\s*/, '').trim();
+    const { nodes, focus } = command.create(contentAfter);
+    replaceBlock(blockElement, nodes, focus, selection, isFirstLine);
+};
+
 /**
  * Process markdown patterns in a line (Simplified + Slash Commands)
  * @param {KeyboardEvent} e - Event
@@ -61,178 +96,12 @@ export const handleCodeBlockExit = (e, currentElement, selection) => {
  * @returns {boolean} Whether pattern was matched
  */
 export const processMarkdownInLine = (e, beforeCursor, blockElement, selection, isFirstLine = false) => {
-    // /h1, /h2, /h3, /h4 - Headers
-    const slashHeaderMatch = beforeCursor.match(/^\/(h[1-4])\s*$/);
-    if (slashHeaderMatch) {
-        e.preventDefault();
-
-        const level = slashHeaderMatch[1].charAt(1);
-        const heading = document.createElement(`h${level}`);
-        const contentAfter = blockElement.textContent.replace(/^\/h[1-4]\s*/, '').trim();
-
-        if (contentAfter) {
-            heading.textContent = contentAfter;
-        } else {
-            heading.innerHTML = '<br>';
-        }
-
-        if (isFirstLine) {
-            blockElement.innerHTML = '';
-            blockElement.appendChild(heading);
-        } else {
-            blockElement.replaceWith(heading);
-        }
-
-        setCursorAtEnd(heading, selection);
-        return true;
-    }
-
-    // /quote - Blockquote
-    if (beforeCursor.match(/^\/quote\s*$/)) {
-        e.preventDefault();
-        const quote = document.createElement('blockquote');
-        const contentAfter = blockElement.textContent.replace(/^\/quote\s*/, '').trim();
-
-        if (contentAfter) {
-            quote.textContent = contentAfter;
-        } else {
-            quote.innerHTML = '<br>';
-        }
-
-        if (isFirstLine) {
-            blockElement.innerHTML = '';
-            blockElement.appendChild(quote);
-        } else {
-            blockElement.replaceWith(quote);
-        }
-
-        setCursorAtEnd(quote, selection);
-        return true;
-    }
-
-    // /code - Code Block
-    if (beforeCursor.match(/^\/code\s*$/)) {
+    // Slash commands: /h2, /quote, /code, /check, /table, /hr, ... (see blockCommands.js)
+    const slashMatch = beforeCursor.match(/^\/([\w-]+)\s*$/);
+    const blockCommand = slashMatch && findBlockCommand(slashMatch[1]);
+    if (blockCommand) {
         e.preventDefault();
-        const pre = document.createElement('pre');
-        const code = document.createElement('code');
-        const contentAfter = blockElement.textContent.replace(/^\/code\s*/, '').trim();
-
-        if (contentAfter) {
-            code.textContent = contentAfter;
-        } else {
-            code.innerHTML = '<br>';
-        }
-
-        pre.appendChild(code);
-
-        if (isFirstLine) {
-            blockElement.innerHTML = '';
-            blockElement.appendChild(pre);
-        } else {
-            blockElement.replaceWith(pre);
-        }
-
-        setCursorAtEnd(code, selection);
-        return true;
-    }
-
-    // /check - Task List
-    if (beforeCursor.match(/^\/check\s*$/)) {
-        e.preventDefault();
-        const ul = document.createElement('ul');
-        ul.style.listStyleType = 'none';
-        ul.style.paddingLeft = '0';
-
-        const li = document.createElement('li');
-        const checkbox = document.createElement('input');
-        checkbox.type = 'checkbox';
-        checkbox.checked = false;
-        checkbox.style.marginRight = '8px';
-
-        const contentAfter = blockElement.textContent.replace(/^\/check\s*/, '').trim();
-        const textSpan = document.createElement('span');
-        textSpan.textContent = contentAfter || '';
-        textSpan.contentEditable = 'true';
-
-        li.appendChild(checkbox);
-        li.appendChild(textSpan);
-        ul.appendChild(li);
-
-        if (isFirstLine) {
-            blockElement.innerHTML = '';
-            blockElement.appendChild(ul);
-        } else {
-            blockElement.replaceWith(ul);
-        }
-
-        setCursorAtEnd(textSpan, selection);
-        return true;
-    }
-
-    // /hr or /line - Horizontal Rule
-    if (beforeCursor.match(/^\/(hr|line)\s*$/)) {
-        e.preventDefault();
-        const hr = document.createElement('hr');
-        const newP = document.createElement('p');
-        newP.innerHTML = '<br>';
-
-        if (isFirstLine) {
-            blockElement.innerHTML = '';
-            blockElement.appendChild(hr);
-            blockElement.appendChild(newP);
-        } else {
-            blockElement.replaceWith(hr);
-            hr.after(newP);
-        }
-
-        setCursorAtEnd(newP, selection);
-        return true;
-    }
-
-    // /table - Create a 2x2 Table
-    if (beforeCursor.match(/^\/table\s*$/)) {
-        e.preventDefault();
-
-        // Create table structure
-        const table = document.createElement('table');
-        table.className = 'fascinate-notes-table'; 
-        const thead = document.createElement('thead');
-        const tbody = document.createElement('tbody');
-        const trHead = document.createElement('tr');
-        const trBody = document.createElement('tr');
-
-        // Create header cells
-        const th1 = document.createElement('th');
-        th1.innerHTML = '<br>';
-        const th2 = document.createElement('th');
-        th2.innerHTML = '<br>';
-
-        // Create body cells
-        const td1 = document.createElement('td');
-        td1.innerHTML = '<br>';
-        const td2 = document.createElement('td');
-        td2.innerHTML = '<br>';
-
-        // Assemble table
-        trHead.appendChild(th1);
-        trHead.appendChild(th2);
-        thead.appendChild(trHead);
-
-        trBody.appendChild(td1);
-        trBody.appendChild(td2);
-        tbody.appendChild(trBody);
-
-        table.appendChild(thead);
-        table.appendChild(tbody);
-
-        if (isFirstLine) {
-            blockElement.innerHTML = '';
-            blockElement.appendChild(table);
-        } else {
-            blockElement.replaceWith(table);
-        }
-
-        setCursorAtEnd(th1, selection);
+        applyBlockCommand(blockCommand, blockElement, selection, isFirstLine);
         return true;
     }
 
@@ -316,11 +185,12 @@ export const processMarkdownInLine = (e, beforeCursor, blockElement, selection,
         return true;
     }
 
-    // Thing happen too often or are too complex to implement here:
-    // - Blockquote with > (easy to trigger accidentally)
-    // - Horizontal Rule with --- *** ___ (confusing)
-    // - Code Block with ``` (too hard to type)
-    // - Task List with - [ ] (too complex)
+    // Left out here because they are easy to trigger by accident; the opt-in
+    // Markdown autoformat mode (autoformat.js) adds them, each one undoable:
+    // - Blockquote with >
+    // - Horizontal Rule with --- *** ___
+    // - Code Block with ```lang
+    // - Task List with - [ ]
 
     return false;
 };
\ No newline at end of file
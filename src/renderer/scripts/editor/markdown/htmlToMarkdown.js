@@ -0,0 +1,19 @@
+/**
+ * @file Serializes editor HTML to CommonMark with GitHub Flavored Markdown extensions
+ * (tables, task lists, strikethrough). The HTML is read into the document model first
+ * (`document/parseDom.js`), so everything the model understands is exported.
+ */
+
+import { parseDocument } from '../../document/parseDom.js';
+import { toMarkdown } from '../../document/toMarkdown.js';
+
+/**
+ * Converts editor content to Markdown.
+ * @param {HTMLElement|string} source - The editor element, or an HTML string.
+ * @returns {string} Markdown text ending with a newline (empty for an empty document).
+ *
+ * @example
+ * htmlToMarkdown('<h1>Title</h1><div><b>Bold</b> text</div>');
+ * // '# Title\n\n**Bold** text\n'
+ */
+export const htmlToMarkdown = (source) => toMarkdown(parseDocument(source));
@@ -0,0 +1,212 @@
+/**
+ * @file Inline Markdown as you type. Typing the closing delimiter of `**bold**`,
+ * `*italic*`, `_italic_`, `` `code` ``, `~~strike~~`, `==highlight==` or
+ * `[label](https://…)` turns the markup into the mark, with the caret after it.
+ *
+ * The typed markup is recorded as its own undo step before the conversion, so Ctrl+Z,
+ * or Backspace right after the conversion, brings back the literal characters.
+ */
+
+/**
+ * @typedef {object} InlineRule
+ * @property {string} name              - Rule name, for debugging.
+ * @property {RegExp} pattern           - Matches the markup at the end of the text before
+ *      the caret, the typed delimiter included.
+ * @property {function(RegExpMatchArray): HTMLElement} create - Builds the mark from the match.
+ */
+
+/** Characters that close a rule; other input is left alone. */
+const CLOSING_CHARACTERS = new Set(['*', '_', '`', '~', '=', ')']);
+
+/** Elements whose text is not formatted. */
+const LITERAL_ANCESTORS = 'code, pre, a';
+
+/**
+ * Creates an inline element holding text.
+ * @param {string} tag
+ * @param {string} text
+ * @returns {HTMLElement}
+ */
+const createMark = (tag, text) => {
+    const element = document.createElement(tag);
+    element.textContent = text;
+    return element;
+};
+
+/**
+ * Rules in the order they are tried. Delimited text may not start or end with a space,
+ * and a delimiter preceded by a backslash or another delimiter character does not count,
+ * so `**bold*` waits for the second `*` instead of making `*bold` italic.
+ * @type {InlineRule[]}
+ */
+const INLINE_RULES = [
+    {
+        name: 'bold',
+        pattern: /(?<![*\\])\*\*([^*\s](?:[^*]*[^*\s])?)\*\*$/,
+        create: ([, text]) => createMark('b', text)
+    },
+    {
+        name: 'italic',
+        pattern: /(?<![*\\])\*([^*\s](?:[^*]*[^*\s])?)\*$/,
+        create: ([, text]) => createMark('i', text)
+    },
+    {
+        // Not inside words, so snake_case names stay as they are
+        name: 'italicUnderscore',
+        pattern: /(?<![\p{L}\p{N}_\\])_([^_\s](?:[^_]*[^_\s])?)_$/u,
+        create: ([, text]) => createMark('i', text)
+    },
+    {
+        name: 'code',
+        pattern: /(?<![`\\])`([^`]+)`$/,
+        create: ([, text]) => createMark('code', text)
+    },
+    {
+        name: 'strike',
+        pattern: /(?<![~\\])~~([^~\s](?:[^~]*[^~\s])?)~~$/,
+        create: ([, text]) => createMark('s', text)
+    },
+    {
+        name: 'highlight',
+        pattern: /(?<![=\\])==([^=\s](?:[^=]*[^=\s])?)==$/,
+        create: ([, text]) => createMark('mark', text)
+    },
+    {
+        name: 'link',
+        pattern: /(?<![!\\])\[([^\]]+)\]\(((?:https?:\/\/|mailto:)[^\s()]+)\)$/,
+        create: ([, label, href]) => {
+            const link = createMark('a', label);
+            link.setAttribute('href', href);
+            return link;
+        }
+    }
+];
+
+/**
+ * Finds the rule whose markup the text ends with.
+ * @param {string} text - Text before the caret, the typed character included.
+ * @returns {{rule: InlineRule, match: RegExpMatchArray}|null}
+ */
+const matchInlineRule = (text) => {
+    for (const rule of INLINE_RULES) {
+        const match = text.match(rule.pattern);
+        if (match) return { rule, match };
+    }
+    return null;
+};
+
+/**
+ * Creates the inline Markdown handling of an editor.
+ * @param {HTMLElement} editor          - The contenteditable editor element.
+ * @param {Object} history              - Editor history (`createEditorHistory()`).
+ * @returns {{cleanup: function(): void}}
+ *
+ * @example
+ * const inlineMarkdown = createInlineMarkdown(editor, history);
+ * // Later, to remove listeners:
+ * inlineMarkdown.cleanup();
+ */
+export const createInlineMarkdown = (editor, history) => {
+    // Editor HTML right after the last conversion, while Backspace can still revert it
+    let convertedHtml = null;
+    // Text node after the new mark; the next typed text goes there, not into the mark
+    let exitNode = null;
+
+    /**
+     * Converts the markup before the caret, keeping the typed markup as an undo step of its own.
+     * @param {Text} node - Text node holding the markup.
+     * @param {number} offset - Caret offset in the node, the typed character not included.
+     * @param {string} data - Typed character.
+     * @returns {boolean} Whether the markup was converted.
+     */
+    const convert = (node, offset, data) => {
+        const found = matchInlineRule(node.data.slice(0, offset) + data);
+        if (!found) return false;
+
+        const selection = window.getSelection();
+        history.transact(() => {
+            node.insertData(offset, data);
+            selection.collapse(node, offset + data.length);
+            history.record();
+
+            const end = offset + data.length;
+            const markup = node.splitText(end - found.match[0].length);
+            const after = markup.splitText(found.match[0].length);
+            markup.replaceWith(found.rule.create(found.match));
+
+            selection.collapse(after, 0);
+            exitNode = after;
+        });
+
+        convertedHtml = editor.innerHTML;
+        return true;
+    };
+
+    /**
+     * @param {InputEvent} e
+     */
+    const handleBeforeInput = (e) => {
+        if (e.defaultPrevented || e.inputType !== 'insertText' || !e.data) return;
+
+        const selection = window.getSelection();
+        if (!selection.rangeCount || !selection.isCollapsed) return;
+
+        const range = selection.getRangeAt(0);
+        const node = range.startContainer;
+        if (node.nodeType !== Node.TEXT_NODE || !editor.contains(node)) return;
+
+        // Text typed right after a new mark stays outside of it
+        if (node === exitNode && range.startOffset === 0) {
+            e.preventDefault();
+            exitNode = null;
+            history.transact(() => {
+                node.insertData(0, e.data);
+                selection.collapse(node, e.data.length);
+            });
+            return;
+        }
+
+        if (!CLOSING_CHARACTERS.has(e.data) || node.parentElement?.closest(LITERAL_ANCESTORS)) return;
+
+        if (convert(node, range.startOffset, e.data)) {
+            e.preventDefault();
+        }
+    };
+
+    /**
+     * Backspace right after a conversion brings back the markup.
+     * @param {KeyboardEvent} e
+     */
+    const handleKeydown = (e) => {
+        if (e.isComposing || e.ctrlKey || e.metaKey || e.altKey) return;
+
+        const revert = e.key === 'Backspace'
+            && convertedHtml !== null
+            && convertedHtml === editor.innerHTML
+            && window.getSelection().isCollapsed;
+        convertedHtml = null;
+
+        if (revert) {
+            e.preventDefault();
+            exitNode = null;
+            history.undo();
+        }
+    };
+
+    const forgetConversion = () => {
+        convertedHtml = null;
+        exitNode = null;
+    };
+
+    editor.addEventListener('beforeinput', handleBeforeInput);
+    editor.addEventListener('keydown', handleKeydown);
+    editor.addEventListener('mousedown', forgetConversion);
+
+    return {
+        cleanup() {
+            editor.removeEventListener('beforeinput', handleBeforeInput);
+            editor.removeEventListener('keydown', handleKeydown);
+            editor.removeEventListener('mousedown', forgetConversion);
+        }
+    };
+};
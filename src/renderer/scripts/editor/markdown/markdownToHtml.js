@@ -0,0 +1,645 @@
+/**
+ * @file Parses CommonMark with GitHub Flavored Markdown extensions (tables, task
+ * lists, strikethrough) into the markup the editor itself creates: headings,
+ * `blockquote`, `pre > code`, lists, task lists and `table.fascinate-notes-table`
+ * (see `commands.js`). The counterpart of `htmlToMarkdown.js`.
+ *
+ * The output is not trusted; callers pass it through `formatPastedHTML`.
+ */
+
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})[ \t]*([^`\s]*)[^`]*$/;
+const HEADING_PATTERN = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const RULE_PATTERN = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const QUOTE_PATTERN = /^ {0,3}> ?/;
+const LIST_ITEM_PATTERN = /^( {0,3})([-*+]|\d{1,9}[.)])([ \t]+|$)(.*)$/;
+const TASK_PATTERN = /^\[([ xX])\](?:[ \t]+|$)/;
+const SETEXT_PATTERN = /^ {0,3}(=+|-+)[ \t]*$/;
+const TABLE_DELIMITER_PATTERN = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+const INDENTED_CODE_PATTERN = /^(?: {4}|\t)/;
+
+const PUNCTUATION = /[\p{P}\p{S}]/u;
+const WHITESPACE = /\s/;
+
+/** Inline HTML kept from the source: the editor's underline and highlight (see `htmlToMarkdown`) and line breaks. */
+const INLINE_HTML_PATTERN = /^<(\/?(?:u|mark)|br\s*\/?)>/i;
+
+/**
+ * Escapes text for use in HTML.
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeHTML = (text) => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Expands tabs in the indentation of a line to 4-column stops.
+ * @param {string} line
+ * @returns {string}
+ */
+const expandIndent = (line) => line.replace(/^[ \t]+/, (indent) => {
+    let width = 0;
+    for (const char of indent) {
+        width = char === '\t' ? width + 4 - (width % 4) : width + 1;
+    }
+    return ' '.repeat(width);
+});
+
+const isBlank = (line) => !line.trim();
+
+const indentOf = (line) => line.match(/^ */)[0].length;
+
+/* -------------------------------------------------------------------------- */
+/*                                   Inline                                   */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Decides whether a run of `*`, `_` or `~` can open or close emphasis, following
+ * the CommonMark flanking rules.
+ * @param {string} text
+ * @param {number} start - Index of the first character of the run.
+ * @param {number} end   - Index after the run.
+ * @returns {{canOpen: boolean, canClose: boolean}}
+ */
+const classifyDelimiterRun = (text, start, end) => {
+    const char = text[start];
+    const before = start > 0 ? text[start - 1] : ' ';
+    const after = end < text.length ? text[end] : ' ';
+
+    const leftFlanking = !WHITESPACE.test(after)
+        && (!PUNCTUATION.test(after) || WHITESPACE.test(before) || PUNCTUATION.test(before));
+    const rightFlanking = !WHITESPACE.test(before)
+        && (!PUNCTUATION.test(before) || WHITESPACE.test(after) || PUNCTUATION.test(after));
+
+    if (char === '_') {
+        return {
+            canOpen: leftFlanking && (!rightFlanking || PUNCTUATION.test(before)),
+            canClose: rightFlanking && (!leftFlanking || PUNCTUATION.test(after))
+        };
+    }
+    return { canOpen: leftFlanking, canClose: rightFlanking };
+};
+
+/**
+ * Finds the closing bracket matching the `[` at `start`, skipping escaped brackets.
+ * @param {string} text
+ * @param {number} start
+ * @returns {number} Index of `]`, or -1.
+ */
+const findClosingBracket = (text, start) => {
+    let depth = 0;
+    for (let i = start; i < text.length; i++) {
+        const char = text[i];
+        if (char === '\\') {
+            i++;
+        } else if (char === '[') {
+            depth++;
+        } else if (char === ']' && --depth === 0) {
+            return i;
+        }
+    }
+    return -1;
+};
+
+/**
+ * Reads a link destination `(url "title")` starting at `start`.
+ * @param {string} text
+ * @param {number} start - Index of `(`.
+ * @returns {{href: string, end: number}|null} `end` is the index after `)`.
+ */
+const readLinkDestination = (text, start) => {
+    const match = text.slice(start).match(/^\(\s*(<[^<>\n]*>|[^\s()]*(?:\([^\s()]*\)[^\s()]*)*)(?:\s+("[^"]*"|'[^']*'|\([^)]*\)))?\s*\)/);
+    if (!match) return null;
+
+    const href = match[1].replace(/^<|>$/g, '');
+    return { href, end: start + match[0].length };
+};
+
+/**
+ * Resolves emphasis delimiters and renders the tokens of a line of inline content.
+ * @param {Array<Object>} tokens
+ * @returns {string}
+ */
+const renderInlineTokens = (tokens) => {
+    let index = 0;
+
+    while (index < tokens.length) {
+        const closer = tokens[index];
+        if (closer.type !== 'delimiter' || !closer.canClose || closer.count === 0) {
+            index++;
+            continue;
+        }
+
+        let openerIndex = index - 1;
+        for (; openerIndex >= 0; openerIndex--) {
+            const candidate = tokens[openerIndex];
+            if (candidate.type !== 'delimiter' || candidate.char !== closer.char) continue;
+            if (!candidate.canOpen || candidate.count === 0) continue;
+            if (closer.char === '~' && (candidate.count < 2 || closer.count < 2)) continue;
+
+            // "Rule of 3": `*foo**bar*` must not pair the inner runs
+            const bothWays = (candidate.canClose || closer.canOpen)
+                && (candidate.originalCount + closer.originalCount) % 3 === 0
+                && !(candidate.originalCount % 3 === 0 && closer.originalCount % 3 === 0);
+            if (bothWays) continue;
+            break;
+        }
+
+        if (openerIndex < 0) {
+            index++;
+            continue;
+        }
+
+        const opener = tokens[openerIndex];
+        const used = closer.char === '~' || (opener.count >= 2 && closer.count >= 2) ? 2 : 1;
+        const tag = closer.char === '~' ? 's' : used === 2 ? 'strong' : 'em';
+        const inner = renderInlineTokens(tokens.slice(openerIndex + 1, index));
+
+        opener.count -= used;
+        closer.count -= used;
+        tokens.splice(openerIndex + 1, index - openerIndex - 1, {
+            type: 'html',
+            value: `<${tag}>${inner}</${tag}>`
+        });
+        index = openerIndex + 2;
+    }
+
+    return tokens.map(token => {
+        if (token.type === 'text') return escapeHTML(token.value);
+        if (token.type === 'delimiter') return token.char.repeat(token.count);
+        return token.value;
+    }).join('');
+};
+
+/**
+ * Parses inline Markdown (emphasis, strikethrough, code spans, links, images,
+ * escapes and hard line breaks) to HTML.
+ * @param {string} text
+ * @returns {string}
+ */
+const parseInline = (text) => {
+    const tokens = [];
+    let buffer = '';
+
+    const pushText = (value) => {
+        buffer += value;
+    };
+    const pushToken = (token) => {
+        if (buffer) tokens.push({ type: 'text', value: buffer });
+        buffer = '';
+        tokens.push(token);
+    };
+
+    let i = 0;
+    while (i < text.length) {
+        const char = text[i];
+        const rest = text.slice(i);
+
+        // Backslash escapes and backslash hard breaks
+        if (char === '\\') {
+            const next = text[i + 1];
+            if (next === '\n') {
+                pushToken({ type: 'html', value: '<br>' });
+                i += 2;
+            } else if (next && PUNCTUATION.test(next)) {
+                pushText(next);
+                i += 2;
+            } else {
+                pushText(char);
+                i++;
+            }
+            continue;
+        }
+
+        // Line endings: two trailing spaces make a hard break, otherwise a space
+        if (char === '\n') {
+            if (/ {2,}$/.test(buffer)) {
+                buffer = buffer.replace(/ +$/, '');
+                pushToken({ type: 'html', value: '<br>' });
+            } else {
+                buffer = buffer.replace(/ +$/, '');
+                pushText(' ');
+            }
+            i++;
+            while (text[i] === ' ') i++;
+            continue;
+        }
+
+        // Code spans
+        if (char === '`') {
+            const run = rest.match(/^`+/)[0];
+            const closing = new RegExp(`(?<!\`)${run}(?!\`)`, 'g');
+            closing.lastIndex = i + run.length;
+            const match = closing.exec(text);
+
+            if (match) {
+                let code = text.slice(i + run.length, match.index).replace(/\n/g, ' ');
+                if (/^ .*[^ ].* $/.test(code)) code = code.slice(1, -1);
+                pushToken({ type: 'html', value: `<code>${escapeHTML(code)}</code>` });
+                i = match.index + run.length;
+            } else {
+                pushText(run);
+                i += run.length;
+            }
+            continue;
+        }
+
+        // Links and images; `formatPastedHTML` decides which addresses are kept
+        if (char === '[' || (char === '!' && text[i + 1] === '[')) {
+            const open = char === '!' ? i + 1 : i;
+            const close = findClosingBracket(text, open);
+            const destination = close > 0 && text[close + 1] === '(' ? readLinkDestination(text, close + 1) : null;
+
+            if (destination) {
+                const label = parseInline(text.slice(open + 1, close));
+                const href = escapeHTML(destination.href);
+                pushToken({
+                    type: 'html',
+                    // The alt text of an image is the plain text of its label
+                    value: char === '!'
+                        ? `<img src="${href}" alt="${label.replace(/<[^>]*>/g, '')}">`
+                        : `<a href="${href}">${label}</a>`
+                });
+                i = destination.end;
+                continue;
+            }
+        }
+
+        if (char === '<') {
+            const autolink = rest.match(/^<([a-z][a-z0-9+.-]{1,31}:[^\s<>]*|[^\s<>@]+@[^\s<>@]+\.[^\s<>@]+)>/i);
+            if (autolink) {
+                const href = autolink[1].includes(':') ? autolink[1] : `mailto:${autolink[1]}`;
+                pushToken({ type: 'html', value: `<a href="${escapeHTML(href)}">${escapeHTML(autolink[1])}</a>` });
+                i += autolink[0].length;
+                continue;
+            }
+
+            const html = rest.match(INLINE_HTML_PATTERN);
+            if (html) {
+                const tag = html[1].toLowerCase();
+                pushToken({ type: 'html', value: tag.startsWith('br') ? '<br>' : `<${tag}>` });
+                i += html[0].length;
+                continue;
+            }
+        }
+
+        // Emphasis and strikethrough delimiters
+        if (char === '*' || char === '_' || char === '~') {
+            const run = rest.match(char === '~' ? /^~+/ : char === '*' ? /^\*+/ : /^_+/)[0];
+            const { canOpen, canClose } = classifyDelimiterRun(text, i, i + run.length);
+
+            if ((canOpen || canClose) && !(char === '~' && run.length > 2)) {
+                pushToken({
+                    type: 'delimiter',
+                    char,
+                    count: run.length,
+                    originalCount: run.length,
+                    canOpen,
+                    canClose
+                });
+            } else {
+                pushText(run);
+            }
+            i += run.length;
+            continue;
+        }
+
+        pushText(char);
+        i++;
+    }
+
+    if (buffer) tokens.push({ type: 'text', value: buffer });
+    return renderInlineTokens(tokens);
+};
+
+/* -------------------------------------------------------------------------- */
+/*                                   Blocks                                   */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Splits a table row into cells, honouring escaped pipes.
+ * @param {string} line
+ * @returns {string[]}
+ */
+const splitTableRow = (line) => {
+    const cells = [];
+    let current = '';
+    const row = line.trim().replace(/^\|/, '');
+
+    for (let i = 0; i < row.length; i++) {
+        if (row[i] === '\\' && row[i + 1] === '|') {
+            current += '|';
+            i++;
+        } else if (row[i] === '|') {
+            cells.push(current);
+            current = '';
+        } else {
+            current += row[i];
+        }
+    }
+    if (current.trim() || !line.trim().endsWith('|')) cells.push(current);
+
+    return cells.map(cell => cell.trim());
+};
+
+/**
+ * Reads the alignment of a column from its delimiter cell (`:--`, `:-:`, `--:`).
+ * @param {string} cell
+ * @returns {string|null}
+ */
+const readAlignment = (cell) => {
+    const left = cell.startsWith(':');
+    const right = cell.endsWith(':');
+    if (left && right) return 'center';
+    if (right) return 'right';
+    if (left) return 'left';
+    return null;
+};
+
+/**
+ * @param {'th'|'td'} tag
+ * @param {string} content
+ * @param {string|null} align
+ * @returns {string}
+ */
+const renderCell = (tag, content, align) => {
+    const style = align ? ` style="text-align: ${align};"` : '';
+    return `<${tag}${style}>${content ? parseInline(content) : '<br>'}</${tag}>`;
+};
+
+/**
+ * Whether a line starts a block that interrupts a paragraph.
+ * @param {string} line
+ * @returns {boolean}
+ */
+const interruptsParagraph = (line) => {
+    if (FENCE_PATTERN.test(line) || HEADING_PATTERN.test(line) || RULE_PATTERN.test(line) || QUOTE_PATTERN.test(line)) {
+        return true;
+    }
+
+    // Only lists starting at 1 (or bullets) with content may interrupt a paragraph
+    const item = line.match(LIST_ITEM_PATTERN);
+    return Boolean(item && item[4].trim() && (/^[-*+]$/.test(item[2]) || /^1[.)]$/.test(item[2])));
+};
+
+/**
+ * Parses a list starting at `start`.
+ * @param {string[]} lines
+ * @param {number} start
+ * @returns {{html: string, end: number}}
+ */
+const parseList = (lines, start) => {
+    const first = lines[start].match(LIST_ITEM_PATTERN);
+    const ordered = /\d/.test(first[2]);
+    const marker = ordered ? first[2].slice(-1) : first[2];
+    const items = [];
+    let i = start;
+
+    while (i < lines.length) {
+        const match = lines[i].match(LIST_ITEM_PATTERN);
+        if (!match || /\d/.test(match[2]) !== ordered || (ordered ? match[2].slice(-1) : match[2]) !== marker) break;
+        if (RULE_PATTERN.test(lines[i])) break;
+
+        const padding = match[3].length > 4 || !match[4] ? 1 : match[3].length;
+        const contentIndent = match[1].length + match[2].length + padding;
+        const itemLines = [match[3].length > 4 ? `${' '.repeat(match[3].length - 1)}${match[4]}` : match[4]];
+        i++;
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (isBlank(line)) {
+                let next = i + 1;
+                while (next < lines.length && isBlank(lines[next])) next++;
+                if (next < lines.length && indentOf(lines[next]) >= contentIndent) {
+                    for (; i < next; i++) itemLines.push('');
+                    continue;
+                }
+                break;
+            }
+
+            if (indentOf(line) >= contentIndent) {
+                itemLines.push(line.slice(contentIndent));
+                i++;
+                continue;
+            }
+
+            // Lazy continuation of the item's paragraph
+            const lastLine = itemLines[itemLines.length - 1];
+            if (lastLine && !isBlank(lastLine) && !interruptsParagraph(line) && !LIST_ITEM_PATTERN.test(line)) {
+                itemLines.push(line.trim());
+                i++;
+                continue;
+            }
+            break;
+        }
+
+        items.push(itemLines);
+
+        // Blank lines between items do not end the list
+        let next = i;
+        while (next < lines.length && isBlank(lines[next])) next++;
+        if (next > i && next < lines.length && LIST_ITEM_PATTERN.test(lines[next])) i = next;
+    }
+
+    const rendered = items.map(itemLines => {
+        const task = itemLines[0].match(TASK_PATTERN);
+        if (task) itemLines[0] = itemLines[0].slice(task[0].length);
+        return { task, content: parseBlocks(itemLines, { tight: true }) };
+    });
+
+    const isTaskList = !ordered && rendered.every(item => item.task);
+    const listItems = rendered.map(({ task, content }) => {
+        if (isTaskList) {
+            // Text is kept in the span and nested blocks after it, like `/check`
+            const split = content.search(/<(ul|ol|pre|blockquote|table|h[1-6]|p|hr)\b/);
+            const text = split < 0 ? content : content.slice(0, split);
+            const nested = split < 0 ? '' : content.slice(split);
+            const checked = task[1] !== ' ' ? ' checked' : '';
+            return `<li><input type="checkbox"${checked} style="margin-right: 8px;"><span>${text}</span>${nested}</li>`;
+        }
+        return ordered ? `<li style="list-style: decimal;">${content}</li>` : `<li>${content}</li>`;
+    }).join('');
+
+    let html;
+    if (isTaskList) {
+        html = `<ul style="list-style-type: none; padding-left: 0px;">${listItems}</ul>`;
+    } else if (ordered) {
+        html = `<ol class="ordered-list">${listItems}</ol>`;
+    } else {
+        html = `<ul class="unordered-list">${listItems}</ul>`;
+    }
+
+    return { html, end: i };
+};
+
+/**
+ * Parses a sequence of lines into block HTML.
+ * @param {string[]} lines
+ * @param {{tight?: boolean}} [options] - `tight` renders paragraphs without a wrapper (list items).
+ * @returns {string}
+ */
+const parseBlocks = (lines, { tight = false } = {}) => {
+    const blocks = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (isBlank(line)) {
+            i++;
+            continue;
+        }
+
+        // Fenced code block
+        const fence = line.match(FENCE_PATTERN);
+        if (fence) {
+            const fenceChar = fence[1][0];
+            const fenceIndent = indentOf(line);
+            const closing = new RegExp(`^ {0,3}${fenceChar === '`' ? '`' : '~'}{${fence[1].length},}[ \\t]*$`);
+            const code = [];
+            i++;
+            while (i < lines.length && !closing.test(lines[i])) {
+                code.push(lines[i].replace(new RegExp(`^ {0,${fenceIndent}}`), ''));
+                i++;
+            }
+            i++;
+
+            const language = fence[2] ? ` class="language-${escapeHTML(fence[2])}"` : '';
+            blocks.push(`<pre><code${language}>${code.length ? escapeHTML(code.join('\n')) : '<br>'}</code></pre>`);
+            continue;
+        }
+
+        // Indented code block
+        if (INDENTED_CODE_PATTERN.test(line)) {
+            const code = [];
+            while (i < lines.length && (INDENTED_CODE_PATTERN.test(lines[i]) || isBlank(lines[i]))) {
+                code.push(lines[i].replace(/^ {0,4}/, ''));
+                i++;
+            }
+            while (code.length && isBlank(code[code.length - 1])) code.pop();
+
+            blocks.push(`<pre><code>${escapeHTML(code.join('\n'))}</code></pre>`);
+            continue;
+        }
+
+        const heading = line.match(HEADING_PATTERN);
+        if (heading) {
+            const level = heading[1].length;
+            const content = parseInline(heading[2] ?? '');
+            blocks.push(`<h${level}>${content || '<br>'}</h${level}>`);
+            i++;
+            continue;
+        }
+
+        if (RULE_PATTERN.test(line)) {
+            blocks.push('<hr>');
+            i++;
+            continue;
+        }
+
+        // Blockquote, including lazy continuation lines of its paragraph
+        if (QUOTE_PATTERN.test(line)) {
+            const quoted = [];
+            while (i < lines.length) {
+                if (QUOTE_PATTERN.test(lines[i])) {
+                    quoted.push(lines[i].replace(QUOTE_PATTERN, ''));
+                } else if (!isBlank(lines[i]) && quoted.length && !isBlank(quoted[quoted.length - 1]) && !interruptsParagraph(lines[i])) {
+                    quoted.push(lines[i]);
+                } else {
+                    break;
+                }
+                i++;
+            }
+
+            // A single paragraph becomes inline content, like `/quote`
+            const inner = parseBlocks(quoted);
+            const single = inner.match(/^<p>([\s\S]*)<\/p>$/);
+            blocks.push(`<blockquote>${single && !single[1].includes('<p>') ? single[1] : inner}</blockquote>`);
+            continue;
+        }
+
+        // Table: a header row followed by a delimiter row with the same number of cells
+        if (line.includes('|') && i + 1 < lines.length && TABLE_DELIMITER_PATTERN.test(lines[i + 1])) {
+            const header = splitTableRow(line);
+            const alignments = splitTableRow(lines[i + 1]).map(readAlignment);
+
+            if (header.length === alignments.length) {
+                const rows = [];
+                i += 2;
+                while (i < lines.length && !isBlank(lines[i]) && !interruptsParagraph(lines[i])) {
+                    rows.push(splitTableRow(lines[i]));
+                    i++;
+                }
+
+                const head = header.map((cell, column) => renderCell('th', cell, alignments[column])).join('');
+                const body = rows.map(cells => `<tr>${alignments.map((align, column) =>
+                    renderCell('td', cells[column] ?? '', align)).join('')}</tr>`).join('');
+
+                blocks.push(`<table class="fascinate-notes-table"><thead><tr>${head}</tr></thead>`
+                    + `<tbody>${body}</tbody></table>`);
+                continue;
+            }
+        }
+
+        if (LIST_ITEM_PATTERN.test(line)) {
+            const list = parseList(lines, i);
+            blocks.push(list.html);
+            i = list.end;
+            continue;
+        }
+
+        // Paragraph, possibly turned into a heading by a setext underline
+        const paragraph = [line.trimStart()];
+        let level = 0;
+        i++;
+        while (i < lines.length && !isBlank(lines[i])) {
+            const setext = lines[i].match(SETEXT_PATTERN);
+            if (setext) {
+                level = setext[1][0] === '=' ? 1 : 2;
+                i++;
+                break;
+            }
+            if (interruptsParagraph(lines[i])) break;
+            if (lines[i + 1] !== undefined && lines[i].includes('|') && TABLE_DELIMITER_PATTERN.test(lines[i + 1])) break;
+
+            paragraph.push(lines[i].trimStart());
+            i++;
+        }
+
+        // Keep trailing spaces of inner lines, they mark hard breaks
+        const content = parseInline(paragraph.join('\n').replace(/[ \t]+$/, ''));
+        if (level) {
+            blocks.push(`<h${level}>${content}</h${level}>`);
+        } else if (tight) {
+            blocks.push(content);
+        } else {
+            blocks.push(`<p>${content}</p>`);
+        }
+    }
+
+    return tight ? blocks.join('<br>').replace(/<br>(?=<(ul|ol|pre|blockquote|table|h[1-6]|hr)\b)/g, '') : blocks.join('');
+};
+
+/**
+ * Parses Markdown into editor HTML.
+ * @param {string} markdown
+ * @returns {string}
+ *
+ * @example
+ * markdownToHtml('- [x] Done');
+ * // '<ul style="list-style-type: none; padding-left: 0px;"><li><input type="checkbox" checked ...'
+ */
+export const markdownToHtml = (markdown) => {
+    if (typeof markdown !== 'string') return '';
+
+    const lines = markdown
+        .replace(/^\uFEFF/, '')
+        .replace(/\r\n?/g, '\n')
+        .split('\n')
+        .map(expandIndent);
+
+    return parseBlocks(lines);
+};
@@ -0,0 +1,139 @@
+import { downloadMarkupsContent, themeStyles } from './downloadStyle/cssConfig.js';
+
+/**
+ * @typedef {Object} PrintOptions
+ * @property {'A3'|'A4'|'A5'|'Letter'|'Legal'} [pageSize='A4'] - Paper size
+ * @property {'portrait'|'landscape'} [orientation='portrait'] - Page orientation
+ * @property {'default'|'narrow'|'wide'|'none'} [margins='default'] - Page margins
+ * @property {'titleAndPages'|'pages'|'none'} [headerFooter='titleAndPages'] - Title in the header, page numbers in the footer
+ * @property {'light'|'dark'} [theme='light'] - Color theme of the printed note
+ * @property {string} [title] - Document title; the first heading or line when omitted
+ */
+
+/** Page margins (CSS `margin` of the `@page` rule) */
+export const PAGE_MARGINS = {
+    default: '20mm 18mm',
+    narrow: '12.7mm',
+    wide: '25.4mm 38.1mm',
+    none: '0'
+};
+
+const PAGE_SIZES = ['A3', 'A4', 'A5', 'Letter', 'Legal'];
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+const escapeHTML = (text) => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Escape text for use in a CSS string
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text, without the quotes
+ */
+const escapeCSSString = (text) => text
+    .replace(/[\\"]/g, '\\$&')
+    .replace(/\s+/g, ' ');
+
+/**
+ * Read the title of a note: its first heading, or its first line
+ * @param {HTMLElement} editor - Editor element
+ * @returns {string} Title, or an empty string for an empty note
+ */
+const readTitle = (editor) => {
+    const heading = editor.querySelector('h1, h2, h3, h4, h5, h6');
+    const source = heading?.textContent.trim()
+        ? heading.textContent
+        : (editor.innerText || editor.textContent || '').split('\n').find(line => line.trim()) || '';
+
+    return source.replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Build the page setup: paper size, margins, header and footer
+ * @param {PrintOptions} options - Print options
+ * @param {string} title - Document title
+ * @returns {string} CSS
+ */
+const pageStyles = (options, title) => {
+    const colors = downloadMarkupsContent.theme[options.theme] ?? downloadMarkupsContent.theme.light;
+    const marginBox = `font-family: sans-serif; font-size: 9pt; color: ${colors.muted};`;
+
+    const header = options.headerFooter === 'titleAndPages' && title
+        ? `@top-center { content: "${escapeCSSString(title)}"; ${marginBox} }`
+        : '';
+    const footer = options.headerFooter !== 'none'
+        ? `@bottom-center { content: counter(page) " / " counter(pages); ${marginBox} }`
+        : '';
+
+    return `
+        @page {
+            size: ${options.pageSize} ${options.orientation};
+            margin: ${PAGE_MARGINS[options.margins] ?? PAGE_MARGINS.default};
+            background: ${colors.background};
+            ${header}
+            ${footer}
+        }
+
+        html, body {
+            -webkit-print-color-adjust: exact;
+            print-color-adjust: exact;
+        }
+
+        body {
+            max-width: none;
+            margin: 0;
+            padding: 0;
+        }
+
+        pre {
+            white-space: pre-wrap;
+            overflow-wrap: anywhere;
+        }
+
+        h1, h2, h3, h4, h5, h6 {
+            break-after: avoid;
+        }
+
+        tr, pre, blockquote, img {
+            break-inside: avoid;
+        }
+    `;
+};
+
+/**
+ * Create a complete HTML document for printing or PDF export. Uses the HTML export
+ * stylesheet with the chosen theme applied regardless of the system theme.
+ * @param {HTMLElement} editor - Editor element
+ * @param {PrintOptions} [options] - Print options
+ * @returns {string} HTML document
+ */
+export const createPrintDocument = (editor, options = {}) => {
+    const settings = {
+        pageSize: PAGE_SIZES.includes(options.pageSize) ? options.pageSize : 'A4',
+        orientation: options.orientation === 'landscape' ? 'landscape' : 'portrait',
+        margins: options.margins ?? 'default',
+        headerFooter: options.headerFooter ?? 'titleAndPages',
+        theme: options.theme === 'dark' ? 'dark' : 'light'
+    };
+    const title = options.title || readTitle(editor) || 'Note';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta http-equiv="Content-Security-Policy" content="script-src 'none'; object-src 'none'">
+    <title>${escapeHTML(title)}</title>
+    <style>${downloadMarkupsContent.styles}</style>
+    <style>${themeStyles(settings.theme)}${pageStyles(settings, title)}</style>
+</head>
+<body>
+${editor.innerHTML}
+</body>
+</html>`;
+};
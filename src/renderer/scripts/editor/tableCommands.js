@@ -0,0 +1,713 @@
+/**
+ * @file Table editing commands for `table.fascinate-notes-table`, registered in the editor
+ * command registry (`editorCommands.js`) so the keymap, the table toolbar and the context
+ * menu run the same code. Each one works on the table holding the caret:
+ *
+ * - `insertRow(where)`         - adds a row `above` or `below` the caret's row.
+ * - `insertColumn(where)`      - adds a column `left` or `right` of the caret's column.
+ * - `deleteRow` / `deleteColumn` / `deleteTable`.
+ * - `goToCell(step)`           - moves to the next (1) or previous (-1) cell; past the last
+ *                                cell a new row is added (Tab / Shift+Tab).
+ * - `setColumnAlign(align)`    - aligns the selected columns `left`, `center` or `right`.
+ * - `toggleHeaderRow`          - turns the first row into a header row and back.
+ * - `mergeCells` / `splitCell` - merges the selected cells (or a cell and the one to its
+ *                                right) / splits a merged cell back into single cells.
+ *
+ * Merged cells use `colspan` and `rowspan`. The commands work on a grid of the table in
+ * which a merged cell fills every slot it covers.
+ */
+
+const ALIGNMENTS = ['left', 'center', 'right'];
+
+/**
+ * @typedef {object} TableMap
+ * @property {HTMLTableRowElement[]} rows       - Rows of the table, header rows first.
+ * @property {HTMLTableCellElement[][]} grid    - The cell covering each slot, by row and column.
+ * @property {number} width                     - Number of columns.
+ */
+
+/**
+ * @typedef {object} CellBounds
+ * @property {number} top
+ * @property {number} left
+ * @property {number} bottom                    - Last row the cell covers.
+ * @property {number} right                     - Last column the cell covers.
+ */
+
+/**
+ * Maps a table to a grid of slots.
+ * @param {HTMLTableElement} table
+ * @returns {TableMap}
+ */
+export const getTableMap = (table) => {
+    const rows = Array.from(table.rows);
+    const grid = rows.map(() => []);
+
+    rows.forEach((row, rowIndex) => {
+        let column = 0;
+        Array.from(row.cells).forEach(cell => {
+            while (grid[rowIndex][column]) column++;
+
+            const rowSpan = Math.max(1, cell.rowSpan);
+            for (let r = rowIndex; r < Math.min(rows.length, rowIndex + rowSpan); r++) {
+                for (let c = column; c < column + cell.colSpan; c++) {
+                    grid[r][c] = cell;
+                }
+            }
+            column += cell.colSpan;
+        });
+    });
+
+    return { rows, grid, width: Math.max(0, ...grid.map(row => row.length)) };
+};
+
+/**
+ * @param {TableMap} map
+ * @param {HTMLTableCellElement} cell
+ * @returns {CellBounds|null} Null when the cell is not in the map.
+ */
+const getCellBounds = (map, cell) => {
+    let bounds = null;
+    map.grid.forEach((row, r) => row.forEach((slot, c) => {
+        if (slot !== cell) return;
+        if (!bounds) {
+            bounds = { top: r, left: c, bottom: r, right: c };
+        } else {
+            bounds.bottom = Math.max(bounds.bottom, r);
+            bounds.right = Math.max(bounds.right, c);
+        }
+    }));
+    return bounds;
+};
+
+/**
+ * Grows a rectangle of slots until no merged cell sticks out of it.
+ * @param {TableMap} map
+ * @param {CellBounds} rect
+ * @returns {CellBounds}
+ */
+const growRect = (map, rect) => {
+    const result = { ...rect };
+    let grown = true;
+
+    while (grown) {
+        grown = false;
+        for (let r = result.top; r <= result.bottom; r++) {
+            for (let c = result.left; c <= result.right; c++) {
+                const cell = map.grid[r][c];
+                const bounds = cell && getCellBounds(map, cell);
+                if (!bounds) continue;
+
+                if (bounds.top < result.top || bounds.left < result.left
+                    || bounds.bottom > result.bottom || bounds.right > result.right) {
+                    result.top = Math.min(result.top, bounds.top);
+                    result.left = Math.min(result.left, bounds.left);
+                    result.bottom = Math.max(result.bottom, bounds.bottom);
+                    result.right = Math.max(result.right, bounds.right);
+                    grown = true;
+                }
+            }
+        }
+    }
+    return result;
+};
+
+/**
+ * Lists the cells inside a rectangle, each once, in reading order.
+ * @param {TableMap} map
+ * @param {CellBounds} rect
+ * @returns {HTMLTableCellElement[]}
+ */
+const getCellsInRect = (map, rect) => {
+    const cells = new Set();
+    for (let r = rect.top; r <= rect.bottom; r++) {
+        for (let c = rect.left; c <= rect.right; c++) {
+            if (map.grid[r][c]) cells.add(map.grid[r][c]);
+        }
+    }
+    return [...cells];
+};
+
+/**
+ * Creates an empty cell that can hold the caret.
+ * @param {string} tag - `td` or `th`.
+ * @param {HTMLTableCellElement} [alignedLike] - Cell whose alignment the new cell takes.
+ * @returns {HTMLTableCellElement}
+ */
+const createCell = (tag, alignedLike) => {
+    const cell = document.createElement(tag);
+    cell.innerHTML = '<br>';
+    if (alignedLike?.style.textAlign) cell.style.textAlign = alignedLike.style.textAlign;
+    return cell;
+};
+
+/**
+ * Puts a cell into a row before the first cell that starts at or after a column.
+ * @param {TableMap} map - Map of the table before the change.
+ * @param {number} rowIndex
+ * @param {number} column
+ * @param {HTMLTableCellElement} cell
+ */
+const insertCellAt = (map, rowIndex, column, cell) => {
+    const row = map.rows[rowIndex];
+    const before = Array.from(row.cells).find(existing => {
+        const start = map.grid[rowIndex].indexOf(existing);
+        return start !== -1 && start >= column;
+    });
+    row.insertBefore(cell, before ?? null);
+};
+
+/**
+ * Sets a span attribute, dropping it when it is 1.
+ * @param {HTMLTableCellElement} cell
+ * @param {'colspan'|'rowspan'} name
+ * @param {number} value
+ */
+const setSpan = (cell, name, value) => {
+    if (value > 1) {
+        cell.setAttribute(name, String(value));
+    } else {
+        cell.removeAttribute(name);
+    }
+};
+
+/**
+ * @param {HTMLElement} cell
+ * @returns {boolean} Whether the cell holds text or an image.
+ */
+const hasContent = (cell) => cell.textContent.trim() !== '' || Boolean(cell.querySelector('img'));
+
+/**
+ * Replaces a cell with a `td` or `th` holding the same content.
+ * @param {HTMLTableCellElement} cell
+ * @param {string} tag
+ * @returns {HTMLTableCellElement} The cell now in the table.
+ */
+const retagCell = (cell, tag) => {
+    if (cell.tagName === tag.toUpperCase()) return cell;
+
+    const replacement = document.createElement(tag);
+    Array.from(cell.attributes).forEach(attribute => replacement.setAttribute(attribute.name, attribute.value));
+    replacement.append(...cell.childNodes);
+    cell.replaceWith(replacement);
+    return replacement;
+};
+
+/**
+ * Removes table sections left without rows.
+ * @param {HTMLTableElement} table
+ */
+const removeEmptySections = (table) => {
+    Array.from(table.children)
+        .filter(section => ['THEAD', 'TBODY', 'TFOOT'].includes(section.tagName) && section.rows.length === 0)
+        .forEach(section => section.remove());
+};
+
+/**
+ * Registers the table commands in an editor command registry.
+ * @param {Object} commands             - Editor commands (`createEditorCommands()`).
+ * @param {HTMLElement} editor          - The contenteditable element.
+ * @returns {function(): void} Removes the commands.
+ *
+ * @example
+ * registerTableCommands(commands, editor);
+ * commands.execute('insertRow', 'below');
+ */
+export const registerTableCommands = (commands, editor) => {
+    /**
+     * @returns {Range|null} The selection range when it is inside the editor.
+     */
+    const getRange = () => {
+        const selection = window.getSelection();
+        if (!selection || selection.rangeCount === 0) return null;
+
+        const range = selection.getRangeAt(0);
+        return editor.contains(range.commonAncestorContainer) ? range : null;
+    };
+
+    /**
+     * Finds the table cell holding the caret.
+     * @returns {{range: Range, cell: HTMLTableCellElement, table: HTMLTableElement, map: TableMap, bounds: CellBounds}|null}
+     */
+    const getContext = () => {
+        const range = getRange();
+        if (!range) return null;
+
+        const node = range.startContainer;
+        const element = node.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+        const cell = element?.closest('td, th');
+        if (!cell || !editor.contains(cell)) return null;
+
+        const table = cell.closest('table');
+        const map = getTableMap(table);
+        const bounds = getCellBounds(map, cell);
+        return bounds ? { range, cell, table, map, bounds } : null;
+    };
+
+    /**
+     * Finds the cells at the start and the end of the selection, the corners of the
+     * selected part of the table. A selection reaching out of the table ends at the
+     * caret's cell.
+     * @param {{range: Range, cell: HTMLTableCellElement, table: HTMLTableElement}} context
+     * @returns {HTMLTableCellElement[]}
+     */
+    const getSelectedCells = ({ range, cell, table }) => {
+        if (range.collapsed) return [cell];
+
+        const node = range.endContainer;
+        const element = node.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+        const end = element?.closest('td, th');
+        return end && end !== cell && end.closest('table') === table ? [cell, end] : [cell];
+    };
+
+    /**
+     * @param {{range: Range, cell: HTMLTableCellElement, table: HTMLTableElement, map: TableMap, bounds: CellBounds}} context
+     * @returns {CellBounds} The slots between the corners of the selection.
+     */
+    const getSelectedRect = (context) => getSelectedCells(context).reduce((rect, cell) => {
+        const bounds = getCellBounds(context.map, cell);
+        if (!bounds) return rect;
+        return {
+            top: Math.min(rect.top, bounds.top),
+            left: Math.min(rect.left, bounds.left),
+            bottom: Math.max(rect.bottom, bounds.bottom),
+            right: Math.max(rect.right, bounds.right)
+        };
+    }, { ...context.bounds });
+
+    /**
+     * Puts the caret into a cell, selecting its text.
+     * @param {HTMLTableCellElement} cell
+     * @param {boolean} [selectText=false]
+     */
+    const focusCell = (cell, selectText = false) => {
+        const range = document.createRange();
+        range.selectNodeContents(cell);
+        if (!selectText || !hasContent(cell)) range.collapse(true);
+
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+    };
+
+    /**
+     * Adds a row next to a row of the table.
+     * @param {HTMLTableElement} table
+     * @param {number} rowIndex - Row the new one goes next to.
+     * @param {'above'|'below'} where
+     * @returns {HTMLTableRowElement} The new row.
+     */
+    const insertRowAt = (table, rowIndex, where) => {
+        const map = getTableMap(table);
+        const reference = map.rows[rowIndex];
+        const index = where === 'above' ? rowIndex : rowIndex + 1;
+
+        // Below the last header row, the new row starts the body
+        const section = reference.parentElement;
+        const startsBody = where === 'below' && section.tagName === 'THEAD' && !reference.nextElementSibling;
+        const tag = startsBody ? 'td' : (reference.cells[0]?.tagName.toLowerCase() ?? 'td');
+
+        const row = document.createElement('tr');
+        for (let column = 0; column < map.width;) {
+            const above = map.grid[index - 1]?.[column];
+            const below = map.grid[index]?.[column];
+
+            // A cell reaching over the new row grows instead
+            if (!startsBody && above && above === below) {
+                if (map.grid[index - 1][column - 1] !== above) setSpan(above, 'rowspan', above.rowSpan + 1);
+                column++;
+                continue;
+            }
+
+            row.appendChild(createCell(tag, map.grid[rowIndex][column]));
+            column++;
+        }
+
+        if (startsBody) {
+            let body = table.tBodies[0];
+            if (!body) {
+                body = document.createElement('tbody');
+                section.after(body);
+            }
+            body.prepend(row);
+        } else if (where === 'above') {
+            reference.before(row);
+        } else {
+            reference.after(row);
+        }
+        return row;
+    };
+
+    /**
+     * Removes one row, keeping cells that reach into the rows around it.
+     * @param {HTMLTableElement} table
+     * @param {number} rowIndex
+     */
+    const deleteRowAt = (table, rowIndex) => {
+        const map = getTableMap(table);
+        const row = map.rows[rowIndex];
+
+        for (let column = 0; column < map.width; column++) {
+            const cell = map.grid[rowIndex][column];
+            if (!cell || map.grid[rowIndex][column - 1] === cell) continue;
+
+            if (cell.parentElement !== row) {
+                // Starts in a row above
+                setSpan(cell, 'rowspan', cell.rowSpan - 1);
+            } else if (cell.rowSpan > 1 && rowIndex + 1 < map.rows.length) {
+                // Moves down into the next row it covers
+                setSpan(cell, 'rowspan', cell.rowSpan - 1);
+                insertCellAt(map, rowIndex + 1, column, cell);
+            }
+        }
+
+        row.remove();
+    };
+
+    /**
+     * Removes one column, shrinking merged cells that cover more columns.
+     * @param {HTMLTableElement} table
+     * @param {number} column
+     */
+    const deleteColumnAt = (table, column) => {
+        const map = getTableMap(table);
+        const cells = new Set(map.grid.map(row => row[column]).filter(Boolean));
+
+        cells.forEach(cell => {
+            if (cell.colSpan > 1) {
+                setSpan(cell, 'colspan', cell.colSpan - 1);
+            } else {
+                cell.remove();
+            }
+        });
+
+        map.rows.filter(row => row.cells.length === 0).forEach(row => row.remove());
+    };
+
+    /**
+     * Replaces a table with an empty paragraph holding the caret.
+     * @param {HTMLTableElement} table
+     */
+    const removeTable = (table) => {
+        const paragraph = document.createElement('p');
+        paragraph.innerHTML = '<br>';
+        table.replaceWith(paragraph);
+
+        const range = document.createRange();
+        range.setStart(paragraph, 0);
+        range.collapse(true);
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+    };
+
+    /**
+     * Puts the caret back near a slot after rows or columns were removed.
+     * @param {HTMLTableElement} table
+     * @param {number} rowIndex
+     * @param {number} column
+     */
+    const focusSlot = (table, rowIndex, column) => {
+        removeEmptySections(table);
+
+        const map = getTableMap(table);
+        if (map.rows.length === 0 || map.width === 0) {
+            removeTable(table);
+            return;
+        }
+
+        const row = map.grid[Math.min(rowIndex, map.rows.length - 1)];
+        const cell = row[Math.min(column, row.length - 1)] ?? row.find(Boolean);
+        if (cell) focusCell(cell);
+    };
+
+    const insertRow = (where = 'below') => {
+        const context = getContext();
+        if (!context) return false;
+
+        const { table, bounds } = context;
+        const row = insertRowAt(table, where === 'above' ? bounds.top : bounds.bottom, where === 'above' ? 'above' : 'below');
+        focusCell(row.cells[0] ?? context.cell);
+        return true;
+    };
+
+    const insertColumn = (where = 'right') => {
+        const context = getContext();
+        if (!context) return false;
+
+        const { map, bounds } = context;
+        const index = where === 'left' ? bounds.left : bounds.right + 1;
+        let focus = null;
+
+        map.rows.forEach((row, rowIndex) => {
+            const left = map.grid[rowIndex][index - 1];
+            const right = map.grid[rowIndex][index];
+
+            // A merged cell reaching over the new column grows instead
+            if (left && left === right) {
+                if (map.grid[rowIndex - 1]?.[index] !== left) setSpan(left, 'colspan', left.colSpan + 1);
+                return;
+            }
+
+            const neighbour = left ?? right;
+            const cell = createCell(neighbour?.tagName.toLowerCase() ?? 'td');
+            insertCellAt(map, rowIndex, index, cell);
+            if (rowIndex === bounds.top) focus = cell;
+        });
+
+        if (focus) focusCell(focus);
+        return true;
+    };
+
+    const deleteRow = () => {
+        const context = getContext();
+        if (!context) return false;
+
+        const { table, bounds } = context;
+        for (let rowIndex = bounds.bottom; rowIndex >= bounds.top; rowIndex--) {
+            deleteRowAt(table, rowIndex);
+        }
+
+        focusSlot(table, bounds.top, bounds.left);
+        return true;
+    };
+
+    const deleteColumn = () => {
+        const context = getContext();
+        if (!context) return false;
+
+        const { table, bounds } = context;
+        for (let column = bounds.right; column >= bounds.left; column--) {
+            deleteColumnAt(table, column);
+        }
+
+        focusSlot(table, bounds.top, bounds.left);
+        return true;
+    };
+
+    const deleteTable = () => {
+        const context = getContext();
+        if (!context) return false;
+
+        removeTable(context.table);
+        return true;
+    };
+
+    /**
+     * Moves to the next or previous cell. Returns false only outside of tables, so Tab
+     * never indents inside a table.
+     * @param {number} [step=1]
+     * @returns {boolean}
+     */
+    const goToCell = (step = 1) => {
+        const context = getContext();
+        if (!context) return false;
+
+        const { table, cell, map } = context;
+        const cells = Array.from(table.querySelectorAll('td, th')).filter(candidate => candidate.closest('table') === table);
+        let next = cells[cells.indexOf(cell) + (step < 0 ? -1 : 1)];
+
+        if (!next && step > 0) {
+            next = insertRowAt(table, map.rows.length - 1, 'below').cells[0];
+        }
+
+        if (next) focusCell(next, true);
+        return true;
+    };
+
+    /**
+     * @returns {'left'|'center'|'right'|null} Alignment of the caret's cell.
+     */
+    const getColumnAlign = () => {
+        const align = getContext()?.cell.style.textAlign;
+        return ALIGNMENTS.includes(align) ? align : null;
+    };
+
+    const setColumnAlign = (align) => {
+        const context = getContext();
+        if (!context) return false;
+
+        const value = ALIGNMENTS.includes(align) ? align : '';
+        const { map } = context;
+        const rect = getSelectedRect(context);
+
+        map.grid.forEach(row => {
+            for (let column = rect.left; column <= rect.right; column++) {
+                const cell = row[column];
+                if (!cell) continue;
+
+                cell.style.textAlign = value;
+                if (!cell.getAttribute('style')) cell.removeAttribute('style');
+            }
+        });
+        return true;
+    };
+
+    /**
+     * @returns {boolean} Whether the caret's table starts with a header row.
+     */
+    const hasHeaderRow = () => {
+        const table = getContext()?.table;
+        const first = table?.rows[0];
+        return Boolean(first && (first.parentElement.tagName === 'THEAD'
+            || Array.from(first.cells).every(cell => cell.tagName === 'TH')));
+    };
+
+    const toggleHeaderRow = () => {
+        const context = getContext();
+        if (!context) return false;
+
+        const { table, cell } = context;
+        const first = table.rows[0];
+        const makeHeader = !hasHeaderRow();
+        let caretCell = cell;
+
+        /**
+         * @param {HTMLTableRowElement} row
+         * @param {string} tag
+         */
+        const retagRow = (row, tag) => {
+            Array.from(row.cells).forEach(existing => {
+                const replacement = retagCell(existing, tag);
+                if (existing === cell) caretCell = replacement;
+            });
+        };
+
+        if (makeHeader) {
+            const head = table.tHead ?? table.createTHead();
+            head.appendChild(first);
+            retagRow(first, 'th');
+        } else {
+            const headerRows = table.tHead ? Array.from(table.tHead.rows) : [first];
+            let body = table.tBodies[0];
+            if (!body) {
+                body = document.createElement('tbody');
+                table.appendChild(body);
+            }
+
+            body.prepend(...headerRows);
+            headerRows.forEach(row => retagRow(row, 'td'));
+        }
+
+        removeEmptySections(table);
+        focusCell(caretCell);
+        return true;
+    };
+
+    const mergeCells = () => {
+        const context = getContext();
+        if (!context) return false;
+
+        const { map, bounds, range } = context;
+        const selected = getSelectedCells(context);
+        let rect = getSelectedRect(context);
+
+        // With only the caret's cell, merge it with the cell to its right
+        if (selected.length === 1) {
+            if (!range.collapsed || bounds.right + 1 >= map.width) return false;
+            rect.right = bounds.right + 1;
+        }
+
+        rect = growRect(map, rect);
+
+        // Cells can't be merged across the header and the body
+        const sections = new Set(map.rows.slice(rect.top, rect.bottom + 1).map(row => row.parentElement));
+        if (sections.size > 1) return false;
+
+        const [target, ...others] = getCellsInRect(map, rect);
+        if (!target || others.length === 0) return false;
+
+        others.forEach(cell => {
+            if (hasContent(cell)) {
+                if (!hasContent(target)) {
+                    target.replaceChildren();
+                } else {
+                    target.appendChild(document.createElement('br'));
+                }
+                target.append(...cell.childNodes);
+            }
+            cell.remove();
+        });
+
+        setSpan(target, 'colspan', rect.right - rect.left + 1);
+        setSpan(target, 'rowspan', rect.bottom - rect.top + 1);
+
+        // Rows left without cells go; the cells reaching over them get shorter
+        for (let rowIndex = rect.bottom; rowIndex > rect.top; rowIndex--) {
+            const row = map.rows[rowIndex];
+            if (row.cells.length > 0) continue;
+
+            new Set(map.grid[rowIndex].filter(Boolean)).forEach(cell => {
+                if (cell.isConnected) setSpan(cell, 'rowspan', cell.rowSpan - 1);
+            });
+            row.remove();
+        }
+
+        focusCell(target);
+        return true;
+    };
+
+    const splitCell = () => {
+        const context = getContext();
+        if (!context) return false;
+
+        const { cell, map, bounds } = context;
+        if (bounds.right === bounds.left && bounds.bottom === bounds.top) return false;
+
+        const tag = cell.tagName.toLowerCase();
+        for (let rowIndex = bounds.top; rowIndex <= bounds.bottom; rowIndex++) {
+            let previous = rowIndex === bounds.top ? cell : null;
+
+            for (let column = bounds.left; column <= bounds.right; column++) {
+                if (rowIndex === bounds.top && column === bounds.left) continue;
+
+                const created = createCell(tag, cell);
+                if (previous) {
+                    previous.after(created);
+                } else {
+                    insertCellAt(map, rowIndex, column, created);
+                }
+                previous = created;
+            }
+        }
+
+        setSpan(cell, 'colspan', 1);
+        setSpan(cell, 'rowspan', 1);
+        focusCell(cell);
+        return true;
+    };
+
+    const unregister = [
+        commands.register('insertRow', { run: insertRow }),
+        commands.register('insertColumn', { run: insertColumn }),
+        commands.register('deleteRow', { run: deleteRow }),
+        commands.register('deleteColumn', { run: deleteColumn }),
+        commands.register('deleteTable', { run: deleteTable }),
+        commands.register('goToCell', { run: goToCell }),
+        commands.register('setColumnAlign', {
+            run: setColumnAlign,
+            isActive: (align) => getColumnAlign() === align,
+            value: getColumnAlign
+        }),
+        commands.register('toggleHeaderRow', { run: toggleHeaderRow, isActive: hasHeaderRow }),
+        commands.register('mergeCells', { run: mergeCells }),
+        commands.register('splitCell', { run: splitCell })
+    ];
+
+    return () => unregister.forEach(remove => remove());
+};
+
+/**
+ * Finds the table cell holding the caret.
+ * @param {HTMLElement} editor
+ * @returns {HTMLTableCellElement|null}
+ */
+export const getSelectedTableCell = (editor) => {
+    const selection = window.getSelection();
+    if (!selection || selection.rangeCount === 0) return null;
+
+    const node = selection.getRangeAt(0).startContainer;
+    const element = node.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+    const cell = element?.closest?.('td, th');
+    return cell && editor.contains(cell) ? cell : null;
+};
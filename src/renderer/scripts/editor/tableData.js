@@ -0,0 +1,154 @@
+/**
+ * @file Data tools for `table.fascinate-notes-table`, registered in the editor command
+ * registry next to the table editing commands (`tableCommands.js`):
+ *
+ * - `sortTable(direction)`     - sorts the body rows by the caret's column, `asc` or `desc`.
+ *                                Numbers and dates sort by value, other text naturally
+ *                                (`item 2` before `item 10`); empty cells go last.
+ * - `copyTable(format)`        - copies the table as `csv` or `tsv`.
+ * - `exportTable`              - saves the table as a `.csv` file.
+ */
+import { getTableMap, getSelectedTableCell } from './tableCommands.js';
+import { parseTable } from '../document/parseDom.js';
+import { tableToDelimited } from '../document/delimited.js';
+import { downloadTableCSV } from './download.js';
+import { deriveNoteTitle } from '../note/notehandlers.js';
+
+/** Delimiters of the copy formats. */
+const COPY_FORMATS = { csv: ',', tsv: '\t' };
+
+/** Currency signs, percent signs and digit grouping around a number. */
+const NUMBER_DECORATION = /^[$€£¥฿]|[%$€£¥฿]$|[\s,_]/g;
+const NUMBER_PATTERN = /^[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?$/i;
+
+/** `2024-05-01`, `1/5/2024`, `1.5.24`, `May 1, 2024`, `1 May 2024`, ... */
+const DATE_PATTERN = /^\d{4}-\d{1,2}-\d{1,2}|^\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}$|[a-z]{3,}\.?\s+\d|\d\s+[a-z]{3,}/i;
+
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+/**
+ * @param {string} text
+ * @returns {number} The number the text shows, or NaN.
+ */
+const parseNumber = (text) => {
+    const value = text.replace(NUMBER_DECORATION, '');
+    return NUMBER_PATTERN.test(value) ? Number(value) : NaN;
+};
+
+/**
+ * @param {string} text
+ * @returns {number} The time of the date the text shows, or NaN.
+ */
+const parseDate = (text) => (DATE_PATTERN.test(text) ? Date.parse(text) : NaN);
+
+/**
+ * Picks how a column sorts: by number or date when every filled cell is one, otherwise
+ * as text.
+ * @param {string[]} values - Filled cells of the column.
+ * @returns {function(string, string): number} Compares two filled cells.
+ */
+const createComparer = (values) => {
+    if (values.every(value => !Number.isNaN(parseNumber(value)))) {
+        return (a, b) => parseNumber(a) - parseNumber(b);
+    }
+    if (values.every(value => !Number.isNaN(parseDate(value)))) {
+        return (a, b) => parseDate(a) - parseDate(b);
+    }
+    return (a, b) => collator.compare(a, b);
+};
+
+/**
+ * Registers the table data commands in an editor command registry.
+ * @param {Object} commands             - Editor commands (`createEditorCommands()`).
+ * @param {HTMLElement} editor          - The contenteditable element.
+ * @returns {function(): void} Removes the commands.
+ *
+ * @example
+ * registerTableDataCommands(commands, editor);
+ * commands.execute('sortTable', 'desc');
+ */
+export const registerTableDataCommands = (commands, editor) => {
+    /**
+     * @returns {HTMLTableElement|null} The table holding the caret.
+     */
+    const getTable = () => getSelectedTableCell(editor)?.closest('table') ?? null;
+
+    const sortTable = (direction = 'asc') => {
+        const cell = getSelectedTableCell(editor);
+        if (!cell) return false;
+
+        const table = cell.closest('table');
+        const map = getTableMap(table);
+        const column = map.grid.find(row => row.includes(cell))?.indexOf(cell) ?? -1;
+
+        // Rows of the caret's body; header rows stay where they are
+        const section = cell.closest('thead') ? table.tBodies[0] : cell.closest('tr').parentElement;
+        if (!section || column === -1) return false;
+
+        const rows = Array.from(section.rows)
+            .filter(row => !Array.from(row.cells).every(existing => existing.tagName === 'TH'));
+
+        // Cells merged across rows would break apart
+        const spansRows = rows.some(row => {
+            const index = map.rows.indexOf(row);
+            return map.grid[index].some(slot => slot && (slot.rowSpan > 1 || slot.parentElement !== row));
+        });
+        if (rows.length < 2 || spansRows) return false;
+
+        const keyed = rows.map(row => ({
+            row,
+            text: (map.grid[map.rows.indexOf(row)][column]?.textContent ?? '').replace(/\s+/g, ' ').trim()
+        }));
+
+        const compare = createComparer(keyed.map(entry => entry.text).filter(Boolean));
+        const order = direction === 'desc' ? -1 : 1;
+
+        keyed.sort((a, b) => {
+            if (!a.text || !b.text) return Number(!a.text) - Number(!b.text);
+            return compare(a.text, b.text) * order;
+        });
+
+        if (keyed.every((entry, i) => entry.row === rows[i])) return true;
+
+        // Moving the rows would drop the caret out of its cell
+        const selection = window.getSelection();
+        const { anchorNode, anchorOffset, focusNode, focusOffset } = selection;
+
+        section.append(...keyed.map(entry => entry.row));
+        selection.setBaseAndExtent(anchorNode, anchorOffset, focusNode, focusOffset);
+        return true;
+    };
+
+    const copyTable = (format = 'tsv') => {
+        const table = getTable();
+        const block = table && parseTable(table);
+        if (!block) return false;
+
+        const delimiter = COPY_FORMATS[format] ?? COPY_FORMATS.tsv;
+        const text = tableToDelimited(block.rows, { delimiter, newline: '\n' });
+
+        navigator.clipboard.writeText(text).catch(error => {
+            console.warn('[TableData] Could not copy the table:', error);
+        });
+        return true;
+    };
+
+    const exportTable = () => {
+        const table = getTable();
+        if (!table) return false;
+
+        const title = deriveNoteTitle(editor).replace(/[\\/:*?"<>|]+/g, ' ').trim();
+        downloadTableCSV(table, `${title || 'table'}.csv`).catch(error => {
+            console.error('[TableData] Could not export the table:', error);
+        });
+        return true;
+    };
+
+    const unregister = [
+        commands.register('sortTable', { run: sortTable }),
+        commands.register('copyTable', { run: copyTable }),
+        commands.register('exportTable', { run: exportTable })
+    ];
+
+    return () => unregister.forEach(remove => remove());
+};
@@ -0,0 +1,38 @@
+// Loaded by exportWorker.html, a hidden window of the main process.
+// Uses the same conversions as exporting the open note from the editor.
+
+import { createHTMLDocument } from '../editor/htmlDocument.js';
+import { htmlToMarkdown } from '../editor/markdown/htmlToMarkdown.js';
+import { parseDocument } from '../document/parseDom.js';
+import { toText } from '../document/toText.js';
+
+const container = document.getElementById('note-content');
+
+/**
+ * Convert note content to an export format
+ * @param {string} html - Note content (editor HTML)
+ * @param {'html'|'md'|'txt'} format - Export format
+ * @param {import('../editor/htmlDocument.js').HTMLExportOptions} [options] - Options of HTML documents
+ * @returns {Promise<string>} File contents
+ */
+const convertNote = async (html, format, options = {}) => {
+    container.innerHTML = html;
+
+    try {
+        switch (format) {
+            case 'html':
+                // Images are left as they are: this window has no bridge to fetch them
+                return await createHTMLDocument(container, { ...options, inlineImages: false });
+            case 'md':
+                return htmlToMarkdown(container);
+            case 'txt':
+                return toText(parseDocument(container));
+            default:
+                throw new Error(`Unknown export format: ${format}`);
+        }
+    } finally {
+        container.replaceChildren();
+    }
+};
+
+window.convertNote = convertNote;
@@ -1,6 +1,8 @@
-import { noteFeaturesConfig } from './noteConfig.js';
+import { applyEditorSettings } from './noteConfig.js';
+import { loadSettings, getSetting, onSettingChange } from '../settings/settingsClient.js';
 import {
     currentFontSize,
+    currentNoteId,
     clearEventListeners,
     autoSaveTimeout,
     addEventListenerTracker
@@ -11,11 +13,15 @@ import {
     createSaveData,
     createZoomHandlers,
     createTriggerAutoSave,
+    createNoteActions,
+    createSnapshotActions,
+    createEditJournal,
+    recoverUnsavedEdits,
     setupEventListeners
 } from './notehandlers.js';
 
 /**
- * Initialize note features with auto-save and zoom controls
+ * Initialize note features with auto-save, zoom controls and the note library
  * @param {string} textareaId - Textarea element ID
  * @param {string} saveIndicatorId - Save indicator element ID
  * @param {string} statusTextId - Status text element ID
@@ -43,12 +49,20 @@ export const noteFeatures = async (
             throw new Error('Note.js: Required elements not found');
         }
 
+        // Apply persisted editor settings and follow later changes
+        await loadSettings();
+        applyEditorSettings(getSetting('editor'));
+        const unsubscribeEditorSettings = onSettingChange('editor', applyEditorSettings);
+
         // Create handlers
         const setStatus = createSetStatus(els);
         const loadData = createLoadData(els, setStatus);
         const saveData = createSaveData(els, setStatus);
         const { zoomIn, zoomOut, resetZoom } = createZoomHandlers(els, saveData);
         const triggerAutoSave = createTriggerAutoSave(setStatus, saveData);
+        const noteActions = createNoteActions(loadData, saveData);
+        const snapshotActions = createSnapshotActions(els, saveData);
+        const editJournal = createEditJournal(els);
 
         // Setup event listeners
         setupEventListeners(
@@ -59,15 +73,31 @@ export const noteFeatures = async (
             resetZoom
         );
 
-        // Defer initial data load
-        queueMicrotask(() => {
-            loadData().catch(error => {
+        // Journal every edit so a crash cannot lose it
+        els.textarea.addEventListener(
+            'input',
+            editJournal.schedule
+        );
+
+        addEventListenerTracker(
+            els.textarea,
+            'input',
+            editJournal.schedule
+        );
+
+        // Defer initial data load, then offer edits left over from a crash
+        const initialLoad = Promise.resolve()
+            .then(() => loadData())
+            .then(() => recoverUnsavedEdits(els, loadData, setStatus))
+            .catch(error => {
                 console.error('Error loading default data:', error);
             });
-        });
 
         // Before unload handler
         const beforeUnloadHandler = async () => {
+            // Reaches the journal synchronously, even if the save below never finishes
+            editJournal.flush();
+
             try {
                 await saveData();
             } catch (error) {
@@ -90,6 +120,8 @@ export const noteFeatures = async (
         const cleanup = () => {
             clearEventListeners();
             clearTimeout(autoSaveTimeout);
+            editJournal.cancel();
+            unsubscribeEditorSettings();
         };
 
         // Return API
@@ -99,6 +131,11 @@ export const noteFeatures = async (
             zoomIn,
             zoomOut,
             resetZoom,
+            setStatus,
+            ...noteActions,
+            ...snapshotActions,
+            getCurrentNoteId: () => currentNoteId,
+            whenLoaded: () => initialLoad,
             getCurrentFontSize: () => currentFontSize,
             cleanup
         };
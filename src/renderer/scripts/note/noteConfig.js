@@ -8,6 +8,7 @@
  * @property {number} fontStep - Font size step
  * @property {number} autoSaveDelay - Auto-save delay (ms)
  * @property {number} mainProcessSaveThrottle - Throttle for saving to main process (ms)
+ * @property {number} journalDelay - Delay before an edit is written to the crash journal (ms)
  * @property {Object} status - Status texts
  */
 
@@ -20,10 +21,28 @@ export const noteFeaturesConfig = {
     fontStep: 2,
     autoSaveDelay: 1000,
     mainProcessSaveThrottle: 2500,
+    journalDelay: 250,
     status: {
         typing: 'Typing...',
         saving: 'Saving...',
         saved: 'Saved',
-        error: 'Error saving'
+        error: 'Error saving',
+        recovered: 'Recovered unsaved changes',
+        exported: 'Exported'
     }  
+};
+
+const EDITOR_SETTING_KEYS = ['minFontSize', 'maxFontSize', 'defaultFontSize', 'fontStep', 'autoSaveDelay'];
+
+/**
+ * Copies the `editor` group of the persisted settings into `noteFeaturesConfig`.
+ * Handlers read the config on every call, so new values apply immediately.
+ * @param {Object} [editorSettings={}] - The `editor` settings group.
+ */
+export const applyEditorSettings = (editorSettings = {}) => {
+    EDITOR_SETTING_KEYS.forEach(key => {
+        if (Number.isFinite(editorSettings[key])) {
+            noteFeaturesConfig[key] = editorSettings[key];
+        }
+    });
 };
\ No newline at end of file
@@ -1,16 +1,140 @@
 import { noteFeaturesConfig } from './noteConfig.js';
+import { getEditorHtml, setEditorHtml } from '../document/renderDom.js';
 import {
     autoSaveTimeout,
     currentFontSize,
+    currentNoteId,
     setAutoSaveTimeout,
     setCurrentFontSize,
+    setCurrentNoteId,
     lastMainProcessSaveTime,
     addEventListenerTracker
 } from './state.js';
 
-let editorContent = {
-    text: '',
-    fontSize: noteFeaturesConfig.defaultFontSize
+const LEGACY_STORAGE_KEY = 'editorContent';
+const MAX_DERIVED_TITLE_LENGTH = 80;
+const MAX_EXCERPT_LENGTH = 160;
+
+/**
+ * Returns the note library bridge exposed by the preload script.
+ * @returns {Object} The `window.electronAPI.notes` bridge.
+ * @throws {Error} If the app is not running inside Electron.
+ */
+const getNotesBridge = () => {
+    const notes = window.electronAPI?.notes;
+    if (!notes) {
+        throw new Error('Note library is not available');
+    }
+    return notes;
+};
+
+/**
+ * Returns the version history bridge exposed by the preload script.
+ * @returns {Object} The `window.electronAPI.snapshots` bridge.
+ * @throws {Error} If the app is not running inside Electron.
+ */
+const getSnapshotsBridge = () => {
+    const snapshots = window.electronAPI?.snapshots;
+    if (!snapshots) {
+        throw new Error('Version history is not available');
+    }
+    return snapshots;
+};
+
+/**
+ * Derives a note title from the editor content: the first heading,
+ * or the first non-empty line when the note has no heading.
+ * @param {HTMLElement} textarea - The editor element.
+ * @returns {string} The derived title, or an empty string for an empty note.
+ */
+export const deriveNoteTitle = (textarea) => {
+    const heading = textarea.querySelector('h1, h2, h3, h4, h5, h6');
+    const source = heading?.textContent.trim()
+        ? heading.textContent
+        : (textarea.innerText || '').split('\n').find(line => line.trim()) || '';
+
+    return source.replace(/\s+/g, ' ').trim().slice(0, MAX_DERIVED_TITLE_LENGTH);
+};
+
+/**
+ * Builds the plain-text preview shown in the note list, skipping the line used as title.
+ * @param {HTMLElement} textarea - The editor element.
+ * @param {string} title - The title derived by `deriveNoteTitle`.
+ * @returns {string} The excerpt.
+ */
+export const deriveNoteExcerpt = (textarea, title) => {
+    const lines = (textarea.innerText || '')
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean);
+
+    if (lines.length && lines[0].replace(/\s+/g, ' ').startsWith(title)) {
+        lines.shift();
+    }
+
+    return lines.join(' ').slice(0, MAX_EXCERPT_LENGTH);
+};
+
+/**
+ * Notifies listeners (e.g. the sidebar) that the note library changed.
+ * @param {string} type - What happened ('saved', 'created', 'renamed', 'pinned', 'deleted', 'restored').
+ * @param {string|null} id - ID of the affected note.
+ */
+const notifyLibraryChange = (type, id) => {
+    document.dispatchEvent(new CustomEvent('note-library-changed', {
+        detail: { type, id }
+    }));
+};
+
+/**
+ * Moves the single note kept in localStorage by older versions into the note library.
+ * @returns {Promise<Object|null>} The created note, or null when there was nothing to migrate.
+ */
+const migrateLegacyNote = async () => {
+    const legacy = localStorage.getItem(LEGACY_STORAGE_KEY);
+    if (!legacy) return null;
+
+    let data;
+    try {
+        data = JSON.parse(legacy);
+    } catch (error) {
+        // Not the JSON older versions wrote; keep whatever is there as the note text
+        console.warn('Legacy note is not valid JSON, importing it as text:', error);
+        data = { text: legacy };
+    }
+
+    const { text = '', fontSize } = data ?? {};
+    const note = await getNotesBridge().create({ text: String(text), fontSize });
+    localStorage.removeItem(LEGACY_STORAGE_KEY);
+
+    return note;
+};
+
+/**
+ * Finds the note to show on startup: the last opened one, the most recent one,
+ * the migrated legacy note or a brand new note, in that order.
+ * @returns {Promise<Object>} The note to open.
+ */
+const resolveStartupNote = async () => {
+    const notes = getNotesBridge();
+
+    const lastOpenedId = await notes.getLastOpenedId();
+    if (lastOpenedId) {
+        return notes.get(lastOpenedId);
+    }
+
+    const migrated = await migrateLegacyNote();
+    if (migrated) {
+        return notes.get(migrated.id);
+    }
+
+    const [mostRecent] = await notes.list();
+    if (mostRecent) {
+        return notes.get(mostRecent.id);
+    }
+
+    const created = await notes.create();
+    return notes.get(created.id);
 };
 
 /**
@@ -37,24 +161,32 @@ export const createSetStatus = (els) => {
 };
 
 /**
- * Creates a function to load data into the editor.
+ * Creates a function to load a note from the note library into the editor.
  * @param {{textarea: HTMLTextAreaElement}} els - An object containing the textarea element.
  * @param {function} setStatus - The function created by `createSetStatus` to update the UI status.
- * @returns {function(): Promise<void>} An async function that loads its
- * corresponding text and font size into the textarea.
+ * @returns {function(string=): Promise<Object>} An async function that loads the note with the given ID
+ * (or the startup note when omitted) into the textarea and resolves with the loaded note.
+ * The content is rendered from the document model, so the editor holds the markup it is saved as.
  */
 export const createLoadData = (els, setStatus) => {
-    return async () => {
+    return async (noteId = null) => {
         try {
-            const savedContent = localStorage.getItem('editorContent');
-            
-            if (savedContent) {
-                editorContent = JSON.parse(savedContent);
-            }
+            const note = noteId
+                ? await getNotesBridge().get(noteId)
+                : await resolveStartupNote();
+
+            const fontSize = note.fontSize ?? noteFeaturesConfig.defaultFontSize;
+
+            setCurrentNoteId(note.id);
+            setEditorHtml(els.textarea, note.text);
+            setCurrentFontSize(fontSize);
+            els.textarea.style.fontSize = `${fontSize}px`;
+
+            document.dispatchEvent(new CustomEvent('note-loaded', {
+                detail: { id: note.id }
+            }));
 
-            els.textarea.innerHTML = editorContent.text;
-            setCurrentFontSize(editorContent.fontSize);
-            els.textarea.style.fontSize = `${editorContent.fontSize}px`;
+            return note;
         } catch (error) {
             console.error('Error loading data:', error);
             setStatus('error', 'Failed to load');
@@ -67,21 +199,25 @@ export const createLoadData = (els, setStatus) => {
  * Creates a function to save the current state of the editor.
  * @param {{textarea: HTMLTextAreaElement}} els - An object containing the textarea element.
  * @param {function} setStatus - The function created by `createSetStatus`.
- * @returns {function(): Promise<void>} An async function that saves the textarea's content and current font size
- * to the in-memory `editorContent` object.
+ * @returns {function(): Promise<void>} An async function that writes the textarea's content, read into the
+ * document model and serialized, and the current font size to the file of the note currently loaded in the editor.
  */
 export const createSaveData = (els, setStatus) => {
     return async () => {
+        if (!currentNoteId) return;
+
         try {
-            editorContent = {
-                text: els.textarea.innerHTML,
-                fontSize: currentFontSize
-            };
-
-            localStorage.setItem(
-                'editorContent',
-                JSON.stringify(editorContent)
-            );
+            const noteId = currentNoteId;
+            const title = deriveNoteTitle(els.textarea);
+
+            await getNotesBridge().save(noteId, {
+                text: getEditorHtml(els.textarea),
+                fontSize: currentFontSize,
+                title,
+                excerpt: deriveNoteExcerpt(els.textarea, title)
+            });
+
+            notifyLibraryChange('saved', noteId);
 
             setStatus(
                 'saved',
@@ -99,6 +235,131 @@ export const createSaveData = (els, setStatus) => {
     }
 };
 
+/**
+ * Creates the note library actions (create, import, open, rename, pin, duplicate, delete, reload).
+ * Every action that leaves the current note saves it first, except `reloadLibrary`.
+ * @param {function(string=): Promise<Object>} loadData - The function created by `createLoadData`.
+ * @param {function(): Promise<void>} saveData - The function created by `createSaveData`.
+ * @returns {{
+ *      listNotes: function(): Promise<Object[]>,
+ *      createNote: function(string=): Promise<Object>,
+ *      importNote: function(string): Promise<Object>,
+ *      openNote: function(string): Promise<Object>,
+ *      renameNote: function(string, string): Promise<Object>,
+ *      pinNote: function(string, boolean): Promise<Object>,
+ *      duplicateNote: function(string=): Promise<Object>,
+ *      deleteNote: function(string=): Promise<void>,
+ *      reloadLibrary: function(): Promise<Object>
+ * }} An object containing the note library actions.
+ */
+export const createNoteActions = (loadData, saveData) => {
+    const flushCurrentNote = async () => {
+        clearTimeout(autoSaveTimeout);
+        await saveData();
+    };
+
+    const listNotes = () => getNotesBridge().list();
+
+    const createNote = async (title = '') => {
+        await flushCurrentNote();
+        const note = await getNotesBridge().create({ title });
+        notifyLibraryChange('created', note.id);
+        return loadData(note.id);
+    };
+
+    // Title and excerpt are derived by saving the loaded note, so the title stays automatic
+    const importNote = async (text) => {
+        await flushCurrentNote();
+        const note = await getNotesBridge().create({ text });
+        notifyLibraryChange('created', note.id);
+
+        const loaded = await loadData(note.id);
+        await saveData();
+        return loaded;
+    };
+
+    const openNote = async (id) => {
+        if (id === currentNoteId) {
+            return getNotesBridge().get(id);
+        }
+
+        await flushCurrentNote();
+        return loadData(id);
+    };
+
+    const renameNote = async (id, title) => {
+        const meta = await getNotesBridge().rename(id ?? currentNoteId, title);
+        notifyLibraryChange('renamed', meta.id);
+        return meta;
+    };
+
+    const pinNote = async (id, pinned) => {
+        const meta = await getNotesBridge().setPinned(id ?? currentNoteId, pinned);
+        notifyLibraryChange('pinned', meta.id);
+        return meta;
+    };
+
+    const duplicateNote = async (id = currentNoteId) => {
+        await flushCurrentNote();
+        const copy = await getNotesBridge().duplicate(id);
+        notifyLibraryChange('created', copy.id);
+        return loadData(copy.id);
+    };
+
+    const deleteNote = async (id = currentNoteId) => {
+        const notes = getNotesBridge();
+        const isCurrent = id === currentNoteId;
+
+        if (isCurrent) {
+            clearTimeout(autoSaveTimeout);
+        }
+
+        try {
+            await notes.delete(id);
+        } catch (error) {
+            // The note is still there; show it as it is on disk again (loadData reports its own failure)
+            if (isCurrent) await loadData(id).catch(() => { });
+            throw error;
+        }
+
+        if (isCurrent) {
+            setCurrentNoteId(null);
+        }
+        notifyLibraryChange('deleted', id);
+
+        if (isCurrent) {
+            const [next] = await notes.list();
+            const note = next ?? await notes.create();
+            await loadData(note.id);
+        }
+    };
+
+    // After a backup was restored the files on disk are newer than the editor, so nothing is saved
+    const reloadLibrary = async () => {
+        const notes = getNotesBridge();
+        const id = currentNoteId;
+
+        clearTimeout(autoSaveTimeout);
+        setCurrentNoteId(null);
+        notifyLibraryChange('restored', null);
+
+        const stillExists = (await notes.list()).some(note => note.id === id);
+        return loadData(stillExists ? id : null);
+    };
+
+    return {
+        listNotes,
+        createNote,
+        importNote,
+        openNote,
+        renameNote,
+        pinNote,
+        duplicateNote,
+        deleteNote,
+        reloadLibrary
+    };
+};
+
 /**
  * Creates a set of functions for handling zoom functionality (in, out, reset).
  * @param {{textarea: HTMLTextAreaElement}} els - An object containing the textarea element.
@@ -182,6 +443,177 @@ export const createTriggerAutoSave = (setStatus, saveData) => {
     };
 };
 
+/**
+ * Creates the version history actions for the note open in the editor.
+ * Snapshots are taken by the main process on save; these actions list, read,
+ * create and restore them. A full restore first snapshots the content it replaces.
+ * @param {{textarea: HTMLElement}} els - An object containing the textarea element.
+ * @param {function(): Promise<void>} saveData - The function created by `createSaveData`.
+ * @returns {{
+ *      listSnapshots: function(string=): Promise<Object[]>,
+ *      getSnapshot: function(string, string=): Promise<Object>,
+ *      createSnapshot: function(): Promise<Object>,
+ *      restoreSnapshot: function(string): Promise<Object>
+ * }} An object containing the version history actions.
+ */
+export const createSnapshotActions = (els, saveData) => {
+    const notifyHistoryChange = (noteId) => {
+        document.dispatchEvent(new CustomEvent('note-history-changed', {
+            detail: { id: noteId }
+        }));
+    };
+
+    const flushCurrentNote = async () => {
+        clearTimeout(autoSaveTimeout);
+        await saveData();
+    };
+
+    const listSnapshots = (noteId = currentNoteId) => getSnapshotsBridge().list(noteId);
+
+    const getSnapshot = (snapshotId, noteId = currentNoteId) =>
+        getSnapshotsBridge().get(noteId, snapshotId);
+
+    const createSnapshot = async () => {
+        const noteId = currentNoteId;
+        await flushCurrentNote();
+
+        const snapshot = await getSnapshotsBridge().create(noteId, 'manual');
+        notifyHistoryChange(noteId);
+        return snapshot;
+    };
+
+    const restoreSnapshot = async (snapshotId) => {
+        const noteId = currentNoteId;
+        const bridge = getSnapshotsBridge();
+        const snapshot = await bridge.get(noteId, snapshotId);
+
+        // Keep the content being replaced so the restore can be undone from the history
+        await flushCurrentNote();
+        await bridge.create(noteId, 'restore');
+
+        setEditorHtml(els.textarea, snapshot.text);
+        await saveData();
+
+        document.dispatchEvent(new CustomEvent('note-loaded', {
+            detail: { id: noteId, restoredFrom: snapshotId }
+        }));
+        notifyHistoryChange(noteId);
+
+        return snapshot;
+    };
+
+    return {
+        listSnapshots,
+        getSnapshot,
+        createSnapshot,
+        restoreSnapshot
+    };
+};
+
+/**
+ * Creates the writer of the crash journal. Shortly after every edit the note content is
+ * sent to the main process, which appends it to the journal and flushes it to disk, so
+ * edits survive a crash that happens before the debounced auto-save runs.
+ * @param {{textarea: HTMLElement}} els - An object containing the textarea element.
+ * @returns {{schedule: function(): void, flush: function(): void, cancel: function(): void}}
+ * `schedule` records the content after `journalDelay`, `flush` records it immediately.
+ */
+export const createEditJournal = (els) => {
+    const journal = window.electronAPI?.journal;
+    let journalTimeout = null;
+
+    const flush = () => {
+        clearTimeout(journalTimeout);
+        journalTimeout = null;
+        if (!journal || !currentNoteId) return;
+
+        journal.record(currentNoteId, {
+            text: getEditorHtml(els.textarea),
+            fontSize: currentFontSize
+        });
+    };
+
+    const schedule = () => {
+        clearTimeout(journalTimeout);
+        journalTimeout = setTimeout(flush, noteFeaturesConfig.journalDelay);
+    };
+
+    const cancel = () => clearTimeout(journalTimeout);
+
+    return { schedule, flush, cancel };
+};
+
+/**
+ * Offers to recover edits the journal kept from the previous session (a crash, or
+ * a quit before the last save finished). Recovered notes are saved with the
+ * journal content; their saved version is kept in the version history first.
+ * @param {{textarea: HTMLElement}} els - An object containing the textarea element.
+ * @param {function(string=): Promise<Object>} loadData - The function created by `createLoadData`.
+ * @param {function} setStatus - The function created by `createSetStatus`.
+ * @returns {Promise<string[]>} IDs of the recovered notes.
+ */
+export const recoverUnsavedEdits = async (els, loadData, setStatus) => {
+    const journal = window.electronAPI?.journal;
+    if (!journal) return [];
+
+    const { uncleanShutdown, entries } = await journal.getRecovery();
+    if (!entries.length) return [];
+
+    const lastEdit = new Date(Math.max(...entries.map(entry => entry.at)));
+    const when = lastEdit.toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+    const titles = entries.map(entry => `• ${entry.title}`).join('\n');
+    const reason = uncleanShutdown
+        ? 'Fascinate Note did not shut down properly.'
+        : 'Some changes were not saved before Fascinate Note closed.';
+
+    if (!window.confirm(`${reason}\n\nUnsaved changes from ${when} were found in:\n${titles}\n\nRecover them? The saved versions stay in the version history.`)) {
+        await journal.dismissRecovery();
+        setStatus('saved');
+        return [];
+    }
+
+    const notes = getNotesBridge();
+    const recovered = [];
+
+    for (const entry of entries) {
+        try {
+            await getSnapshotsBridge().create(entry.noteId, 'restore')
+                .catch(error => console.warn('Could not keep the saved version:', error));
+
+            const container = document.createElement('div');
+            setEditorHtml(container, entry.text);
+            const title = deriveNoteTitle(container);
+
+            await notes.save(entry.noteId, {
+                text: getEditorHtml(container),
+                fontSize: entry.fontSize ?? undefined,
+                title,
+                excerpt: deriveNoteExcerpt(container, title)
+            });
+
+            notifyLibraryChange('saved', entry.noteId);
+            recovered.push(entry.noteId);
+        } catch (error) {
+            console.error(`Failed to recover note ${entry.noteId}:`, error);
+        }
+    }
+
+    await journal.dismissRecovery();
+
+    if (recovered.includes(currentNoteId)) {
+        await loadData(currentNoteId);
+    }
+
+    setStatus(
+        recovered.length ? 'recovered' : 'error',
+        recovered.length
+            ? `Recovered unsaved changes from ${lastEdit.toLocaleTimeString('th-Th')}`
+            : 'Recovery failed'
+    );
+
+    return recovered;
+};
+
 // Helper to create a debounced input handler.
 const debouncedInputHandler = (triggerAutoSave) => {
     let debounceTimer = null;
@@ -16,6 +16,11 @@ export let autoSaveTimeout = null;
  * @type {number}
  */
 export let currentFontSize = noteFeaturesConfig.defaultFontSize;
+/**
+ * ID of the note currently loaded in the editor.
+ * @type {string | null}
+ */
+export let currentNoteId = null;
 /**
  * Timestamp of the last successful save to the main process. Used for throttling save operations.
  * @type {number}
@@ -43,6 +48,14 @@ export const setCurrentFontSize = (size) => {
     currentFontSize = size;
 };
 
+/**
+ * Updates the ID of the note loaded in the editor.
+ * @param {string | null} id - The note ID.
+ */
+export const setCurrentNoteId = (id) => {
+    currentNoteId = id;
+};
+
 /**
  * Tracks an event listener by storing its details in an array.
  * This allows for later removal without needing to keep a reference to the handler elsewhere.
@@ -0,0 +1,125 @@
+/**
+ * @file Renderer side of the settings service.
+ * Keeps a cached copy of the settings from the main process and notifies
+ * subscribers whenever a value they watch changes, so features can apply
+ * new values live.
+ */
+
+/** @type {object|null} */
+let settingsCache = null;
+/** @type {Promise<object>|null} */
+let loadPromise = null;
+/** @type {Set<{key: string, callback: Function}>} */
+const subscribers = new Set();
+
+/**
+ * Returns the settings bridge exposed by the preload script, if any.
+ * @returns {object|null}
+ */
+const getSettingsBridge = () => window.electronAPI?.settings ?? null;
+
+/**
+ * Reads a value from an object by dot path.
+ * @param {object} source   - Object to read from.
+ * @param {string} key      - Dot path such as `editor.autoSaveDelay`.
+ * @returns {*}
+ */
+const readPath = (source, key) =>
+    key.split('.').reduce((node, part) => node?.[part], source);
+
+/**
+ * Replaces the cache and notifies subscribers whose value changed.
+ * @param {object} nextSettings
+ */
+const handleSettingsChange = (nextSettings) => {
+    const previous = settingsCache;
+    settingsCache = nextSettings;
+
+    subscribers.forEach(({ key, callback }) => {
+        const value = readPath(nextSettings, key);
+        if (JSON.stringify(value) === JSON.stringify(readPath(previous, key))) return;
+
+        try {
+            callback(value, nextSettings);
+        } catch (error) {
+            console.error(`[Settings] Listener for "${key}" failed:`, error);
+        }
+    });
+};
+
+/**
+ * Loads the settings once and starts listening for changes.
+ * Resolves with an empty object when the bridge is unavailable.
+ * @returns {Promise<object>}
+ */
+export const loadSettings = () => {
+    if (!loadPromise) {
+        loadPromise = (async () => {
+            const bridge = getSettingsBridge();
+            if (!bridge) {
+                settingsCache = {};
+                return settingsCache;
+            }
+
+            try {
+                settingsCache = await bridge.getAll();
+                bridge.onChange(handleSettingsChange);
+            } catch (error) {
+                console.error('[Settings] Failed to load settings:', error);
+                settingsCache = {};
+            }
+            return settingsCache;
+        })();
+    }
+    return loadPromise;
+};
+
+/**
+ * Reads a cached setting. Call `loadSettings()` first.
+ * @param {string} key      - Dot path such as `editor.autoSaveDelay`.
+ * @param {*} [fallback]    - Returned when the setting is unavailable.
+ * @returns {*}
+ */
+export const getSetting = (key, fallback) => {
+    const value = settingsCache ? readPath(settingsCache, key) : undefined;
+    return value === undefined ? fallback : value;
+};
+
+/**
+ * Persists a setting in the main process.
+ * @param {string} key  - Dot path such as `editor.autoSaveDelay`.
+ * @param {*} value     - New value, validated by the main process.
+ * @returns {Promise<*>} The stored value.
+ */
+export const setSetting = async (key, value) => {
+    const bridge = getSettingsBridge();
+    if (!bridge) {
+        throw new Error('Settings are not available');
+    }
+    return bridge.set(key, value);
+};
+
+/**
+ * Restores a setting, or all settings, to the default.
+ * @param {string} [key]
+ * @returns {Promise<object>} Every setting after the reset.
+ */
+export const resetSetting = async (key) => {
+    const bridge = getSettingsBridge();
+    if (!bridge) {
+        throw new Error('Settings are not available');
+    }
+    return bridge.reset(key);
+};
+
+/**
+ * Subscribes to changes of a setting or a group of settings.
+ * @param {string} key                                  - Dot path, e.g. `editor` or `editor.autoSaveDelay`.
+ * @param {(value: *, settings: object) => void} callback - Called with the new value.
+ * @returns {() => void} Unsubscribe function.
+ */
+export const onSettingChange = (key, callback) => {
+    const subscriber = { key, callback };
+    subscribers.add(subscriber);
+    return () => subscribers.delete(subscriber);
+};
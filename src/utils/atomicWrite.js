@@ -0,0 +1,39 @@
+import { promises as fs } from 'fs';
+
+/**
+ * Writes a file by writing a temporary sibling first and renaming it over the target,
+ * so a crash in the middle of a write never leaves a half-written file behind.
+ * @param {string} filePath             - Absolute path of the file to write.
+ * @param {string|Buffer} data          - File contents.
+ * @returns {Promise<void>}
+ */
+export const writeFileAtomic = async (filePath, data) => {
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+
+    try {
+        await fs.writeFile(tempPath, data);
+        await fs.rename(tempPath, filePath);
+    } catch (error) {
+        await fs.rm(tempPath, { force: true }).catch(() => { });
+        throw error;
+    }
+};
+
+/**
+ * Reads and parses a JSON file.
+ * @param {string} filePath             - Absolute path of the JSON file.
+ * @param {*} [fallback=null]           - Value returned when the file does not exist.
+ * @returns {Promise<*>} Parsed JSON or the fallback value.
+ * @throws {Error} If the file exists but cannot be read or parsed.
+ */
+export const readJSONFile = async (filePath, fallback = null) => {
+    try {
+        const raw = await fs.readFile(filePath, 'utf-8');
+        return JSON.parse(raw);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return fallback;
+        }
+        throw error;
+    }
+};
@@ -0,0 +1,221 @@
+import { promises as fs } from 'fs';
+import { promisify } from 'node:util';
+import zlib from 'node:zlib';
+import { crc32 } from './zipWriter.js';
+
+const inflateRaw = promisify(zlib.inflateRaw);
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const END_OF_CENTRAL_DIRECTORY_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xffff;
+const ENCRYPTED_FLAG = 0x0001;
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+const DEFAULT_MAX_ENTRY_SIZE = 256 * 1024 * 1024;
+
+/**
+ * @typedef {object} ZipEntry
+ * @property {string} name                  - Path inside the archive, with `/` as separator.
+ * @property {number} method                - Compression method (stored or deflated).
+ * @property {number} crc                   - CRC-32 of the uncompressed contents.
+ * @property {number} compressedSize
+ * @property {number} size                  - Uncompressed size.
+ * @property {number} offset                - Offset of the local header.
+ */
+
+/**
+ * Reads zip archives written by `ZipWriter` (or any other tool that does not need ZIP64
+ * or encryption). Entries are read one at a time; every entry is checked against the
+ * size and CRC-32 recorded in the central directory.
+ */
+export class ZipReader {
+    /**
+     * @param {import('fs').promises.FileHandle} handle
+     * @param {Map<string, ZipEntry>} entries
+     */
+    constructor(handle, entries) {
+        this.handle = handle;
+        this.entries = entries;
+    }
+
+    /**
+     * Opens an archive and reads its central directory.
+     * @param {string} filePath                 - Absolute path of the archive.
+     * @param {object} [options]
+     * @param {number} [options.maxEntrySize]   - Largest compressed entry that may be read (256 MB).
+     * @returns {Promise<ZipReader>}
+     * @throws {Error} When the file is not a zip archive, or an entry is larger than allowed.
+     */
+    static async open(filePath, { maxEntrySize = DEFAULT_MAX_ENTRY_SIZE } = {}) {
+        const handle = await fs.open(filePath, 'r');
+
+        try {
+            return new ZipReader(handle, await readCentralDirectory(handle, maxEntrySize));
+        } catch (error) {
+            await handle.close();
+            throw error;
+        }
+    }
+
+    /**
+     * Lists the entries of the archive.
+     * @returns {ZipEntry[]}
+     */
+    list() {
+        return [...this.entries.values()];
+    }
+
+    /**
+     * @param {string} name
+     * @returns {boolean}
+     */
+    has(name) {
+        return this.entries.has(name);
+    }
+
+    /**
+     * Reads and decompresses an entry.
+     * @param {string} name - Path inside the archive.
+     * @returns {Promise<Buffer>}
+     * @throws {Error} When the entry is missing or damaged.
+     */
+    async read(name) {
+        const entry = this.entries.get(name);
+        if (!entry) {
+            throw new Error(`Missing zip entry: ${name}`);
+        }
+
+        const header = await this.readAt(entry.offset, 30);
+        if (header.readUInt32LE(0) !== LOCAL_HEADER_SIGNATURE) {
+            throw new Error(`Damaged zip entry: ${name}`);
+        }
+
+        const dataOffset = entry.offset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+        const stored = await this.readAt(dataOffset, entry.compressedSize);
+
+        let content = stored;
+        if (entry.method === METHOD_DEFLATE) {
+            try {
+                // The limit stops entries that inflate far beyond their recorded size
+                content = await inflateRaw(stored, { maxOutputLength: Math.max(entry.size, 1) });
+            } catch {
+                throw new Error(`Damaged zip entry: ${name}`);
+            }
+        }
+
+        if (content.length !== entry.size || crc32(content) !== entry.crc) {
+            throw new Error(`Damaged zip entry: ${name}`);
+        }
+        return content;
+    }
+
+    /**
+     * Reads an entry as UTF-8 text.
+     * @param {string} name
+     * @returns {Promise<string>}
+     */
+    async readText(name) {
+        return (await this.read(name)).toString('utf-8');
+    }
+
+    async readAt(position, length) {
+        const buffer = Buffer.alloc(length);
+        const { bytesRead } = await this.handle.read(buffer, 0, length, position);
+        if (bytesRead !== length) {
+            throw new Error('Unexpected end of the zip archive');
+        }
+        return buffer;
+    }
+
+    /**
+     * Closes the archive file.
+     * @returns {Promise<void>}
+     */
+    async close() {
+        await this.handle.close();
+    }
+}
+
+/**
+ * Finds the end of central directory record and parses every central directory header.
+ * Entry sizes are checked here, since `read` allocates the compressed size up front.
+ * @param {import('fs').promises.FileHandle} handle
+ * @param {number} maxEntrySize             - Largest compressed size an entry may have.
+ * @returns {Promise<Map<string, ZipEntry>>}
+ */
+const readCentralDirectory = async (handle, maxEntrySize) => {
+    const { size } = await handle.stat();
+    const tailLength = Math.min(size, END_OF_CENTRAL_DIRECTORY_SIZE + MAX_COMMENT_SIZE);
+    const tail = Buffer.alloc(tailLength);
+    await handle.read(tail, 0, tailLength, size - tailLength);
+
+    // The record sits at the very end, followed only by an optional comment
+    let end = -1;
+    for (let i = tailLength - END_OF_CENTRAL_DIRECTORY_SIZE; i >= 0; i--) {
+        if (tail.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+            end = i;
+            break;
+        }
+    }
+    if (end === -1) {
+        throw new Error('Not a zip archive');
+    }
+
+    const count = tail.readUInt16LE(end + 10);
+    const directorySize = tail.readUInt32LE(end + 12);
+    const directoryOffset = tail.readUInt32LE(end + 16);
+    if (directoryOffset + directorySize > size) {
+        throw new Error('Damaged zip archive');
+    }
+
+    const directory = Buffer.alloc(directorySize);
+    await handle.read(directory, 0, directorySize, directoryOffset);
+
+    const entries = new Map();
+    let position = 0;
+
+    for (let i = 0; i < count; i++) {
+        if (position + 46 > directory.length || directory.readUInt32LE(position) !== CENTRAL_HEADER_SIGNATURE) {
+            throw new Error('Damaged zip archive');
+        }
+
+        const flags = directory.readUInt16LE(position + 8);
+        const method = directory.readUInt16LE(position + 10);
+        const nameLength = directory.readUInt16LE(position + 28);
+        const extraLength = directory.readUInt16LE(position + 30);
+        const commentLength = directory.readUInt16LE(position + 32);
+        const name = directory.toString('utf-8', position + 46, position + 46 + nameLength);
+
+        if (flags & ENCRYPTED_FLAG) {
+            throw new Error('Encrypted zip archives are not supported');
+        }
+        if (method !== METHOD_STORE && method !== METHOD_DEFLATE) {
+            throw new Error(`Unsupported compression in zip entry: ${name}`);
+        }
+
+        const entry = {
+            name,
+            method,
+            crc: directory.readUInt32LE(position + 16),
+            compressedSize: directory.readUInt32LE(position + 20),
+            size: directory.readUInt32LE(position + 24),
+            offset: directory.readUInt32LE(position + 42)
+        };
+
+        if (entry.compressedSize > maxEntrySize) {
+            throw new Error(`Zip entry is too large: ${name}`);
+        }
+        if (entry.offset + entry.compressedSize > size
+            || (method === METHOD_STORE && entry.compressedSize !== entry.size)) {
+            throw new Error(`Damaged zip entry: ${name}`);
+        }
+
+        entries.set(name, entry);
+
+        position += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+};
@@ -0,0 +1,184 @@
+import { promises as fs } from 'fs';
+import { promisify } from 'node:util';
+import zlib from 'node:zlib';
+
+const deflateRaw = promisify(zlib.deflateRaw);
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const VERSION = 20;
+const UTF8_FLAG = 0x0800;
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+const MAX_ENTRIES = 0xffff;
+const MAX_SIZE = 0xffffffff;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+/**
+ * Computes the CRC-32 of a buffer.
+ * @param {Buffer} buffer
+ * @returns {number}
+ */
+export const crc32 = (buffer) => {
+    let crc = 0xffffffff;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Encodes a date in the MS-DOS format used by zip headers (local time, 2 second precision).
+ * @param {Date} date
+ * @returns {{time: number, date: number}}
+ */
+const toDosDateTime = (date) => {
+    const year = Math.min(Math.max(date.getFullYear(), 1980), 2107);
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+};
+
+/**
+ * Writes a zip archive entry by entry, so only one file is held in memory at a time.
+ * Entries are deflated unless that does not make them smaller.
+ * Archives are limited to 65535 entries and 4 GB (no ZIP64).
+ */
+export class ZipWriter {
+    /**
+     * @param {import('fs').promises.FileHandle} handle
+     * @param {string} filePath
+     */
+    constructor(handle, filePath) {
+        this.handle = handle;
+        this.filePath = filePath;
+        this.offset = 0;
+        this.entries = [];
+        this.names = new Set();
+    }
+
+    /**
+     * Creates (or truncates) the archive file.
+     * @param {string} filePath - Absolute path of the archive.
+     * @returns {Promise<ZipWriter>}
+     */
+    static async create(filePath) {
+        return new ZipWriter(await fs.open(filePath, 'w'), filePath);
+    }
+
+    async write(buffer) {
+        await this.handle.write(buffer, 0, buffer.length, this.offset);
+        this.offset += buffer.length;
+    }
+
+    /**
+     * Adds a file to the archive.
+     * @param {string} name - Path inside the archive, with `/` as separator.
+     * @param {string|Buffer} data - File contents; strings are written as UTF-8.
+     * @param {Date} [modified=new Date()] - Modification time.
+     * @returns {Promise<void>}
+     */
+    async addFile(name, data, modified = new Date()) {
+        if (this.names.has(name)) {
+            throw new Error(`Duplicate zip entry: ${name}`);
+        }
+        if (this.entries.length >= MAX_ENTRIES) {
+            throw new Error('Too many files for a zip archive');
+        }
+
+        const content = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf-8');
+        const deflated = await deflateRaw(content);
+        const method = deflated.length < content.length ? METHOD_DEFLATE : METHOD_STORE;
+        const stored = method === METHOD_DEFLATE ? deflated : content;
+
+        if (content.length > MAX_SIZE || this.offset + stored.length > MAX_SIZE) {
+            throw new Error('The zip archive is too large');
+        }
+
+        const fileName = Buffer.from(name, 'utf-8');
+        const { time, date } = toDosDateTime(modified);
+        const entry = {
+            fileName,
+            method,
+            time,
+            date,
+            crc: crc32(content),
+            compressedSize: stored.length,
+            size: content.length,
+            offset: this.offset
+        };
+
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(LOCAL_HEADER_SIGNATURE, 0);
+        header.writeUInt16LE(VERSION, 4);
+        header.writeUInt16LE(UTF8_FLAG, 6);
+        header.writeUInt16LE(method, 8);
+        header.writeUInt16LE(time, 10);
+        header.writeUInt16LE(date, 12);
+        header.writeUInt32LE(entry.crc, 14);
+        header.writeUInt32LE(entry.compressedSize, 18);
+        header.writeUInt32LE(entry.size, 22);
+        header.writeUInt16LE(fileName.length, 26);
+        header.writeUInt16LE(0, 28);
+
+        await this.write(Buffer.concat([header, fileName]));
+        await this.write(stored);
+
+        this.entries.push(entry);
+        this.names.add(name);
+    }
+
+    /**
+     * Writes the central directory and closes the file.
+     * @returns {Promise<void>}
+     */
+    async close() {
+        const start = this.offset;
+
+        for (const entry of this.entries) {
+            const header = Buffer.alloc(46);
+            header.writeUInt32LE(CENTRAL_HEADER_SIGNATURE, 0);
+            header.writeUInt16LE(VERSION, 4);
+            header.writeUInt16LE(VERSION, 6);
+            header.writeUInt16LE(UTF8_FLAG, 8);
+            header.writeUInt16LE(entry.method, 10);
+            header.writeUInt16LE(entry.time, 12);
+            header.writeUInt16LE(entry.date, 14);
+            header.writeUInt32LE(entry.crc, 16);
+            header.writeUInt32LE(entry.compressedSize, 20);
+            header.writeUInt32LE(entry.size, 24);
+            header.writeUInt16LE(entry.fileName.length, 28);
+            header.writeUInt32LE(entry.offset, 42);
+
+            await this.write(Buffer.concat([header, entry.fileName]));
+        }
+
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY_SIGNATURE, 0);
+        end.writeUInt16LE(this.entries.length, 8);
+        end.writeUInt16LE(this.entries.length, 10);
+        end.writeUInt32LE(this.offset - start, 12);
+        end.writeUInt32LE(start, 16);
+
+        await this.write(end);
+        await this.handle.close();
+    }
+
+    /**
+     * Closes and deletes an unfinished archive.
+     * @returns {Promise<void>}
+     */
+    async abort() {
+        await this.handle.close().catch(() => { });
+        await fs.rm(this.filePath, { force: true });
+    }
+}